@@ -8,10 +8,19 @@ import {
   Edit,
   Trash2,
   User,
-  RefreshCw
+  RefreshCw,
+  Image as ImageIcon,
+  Copy,
+  ScanSearch,
+  Loader2,
+  X
 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { characterAPI } from '../lib/api';
 import { useAuth } from '../contexts/AuthContext';
 import AuthModal from '../components/AuthModal';
+import CharacterReferences from './CharacterReferences';
+import SimilarCharacters, { CharacterMatchList } from './SimilarCharacters';
 
 const CharacterLibrary = () => {
   const [characters, setCharacters] = useState([]);
@@ -19,6 +28,10 @@ const CharacterLibrary = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [showAuthModal, setShowAuthModal] = useState(false);
   const [brokenImages, setBrokenImages] = useState(new Set()); // Track characters with broken images
+  const [managingReferences, setManagingReferences] = useState(null); // Character id whose references are open
+  const [showingSimilar, setShowingSimilar] = useState(null); // Character id whose look-alikes are open
+  const [imageMatches, setImageMatches] = useState(null); // Results of a search by image
+  const [searchingByImage, setSearchingByImage] = useState(false);
   const { isAuthenticated, getAuthHeader } = useAuth();
 
   const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
@@ -99,6 +112,23 @@ const CharacterLibrary = () => {
     }
   };
 
+  const searchByImage = async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    if (files.length === 0) return;
+
+    try {
+      setSearchingByImage(true);
+      const response = await characterAPI.searchByImage(files);
+      setImageMatches(response.matches);
+    } catch (error) {
+      console.error('Image search error:', error);
+      toast.error(error.response?.data?.message || 'Search by image failed');
+    } finally {
+      setSearchingByImage(false);
+    }
+  };
+
   const filteredCharacters = characters.filter(character => {
     const matchesSearch = character.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
                          (character.description && character.description.toLowerCase().includes(searchTerm.toLowerCase()));
@@ -163,16 +193,41 @@ const CharacterLibrary = () => {
 
         {/* Search */}
         <div className="bg-white/70 dark:bg-gray-800/70 backdrop-blur-sm rounded-xl p-6 mb-6">
-          <div className="flex-1 relative">
-            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
-            <input
-              type="text"
-              placeholder="Search characters..."
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
-              className="w-full pl-10 pr-4 py-2 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-            />
+          <div className="flex gap-3">
+            <div className="flex-1 relative">
+              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
+              <input
+                type="text"
+                placeholder="Search characters..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                className="w-full pl-10 pr-4 py-2 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <label className={`flex items-center space-x-2 px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors ${searchingByImage ? 'opacity-50 pointer-events-none' : ''}`}>
+              {searchingByImage ? <Loader2 className="h-4 w-4 animate-spin" /> : <ScanSearch className="h-4 w-4" />}
+              <span className="text-sm">Search by image</span>
+              <input
+                type="file"
+                accept="image/jpeg,image/png,image/webp"
+                multiple
+                onChange={searchByImage}
+                className="hidden"
+              />
+            </label>
           </div>
+
+          {imageMatches && (
+            <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300">Characters that look like your image</h3>
+                <button onClick={() => setImageMatches(null)} className="p-1 hover:bg-gray-100 dark:hover:bg-gray-700 rounded">
+                  <X className="h-4 w-4 text-gray-500" />
+                </button>
+              </div>
+              <CharacterMatchList matches={imageMatches} />
+            </div>
+          )}
         </div>
 
         {/* Characters Grid */}
@@ -295,6 +350,22 @@ const CharacterLibrary = () => {
                     <span className="text-xs text-gray-500 dark:text-gray-400">
                       {character.source === 'supabase' ? 'Cloud' : 'Local'}
                     </span>
+
+                    <button
+                      onClick={() => setManagingReferences(managingReferences === character.id ? null : character.id)}
+                      className="flex items-center text-xs text-primary-600 hover:text-primary-700"
+                    >
+                      <ImageIcon className="h-4 w-4 mr-1" />
+                      {managingReferences === character.id ? 'Hide references' : 'References'}
+                    </button>
+
+                    <button
+                      onClick={() => setShowingSimilar(showingSimilar === character.id ? null : character.id)}
+                      className="flex items-center text-xs text-primary-600 hover:text-primary-700"
+                    >
+                      <Copy className="h-4 w-4 mr-1" />
+                      {showingSimilar === character.id ? 'Hide similar' : 'Similar'}
+                    </button>
                     
                     {character.isOwner && isAuthenticated && (
                       <div className="flex items-center space-x-1">
@@ -314,6 +385,18 @@ const CharacterLibrary = () => {
                       </div>
                     )}
                   </div>
+
+                  {managingReferences === character.id && (
+                    <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+                      <CharacterReferences characterId={character.id} />
+                    </div>
+                  )}
+
+                  {showingSimilar === character.id && (
+                    <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+                      <SimilarCharacters characterId={character.id} />
+                    </div>
+                  )}
                 </div>
               </motion.div>
             ))}
@@ -0,0 +1,122 @@
+import React, { useEffect, useState } from 'react';
+import { Image as ImageIcon, Loader2, Lock, RefreshCw, Unlock } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { characterAPI, storyAPI, getImageURL } from '../lib/api';
+import { ART_STYLES } from '../lib/utils';
+
+// Generated portraits of a character without reference images, one per art style. Every story
+// starts its scenes from the stored portrait; locking one keeps it from being regenerated.
+const CharacterPortraits = ({ characterId }) => {
+  const [portraits, setPortraits] = useState(null);
+  const [usesReferences, setUsesReferences] = useState(false);
+  const [busy, setBusy] = useState(null); // Style whose portrait is being changed
+
+  useEffect(() => {
+    let cancelled = false;
+    characterAPI.getPortraits(characterId)
+      .then(response => {
+        if (cancelled) return;
+        setPortraits(response.portraits);
+        setUsesReferences(response.uses_references);
+      })
+      .catch(error => {
+        console.error('Error loading portraits:', error);
+        if (!cancelled) {
+          toast.error(error.response?.data?.message || 'Failed to load portraits');
+          setPortraits({});
+        }
+      });
+    return () => { cancelled = true; };
+  }, [characterId]);
+
+  const update = async (style, action, errorMessage) => {
+    try {
+      setBusy(style);
+      const response = await action();
+      setPortraits(current => ({ ...current, [style]: response.portrait }));
+      toast.success(response.message);
+    } catch (error) {
+      console.error('Error updating portrait:', error);
+      toast.error(error.response?.data?.message || error.message || errorMessage);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  // Drawing runs as a queued job; its result carries the new portrait
+  const regenerate = async (style) => {
+    const { job_id } = await characterAPI.regeneratePortrait(characterId, style);
+    const job = await storyAPI.waitForJob(job_id);
+    return job.result;
+  };
+
+  if (!portraits) {
+    return (
+      <div className="flex justify-center py-4">
+        <Loader2 className="h-5 w-5 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  // Scenes of characters with reference images start from those instead
+  if (usesReferences) return null;
+
+  return (
+    <div className="space-y-2">
+      <p className="text-sm font-medium text-gray-900 dark:text-white">Style portraits</p>
+      <div className="grid grid-cols-3 sm:grid-cols-5 gap-2">
+        {ART_STYLES.map(({ id, label }) => {
+          const portrait = portraits[id];
+          return (
+            <div key={id} className="space-y-1">
+              {portrait ? (
+                <img
+                  src={getImageURL(portrait.imageUrl)}
+                  alt={`${label} portrait`}
+                  className="w-full aspect-square object-cover rounded-lg"
+                />
+              ) : (
+                <div className="w-full aspect-square rounded-lg border border-dashed border-gray-300 dark:border-gray-600 flex items-center justify-center">
+                  <ImageIcon className="h-5 w-5 text-gray-400" />
+                </div>
+              )}
+              <div className="flex items-center justify-between">
+                <span className="text-xs text-gray-500">{label}</span>
+                <div className="flex items-center">
+                  {busy === id ? (
+                    <Loader2 className="h-3 w-3 animate-spin text-gray-400" />
+                  ) : (
+                    <>
+                      {portrait && (
+                        <button
+                          type="button"
+                          onClick={() => update(id, () => characterAPI.lockPortrait(characterId, id, !portrait.locked), 'Failed to update the portrait')}
+                          disabled={!!busy}
+                          className="p-1 text-gray-500 hover:text-primary-600"
+                          title={portrait.locked ? 'Unlock portrait' : 'Lock portrait'}
+                        >
+                          {portrait.locked ? <Lock className="h-3 w-3" /> : <Unlock className="h-3 w-3" />}
+                        </button>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => update(id, () => regenerate(id), 'Failed to generate the portrait')}
+                        disabled={!!busy || portrait?.locked}
+                        className="p-1 text-gray-500 hover:text-primary-600 disabled:opacity-40"
+                        title={portrait ? 'Regenerate portrait' : 'Generate portrait'}
+                      >
+                        <RefreshCw className="h-3 w-3" />
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default CharacterPortraits;
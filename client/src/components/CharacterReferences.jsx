@@ -0,0 +1,138 @@
+import React, { useEffect, useState } from 'react';
+import { Loader2, Plus, Star, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { characterAPI, getImageURL } from '../lib/api';
+import { MAX_REFERENCES, REFERENCE_VIEWS } from '../lib/utils';
+import ReferenceImagePicker from './create/ReferenceImagePicker';
+import CharacterSheet from './CharacterSheet';
+import CharacterPortraits from './CharacterPortraits';
+
+const viewLabel = (id) => REFERENCE_VIEWS.find(view => view.id === id)?.label || id;
+
+// Reference images of a saved character: remove them or add more. The character's DNA is
+// recomputed from the whole set on the server after every change.
+const CharacterReferences = ({ characterId }) => {
+  const [references, setReferences] = useState([]);
+  const [warning, setWarning] = useState(null);
+  const [sheet, setSheet] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [pending, setPending] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [removing, setRemoving] = useState(null);
+
+  const applyResponse = (response) => {
+    setReferences(response.references || []);
+    setWarning(response.warning || null);
+    if (response.sheet !== undefined) setSheet(response.sheet);
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    characterAPI.getReferences(characterId)
+      .then(response => !cancelled && applyResponse(response))
+      .catch(error => {
+        console.error('Error loading references:', error);
+        if (!cancelled) toast.error(error.response?.data?.message || 'Failed to load reference images');
+      })
+      .finally(() => !cancelled && setLoading(false));
+    return () => { cancelled = true; };
+  }, [characterId]);
+
+  const handleAdd = async () => {
+    try {
+      setSaving(true);
+      const response = await characterAPI.addReferences(characterId, pending);
+      applyResponse(response);
+      pending.forEach(image => URL.revokeObjectURL(image.previewUrl));
+      setPending([]);
+      toast.success(response.message);
+    } catch (error) {
+      console.error('Error adding references:', error);
+      toast.error(error.response?.data?.message || 'Failed to add reference images');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (referenceId) => {
+    try {
+      setRemoving(referenceId);
+      applyResponse(await characterAPI.removeReference(characterId, referenceId));
+    } catch (error) {
+      console.error('Error removing reference:', error);
+      toast.error(error.response?.data?.message || 'Failed to remove the reference image');
+    } finally {
+      setRemoving(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-4">
+        <Loader2 className="h-5 w-5 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-3 gap-2">
+        {references.map(reference => (
+          <div key={reference.id} className="relative group/reference">
+            <img
+              src={getImageURL(reference.thumbnailUrl || reference.imageUrl)}
+              alt={viewLabel(reference.view)}
+              className="w-full aspect-square object-cover rounded-lg"
+            />
+            {reference.primary && (
+              <span className="absolute top-1 left-1 p-1 bg-black/50 rounded-full" title="Main image">
+                <Star className="h-3 w-3 text-yellow-300" />
+              </span>
+            )}
+            {references.length > 1 && (
+              <button
+                type="button"
+                onClick={() => handleRemove(reference.id)}
+                disabled={!!removing}
+                className="absolute top-1 right-1 p-1 bg-black/50 text-white rounded-full opacity-0 group-hover/reference:opacity-100 transition-opacity"
+                title="Remove"
+              >
+                {removing === reference.id ? <Loader2 className="h-3 w-3 animate-spin" /> : <Trash2 className="h-3 w-3" />}
+              </button>
+            )}
+            <p className="text-xs text-gray-500 mt-1 truncate">
+              {viewLabel(reference.view)}{reference.label ? ` · ${reference.label}` : ''}
+            </p>
+          </div>
+        ))}
+      </div>
+
+      {warning && <p className="text-xs text-warning-600">{warning}</p>}
+
+      {references.length < MAX_REFERENCES && (
+        <>
+          <ReferenceImagePicker
+            images={pending}
+            onChange={setPending}
+            max={MAX_REFERENCES - references.length}
+            disabled={saving}
+          />
+          {pending.length > 0 && (
+            <button type="button" onClick={handleAdd} disabled={saving} className="btn-primary w-full">
+              {saving ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Plus className="h-4 w-4 mr-2" />}
+              Add {pending.length} image{pending.length === 1 ? '' : 's'}
+            </button>
+          )}
+        </>
+      )}
+
+      <div className="pt-3 border-t border-gray-200 dark:border-gray-700">
+        <CharacterSheet characterId={characterId} sheet={sheet} onChange={setSheet} />
+      </div>
+
+      <CharacterPortraits characterId={characterId} />
+    </div>
+  );
+};
+
+export default CharacterReferences;
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { LayoutGrid, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { characterAPI, storyAPI, getImageURL } from '../lib/api';
+import { ART_STYLES } from '../lib/utils';
+
+const styleLabel = (id) => ART_STYLES.find(style => style.id === id)?.label || id;
+
+// Character sheet of a saved character: turnaround, expressions and poses in one style.
+// Scenes in that style start from its panels when the prompt calls for a view or expression.
+const CharacterSheet = ({ characterId, sheet, onChange }) => {
+  const [style, setStyle] = useState(sheet?.style || ART_STYLES[0].id);
+  const [generating, setGenerating] = useState(false);
+  const [progressMessage, setProgressMessage] = useState('');
+
+  const handleGenerate = async () => {
+    try {
+      setGenerating(true);
+      const { job_id } = await characterAPI.generateSheet(characterId, style);
+      const job = await storyAPI.waitForJob(job_id, {
+        onProgress: (update) => setProgressMessage(update.message),
+      });
+      onChange(job.result.sheet);
+      toast.success(job.result.message);
+    } catch (error) {
+      console.error('Error generating character sheet:', error);
+      toast.error(error.response?.data?.message || error.message || 'Failed to create the character sheet');
+    } finally {
+      setGenerating(false);
+      setProgressMessage('');
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <p className="text-sm font-medium text-gray-900 dark:text-white">Character sheet</p>
+      {sheet ? (
+        <a href={getImageURL(sheet.imageUrl)} target="_blank" rel="noopener noreferrer" className="block">
+          <img
+            src={getImageURL(sheet.imageUrl)}
+            alt={`${styleLabel(sheet.style)} character sheet`}
+            className="w-full rounded-lg border border-gray-200 dark:border-gray-700"
+          />
+          <span className="text-xs text-gray-500">
+            {styleLabel(sheet.style)} · {sheet.panels.length} panels
+          </span>
+        </a>
+      ) : (
+        <p className="text-xs text-gray-500">
+          Generate a turnaround, six expressions and three poses to keep the character consistent in that style.
+        </p>
+      )}
+
+      <div className="flex gap-2">
+        <select
+          value={style}
+          onChange={(e) => setStyle(e.target.value)}
+          disabled={generating}
+          className="input flex-1"
+        >
+          {ART_STYLES.map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+        <button type="button" onClick={handleGenerate} disabled={generating} className="btn-secondary">
+          {generating ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <LayoutGrid className="h-4 w-4 mr-2" />}
+          {sheet ? 'Redraw' : 'Generate'}
+        </button>
+      </div>
+      {generating && (
+        <p className="text-xs text-gray-500">{progressMessage || 'Drawing 12 panels, this can take several minutes…'}</p>
+      )}
+    </div>
+  );
+};
+
+export default CharacterSheet;
@@ -0,0 +1,43 @@
+import React from "react";
+import { AlertTriangle, CheckCircle2 } from "lucide-react";
+
+const percent = (score) => `${Math.round(Math.max(score, 0) * 100)}%`;
+
+// How much a storyboard looks like its characters, as scored when it was generated. Scenes with
+// several characters show the least similar one, with every character's score in the tooltip
+const ConsistencyBadge = ({ consistency }) => {
+  if (typeof consistency?.score !== "number") return null;
+
+  const retries = Math.max((consistency.attempts?.length || 1) - 1, 0);
+  const cast = consistency.cast?.map((member) => `${member.name} ${percent(member.score)}`).join(", ");
+  const title = `Similarity to the character reference (threshold ${percent(consistency.threshold)})${
+    cast ? `: ${cast}` : ""
+  }${retries ? `, best of ${retries + 1} attempts` : ""}`;
+
+  return (
+    <span
+      title={title}
+      className={`inline-flex items-center gap-1 rounded-full px-2 py-0.5 text-xs font-medium ${
+        consistency.passed ? "bg-green-100 text-green-700" : "bg-amber-100 text-amber-700"
+      }`}>
+      {consistency.passed ? <CheckCircle2 className="w-3 h-3" /> : <AlertTriangle className="w-3 h-3" />}
+      {percent(consistency.score)} match
+    </span>
+  );
+};
+
+// Story-wide line from result metadata
+export const ConsistencySummary = ({ summary }) => {
+  if (!summary?.scored_scenes) return null;
+
+  return (
+    <p className="text-sm text-gray-600">
+      Character consistency: {percent(summary.average_score)} on average, lowest {percent(summary.min_score)}
+      {summary.below_threshold > 0 &&
+        ` · ${summary.below_threshold} of ${summary.scored_scenes} scenes below ${percent(summary.threshold)}`}
+      {summary.retries > 0 && ` · ${summary.retries} regenerated automatically`}
+    </p>
+  );
+};
+
+export default ConsistencyBadge;
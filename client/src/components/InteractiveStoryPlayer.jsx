@@ -0,0 +1,160 @@
+import React, { useEffect, useState } from "react";
+import { ArrowLeft, Loader2, RotateCcw, Sparkles } from "lucide-react";
+import toast from "react-hot-toast";
+import { storyAPI } from "../lib/api";
+
+const READER_ID_KEY = "talecraft_reader_id";
+
+// Anonymous id so a reader can pick up a story where they left off
+const getReaderId = () => {
+  let readerId = localStorage.getItem(READER_ID_KEY);
+  if (!readerId) {
+    readerId = crypto.randomUUID();
+    localStorage.setItem(READER_ID_KEY, readerId);
+  }
+  return readerId;
+};
+
+const InteractiveStoryPlayer = ({ storyId, story }) => {
+  const [nodes, setNodes] = useState(story.graph.nodes);
+  const [path, setPath] = useState([story.graph.start_node_id]);
+  const [choosing, setChoosing] = useState(null);
+  const [readerId] = useState(getReaderId);
+
+  useEffect(() => {
+    setNodes(story.graph.nodes);
+    setPath([story.graph.start_node_id]);
+
+    storyAPI
+      .getReaderPath(storyId, readerId)
+      .then((response) => {
+        if (response.path.every((nodeId) => story.graph.nodes[nodeId])) {
+          setPath(response.path);
+        }
+      })
+      .catch(() => {
+        // No saved path yet, start from the beginning
+      });
+  }, [storyId, story, readerId]);
+
+  const node = nodes[path[path.length - 1]];
+
+  const handleChoice = async (choice) => {
+    try {
+      setChoosing(choice.id);
+      const response = await storyAPI.chooseBranch(storyId, node.id, choice.id, readerId);
+      const next = response.node;
+
+      setNodes((current) => ({
+        ...current,
+        [next.id]: next,
+        [node.id]: {
+          ...current[node.id],
+          choices: current[node.id].choices.map((entry) =>
+            entry.id === choice.id ? { ...entry, next_node_id: next.id } : entry
+          ),
+        },
+      }));
+      setPath((current) => [...current, next.id]);
+    } catch (err) {
+      console.error("Error following choice:", err);
+      toast.error(err.response?.data?.message || "Failed to continue the story");
+    } finally {
+      setChoosing(null);
+    }
+  };
+
+  if (!node) return null;
+
+  return (
+    <div className="w-full max-w-4xl mx-auto">
+      <div className="card p-6">
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+          {story.title}
+        </h1>
+
+        {/* Path so far */}
+        <div className="flex flex-wrap items-center gap-1 text-sm text-gray-500 mb-6">
+          {path.map((nodeId, index) => (
+            <button
+              key={nodeId}
+              type="button"
+              onClick={() => setPath(path.slice(0, index + 1))}
+              disabled={index === path.length - 1 || !!choosing}
+              className="hover:text-primary-600 disabled:hover:text-gray-500">
+              {index > 0 && <span className="mx-1">›</span>}
+              {nodes[nodeId]?.title}
+            </button>
+          ))}
+        </div>
+
+        {node.image_url && (
+          <img
+            src={node.image_url}
+            alt={node.title}
+            className="w-full rounded-xl mb-6"
+          />
+        )}
+
+        <h2 className="text-2xl font-semibold text-gray-900 dark:text-white mb-4">
+          {node.title}
+        </h2>
+        <p className="text-gray-700 dark:text-gray-300 whitespace-pre-line mb-6">
+          {node.content}
+        </p>
+
+        {node.audio_url && (
+          <audio key={node.id} src={node.audio_url} controls className="w-full mb-6" />
+        )}
+
+        {node.is_ending ? (
+          <div className="text-center text-xl font-semibold text-primary-600 py-4">
+            The End
+          </div>
+        ) : (
+          <div className="space-y-3">
+            <p className="font-medium text-gray-900 dark:text-white">What happens next?</p>
+            {node.choices.map((choice) => (
+              <button
+                key={choice.id}
+                type="button"
+                onClick={() => handleChoice(choice)}
+                disabled={!!choosing}
+                className="w-full p-4 rounded-xl border-2 border-gray-200 dark:border-gray-600 hover:border-primary-500 text-left transition-all duration-200 flex items-center">
+                {choosing === choice.id ? (
+                  <Loader2 className="w-4 h-4 mr-3 animate-spin text-primary-600" />
+                ) : (
+                  <Sparkles className="w-4 h-4 mr-3 text-primary-600" />
+                )}
+                <span className="text-gray-900 dark:text-white">
+                  {choosing === choice.id ? "Writing what happens next..." : choice.label}
+                </span>
+              </button>
+            ))}
+          </div>
+        )}
+
+        <div className="flex justify-between mt-6">
+          <button
+            type="button"
+            onClick={() => setPath(path.slice(0, -1))}
+            disabled={path.length === 1 || !!choosing}
+            className="btn-secondary inline-flex items-center">
+            <ArrowLeft className="w-4 h-4 mr-2" />
+            Back
+          </button>
+          <button
+            type="button"
+            onClick={() => setPath([story.graph.start_node_id])}
+            disabled={path.length === 1 || !!choosing}
+            className="btn-secondary inline-flex items-center">
+            <RotateCcw className="w-4 h-4 mr-2" />
+            Start over
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InteractiveStoryPlayer;
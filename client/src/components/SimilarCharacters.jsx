@@ -0,0 +1,63 @@
+import React, { useEffect, useState } from 'react';
+import { Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { characterAPI, getImageURL } from '../lib/api';
+
+// Matches from the similarity endpoints, most similar first
+export const CharacterMatchList = ({ matches }) => {
+  if (matches.length === 0) {
+    return <p className="text-xs text-gray-500">No similar characters found</p>;
+  }
+
+  return (
+    <ul className="space-y-2">
+      {matches.map(match => (
+        <li key={match.id} className="flex items-center gap-2">
+          <img
+            src={getImageURL(match.thumbnailUrl)}
+            alt={match.name}
+            className="h-10 w-10 rounded-md object-cover bg-gray-100 dark:bg-gray-700"
+          />
+          <div className="flex-1 min-w-0">
+            <p className="text-sm text-gray-900 dark:text-white truncate">{match.name}</p>
+            <p className="text-xs text-gray-500">{match.isDemo ? 'Demo character' : 'Your library'}</p>
+          </div>
+          <span className="text-xs font-medium text-primary-600">
+            {Math.round(Math.max(match.similarity, 0) * 100)}%
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Characters that look most like a saved one
+const SimilarCharacters = ({ characterId }) => {
+  const [matches, setMatches] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    characterAPI.similar(characterId)
+      .then(response => !cancelled && setMatches(response.matches))
+      .catch(error => {
+        console.error('Error loading similar characters:', error);
+        if (!cancelled) {
+          toast.error(error.response?.data?.message || 'Failed to load similar characters');
+          setMatches([]);
+        }
+      });
+    return () => { cancelled = true; };
+  }, [characterId]);
+
+  if (!matches) {
+    return (
+      <div className="flex justify-center py-4">
+        <Loader2 className="h-5 w-5 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return <CharacterMatchList matches={matches} />;
+};
+
+export default SimilarCharacters;
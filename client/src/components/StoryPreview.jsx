@@ -16,6 +16,7 @@ import {
   Volume2
 } from 'lucide-react';
 import AudioVisualizer from './AudioVisualizer';
+import ConsistencyBadge, { ConsistencySummary } from './ConsistencyBadge';
 
 const StoryPreview = ({ story, onEdit, onShare, onDownload, onPlayVideo }) => {
   const [isExpanded, setIsExpanded] = useState(false);
@@ -341,9 +342,13 @@ const StoryPreview = ({ story, onEdit, onShare, onDownload, onPlayVideo }) => {
                 animate={{ opacity: 1, y: 0 }}
                 exit={{ opacity: 0, y: -10 }}
                 className="space-y-4">
+                <ConsistencySummary summary={story.metadata?.consistency} />
                 {story.storyboardUrls && story.storyboardUrls.length > 0 ? (
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                     {story.storyboardUrls.map((imageUrl, index) => {
+                      const storyboard = story.storyboards?.find(
+                        (entry) => entry.imageUrl === imageUrl
+                      );
                       // Handle relative URLs by adding server prefix if needed
                       const fullImageUrl =
                         imageUrl &&
@@ -375,9 +380,14 @@ const StoryPreview = ({ story, onEdit, onShare, onDownload, onPlayVideo }) => {
                             }}
                           />
                           <div className="p-3">
-                            <h4 className="font-medium text-gray-900">
-                              Storyboard {index + 1}
-                            </h4>
+                            <div className="flex items-center justify-between gap-2">
+                              <h4 className="font-medium text-gray-900">
+                                Storyboard {index + 1}
+                              </h4>
+                              <ConsistencyBadge
+                                consistency={storyboard?.consistency}
+                              />
+                            </div>
                             {story.scenes && story.scenes[index] && (
                               <p className="text-sm text-gray-600 mt-1">
                                 {story.scenes[index].title}
@@ -0,0 +1,187 @@
+import React, { useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { Download, Languages, Loader2 } from "lucide-react";
+import toast from "react-hot-toast";
+import { storyAPI } from "../lib/api";
+import { STORY_LANGUAGES, getLanguageLabel } from "../lib/utils";
+import { useAuth } from "../contexts/AuthContext";
+
+const StoryTranslations = ({ storyId }) => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [family, setFamily] = useState(null);
+  const [language, setLanguage] = useState("");
+  const [translating, setTranslating] = useState(false);
+  const [progressMessage, setProgressMessage] = useState("");
+  const [downloading, setDownloading] = useState(false);
+
+  useEffect(() => {
+    setFamily(null);
+    setLanguage("");
+
+    storyAPI
+      .getTranslations(storyId)
+      .then(setFamily)
+      .catch((err) => console.error("Error fetching translations:", err));
+  }, [storyId]);
+
+  if (!family) return null;
+
+  const versions = family.translations;
+  const existing = versions.find((version) => version.language === language && version.id !== storyId);
+  const available = STORY_LANGUAGES.filter(
+    (entry) => !versions.some((version) => version.language === entry.code)
+  );
+
+  const handleTranslate = async () => {
+    if (!language || existing) return;
+    if (!user) {
+      toast.error("Log in to translate this story");
+      return;
+    }
+
+    try {
+      setTranslating(true);
+      const { job_id } = await storyAPI.translateStory(storyId, language);
+      const job = await storyAPI.waitForJob(job_id, {
+        onProgress: (update) => setProgressMessage(update.message),
+      });
+      toast.success(`Translated into ${getLanguageLabel(job.result.language)}!`);
+      navigate(`/story/${job.result.story_id}`);
+    } catch (err) {
+      console.error("Error translating story:", err);
+      toast.error(err.response?.data?.message || err.message || "Failed to translate the story");
+    } finally {
+      setTranslating(false);
+      setProgressMessage("");
+    }
+  };
+
+  // Side-by-side storybook of this version and the selected translation
+  const handleDownload = async () => {
+    if (!existing) return;
+
+    try {
+      setDownloading(true);
+      const response = await fetch(`/api/export/${storyId}?format=pdf&parallel_language=${language}`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${localStorage.getItem("auth_token")}`,
+        },
+      });
+
+      if (response.ok) {
+        const blob = await response.blob();
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = `story_${family.language}_${language}.pdf`;
+        document.body.appendChild(a);
+        a.click();
+        window.URL.revokeObjectURL(url);
+        document.body.removeChild(a);
+        toast.success("Bilingual storybook downloaded!");
+      } else {
+        toast.error("Failed to download the storybook");
+      }
+    } catch (err) {
+      console.error("Error downloading storybook:", err);
+      toast.error("Failed to download the storybook");
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const otherVersions = versions.filter((version) => version.id !== storyId);
+
+  return (
+    <div className="w-full max-w-4xl mx-auto mt-6">
+      <div className="card p-6">
+        <label className="label mb-4">
+          <Languages className="w-5 h-5 mr-2 text-primary-600" />
+          Translations
+          <span className="ml-2 text-sm font-normal text-gray-500">
+            Read this story in other languages
+          </span>
+        </label>
+
+        {otherVersions.length > 0 && (
+          <ul className="mb-6 space-y-1">
+            {otherVersions.map((version) => (
+              <li key={version.id} className="flex items-baseline gap-2">
+                <span className="text-sm text-gray-500 w-32 flex-shrink-0">
+                  {getLanguageLabel(version.language)}
+                  {version.is_original && " (original)"}
+                </span>
+                <Link
+                  to={`/story/${version.id}`}
+                  className="text-primary-600 hover:text-primary-700 hover:underline">
+                  {version.title}
+                </Link>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex flex-col md:flex-row gap-3">
+          <select
+            value={language}
+            onChange={(e) => setLanguage(e.target.value)}
+            className="input md:w-64"
+            disabled={translating}>
+            <option value="">Choose a language...</option>
+            {otherVersions.length > 0 && (
+              <optgroup label="Translated">
+                {otherVersions.map((version) => (
+                  <option key={version.id} value={version.language}>
+                    {getLanguageLabel(version.language)}
+                  </option>
+                ))}
+              </optgroup>
+            )}
+            <optgroup label="Translate into">
+              {available.map((entry) => (
+                <option key={entry.code} value={entry.code}>
+                  {entry.label}
+                </option>
+              ))}
+            </optgroup>
+          </select>
+
+          {existing ? (
+            <button
+              type="button"
+              onClick={handleDownload}
+              disabled={downloading}
+              className="btn-primary inline-flex items-center">
+              {downloading ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Download className="w-4 h-4 mr-2" />
+              )}
+              Download bilingual PDF
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={handleTranslate}
+              disabled={translating || !language}
+              className="btn-primary inline-flex items-center">
+              {translating ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Languages className="w-4 h-4 mr-2" />
+              )}
+              {translating ? "Translating..." : "Translate"}
+            </button>
+          )}
+        </div>
+        {translating && progressMessage && (
+          <p className="mt-2 text-sm text-gray-500">{progressMessage}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StoryTranslations;
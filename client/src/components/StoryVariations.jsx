@@ -0,0 +1,141 @@
+import React, { useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { GitBranch, Loader2, Sparkles } from "lucide-react";
+import toast from "react-hot-toast";
+import { storyAPI } from "../lib/api";
+
+// One story in the branch tree, with its own branches nested below it
+const VariationNode = ({ node, currentId }) => {
+  const isCurrent = node.id === currentId;
+
+  return (
+    <li>
+      <div className="flex items-baseline gap-2 py-1">
+        <GitBranch className="w-4 h-4 text-primary-600 flex-shrink-0" />
+        {isCurrent ? (
+          <span className="font-semibold text-gray-900 dark:text-white">
+            {node.title} <span className="text-xs text-primary-600">(viewing)</span>
+          </span>
+        ) : (
+          <Link
+            to={`/story/${node.id}`}
+            className="text-primary-600 hover:text-primary-700 hover:underline">
+            {node.title}
+          </Link>
+        )}
+        {node.what_if && (
+          <span className="text-sm text-gray-500">
+            what if {node.what_if}? (from scene {node.fork_scene_number})
+          </span>
+        )}
+      </div>
+      {node.variations.length > 0 && (
+        <ul className="ml-6 border-l border-gray-200 dark:border-gray-700 pl-3">
+          {node.variations.map((child) => (
+            <VariationNode key={child.id} node={child} currentId={currentId} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+const StoryVariations = ({ storyId, scenes = [] }) => {
+  const navigate = useNavigate();
+  const [tree, setTree] = useState(null);
+  const [sceneId, setSceneId] = useState("");
+  const [whatIf, setWhatIf] = useState("");
+  const [creating, setCreating] = useState(false);
+
+  // The last scene has nothing after it to branch
+  const forkableScenes = scenes.slice(0, -1);
+
+  useEffect(() => {
+    setTree(null);
+    setSceneId("");
+    setWhatIf("");
+
+    storyAPI
+      .getVariations(storyId)
+      .then((response) => setTree(response.tree))
+      .catch((err) => console.error("Error fetching variations:", err));
+  }, [storyId]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!sceneId || whatIf.trim().length < 3) return;
+
+    try {
+      setCreating(true);
+      const response = await storyAPI.createVariation(storyId, sceneId, whatIf.trim());
+      toast.success("New branch created!");
+      navigate(`/story/${response.story_id}`);
+    } catch (err) {
+      console.error("Error creating variation:", err);
+      toast.error(err.response?.data?.message || "Failed to create the variation");
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  if (forkableScenes.length === 0) return null;
+
+  return (
+    <div className="w-full max-w-4xl mx-auto mt-6">
+      <div className="card p-6">
+        <label className="label mb-4">
+          <GitBranch className="w-5 h-5 mr-2 text-primary-600" />
+          What if?
+          <span className="ml-2 text-sm font-normal text-gray-500">
+            Branch the story at a scene and see where it goes
+          </span>
+        </label>
+
+        {tree && tree.variations.length > 0 && (
+          <ul className="mb-6">
+            <VariationNode node={tree} currentId={storyId} />
+          </ul>
+        )}
+
+        <form onSubmit={handleCreate} className="space-y-3">
+          <div className="flex flex-col md:flex-row gap-3">
+            <select
+              value={sceneId}
+              onChange={(e) => setSceneId(e.target.value)}
+              className="input md:w-64"
+              disabled={creating}>
+              <option value="">Branch after scene...</option>
+              {forkableScenes.map((scene, index) => (
+                <option key={scene.id || index} value={scene.id || index + 1}>
+                  {index + 1}. {scene.title}
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={whatIf}
+              onChange={(e) => setWhatIf(e.target.value)}
+              placeholder="What if the dragon was friendly?"
+              maxLength={500}
+              className="input flex-1"
+              disabled={creating}
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={creating || !sceneId || whatIf.trim().length < 3}
+            className="btn-primary inline-flex items-center">
+            {creating ? (
+              <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+            ) : (
+              <Sparkles className="w-4 h-4 mr-2" />
+            )}
+            {creating ? "Writing the new path..." : "Create branch"}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default StoryVariations;
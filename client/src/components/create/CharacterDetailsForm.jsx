@@ -0,0 +1,83 @@
+const TEXT_FIELDS = [
+  { id: 'species', label: 'Species', placeholder: 'fox, girl, robot' },
+  { id: 'hair', label: 'Hair / fur', placeholder: 'short curly red' },
+  { id: 'eyes', label: 'Eyes', placeholder: 'large green' },
+  { id: 'skin', label: 'Skin', placeholder: 'freckled, light brown' }
+]
+
+const LIST_FIELDS = [
+  { id: 'clothing', label: 'Clothing', placeholder: 'yellow raincoat, red boots' },
+  { id: 'accessories', label: 'Accessories', placeholder: 'round glasses, backpack' },
+  { id: 'colors', label: 'Main colors', placeholder: 'mustard yellow, navy' },
+  { id: 'distinctive_features', label: 'Distinctive features', placeholder: 'scar over left eye' },
+  { id: 'traits', label: 'Personality traits', placeholder: 'curious, shy, brave' }
+]
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean)
+
+export const EMPTY_DETAILS = {
+  description: '',
+  ...Object.fromEntries([...TEXT_FIELDS, ...LIST_FIELDS].map(({ id }) => [id, '']))
+}
+
+// Form values from a caption suggested by the server; lists are edited as comma-separated text
+export const captionToDetails = ({ description, appearance, traits }) => ({
+  ...EMPTY_DETAILS,
+  description: description || '',
+  ...Object.fromEntries(TEXT_FIELDS.map(({ id }) => [id, appearance[id] || ''])),
+  ...Object.fromEntries(LIST_FIELDS.map(({ id }) => [id, ((id === 'traits' ? traits : appearance[id]) || []).join(', ')]))
+})
+
+export const hasDetails = (details) => Object.values(details).some(value => value.trim())
+
+// Upload fields from the reviewed form
+export const detailsToMetadata = (details) => ({
+  description: details.description.trim(),
+  traits: details.traits,
+  appearance: {
+    ...Object.fromEntries(TEXT_FIELDS.map(({ id }) => [id, details[id].trim()])),
+    ...Object.fromEntries(LIST_FIELDS.filter(({ id }) => id !== 'traits').map(({ id }) => [id, splitList(details[id])]))
+  }
+})
+
+// Description, appearance and personality of a character, filled in from its images and
+// corrected by the user before the character is saved
+export default function CharacterDetailsForm({ details, onChange, disabled = false }) {
+  const update = (id, value) => onChange({ ...details, [id]: value })
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="label">Description</label>
+        <textarea
+          value={details.description}
+          onChange={(e) => update('description', e.target.value)}
+          disabled={disabled}
+          maxLength={1000}
+          rows={3}
+          placeholder="A cheerful fox who never goes anywhere without her yellow raincoat"
+          className="input"
+        />
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        {[...TEXT_FIELDS, ...LIST_FIELDS].map(field => (
+          <div key={field.id}>
+            <label className="label">{field.label}</label>
+            <input
+              type="text"
+              value={details[field.id]}
+              onChange={(e) => update(field.id, e.target.value)}
+              disabled={disabled}
+              placeholder={field.placeholder}
+              className="input"
+            />
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500">
+        Separate list entries with commas. These details keep the character looking the same in every scene.
+      </p>
+    </div>
+  )
+}
@@ -3,8 +3,6 @@ import { useDropzone } from 'react-dropzone'
 import { motion, AnimatePresence } from 'framer-motion'
 import { 
   Upload, 
-  Image as ImageIcon, 
-  X, 
   Plus,
   Loader2,
   Tag,
@@ -12,21 +10,26 @@ import {
   Star,
   Zap,
   LogIn,
-  Users
+  Users,
+  Wand2
 } from 'lucide-react'
 import toast from 'react-hot-toast'
 
 import { characterAPI } from '../../lib/api'
 import { useCharacterStore, useUIStore } from '../../lib/stores'
 import { useAuth } from '../../contexts/AuthContext'
-import { formatFileSize, isValidImageFile } from '../../lib/utils'
+import { isValidImageFile, MAX_REFERENCES, RECOMMENDED_REFERENCES } from '../../lib/utils'
 import AuthModal from '../AuthModal'
+import ReferenceImagePicker from './ReferenceImagePicker'
+import CharacterDetailsForm, { EMPTY_DETAILS, captionToDetails, detailsToMetadata, hasDetails } from './CharacterDetailsForm'
 import CharacterLibrary from '../CharacterLibrary'
+import CharacterPortraits from '../CharacterPortraits'
 
 export default function CharacterUpload({ selectedCharacter, onCharacterSelect }) {
-  const [uploadedFile, setUploadedFile] = useState(null)
-  const [previewUrl, setPreviewUrl] = useState(null)
+  const [referenceImages, setReferenceImages] = useState([]) // [{ file, previewUrl, view, label }]
   const [metadata, setMetadata] = useState({ name: '', tags: '' })
+  const [details, setDetails] = useState(EMPTY_DETAILS) // Reviewed description, appearance and traits
+  const [captioning, setCaptioning] = useState(false)
   const [uploading, setUploading] = useState(false)
   const [activeTab, setActiveTab] = useState('demo') // 'demo', 'upload', 'library'
   const [demoCharacters, setDemoCharacters] = useState([])
@@ -186,24 +189,21 @@ export default function CharacterUpload({ selectedCharacter, onCharacterSelect }
       return
     }
 
-    const file = acceptedFiles[0]
+    const files = acceptedFiles.filter(isValidImageFile)
+    const file = files[0]
     if (!file) return
 
-    if (!isValidImageFile(file)) {
-      toast.error('Invalid file type. Please upload JPEG, PNG, or WebP images.')
-      return
+    if (files.length > MAX_REFERENCES) {
+      toast.error(`Up to ${MAX_REFERENCES} images per character, the rest were skipped`)
     }
 
-    if (file.size > 10 * 1024 * 1024) { // 10MB
-      toast.error('File is too large. Maximum size is 10MB.')
-      return
-    }
-
-    setUploadedFile(file)
-    
-    // Create preview URL
-    const url = URL.createObjectURL(file)
-    setPreviewUrl(url)
+    // Create preview URLs; the first image is taken as the front view
+    setReferenceImages(files.slice(0, MAX_REFERENCES).map((image, index) => ({
+      file: image,
+      previewUrl: URL.createObjectURL(image),
+      view: index === 0 ? 'front' : 'other',
+      label: ''
+    })))
 
     // Auto-fill name from filename
     const nameWithoutExt = file.name.replace(/\.[^/.]+$/, '')
@@ -218,12 +218,33 @@ export default function CharacterUpload({ selectedCharacter, onCharacterSelect }
     accept: {
       'image/*': ['.jpeg', '.jpg', '.png', '.webp']
     },
-    multiple: false,
+    multiple: true,
     maxSize: 10 * 1024 * 1024 // 10MB
   })
 
+  // Fill the details form from the images; the user reviews it before saving
+  const handleCaption = async () => {
+    try {
+      setCaptioning(true)
+      const authHeaders = await getAuthHeader()
+      const response = await characterAPI.caption(referenceImages, metadata, authHeaders)
+
+      if (response.caption) {
+        setDetails(captionToDetails(response.caption))
+        toast.success('Details filled in, check them before saving')
+      } else {
+        toast(response.message, { icon: '💡' })
+      }
+    } catch (error) {
+      console.error('Caption failed:', error)
+      toast.error(error.response?.data?.message || 'Could not describe the images')
+    } finally {
+      setCaptioning(false)
+    }
+  }
+
   const handleUpload = async () => {
-    if (!uploadedFile) {
+    if (referenceImages.length === 0) {
       toast.error('Please select an image first')
       return
     }
@@ -233,7 +254,10 @@ export default function CharacterUpload({ selectedCharacter, onCharacterSelect }
       setLoading('characters', true)
 
       const authHeaders = await getAuthHeader()
-      const response = await characterAPI.upload(uploadedFile, metadata, authHeaders)
+      const response = await characterAPI.upload(referenceImages, {
+        ...metadata,
+        ...(hasDetails(details) && detailsToMetadata(details))
+      }, authHeaders)
       
       if (response.success) {
         // Create a proper character object with dna_id
@@ -247,18 +271,18 @@ export default function CharacterUpload({ selectedCharacter, onCharacterSelect }
         setUserCharacters(prev => [newCharacter, ...prev]) // Add to user characters list
         
         toast.success('Character uploaded successfully!')
+        if (response.warning) toast(response.warning, { icon: '💡' })
+        if (response.duplicateWarning) toast(response.duplicateWarning, { icon: '🪞', duration: 6000 })
         
         // Reset form
-        setUploadedFile(null)
-        setPreviewUrl(null)
-        setMetadata({ name: '', tags: '' })
+        clearUpload()
         
         // Auto-select and proceed
         onCharacterSelect(newCharacter)
       }
     } catch (error) {
       console.error('Upload failed:', error)
-      toast.error('Upload failed. Please try again.')
+      toast.error(error.response?.data?.message || 'Upload failed. Please try again.')
     } finally {
       setUploading(false)
       setLoading('characters', false)
@@ -280,12 +304,10 @@ export default function CharacterUpload({ selectedCharacter, onCharacterSelect }
   }
 
   const clearUpload = () => {
-    setUploadedFile(null)
-    if (previewUrl) {
-      URL.revokeObjectURL(previewUrl)
-      setPreviewUrl(null)
-    }
+    referenceImages.forEach(image => URL.revokeObjectURL(image.previewUrl))
+    setReferenceImages([])
     setMetadata({ name: '', tags: '' })
+    setDetails(EMPTY_DETAILS)
   }
 
   return (
@@ -430,6 +452,13 @@ export default function CharacterUpload({ selectedCharacter, onCharacterSelect }
                 ))}
               </div>
             )}
+
+            {/* Demo characters start every story from their stored portrait in the story's style */}
+            {selectedCharacter?.is_demo && (
+              <div className="mt-6 p-4 bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700">
+                <CharacterPortraits characterId={selectedCharacter.id} />
+              </div>
+            )}
           </motion.div>
         )}
 
@@ -514,7 +543,7 @@ export default function CharacterUpload({ selectedCharacter, onCharacterSelect }
                 Upload New Character:
               </h3>
 
-              {!uploadedFile ? (
+              {referenceImages.length === 0 ? (
                 <motion.div
                   {...getRootProps()}
                   whileHover={{ scale: 1.01 }}
@@ -533,47 +562,35 @@ export default function CharacterUpload({ selectedCharacter, onCharacterSelect }
                     </div>
                     <div>
                       <h4 className="text-lg font-semibold text-gray-900 dark:text-white">
-                        {isDragActive ? 'Drop your image here' : 'Upload character image'}
+                        {isDragActive ? 'Drop your images here' : 'Upload character images'}
                       </h4>
                       <p className="text-gray-600 dark:text-gray-300 mt-1">
                         Drag and drop or click to browse
                       </p>
                       <p className="text-sm text-gray-500 mt-2">
-                        Supports JPEG, PNG, WebP • Max 10MB
+                        {RECOMMENDED_REFERENCES}-{MAX_REFERENCES} photos work best: front, side, expressions, outfits
+                      </p>
+                      <p className="text-sm text-gray-500">
+                        Supports JPEG, PNG, WebP • Max 10MB each
                       </p>
                     </div>
                   </div>
                 </motion.div>
               ) : (
                 <div className="space-y-6">
-                  {/* Preview */}
-                  <div className="relative">
-                    <div className="aspect-video bg-gray-100 dark:bg-gray-800 rounded-lg overflow-hidden">
-                      <img
-                        src={previewUrl}
-                        alt="Preview"
-                        className="w-full h-full object-contain"
-                      />
-                    </div>
-                    <button
-                      onClick={clearUpload}
-                      className="absolute top-2 right-2 p-1 bg-black/50 text-white rounded-full hover:bg-black/70 transition-colors"
-                    >
-                      <X className="h-4 w-4" />
-                    </button>
-                  </div>
-
-                  {/* File info */}
-                  <div className="flex items-center space-x-3 p-3 bg-gray-50 dark:bg-gray-800 rounded-lg">
-                    <ImageIcon className="h-5 w-5 text-gray-400" />
-                    <div className="flex-1 min-w-0">
-                      <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
-                        {uploadedFile.name}
+                  {/* Reference images */}
+                  <div className="space-y-2">
+                    <ReferenceImagePicker
+                      images={referenceImages}
+                      onChange={setReferenceImages}
+                      max={MAX_REFERENCES}
+                      disabled={uploading}
+                    />
+                    {referenceImages.length < RECOMMENDED_REFERENCES && (
+                      <p className="text-xs text-gray-500">
+                        Add at least {RECOMMENDED_REFERENCES} images of the same character for consistent scenes
                       </p>
-                      <p className="text-sm text-gray-500">
-                        {formatFileSize(uploadedFile.size)}
-                      </p>
-                    </div>
+                    )}
                   </div>
 
                   {/* Metadata */}
@@ -609,13 +626,39 @@ export default function CharacterUpload({ selectedCharacter, onCharacterSelect }
                     </div>
                   </div>
 
+                  {/* Appearance and personality */}
+                  <div className="space-y-4">
+                    <div className="flex items-center justify-between">
+                      <h4 className="font-semibold text-gray-900 dark:text-white">Character Details</h4>
+                      <button
+                        type="button"
+                        onClick={handleCaption}
+                        disabled={captioning || uploading}
+                        className="btn-secondary text-sm disabled:opacity-50"
+                      >
+                        {captioning ? (
+                          <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                        ) : (
+                          <Wand2 className="h-4 w-4 mr-2" />
+                        )}
+                        {hasDetails(details) ? 'Describe again' : 'Describe from images'}
+                      </button>
+                    </div>
+                    <CharacterDetailsForm details={details} onChange={setDetails} disabled={captioning || uploading} />
+                    {!hasDetails(details) && (
+                      <p className="text-xs text-gray-500">
+                        Left empty, the details are filled in automatically when the character is created.
+                      </p>
+                    )}
+                  </div>
+
                   {/* Upload button */}
                   <div className="flex space-x-3">
                     <motion.button
                       whileHover={{ scale: 1.02 }}
                       whileTap={{ scale: 0.98 }}
                       onClick={handleUpload}
-                      disabled={uploading || !metadata.name.trim()}
+                      disabled={uploading || captioning || !metadata.name.trim()}
                       className="btn-primary flex-1 disabled:opacity-50"
                     >
                       {uploading ? (
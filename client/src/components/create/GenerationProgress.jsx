@@ -10,10 +10,11 @@ import {
   Zap,
   Video,
   FileText,
-  Palette
+  Palette,
+  BookOpen
 } from 'lucide-react'
 import { useJobStore } from '../../lib/stores'
-import { storyAPI } from '../../lib/api'
+import { storyAPI, storySocket } from '../../lib/api'
 
 const STEP_ICONS = {
   character_loading: FileText,
@@ -31,13 +32,30 @@ const STEP_DESCRIPTIONS = {
   finalization: 'Finalizing your story...'
 }
 
+const GENERATION_METHOD_LABELS = {
+  'gemini-ai': 'Gemini AI',
+  'huggingface': 'Hugging Face (Mistral)',
+  'openai-compatible': 'Local / OpenAI-compatible model',
+  'template': 'Offline Story Templates',
+  'fallback-engine': 'Fallback Engine (Gemini unavailable)'
+}
+
 export default function GenerationProgress({ jobId, onComplete, onError }) {
   const [job, setJob] = useState(null)
   const [timeElapsed, setTimeElapsed] = useState(0)
   const [estimatedTimeRemaining, setEstimatedTimeRemaining] = useState(null)
   const [isPolling, setIsPolling] = useState(true)
+  const [streamedScenes, setStreamedScenes] = useState([])
   const { getJob, updateJob } = useJobStore()
 
+  // Render story scenes as their text streams in over the WebSocket
+  useEffect(() => {
+    if (!jobId) return
+    return storySocket.onStoryDelta(jobId, (data) => {
+      setStreamedScenes(data.scenes || [])
+    })
+  }, [jobId])
+
   // Timer for elapsed time
   useEffect(() => {
     if (!job || job.status === 'completed' || job.status === 'failed') return
@@ -92,6 +110,12 @@ export default function GenerationProgress({ jobId, onComplete, onError }) {
         setJob(jobData)
         updateJob(jobId, jobData)
 
+        // Polling fallback when the socket isn't delivering story deltas
+        const previewScenes = jobData.story_preview?.scenes
+        if (previewScenes) {
+          setStreamedScenes(prev => previewScenes.length >= prev.length ? previewScenes : prev)
+        }
+
         // Check if job is complete
         if (jobData.status === 'completed') {
           console.log('Job completed, stopping polling')
@@ -156,10 +180,10 @@ export default function GenerationProgress({ jobId, onComplete, onError }) {
     
     try {
       setIsPolling(true)
-      // The backend should handle retry logic
+      // The backend resumes from the failed step and reuses completed artifacts
       const response = await storyAPI.retryGeneration(jobId)
-      if (response.data.success) {
-        setJob(prev => ({ ...prev, status: 'processing', error: null }))
+      if (response.success) {
+        setJob(prev => ({ ...prev, status: 'processing', error: null, progress: response.progress ?? prev.progress }))
       }
     } catch (error) {
       console.error('Failed to retry generation:', error)
@@ -305,6 +329,38 @@ export default function GenerationProgress({ jobId, onComplete, onError }) {
         </div>
       )}
 
+      {/* Streaming Story Preview */}
+      {status === 'processing' && streamedScenes.length > 0 && (
+        <div className="space-y-3">
+          <h4 className="text-sm font-medium text-gray-700 flex items-center space-x-2">
+            <BookOpen className="w-4 h-4" />
+            <span>Your story so far</span>
+          </h4>
+          <div className="space-y-2 max-h-80 overflow-y-auto">
+            <AnimatePresence initial={false}>
+              {streamedScenes.map((scene) => (
+                <motion.div
+                  key={scene.number}
+                  initial={{ opacity: 0, y: 10 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  className="p-3 rounded-lg border border-gray-200 bg-gray-50"
+                >
+                  <p className="text-sm font-medium text-gray-900">
+                    Scene {scene.number}{scene.title ? `: ${scene.title}` : ''}
+                  </p>
+                  <p className="text-sm text-gray-600 mt-1 whitespace-pre-line">
+                    {scene.content}
+                    {scene.partial && (
+                      <span className="inline-block w-1.5 h-4 ml-0.5 align-middle bg-blue-500 animate-pulse" />
+                    )}
+                  </p>
+                </motion.div>
+              ))}
+            </AnimatePresence>
+          </div>
+        </div>
+      )}
+
       {/* Error Section */}
       {status === 'error' && (
         <motion.div
@@ -357,8 +413,7 @@ export default function GenerationProgress({ jobId, onComplete, onError }) {
             <Zap className="w-4 h-4 text-blue-500" />
             <span className="text-blue-700">
               Generated using: {
-                job.result.metadata.generation_method === 'gemini-ai' ? 'Gemini AI' :
-                job.result.metadata.generation_method === 'fallback-engine' ? 'Fallback Engine (Gemini unavailable)' :
+                GENERATION_METHOD_LABELS[job.result.metadata.generation_method] ||
                 job.result.metadata.generation_method
               }
             </span>
@@ -0,0 +1,111 @@
+import { useCallback } from 'react'
+import { useDropzone } from 'react-dropzone'
+import { Plus, X } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+import { REFERENCE_VIEWS, isValidImageFile } from '../../lib/utils'
+
+// The first image defaults to the front view, the rest to "other" until the user picks one
+const defaultView = (index) => (index === 0 ? 'front' : 'other')
+
+// Picks reference images of one character before upload, each with a view and an optional label
+// (an expression or outfit, e.g. "laughing" or "raincoat"). `images` is [{ file, previewUrl, view, label }];
+// the owner revokes the preview URLs of images it clears.
+export default function ReferenceImagePicker({ images, onChange, max, disabled = false }) {
+  const onDrop = useCallback((acceptedFiles, rejectedFiles) => {
+    if (rejectedFiles.length > 0) {
+      toast.error('Please upload valid image files (JPEG, PNG, or WebP, max 10MB)')
+    }
+
+    const files = acceptedFiles.filter(isValidImageFile)
+    const room = max - images.length
+    if (files.length > room) {
+      toast.error(`You can add ${room} more image${room === 1 ? '' : 's'}`)
+    }
+
+    const added = files.slice(0, room).map((file, index) => ({
+      file,
+      previewUrl: URL.createObjectURL(file),
+      view: defaultView(images.length + index),
+      label: ''
+    }))
+    if (added.length > 0) onChange([...images, ...added])
+  }, [images, max, onChange])
+
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    onDrop,
+    accept: {
+      'image/*': ['.jpeg', '.jpg', '.png', '.webp']
+    },
+    multiple: true,
+    maxSize: 10 * 1024 * 1024, // 10MB
+    disabled: disabled || images.length >= max
+  })
+
+  const updateImage = (index, fields) => {
+    onChange(images.map((image, i) => (i === index ? { ...image, ...fields } : image)))
+  }
+
+  const removeImage = (index) => {
+    URL.revokeObjectURL(images[index].previewUrl)
+    onChange(images.filter((_, i) => i !== index))
+  }
+
+  return (
+    <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+      {images.map((image, index) => (
+        <div key={image.previewUrl} className="space-y-2">
+          <div className="relative aspect-square bg-gray-100 dark:bg-gray-800 rounded-lg overflow-hidden">
+            <img src={image.previewUrl} alt={image.file.name} className="w-full h-full object-cover" />
+            <button
+              type="button"
+              onClick={() => removeImage(index)}
+              disabled={disabled}
+              className="absolute top-1 right-1 p-1 bg-black/50 text-white rounded-full hover:bg-black/70 transition-colors"
+            >
+              <X className="h-3 w-3" />
+            </button>
+          </div>
+          <select
+            value={image.view}
+            onChange={(e) => updateImage(index, { view: e.target.value })}
+            disabled={disabled}
+            className="input text-sm py-1"
+          >
+            {REFERENCE_VIEWS.map(view => (
+              <option key={view.id} value={view.id}>{view.label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={image.label}
+            onChange={(e) => updateImage(index, { label: e.target.value })}
+            disabled={disabled}
+            maxLength={40}
+            placeholder="Label (optional)"
+            className="input text-sm py-1"
+          />
+        </div>
+      ))}
+
+      {images.length < max && (
+        <div
+          {...getRootProps()}
+          className={`
+            aspect-square border-2 border-dashed rounded-lg flex flex-col items-center justify-center text-center p-2 cursor-pointer transition-colors
+            ${isDragActive
+              ? 'border-primary-400 bg-primary-50 dark:bg-primary-900/20'
+              : 'border-gray-300 hover:border-primary-300 dark:border-gray-600'
+            }
+          `}
+        >
+          <input {...getInputProps()} />
+          <Plus className="h-6 w-6 text-gray-400 mb-1" />
+          <span className="text-xs text-gray-500">
+            {images.length === 0 ? 'Add images' : `Add more (${images.length}/${max})`}
+          </span>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from "react";
 import { motion } from "framer-motion";
-import { Sparkles, BookOpen, Users, Zap, Volume2, ChevronDown } from "lucide-react";
-import { voiceAPI } from "../../lib/api";
+import { Sparkles, BookOpen, Users, Zap, Volume2, ChevronDown, GitBranch, GraduationCap, Languages } from "lucide-react";
+import { voiceAPI, characterAPI } from "../../lib/api";
+import { STORY_LANGUAGES, STORY_TONES } from "../../lib/utils";
 
 const STORY_TYPES = [
   {
@@ -34,21 +35,47 @@ const STORY_TYPES = [
   },
 ];
 
-const TONES = [
-  { id: "lighthearted", label: "Lighthearted" },
-  { id: "serious", label: "Serious" },
-  { id: "humorous", label: "Humorous" },
-  { id: "dramatic", label: "Dramatic" },
-  { id: "mysterious", label: "Mysterious" },
-  { id: "romantic", label: "Romantic" },
-];
-
 const LENGTHS = [
   { id: "short", label: "Short (5-10 min)", duration: "5-10 minutes" },
   { id: "medium", label: "Medium (10-20 min)", duration: "10-20 minutes" },
   { id: "long", label: "Long (20+ min)", duration: "20+ minutes" },
 ];
 
+const AUDIENCES = [
+  { id: "", label: "Anyone", ages: "No reading level target" },
+  { id: "toddler", label: "Toddler", ages: "Ages 2-4" },
+  { id: "early_reader", label: "Early Reader", ages: "Ages 5-7" },
+  { id: "middle_grade", label: "Middle Grade", ages: "Ages 8-12" },
+  { id: "young_adult", label: "Young Adult", ages: "Ages 13-17" },
+  { id: "adult", label: "Adult", ages: "Ages 18+" },
+];
+
+// US school grades, 0 is kindergarten
+const READING_LEVELS = Array.from({ length: 13 }, (_, grade) => ({
+  value: grade,
+  label: grade === 0 ? "Kindergarten" : `Grade ${grade}`,
+}));
+
+const STORY_MODES = [
+  {
+    id: "linear",
+    label: "Classic Story",
+    description: "One story from beginning to end",
+  },
+  {
+    id: "interactive",
+    label: "Choose Your Own Adventure",
+    description: "Every scene ends in choices, and each choice leads somewhere new",
+  },
+];
+
+const CAST_ROLES = [
+  { id: "sidekick", label: "Sidekick" },
+  { id: "antagonist", label: "Antagonist" },
+];
+
+const MAX_SUPPORTING_CAST = 5;
+
 const VOICE_EMOTIONS = [
   { id: "neutral", label: "Neutral" },
   { id: "happy", label: "Happy" },
@@ -64,13 +91,21 @@ const StoryPrompt = ({ characters, onGenerate, isGenerating }) => {
     storyType: "",
     tone: "",
     length: "medium",
+    sceneCount: 4,
+    mode: "linear",
+    maxDepth: 4, // scenes along any path of an interactive story
+    audience: "",
+    readingLevel: "", // overrides the audience's target grade
+    language: "en",
     includeVoice: true,
     includeVideo: true,
     voiceId: "9BWtsMINqrJLrRacOk9x", // Default to Aria voice
     voiceEmotion: "neutral",
+    supportingCast: [], // [{ dna_id, name, role }]
   });
 
   const [voices, setVoices] = useState([]);
+  const [castOptions, setCastOptions] = useState([]);
   const [isLoadingVoices, setIsLoadingVoices] = useState(false);
 
   // Fetch available voices when component mounts
@@ -122,6 +157,58 @@ const StoryPrompt = ({ characters, onGenerate, isGenerating }) => {
     fetchVoices();
   }, []);
 
+  // Other saved characters that can join the main character's cast
+  const mainCharacterId = characters?.[0]?.dna_id || characters?.[0]?.id;
+
+  useEffect(() => {
+    characterAPI
+      .getUserCharacters()
+      .then((response) => {
+        setCastOptions(
+          (response.characters || []).filter(
+            (character) => character.id && character.id !== mainCharacterId
+          )
+        );
+      })
+      .catch((error) => {
+        console.error("Failed to load characters for the cast:", error);
+        setCastOptions([]);
+      });
+  }, [mainCharacterId]);
+
+  const toggleCastMember = (character) => {
+    setFormData((prev) => {
+      const isSelected = prev.supportingCast.some(
+        (member) => member.dna_id === character.id
+      );
+      if (isSelected) {
+        return {
+          ...prev,
+          supportingCast: prev.supportingCast.filter(
+            (member) => member.dna_id !== character.id
+          ),
+        };
+      }
+      if (prev.supportingCast.length >= MAX_SUPPORTING_CAST) return prev;
+      return {
+        ...prev,
+        supportingCast: [
+          ...prev.supportingCast,
+          { dna_id: character.id, name: character.name, role: "sidekick" },
+        ],
+      };
+    });
+  };
+
+  const setCastRole = (dnaId, role) => {
+    setFormData((prev) => ({
+      ...prev,
+      supportingCast: prev.supportingCast.map((member) =>
+        member.dna_id === dnaId ? { ...member, role } : member
+      ),
+    }));
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     if (!formData.prompt.trim() || !formData.storyType) return;
@@ -178,6 +265,62 @@ const StoryPrompt = ({ characters, onGenerate, isGenerating }) => {
           </p>
         </div>
 
+        {/* Supporting Cast */}
+        {castOptions.length > 0 && (
+          <div className="card p-6">
+            <label className="label mb-4">
+              <Users className="w-5 h-5 mr-2 text-primary-600" />
+              Supporting Cast
+              <span className="ml-2 text-sm font-normal text-gray-500">
+                (optional, up to {MAX_SUPPORTING_CAST})
+              </span>
+            </label>
+            <div className="flex flex-wrap gap-2 mb-4">
+              {castOptions.map((character) => {
+                const isSelected = formData.supportingCast.some(
+                  (member) => member.dna_id === character.id
+                );
+                return (
+                  <button
+                    key={character.id}
+                    type="button"
+                    onClick={() => toggleCastMember(character)}
+                    className={`px-3 py-2 rounded-lg border text-sm transition-all duration-200 ${
+                      isSelected
+                        ? "border-primary-500 bg-primary-50 dark:bg-primary-900 text-gray-900 dark:text-white"
+                        : "border-gray-200 dark:border-gray-600 hover:border-gray-300 text-gray-100 dark:text-gray-300"
+                    }`}>
+                    {character.name}
+                  </button>
+                );
+              })}
+            </div>
+            {formData.supportingCast.length > 0 && (
+              <div className="space-y-2">
+                {formData.supportingCast.map((member) => (
+                  <div
+                    key={member.dna_id}
+                    className="flex items-center justify-between gap-4">
+                    <span className="text-sm text-gray-700 dark:text-gray-300">
+                      {member.name}
+                    </span>
+                    <select
+                      value={member.role}
+                      onChange={(e) => setCastRole(member.dna_id, e.target.value)}
+                      className="input w-40">
+                      {CAST_ROLES.map((role) => (
+                        <option key={role.id} value={role.id}>
+                          {role.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Story Type */}
         <div className="card p-6">
           <label className="label mb-4">
@@ -225,13 +368,122 @@ const StoryPrompt = ({ characters, onGenerate, isGenerating }) => {
           </div>
         </div>
 
+        {/* Story Mode */}
+        <div className="card p-6">
+          <label className="label mb-4">
+            <GitBranch className="w-5 h-5 mr-2 text-primary-600" />
+            Story Mode
+          </label>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {STORY_MODES.map((mode) => (
+              <button
+                key={mode.id}
+                type="button"
+                onClick={() => updateField("mode", mode.id)}
+                className={`p-4 rounded-xl border-2 transition-all duration-200 text-left ${
+                  formData.mode === mode.id
+                    ? "border-primary-500 bg-primary-50 dark:bg-primary-900"
+                    : "border-gray-200 dark:border-gray-600 hover:border-gray-300"
+                }`}>
+                <div
+                  className={`font-medium ${
+                    formData.mode === mode.id
+                      ? "text-gray-900 dark:text-white"
+                      : "text-gray-100 dark:text-gray-300"
+                  }`}>
+                  {mode.label}
+                </div>
+                <div
+                  className={`text-sm ${
+                    formData.mode === mode.id
+                      ? "text-gray-700 dark:text-gray-300"
+                      : "text-gray-400 dark:text-gray-500"
+                  }`}>
+                  {mode.description}
+                </div>
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Audience */}
+        <div className="card p-6">
+          <label className="label mb-4">
+            <GraduationCap className="w-5 h-5 mr-2 text-primary-600" />
+            Audience
+          </label>
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+            {AUDIENCES.map((audience) => (
+              <button
+                key={audience.id || "any"}
+                type="button"
+                onClick={() => updateField("audience", audience.id)}
+                className={`p-3 rounded-lg border transition-all duration-200 text-left ${
+                  formData.audience === audience.id
+                    ? "border-primary-500 bg-primary-50 dark:bg-primary-900"
+                    : "border-gray-200 dark:border-gray-600 hover:border-gray-300 dark:hover:border-gray-500"
+                }`}>
+                <div
+                  className={`font-medium ${
+                    formData.audience === audience.id
+                      ? "text-gray-900 dark:text-white"
+                      : "text-gray-100 dark:text-gray-300"
+                  }`}>
+                  {audience.label}
+                </div>
+                <div className="text-sm text-gray-400 dark:text-gray-500">{audience.ages}</div>
+              </button>
+            ))}
+          </div>
+          <div className="mt-4">
+            <label className="block text-sm font-medium text-gray-300 mb-2">
+              Reading Level
+            </label>
+            <select
+              value={formData.readingLevel}
+              onChange={(e) => updateField("readingLevel", e.target.value === "" ? "" : Number(e.target.value))}
+              className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-gray-100 focus:ring-2 focus:ring-primary-500">
+              <option value="">{formData.audience ? "Match the audience" : "No target"}</option>
+              {READING_LEVELS.map((level) => (
+                <option key={level.value} value={level.value}>
+                  {level.label}
+                </option>
+              ))}
+            </select>
+            <p className="text-sm text-gray-400 dark:text-gray-500 mt-1">
+              Stories that miss their reading level are rewritten once to fit
+            </p>
+          </div>
+        </div>
+
+        {/* Language */}
+        <div className="card p-6">
+          <label className="label mb-4">
+            <Languages className="w-5 h-5 mr-2 text-primary-600" />
+            Language
+          </label>
+          <select
+            value={formData.language}
+            onChange={(e) => updateField("language", e.target.value)}
+            className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-gray-100 focus:ring-2 focus:ring-primary-500">
+            {STORY_LANGUAGES.map((language) => (
+              <option key={language.code} value={language.code}>
+                {language.label}
+              </option>
+            ))}
+          </select>
+          <p className="text-sm text-gray-400 dark:text-gray-500 mt-1">
+            The story is written and narrated in this language
+          </p>
+        </div>
+
         {/* Tone and Length */}
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
           {/* Tone */}
           <div className="card p-6">
             <label className="label mb-4">Story Tone</label>
             <div className="grid grid-cols-2 gap-3">
-              {TONES.map((tone) => (
+              {STORY_TONES.map((tone) => (
                 <button
                   key={tone.id}
                   type="button"
@@ -280,6 +532,45 @@ const StoryPrompt = ({ characters, onGenerate, isGenerating }) => {
                 </button>
               ))}
             </div>
+
+            {/* Scene Count */}
+            {formData.mode === "interactive" ? (
+              <div className="mt-6">
+                <label className="label mb-2 flex justify-between">
+                  <span>Scenes per Path</span>
+                  <span className="text-primary-600">{formData.maxDepth}</span>
+                </label>
+                <input
+                  type="range"
+                  min={2}
+                  max={8}
+                  value={formData.maxDepth}
+                  onChange={(e) => updateField("maxDepth", parseInt(e.target.value, 10))}
+                  className="w-full accent-primary-600"
+                />
+                <p className="text-sm text-gray-400 dark:text-gray-500 mt-1">
+                  Every path reaches an ending after this many scenes
+                </p>
+              </div>
+            ) : (
+              <div className="mt-6">
+                <label className="label mb-2 flex justify-between">
+                  <span>Number of Scenes</span>
+                  <span className="text-primary-600">{formData.sceneCount}</span>
+                </label>
+                <input
+                  type="range"
+                  min={3}
+                  max={24}
+                  value={formData.sceneCount}
+                  onChange={(e) => updateField("sceneCount", parseInt(e.target.value, 10))}
+                  className="w-full accent-primary-600"
+                />
+                <p className="text-sm text-gray-400 dark:text-gray-500 mt-1">
+                  Picture books usually have 12-16 pages
+                </p>
+              </div>
+            )}
           </div>
         </div>
 
@@ -354,18 +645,20 @@ const StoryPrompt = ({ characters, onGenerate, isGenerating }) => {
               )}
             </div>
 
-            {/* Video Generation */}
-            <label className="flex items-center">
-              <input
-                type="checkbox"
-                checked={formData.includeVideo}
-                onChange={(e) => updateField("includeVideo", e.target.checked)}
-                className="w-4 h-4 text-primary-600 rounded focus:ring-primary-500"
-              />
-              <span className="ml-3 text-gray-100">
-                Generate video with character images
-              </span>
-            </label>
+            {/* Video Generation - a single video can't follow a branching story */}
+            {formData.mode !== "interactive" && (
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={formData.includeVideo}
+                  onChange={(e) => updateField("includeVideo", e.target.checked)}
+                  className="w-4 h-4 text-primary-600 rounded focus:ring-primary-500"
+                />
+                <span className="ml-3 text-gray-100">
+                  Generate video with character images
+                </span>
+              </label>
+            )}
           </div>
         </div>
 
@@ -0,0 +1,102 @@
+import React, { useState } from "react";
+import { Check, Loader2, Wand2, X } from "lucide-react";
+import { STORY_TONES } from "../../lib/utils";
+
+const ASSIST_ACTIONS = [
+  { id: "expand", label: "Expand" },
+  { id: "shorten", label: "Shorten" },
+  { id: "add_dialogue", label: "Add dialogue" },
+  { id: "change_tone", label: "Change tone" },
+  { id: "funnier", label: "Make it funnier" },
+  { id: "simplify", label: "Simplify vocabulary" },
+  { id: "continue", label: "Continue from here" },
+];
+
+const DIFF_STYLES = {
+  insert: "bg-success-100 text-success-800 dark:bg-success-900/40 dark:text-success-200",
+  delete: "bg-error-100 text-error-800 line-through dark:bg-error-900/40 dark:text-error-200",
+  equal: "",
+};
+
+// Writing assist for one scene: runs on the text selected in the scene (or all of it)
+// and shows the suggestion as a diff to accept or reject
+const SceneAssist = ({ textareaRef, assisting, proposal, onAssist, onAccept, onReject }) => {
+  const [action, setAction] = useState("expand");
+  const [tone, setTone] = useState(STORY_TONES[0].id);
+
+  const handleAssist = () => {
+    const textarea = textareaRef.current;
+    const passage = textarea
+      ? textarea.value.slice(textarea.selectionStart, textarea.selectionEnd).trim()
+      : "";
+    onAssist({ action, passage, ...(action === "change_tone" && { tone }) });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={action}
+          onChange={(e) => setAction(e.target.value)}
+          disabled={assisting}
+          className="input w-auto">
+          {ASSIST_ACTIONS.map((entry) => (
+            <option key={entry.id} value={entry.id}>
+              {entry.label}
+            </option>
+          ))}
+        </select>
+        {action === "change_tone" && (
+          <select
+            value={tone}
+            onChange={(e) => setTone(e.target.value)}
+            disabled={assisting}
+            className="input w-auto">
+            {STORY_TONES.map((entry) => (
+              <option key={entry.id} value={entry.id}>
+                {entry.label}
+              </option>
+            ))}
+          </select>
+        )}
+        <button
+          type="button"
+          onClick={handleAssist}
+          disabled={assisting || !!proposal}
+          className="btn-secondary">
+          {assisting ? (
+            <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+          ) : (
+            <Wand2 className="w-4 h-4 mr-2" />
+          )}
+          Suggest
+        </button>
+        <span className="text-xs text-gray-500">Select text in the scene to work on just that passage</span>
+      </div>
+
+      {proposal && (
+        <div className="rounded-lg border border-primary-200 dark:border-primary-800 p-3 space-y-3">
+          <p className="text-sm leading-relaxed whitespace-pre-wrap text-gray-800 dark:text-gray-200">
+            {proposal.diff.map((run, index) => (
+              <span key={index} className={DIFF_STYLES[run.type]}>
+                {run.text}
+              </span>
+            ))}
+          </p>
+          <div className="flex gap-2">
+            <button type="button" onClick={onAccept} className="btn-primary">
+              <Check className="w-4 h-4 mr-2" />
+              Accept
+            </button>
+            <button type="button" onClick={onReject} className="btn-ghost">
+              <X className="w-4 h-4 mr-2" />
+              Reject
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SceneAssist;
@@ -0,0 +1,170 @@
+import React, { useRef, useState } from "react";
+import { Reorder, useDragControls } from "framer-motion";
+import { AlertTriangle, Code, GripVertical, Image, Loader2, RefreshCw, Volume2 } from "lucide-react";
+import AudioVisualizer from "../AudioVisualizer";
+import SceneAssist from "./SceneAssist";
+import ConsistencyBadge from "../ConsistencyBadge";
+import { getImageURL } from "../../lib/api";
+
+// Scenes written as narration + dialogue are edited through their narration; older ones through their text
+export const getSceneTextField = (scene) => (scene.narration !== undefined ? "narration" : "content");
+
+const STALE_LABELS = {
+  image: "Storyboard is out of date",
+  narration: "Narration is out of date",
+};
+
+// One draggable scene in the editor: text fields, its storyboard with the prompt behind it, and its narration
+const SceneEditor = ({
+  scene,
+  index,
+  storyboard,
+  narration,
+  stale = [],
+  regenerating,
+  proposal,
+  assisting,
+  onChange,
+  onRegenerate,
+  onAssist,
+  onAcceptProposal,
+  onRejectProposal,
+}) => {
+  const dragControls = useDragControls();
+  const textareaRef = useRef(null);
+  const [showPrompt, setShowPrompt] = useState(false);
+  const textField = getSceneTextField(scene);
+
+  return (
+    <Reorder.Item
+      value={scene}
+      dragListener={false}
+      dragControls={dragControls}
+      className="card p-4 list-none">
+      <div className="flex items-start gap-3">
+        <button
+          type="button"
+          onPointerDown={(e) => dragControls.start(e)}
+          className="mt-2 text-gray-400 hover:text-gray-600 cursor-grab active:cursor-grabbing touch-none"
+          title="Drag to reorder">
+          <GripVertical className="w-5 h-5" />
+        </button>
+
+        <div className="flex-1 space-y-3">
+          <div className="flex items-center gap-2">
+            <span className="text-sm font-medium text-gray-500 w-16 flex-shrink-0">Scene {index + 1}</span>
+            <input
+              type="text"
+              value={scene.title || ""}
+              onChange={(e) => onChange({ title: e.target.value })}
+              maxLength={200}
+              className="input font-semibold"
+            />
+          </div>
+
+          <textarea
+            ref={textareaRef}
+            value={scene[textField] || ""}
+            onChange={(e) => onChange({ [textField]: e.target.value })}
+            rows={4}
+            maxLength={5000}
+            readOnly={!!proposal}
+            className="input resize-y"
+          />
+
+          <SceneAssist
+            textareaRef={textareaRef}
+            assisting={assisting}
+            proposal={proposal}
+            onAssist={onAssist}
+            onAccept={onAcceptProposal}
+            onReject={onRejectProposal}
+          />
+
+          {stale.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {stale.map((asset) => (
+                <span key={asset} className="badge bg-warning-100 text-warning-800">
+                  <AlertTriangle className="w-3 h-3 mr-1" />
+                  {STALE_LABELS[asset] || asset}
+                </span>
+              ))}
+            </div>
+          )}
+
+          <div className="flex flex-col md:flex-row gap-4">
+            <div className="md:w-48 flex-shrink-0 space-y-2">
+              {storyboard?.imageUrl ? (
+                <img
+                  src={getImageURL(storyboard.imageUrl)}
+                  alt={`Storyboard for scene ${index + 1}`}
+                  className="w-full h-28 object-cover rounded-lg border border-gray-200 dark:border-gray-700"
+                />
+              ) : (
+                <div className="w-full h-28 rounded-lg border border-dashed border-gray-300 dark:border-gray-600 flex items-center justify-center">
+                  <Image className="w-6 h-6 text-gray-400" />
+                </div>
+              )}
+              <ConsistencyBadge consistency={storyboard?.consistency} />
+              <button
+                type="button"
+                onClick={() => onRegenerate("image")}
+                disabled={!!regenerating}
+                className="btn-secondary w-full">
+                {regenerating === "image" ? (
+                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                ) : (
+                  <RefreshCw className="w-4 h-4 mr-2" />
+                )}
+                Regenerate image
+              </button>
+            </div>
+
+            <div className="flex-1 space-y-2">
+              {narration?.audio_url ? (
+                <AudioVisualizer audioNarration={{ scenes: [narration] }} storyTitle={scene.title} />
+              ) : (
+                <p className="text-sm text-gray-500">No narration for this scene yet</p>
+              )}
+              <button
+                type="button"
+                onClick={() => onRegenerate("narration")}
+                disabled={!!regenerating}
+                className="btn-secondary">
+                {regenerating === "narration" ? (
+                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                ) : (
+                  <Volume2 className="w-4 h-4 mr-2" />
+                )}
+                Regenerate narration
+              </button>
+            </div>
+          </div>
+
+          <div>
+            <button
+              type="button"
+              onClick={() => setShowPrompt(!showPrompt)}
+              className="flex items-center text-sm text-primary-600 hover:text-primary-700">
+              <Code className="w-4 h-4 mr-1" />
+              {showPrompt ? "Hide image prompt" : "Show image prompt"}
+            </button>
+            {showPrompt && (
+              <div className="mt-2 rounded-lg bg-gray-100 dark:bg-gray-900 p-3 text-xs font-mono whitespace-pre-wrap text-gray-700 dark:text-gray-300">
+                {storyboard?.prompt || "No prompt was recorded for this storyboard"}
+                {storyboard?.style && (
+                  <div className="mt-2 text-gray-500">
+                    style: {storyboard.style}
+                    {storyboard.characterBased === false && " (fallback generator)"}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </Reorder.Item>
+  );
+};
+
+export default SceneEditor;
@@ -0,0 +1,320 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Reorder } from "framer-motion";
+import { Check, Cloud, Loader2 } from "lucide-react";
+import toast from "react-hot-toast";
+import SceneEditor, { getSceneTextField } from "./SceneEditor";
+import StoryPreview from "../StoryPreview";
+import { storyAPI } from "../../lib/api";
+
+const AUTOSAVE_DELAY = 1500; // ms after the last keystroke
+
+const clean = (value) => (value || "").trim();
+
+// The PATCH body that turns the saved story into the draft, or null when they match.
+// Empty fields are left out until they are filled in, the server rejects them.
+const buildEdit = (saved, draft) => {
+  const edit = {};
+
+  if (clean(draft.title) && clean(draft.title) !== clean(saved.title)) {
+    edit.title = clean(draft.title);
+  }
+
+  const scenes = draft.scenes
+    .map((scene) => {
+      const previous = saved.scenes.find((entry) => entry.id === scene.id);
+      if (!previous) return null;
+
+      const update = { id: scene.id };
+      const textField = getSceneTextField(scene);
+      if (clean(scene.title) && clean(scene.title) !== clean(previous.title)) {
+        update.title = clean(scene.title);
+      }
+      if (clean(scene[textField]) && clean(scene[textField]) !== clean(previous[textField])) {
+        update[textField] = clean(scene[textField]);
+      }
+      return Object.keys(update).length > 1 ? update : null;
+    })
+    .filter(Boolean);
+  if (scenes.length > 0) edit.scenes = scenes;
+
+  const order = draft.scenes.map((scene) => scene.id);
+  if (order.join() !== saved.scenes.map((scene) => scene.id).join()) {
+    edit.scene_order = order;
+  }
+
+  return Object.keys(edit).length > 0 ? edit : null;
+};
+
+const toDraft = (story) => ({ title: story.title, scenes: story.scenes || [] });
+
+const toAssets = (story) => ({
+  storyboards: story.storyboards || [],
+  storyboardUrls: story.storyboardUrls || [],
+  audio_narration: story.audio_narration || null,
+  stale_assets: story.stale_assets || {},
+});
+
+// Inline editor for a finished story. Changes autosave as revisions through the story-edit
+// API; the preview below renders the draft with the regular story components.
+const StoryEditor = ({ storyId, story, onClose }) => {
+  const [draft, setDraft] = useState(() => toDraft(story));
+  const [saved, setSaved] = useState(() => toDraft(story));
+  const [assets, setAssets] = useState(() => toAssets(story));
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+  const [regenerating, setRegenerating] = useState({}); // scene id -> target
+  const [proposals, setProposals] = useState({}); // scene id -> assist proposal
+  const [assisting, setAssisting] = useState({}); // scene id -> true
+
+  // Autosave runs from timers, so it reads the latest state through refs
+  const draftRef = useRef(draft);
+  const savedRef = useRef(saved);
+  const pendingSave = useRef(null);
+  draftRef.current = draft;
+  savedRef.current = saved;
+
+  const isDirty = useMemo(() => buildEdit(saved, draft) !== null, [saved, draft]);
+
+  // Resolves to false when the save failed
+  const save = useCallback(async () => {
+    // One save at a time; whatever changed meanwhile goes out with the next one
+    if (pendingSave.current) return pendingSave.current;
+
+    const edit = buildEdit(savedRef.current, draftRef.current);
+    if (!edit) return true;
+
+    pendingSave.current = (async () => {
+      try {
+        setSaving(true);
+        const response = await storyAPI.editStory(storyId, edit);
+        setSaved({ title: response.title, scenes: response.scenes });
+        setAssets((current) => ({ ...current, stale_assets: response.stale_assets || {} }));
+        setSaveError(null);
+        return true;
+      } catch (err) {
+        console.error("Error saving story:", err);
+        setSaveError(err.response?.data?.message || "Failed to save your changes");
+        return false;
+      } finally {
+        setSaving(false);
+        pendingSave.current = null;
+      }
+    })();
+    return pendingSave.current;
+  }, [storyId]);
+
+  useEffect(() => {
+    if (!isDirty || saveError) return;
+    const timer = setTimeout(save, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [draft, saved, isDirty, saveError, save]);
+
+  useEffect(() => {
+    if (!isDirty) return;
+    const warn = (e) => {
+      e.preventDefault();
+      e.returnValue = "";
+    };
+    window.addEventListener("beforeunload", warn);
+    return () => window.removeEventListener("beforeunload", warn);
+  }, [isDirty]);
+
+  const updateTitle = (title) => {
+    setSaveError(null);
+    setDraft((current) => ({ ...current, title }));
+  };
+
+  const updateScene = (sceneId, fields) => {
+    setSaveError(null);
+    setDraft((current) => ({
+      ...current,
+      scenes: current.scenes.map((scene) => (scene.id === sceneId ? { ...scene, ...fields } : scene)),
+    }));
+  };
+
+  const reorderScenes = (scenes) => {
+    setSaveError(null);
+    setDraft((current) => ({ ...current, scenes }));
+  };
+
+  const dropSceneEntry = (setter, sceneId) =>
+    setter((current) => {
+      const next = { ...current };
+      delete next[sceneId];
+      return next;
+    });
+
+  // Regenerate from the saved text, so pending edits go out first
+  const handleRegenerate = async (scene, target) => {
+    try {
+      setRegenerating((current) => ({ ...current, [scene.id]: target }));
+      if (!(await save())) return;
+      const { job_id } = await storyAPI.regenerateScene(storyId, scene.id, target);
+      await storyAPI.waitForJob(job_id);
+
+      const response = await storyAPI.getStory(storyId);
+      setAssets(toAssets(response.story));
+      toast.success(target === "image" ? "New storyboard ready!" : "New narration ready!");
+    } catch (err) {
+      console.error(`Error regenerating ${target}:`, err);
+      toast.error(err.response?.data?.message || err.message || `Failed to regenerate the ${target}`);
+    } finally {
+      dropSceneEntry(setRegenerating, scene.id);
+    }
+  };
+
+  // Assists work on the saved text, so pending edits go out first
+  const handleAssist = async (scene, { action, passage, tone }) => {
+    try {
+      setAssisting((current) => ({ ...current, [scene.id]: true }));
+      if (!(await save())) return;
+      const proposal = await storyAPI.assistScene(storyId, scene.id, action, { passage, tone });
+      setProposals((current) => ({ ...current, [scene.id]: proposal }));
+    } catch (err) {
+      console.error("Error running writing assist:", err);
+      toast.error(err.response?.data?.message || "Failed to get a suggestion");
+    } finally {
+      dropSceneEntry(setAssisting, scene.id);
+    }
+  };
+
+  // Accepting saves the suggestion as its own revision
+  const handleAcceptProposal = async (scene) => {
+    const proposal = proposals[scene.id];
+    if (!(await save())) return;
+
+    const current = savedRef.current.scenes.find((entry) => entry.id === scene.id);
+    if (clean(current?.[proposal.field]) !== clean(proposal.original)) {
+      dropSceneEntry(setProposals, scene.id);
+      toast.error("The scene changed since the suggestion, ask again");
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await storyAPI.editStory(storyId, proposal.edit);
+      const updated = response.scenes.find((entry) => entry.id === scene.id);
+      setSaved({ title: response.title, scenes: response.scenes });
+      setAssets((current) => ({ ...current, stale_assets: response.stale_assets || {} }));
+      updateScene(scene.id, { [proposal.field]: updated?.[proposal.field] ?? proposal.proposed });
+      dropSceneEntry(setProposals, scene.id);
+    } catch (err) {
+      console.error("Error applying suggestion:", err);
+      toast.error(err.response?.data?.message || "Failed to apply the suggestion");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Stay in the editor when the last changes could not be saved
+  const handleClose = async () => {
+    if (await save()) onClose();
+  };
+
+  const getStoryboard = (scene) => {
+    const entry = assets.storyboards.find((storyboard) => storyboard.sceneId === scene.id);
+    if (entry || assets.storyboards.length > 0) return entry || null;
+
+    // Older results only have plain URLs, in the saved scene order
+    const url = assets.storyboardUrls[saved.scenes.findIndex((entry) => entry.id === scene.id)];
+    return url ? { imageUrl: url } : null;
+  };
+
+  const getNarration = (scene) =>
+    assets.audio_narration?.scenes?.find((entry) => entry.scene_id === scene.id) || null;
+
+  // The draft in the shape StoryPreview expects, with assets in the draft's scene order
+  const storyboardUrls = draft.scenes.map((scene) => getStoryboard(scene)?.imageUrl).filter(Boolean);
+  const previewStory = {
+    ...story,
+    title: draft.title,
+    scenes: draft.scenes,
+    content: draft.scenes
+      .map((scene) => `${scene.title}\n\n${scene[getSceneTextField(scene)] || ""}`)
+      .join("\n\n"),
+    storyboardUrls,
+    sceneUrls: storyboardUrls,
+    audio_narration: assets.audio_narration
+      ? { ...assets.audio_narration, scenes: draft.scenes.map(getNarration).filter(Boolean) }
+      : null,
+  };
+
+  const saveStatus = saving ? (
+    <span className="flex items-center text-sm text-gray-500">
+      <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+      Saving...
+    </span>
+  ) : saveError ? (
+    <span className="text-sm text-error-600">{saveError}</span>
+  ) : isDirty ? (
+    <span className="flex items-center text-sm text-gray-500">
+      <Cloud className="w-4 h-4 mr-1" />
+      Unsaved changes
+    </span>
+  ) : (
+    <span className="flex items-center text-sm text-success-600">
+      <Check className="w-4 h-4 mr-1" />
+      All changes saved
+    </span>
+  );
+
+  return (
+    <div className="w-full max-w-4xl mx-auto space-y-6">
+      <div className="card p-6 space-y-4">
+        <div className="flex items-center justify-between gap-4">
+          <input
+            type="text"
+            value={draft.title || ""}
+            onChange={(e) => updateTitle(e.target.value)}
+            maxLength={200}
+            className="input text-2xl font-bold"
+          />
+          <div className="flex items-center gap-3 flex-shrink-0">
+            {saveStatus}
+            {saveError && (
+              <button type="button" onClick={save} className="btn-secondary">
+                Retry
+              </button>
+            )}
+            <button type="button" onClick={handleClose} disabled={saving} className="btn-primary">
+              <Check className="w-4 h-4 mr-2" />
+              Done
+            </button>
+          </div>
+        </div>
+        <p className="text-sm text-gray-500">
+          Drag scenes to reorder them. Storyboards and narration made from text you change are flagged until
+          you regenerate them.
+        </p>
+      </div>
+
+      <Reorder.Group axis="y" values={draft.scenes} onReorder={reorderScenes} className="space-y-4">
+        {draft.scenes.map((scene, index) => (
+          <SceneEditor
+            key={scene.id}
+            scene={scene}
+            index={index}
+            storyboard={getStoryboard(scene)}
+            narration={getNarration(scene)}
+            stale={assets.stale_assets[scene.id]}
+            regenerating={regenerating[scene.id]}
+            proposal={proposals[scene.id]}
+            assisting={!!assisting[scene.id]}
+            onChange={(fields) => updateScene(scene.id, fields)}
+            onRegenerate={(target) => handleRegenerate(scene, target)}
+            onAssist={(request) => handleAssist(scene, request)}
+            onAcceptProposal={() => handleAcceptProposal(scene)}
+            onRejectProposal={() => dropSceneEntry(setProposals, scene.id)}
+          />
+        ))}
+      </Reorder.Group>
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Preview</h3>
+        <StoryPreview story={previewStory} />
+      </div>
+    </div>
+  );
+};
+
+export default StoryEditor;
@@ -188,15 +188,27 @@ longTimeoutApi.interceptors.response.use(
   createResponseInterceptor(longTimeoutApi)
 )
 
+// Reference images go up as repeated file fields, with views and labels as comma-separated lists in the same order
+const buildReferenceForm = (field, references) => {
+  const formData = new FormData()
+  references.forEach(({ file }) => formData.append(field, file))
+  formData.append('views', references.map(({ view }) => view || '').join(','))
+  formData.append('labels', references.map(({ label }) => (label || '').replace(/,/g, ' ')).join(','))
+  return formData
+}
+
 // Character DNA API
 export const characterAPI = {
-  upload: async (file, metadata = {}, authHeaders = {}) => {
-    const formData = new FormData()
-    formData.append('character', file)
+  // references: [{ file, view, label }], 1-10 images of the same character
+  upload: async (references, metadata = {}, authHeaders = {}) => {
+    const formData = buildReferenceForm('character', references)
     
     if (metadata.name) formData.append('name', metadata.name)
     if (metadata.tags) formData.append('tags', metadata.tags)
     if (metadata.description) formData.append('description', metadata.description)
+    if (metadata.traits) formData.append('traits', metadata.traits)
+    // Appearance the user reviewed; without it the server describes the images itself
+    if (metadata.appearance) formData.append('appearance', JSON.stringify(metadata.appearance))
     
     const response = await api.post('/upload', formData, {
       headers: {
@@ -207,6 +219,21 @@ export const characterAPI = {
     return response.data
   },
   
+  // Suggested description, appearance and personality traits for images not uploaded yet
+  caption: async (references, metadata = {}, authHeaders = {}) => {
+    const formData = buildReferenceForm('character', references)
+    if (metadata.name) formData.append('name', metadata.name)
+    if (metadata.tags) formData.append('tags', metadata.tags)
+
+    const response = await longTimeoutApi.post('/upload/caption', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+        ...authHeaders
+      },
+    })
+    return response.data
+  },
+
   get: async (id) => {
     const response = await api.get(`/upload/${id}`)
     return response.data
@@ -243,6 +270,64 @@ export const characterAPI = {
     return response.data
   },
   
+  getReferences: async (id) => {
+    const response = await api.get(`/upload/${id}/references`)
+    return response.data
+  },
+
+  addReferences: async (id, references) => {
+    const response = await longTimeoutApi.post(`/upload/${id}/references`, buildReferenceForm('references', references), {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    })
+    return response.data
+  },
+
+  removeReference: async (id, referenceId) => {
+    const response = await api.delete(`/upload/${id}/references/${referenceId}`)
+    return response.data
+  },
+
+  // Turnaround, expressions and poses in one style; replaces the previous sheet.
+  // Queued as a job: wait for it with storyAPI.waitForJob, its result holds the sheet
+  generateSheet: async (id, style) => {
+    const response = await api.post(`/upload/${id}/sheet`, { style })
+    return response.data
+  },
+
+  // Stored portraits per art style, for characters without reference images
+  getPortraits: async (id) => {
+    const response = await api.get(`/upload/${id}/portraits`)
+    return response.data
+  },
+
+  // Queued as a job: wait for it with storyAPI.waitForJob, its result holds the new portrait
+  regeneratePortrait: async (id, style) => {
+    const response = await api.post(`/upload/${id}/portraits/${style}/regenerate`)
+    return response.data
+  },
+
+  lockPortrait: async (id, style, locked) => {
+    const response = await api.put(`/upload/${id}/portraits/${style}`, { locked })
+    return response.data
+  },
+
+  // Nearest characters in the user's library and the demo characters
+  similar: async (id, limit) => {
+    const response = await api.get(`/upload/${id}/similar`, { params: { limit } })
+    return response.data
+  },
+
+  // Characters that look like the given image files; nothing is stored
+  searchByImage: async (files, limit) => {
+    const formData = new FormData()
+    files.forEach(file => formData.append('character', file))
+    const response = await longTimeoutApi.post('/upload/search', formData, {
+      params: { limit },
+      headers: { 'Content-Type': 'multipart/form-data' },
+    })
+    return response.data
+  },
+
   // Demo character functions
   getDemoCharacters: async () => {
     const response = await api.get('/upload/demo-characters')
@@ -271,9 +356,29 @@ export const storyAPI = {
     const response = await api.get(`/generate/${jobId}/status`)
     return response.data
   },
+
+  // Poll a queued job (translation, character sheet...) until it finishes; resolves with
+  // the finished job, rejects with its error message when it fails or is cancelled
+  waitForJob: async (jobId, { interval = 2000, onProgress } = {}) => {
+    while (true) {
+      const response = await api.get(`/generate/${jobId}/status`)
+      const job = response.data.data
+      onProgress?.(job)
+
+      if (job.status === 'completed') return job
+      if (job.status === 'failed' || job.status === 'cancelled') {
+        const error = new Error(job.error || `Job ${job.status}`)
+        error.job = job
+        throw error
+      }
+
+      await new Promise(resolve => setTimeout(resolve, interval))
+    }
+  },
   
-  retryGeneration: async (jobId) => {
-    const response = await longTimeoutApi.post(`/generate/${jobId}/retry`)
+  // Resumes after the last completed step; fromStep forces regeneration from that step
+  retryGeneration: async (jobId, fromStep) => {
+    const response = await longTimeoutApi.post(`/generate/${jobId}/retry`, fromStep ? { from_step: fromStep } : {})
     return response.data
   },
   
@@ -282,6 +387,30 @@ export const storyAPI = {
     return response.data
   },
 
+  // Per-scene regeneration - target is 'image', 'narration' or 'text'.
+  // Queued as a job: wait for it with storyAPI.waitForJob, its result holds the new asset
+  regenerateScene: async (jobId, sceneId, target, { prompt, ...options } = {}) => {
+    const response = await api.post(`/generate/${jobId}/scenes/${sceneId}/regenerate`, {
+      target,
+      ...(prompt && { prompt }),
+      options
+    })
+    return response.data
+  },
+
+  rollbackScene: async (jobId, sceneId, target, versionId) => {
+    const response = await api.post(`/generate/${jobId}/scenes/${sceneId}/rollback`, {
+      target,
+      ...(versionId && { version_id: versionId })
+    })
+    return response.data
+  },
+
+  getSceneVersions: async (jobId, sceneId) => {
+    const response = await api.get(`/generate/${jobId}/scenes/${sceneId}/versions`)
+    return response.data
+  },
+
   // Story management functions
   saveStory: async (params) => {
     const response = await api.post('/stories/save', params)
@@ -314,6 +443,32 @@ export const storyAPI = {
     return response.data
   },
 
+  // Co-writing assist on a scene or a selected passage; returns a proposal, nothing is saved
+  assistScene: async (storyId, sceneId, action, { passage, tone } = {}) => {
+    const response = await longTimeoutApi.post(`/stories/${storyId}/scenes/${sceneId}/assist`, {
+      action,
+      ...(passage && { passage }),
+      ...(tone && { tone })
+    })
+    return response.data
+  },
+
+  // Hand edits to a finished story; every edit is kept as a revision
+  editStory: async (storyId, edit) => {
+    const response = await api.patch(`/stories/${storyId}`, edit)
+    return response.data
+  },
+
+  getRevisions: async (storyId) => {
+    const response = await api.get(`/stories/${storyId}/revisions`)
+    return response.data
+  },
+
+  restoreRevision: async (storyId, revisionId) => {
+    const response = await api.post(`/stories/${storyId}/revisions/${revisionId}/restore`)
+    return response.data
+  },
+
   deleteStory: async (storyId) => {
     const response = await api.delete(`/stories/${storyId}`)
     return response.data
@@ -322,6 +477,80 @@ export const storyAPI = {
   generateVideo: async (storyId) => {
     const response = await longTimeoutApi.post(`/stories/${storyId}/generate-video`)
     return response.data
+  },
+
+  // "What if?" branch: keeps scenes up to sceneId and rewrites the rest
+  createVariation: async (storyId, sceneId, whatIf) => {
+    const response = await longTimeoutApi.post(`/stories/${storyId}/variations`, {
+      scene_id: sceneId,
+      what_if: whatIf
+    })
+    return response.data
+  },
+
+  getVariations: async (storyId) => {
+    const response = await api.get(`/stories/${storyId}/variations`)
+    return response.data
+  },
+
+  // Translations share the original's storyboards; narration is recorded in the new language.
+  // Queued as a job: wait for it with waitForJob, its result holds the translation's story_id
+  translateStory: async (storyId, language, voiceId) => {
+    const response = await api.post(`/stories/${storyId}/translate`, {
+      language,
+      ...(voiceId && { voice_id: voiceId })
+    })
+    return response.data
+  },
+
+  getTranslations: async (storyId) => {
+    const response = await api.get(`/stories/${storyId}/translations`)
+    return response.data
+  },
+
+  // Interactive stories - the first reader to pick a choice waits while its branch is written
+  chooseBranch: async (storyId, nodeId, choiceId, readerId) => {
+    const response = await longTimeoutApi.post(`/stories/${storyId}/nodes/${nodeId}/choices/${choiceId}`,
+      readerId ? { reader_id: readerId } : {}
+    )
+    return response.data
+  },
+
+  getReaderPath: async (storyId, readerId) => {
+    const response = await api.get(`/stories/${storyId}/paths/${readerId}`)
+    return response.data
+  },
+
+  getReaderPaths: async (storyId) => {
+    const response = await api.get(`/stories/${storyId}/paths`)
+    return response.data
+  }
+}
+
+// Story series - episodes remember what happened in earlier ones
+export const seriesAPI = {
+  create: async (params) => {
+    const response = await api.post('/series', params)
+    return response.data
+  },
+
+  get: async (seriesId) => {
+    const response = await api.get(`/series/${seriesId}`)
+    return response.data
+  },
+
+  getEpisodes: async (seriesId) => {
+    const response = await api.get(`/series/${seriesId}/episodes`)
+    return response.data
+  },
+
+  // Returns a job_id to follow like any other generation
+  generateNextEpisode: async (seriesId, prompt, options) => {
+    const response = await longTimeoutApi.post(`/series/${seriesId}/episodes`, {
+      prompt,
+      ...(options && { options })
+    })
+    return response.data
   }
 }
 
@@ -500,6 +729,17 @@ export class StorySocket {
     }
   }
   
+  // Streamed story text for one job; returns a function that removes the listener
+  onStoryDelta(jobId, listener) {
+    const handler = (message) => {
+      if (message.job_id === jobId) {
+        listener(message.data)
+      }
+    }
+    this.on('story_delta', handler)
+    return () => this.off('story_delta', handler)
+  }
+  
   emit(event, data) {
     const eventListeners = this.listeners.get(event)
     if (eventListeners) {
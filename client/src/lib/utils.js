@@ -283,3 +283,58 @@ export const url = {
     window.history.replaceState({}, '', `${window.location.pathname}?${params}`)
   }
 }
+
+// Character reference images: up to MAX_REFERENCES per character, each showing one view
+export const MAX_REFERENCES = 10
+export const RECOMMENDED_REFERENCES = 3
+
+export const REFERENCE_VIEWS = [
+  { id: 'front', label: 'Front' },
+  { id: 'side', label: 'Side' },
+  { id: 'back', label: 'Back' },
+  { id: 'expression', label: 'Expression' },
+  { id: 'outfit', label: 'Outfit' },
+  { id: 'other', label: 'Other' }
+]
+
+// Art styles images are generated in
+export const ART_STYLES = [
+  { id: 'cartoon', label: 'Cartoon' },
+  { id: 'watercolor', label: 'Watercolor' },
+  { id: 'cinematic', label: 'Cinematic' },
+  { id: 'anime', label: 'Anime' },
+  { id: 'storybook', label: 'Storybook' }
+]
+
+export const STORY_TONES = [
+  { id: 'lighthearted', label: 'Lighthearted' },
+  { id: 'serious', label: 'Serious' },
+  { id: 'humorous', label: 'Humorous' },
+  { id: 'dramatic', label: 'Dramatic' },
+  { id: 'mysterious', label: 'Mysterious' },
+  { id: 'romantic', label: 'Romantic' }
+]
+
+// Languages stories can be written in, matching the server's list
+export const STORY_LANGUAGES = [
+  { code: 'en', label: 'English' },
+  { code: 'es', label: 'Español' },
+  { code: 'fr', label: 'Français' },
+  { code: 'de', label: 'Deutsch' },
+  { code: 'it', label: 'Italiano' },
+  { code: 'pt', label: 'Português' },
+  { code: 'nl', label: 'Nederlands' },
+  { code: 'sv', label: 'Svenska' },
+  { code: 'pl', label: 'Polski' },
+  { code: 'tr', label: 'Türkçe' },
+  { code: 'id', label: 'Bahasa Indonesia' },
+  { code: 'ms', label: 'Bahasa Melayu' },
+  { code: 'hi', label: 'हिन्दी' },
+  { code: 'zh', label: '中文' },
+  { code: 'ja', label: '日本語' },
+  { code: 'ko', label: '한국어' }
+]
+
+export function getLanguageLabel(code) {
+  return STORY_LANGUAGES.find((language) => language.code === code)?.label || code
+}
@@ -15,6 +15,7 @@ import {
   EyeOff,
   Loader2
 } from 'lucide-react'
+import { Link } from 'react-router-dom'
 import toast from 'react-hot-toast'
 
 import CharacterUpload from '../components/create/CharacterUpload'
@@ -229,6 +230,10 @@ export default function CreatePage() {
         : "5-10 min",
       videoUrl: result.video_url,
       storyboardUrls: storyboardUrls,
+      // Full entries, with the consistency score of each scene
+      storyboards: (result.storyboard_urls || []).filter(
+        (item) => typeof item === "object" && item.sceneId
+      ),
       sceneUrls: sceneUrls,
       audio_narration: result.audio_narration || null,
       includeVoice: job.options?.includeVoice || false,
@@ -301,10 +306,19 @@ export default function CreatePage() {
       setStorySaved(false);
       setSavedStoryData({ id: null, visibility: "private" });
 
+      const mainCharacterId =
+        updatedStoryData.character.dna_id || updatedStoryData.character.id;
+      const supportingCast = updatedStoryData.supportingCast || [];
+
       const response = await storyAPI.generate({
         prompt: updatedStoryData.prompt,
-        dna_id:
-          updatedStoryData.character.dna_id || updatedStoryData.character.id,
+        dna_id: mainCharacterId,
+        ...(supportingCast.length > 0 && {
+          characters: [
+            { dna_id: mainCharacterId, role: "protagonist" },
+            ...supportingCast.map(({ dna_id, role }) => ({ dna_id, role })),
+          ],
+        }),
         style: mapStoryTypeToStyle(updatedStoryData.storyType) || "cartoon",
         genre: mapStoryTypeToGenre(updatedStoryData.storyType) || "adventure",
         options: {
@@ -312,7 +326,19 @@ export default function CreatePage() {
           includeVideo: updatedStoryData.includeVideo,
           tone: updatedStoryData.tone,
           length: updatedStoryData.length,
+          sceneCount: updatedStoryData.sceneCount,
           storyType: updatedStoryData.storyType,
+          language: updatedStoryData.language,
+          ...(updatedStoryData.audience && { audience: updatedStoryData.audience }),
+          ...(updatedStoryData.readingLevel !== "" &&
+            updatedStoryData.readingLevel !== undefined && {
+              readingLevel: updatedStoryData.readingLevel,
+            }),
+          ...(updatedStoryData.mode === "interactive" && {
+            mode: "interactive",
+            maxDepth: updatedStoryData.maxDepth,
+            includeVideo: false,
+          }),
           ...updatedStoryData.options,
         },
       });
@@ -340,7 +366,7 @@ export default function CreatePage() {
       }
     } catch (error) {
       console.error("Generation failed:", error);
-      toast.error("Failed to start generation");
+      toast.error(error.response?.data?.message || "Failed to start generation");
       setGenerationInProgress(false);
     } finally {
       setLoading("generation", false);
@@ -731,17 +757,33 @@ export default function CreatePage() {
                       <h3 className="text-xl font-semibold text-gray-900 dark:text-white">
                         Story Generated Successfully!
                       </h3>
-                      <p className="text-gray-600 dark:text-gray-300">
-                        Your story is ready to preview and download.
-                      </p>
-                      <motion.button
-                        whileHover={{ scale: 1.02 }}
-                        whileTap={{ scale: 0.98 }}
-                        onClick={handleViewStory}
-                        className="btn-primary">
-                        <Eye className="w-4 h-4 mr-2" />
-                        View Your Story
-                      </motion.button>
+                      {storyData.mode === "interactive" ? (
+                        <>
+                          <p className="text-gray-600 dark:text-gray-300">
+                            Your adventure is ready. New branches are written as readers choose them.
+                          </p>
+                          <Link
+                            to={`/story/${generationJobId}`}
+                            className="btn-primary inline-flex items-center">
+                            <Play className="w-4 h-4 mr-2" />
+                            Play Your Story
+                          </Link>
+                        </>
+                      ) : (
+                        <>
+                          <p className="text-gray-600 dark:text-gray-300">
+                            Your story is ready to preview and download.
+                          </p>
+                          <motion.button
+                            whileHover={{ scale: 1.02 }}
+                            whileTap={{ scale: 0.98 }}
+                            onClick={handleViewStory}
+                            className="btn-primary">
+                            <Eye className="w-4 h-4 mr-2" />
+                            View Your Story
+                          </motion.button>
+                        </>
+                      )}
                     </div>
                   ) : (
                     <StoryPreview
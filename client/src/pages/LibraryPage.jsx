@@ -10,7 +10,8 @@ import {
   Filter,
   Calendar,
   Clock,
-  User
+  User,
+  GraduationCap
 } from 'lucide-react';
 import { storyAPI } from '../lib/api';
 import toast from 'react-hot-toast';
@@ -337,6 +338,16 @@ const LibraryPage = () => {
                       <User className="w-3 h-3 mr-1" />
                       {story.characters?.length || 0}
                     </div>
+                    {story.metadata?.reading_level && (
+                      <div
+                        className="flex items-center"
+                        title={`Reading level (Flesch-Kincaid ${story.metadata.reading_level.flesch_kincaid_grade})`}>
+                        <GraduationCap className="w-3 h-3 mr-1" />
+                        Grade {story.metadata.reading_level.grade_level}
+                        {story.metadata.reading_level.content_rating &&
+                          ` · ${story.metadata.reading_level.content_rating}`}
+                      </div>
+                    )}
                   </div>
 
                   {/* Actions */}
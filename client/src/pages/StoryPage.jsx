@@ -1,33 +1,56 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import { useParams } from 'react-router-dom';
+import toast from 'react-hot-toast';
 import StoryPreview from '../components/StoryPreview';
+import StoryEditor from '../components/editor/StoryEditor';
+import StoryVariations from '../components/StoryVariations';
+import StoryTranslations from '../components/StoryTranslations';
+import InteractiveStoryPlayer from '../components/InteractiveStoryPlayer';
 import { storyAPI } from "../lib/api";
+import { useAuth } from '../contexts/AuthContext';
 
 const StoryPage = () => {
   const { storyId } = useParams();
   const [story, setStory] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const { user } = useAuth();
+
+  const fetchStory = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await storyAPI.getStory(storyId);
+
+      // Transform the story data to match StoryPreview expectations
+      const transformedStory = transformStoryData(response.story);
+      setStory(transformedStory);
+    } catch (err) {
+      console.error("Error fetching story:", err);
+      setError("Failed to load the story.");
+    } finally {
+      setLoading(false);
+    }
+  }, [storyId]);
 
   useEffect(() => {
-    const fetchStory = async () => {
-      try {
-        setLoading(true);
-        const response = await storyAPI.getStory(storyId);
+    setEditing(false);
+    fetchStory();
+  }, [fetchStory]);
 
-        // Transform the story data to match StoryPreview expectations
-        const transformedStory = transformStoryData(response.story);
-        setStory(transformedStory);
-      } catch (err) {
-        console.error("Error fetching story:", err);
-        setError("Failed to load the story.");
-      } finally {
-        setLoading(false);
-      }
-    };
+  const handleEdit = () => {
+    if (!user) {
+      toast.error("Log in to edit this story");
+      return;
+    }
+    setEditing(true);
+  };
 
+  // Reload so the page shows what the editor saved
+  const handleEditorClose = () => {
+    setEditing(false);
     fetchStory();
-  }, [storyId]);
+  };
 
   // Transform backend story data to frontend expected format
   const transformStoryData = (storyData) => {
@@ -47,13 +70,16 @@ const StoryPage = () => {
       estimatedDuration: storyData.estimatedDuration || "5-10 min",
       videoUrl: storyData.videoUrl,
       storyboardUrls: storyData.storyboardUrls || [],
+      storyboards: storyData.storyboards || [],
       sceneUrls: storyData.sceneUrls || storyData.storyboardUrls || [],
       audio_narration:
-        storyData.audio_narration || storyData.audioUrl
-          ? { audioUrl: storyData.audioUrl }
-          : null,
+        storyData.audio_narration ||
+        (storyData.audioUrl ? { audioUrl: storyData.audioUrl } : null),
+      stale_assets: storyData.stale_assets || {},
       includeVoice: !!storyData.audio_narration,
       includeVideo: !!storyData.videoUrl,
+      mode: storyData.mode || "linear",
+      graph: storyData.graph || null,
       metadata: storyData.metadata || {
         generatedBy: "Gemini AI",
         wordCount: storyData.content ? storyData.content.split(" ").length : 0,
@@ -74,15 +100,33 @@ const StoryPage = () => {
     return <div>No story found.</div>;
   }
 
+  if (story.mode === "interactive") {
+    return (
+      <div className="story-page">
+        <InteractiveStoryPlayer storyId={storyId} story={story} />
+      </div>
+    );
+  }
+
+  if (editing) {
+    return (
+      <div className="story-page">
+        <StoryEditor storyId={storyId} story={story} onClose={handleEditorClose} />
+      </div>
+    );
+  }
+
   return (
     <div className="story-page">
       <StoryPreview
         story={story}
-        onEdit={() => console.log("Edit story")}
+        onEdit={handleEdit}
         onShare={() => console.log("Share story")}
         onDownload={() => console.log("Download story")}
         onPlayVideo={() => console.log("Play video")}
       />
+      <StoryVariations storyId={storyId} scenes={story.scenes} />
+      <StoryTranslations storyId={storyId} />
     </div>
   );
 };
@@ -44,6 +44,19 @@ CREATE TABLE IF NOT EXISTS public.generations (
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Create series table (groups generations into episodes with rolling continuity)
+CREATE TABLE IF NOT EXISTS public.series (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  description TEXT,
+  settings JSONB DEFAULT '{}',
+  episodes JSONB DEFAULT '[]',
+  continuity JSONB DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- If tables already exist, add missing columns
 -- Add missing columns to characters table (will only add if they don't exist)
 DO $$ 
@@ -124,11 +137,82 @@ CREATE INDEX IF NOT EXISTS idx_generations_user_id ON public.generations(user_id
 CREATE INDEX IF NOT EXISTS idx_generations_character_id ON public.generations(character_id);
 CREATE INDEX IF NOT EXISTS idx_generations_status ON public.generations(status);
 CREATE INDEX IF NOT EXISTS idx_generations_created_at ON public.generations(created_at);
+CREATE INDEX IF NOT EXISTS idx_series_user_id ON public.series(user_id);
+
+-- Character similarity search (pgvector)
+-- embedding_vector mirrors the FLOAT[] embedding the server writes and carries the vector index
+CREATE EXTENSION IF NOT EXISTS vector;
+
+ALTER TABLE public.characters ADD COLUMN IF NOT EXISTS embedding_vector vector(512);
+
+CREATE OR REPLACE FUNCTION public.sync_character_embedding_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.embedding_vector := CASE
+    WHEN array_length(NEW.embedding, 1) = 512 THEN NEW.embedding::vector(512)
+    ELSE NULL
+  END;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS sync_characters_embedding_vector ON public.characters;
+CREATE TRIGGER sync_characters_embedding_vector BEFORE INSERT OR UPDATE OF embedding ON public.characters
+  FOR EACH ROW EXECUTE FUNCTION public.sync_character_embedding_vector();
+
+UPDATE public.characters
+SET embedding_vector = embedding::vector(512)
+WHERE embedding_vector IS NULL AND array_length(embedding, 1) = 512;
+
+CREATE INDEX IF NOT EXISTS idx_characters_embedding_vector ON public.characters
+  USING hnsw (embedding_vector vector_cosine_ops);
+
+-- Characters saved before their DNA recorded its embedding backend take it from their references,
+-- when all of them were embedded alike
+UPDATE public.characters c
+SET metadata = c.metadata || jsonb_build_object('embeddingBackend', c.metadata->'references'->0->>'embeddingBackend')
+WHERE c.metadata->>'embeddingBackend' IS NULL
+  AND c.metadata->'references'->0->>'embeddingBackend' IS NOT NULL
+  AND NOT EXISTS (
+    SELECT 1 FROM jsonb_array_elements(c.metadata->'references') r
+    WHERE r->>'embeddingBackend' IS DISTINCT FROM c.metadata->'references'->0->>'embeddingBackend'
+  );
+
+-- Nearest characters to an embedding among a user's own characters and the demo characters.
+-- Only characters embedded with the query's backend (metadata.embeddingBackend) are comparable
+DROP FUNCTION IF EXISTS public.match_characters(vector, UUID, INTEGER, UUID);
+CREATE OR REPLACE FUNCTION public.match_characters(
+  query_embedding vector(512),
+  match_backend TEXT,
+  match_user_id UUID,
+  match_count INTEGER DEFAULT 5,
+  exclude_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  name TEXT,
+  description TEXT,
+  thumbnail_url TEXT,
+  image_url TEXT,
+  is_demo BOOLEAN,
+  similarity FLOAT
+) AS $$
+  SELECT c.id, c.name, c.description, c.thumbnail_url, c.image_url, c.is_demo,
+    1 - (c.embedding_vector <=> query_embedding) AS similarity
+  FROM public.characters c
+  WHERE c.embedding_vector IS NOT NULL
+    AND (c.user_id = match_user_id OR c.is_demo)
+    AND c.metadata->>'embeddingBackend' = match_backend
+    AND (exclude_id IS NULL OR c.id <> exclude_id)
+  ORDER BY c.embedding_vector <=> query_embedding
+  LIMIT match_count;
+$$ LANGUAGE sql STABLE;
 
 -- Enable Row Level Security
 ALTER TABLE public.users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.characters ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.generations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.series ENABLE ROW LEVEL SECURITY;
 
 -- Create comprehensive RLS policies
 -- Users table policies
@@ -167,6 +251,10 @@ CREATE POLICY "Users can update own generations" ON public.generations
 CREATE POLICY "Users can delete own generations" ON public.generations
   FOR DELETE USING (auth.uid() = user_id);
 
+-- Series table policies
+CREATE POLICY "Users can manage own series" ON public.series
+  FOR ALL USING (auth.uid() = user_id);
+
 -- Auto-create user profile on signup
 CREATE OR REPLACE FUNCTION public.handle_new_user()
 RETURNS TRIGGER AS $$
@@ -188,6 +276,8 @@ GRANT USAGE ON SCHEMA public TO anon, authenticated;
 GRANT ALL ON public.users TO anon, authenticated;
 GRANT ALL ON public.characters TO anon, authenticated;
 GRANT ALL ON public.generations TO anon, authenticated;
+GRANT ALL ON public.series TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.match_characters TO anon, authenticated;
 
 -- Create function to automatically update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -208,13 +298,17 @@ CREATE TRIGGER update_characters_updated_at BEFORE UPDATE ON public.characters
 CREATE TRIGGER update_generations_updated_at BEFORE UPDATE ON public.generations
   FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_series_updated_at BEFORE UPDATE ON public.series
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Success message
 DO $$
 BEGIN
   RAISE NOTICE 'TaleCraft AI database initialization completed successfully!';
-  RAISE NOTICE 'Tables created: users, characters, generations';
+  RAISE NOTICE 'Tables created: users, characters, generations, series';
   RAISE NOTICE 'RLS policies enabled and configured';
   RAISE NOTICE 'Auto user profile creation trigger installed';
   RAISE NOTICE 'Performance indexes created';
+  RAISE NOTICE 'Character vector index and match_characters function installed';
   RAISE NOTICE 'Updated_at triggers created';
 END $$;
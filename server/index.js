@@ -14,8 +14,11 @@ const voiceRoutes = require('./routes/voice');
 const authRoutes = require('./routes/auth');
 const testAIRoutes = require('./routes/test-ai');
 const storiesRoutes = require('./routes/stories');
+const seriesRoutes = require('./routes/series');
+const moderationRoutes = require('./routes/moderation');
 const { setupWebSocket } = require('./services/websocket');
 const { cleanupTempFiles } = require('./services/cleanup');
+const { getJobQueue } = require('./services/jobQueue');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -71,6 +74,8 @@ app.use('/api/voices', voiceRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/test-ai', testAIRoutes);
 app.use('/api/stories', storiesRoutes);
+app.use('/api/series', seriesRoutes);
+app.use('/api/moderation', moderationRoutes);
 
 // Serve static files for local storage (when not using S3)
 app.use('/uploads', (req, res, next) => {
@@ -149,6 +154,14 @@ app.use((err, req, res, next) => {
     });
   }
 
+  // Multer reports extra files in an upload.array() field as an unexpected file
+  if (err.code === 'LIMIT_UNEXPECTED_FILE' || err.code === 'LIMIT_FILE_COUNT') {
+    return res.status(400).json({
+      error: 'Too many files',
+      message: 'Upload at most 10 reference images per character'
+    });
+  }
+
   res.status(err.status || 500).json({
     error: err.message || 'Internal server error',
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
@@ -179,6 +192,35 @@ const server = app.listen(PORT, () => {
 // Setup WebSocket for real-time updates
 setupWebSocket(server);
 
+// Optionally run a generation worker in this process (single-process deployments)
+if (process.env.EMBEDDED_WORKER === 'true') {
+  const { startGenerationWorker } = require('./worker');
+  startGenerationWorker();
+  console.log('👷 Embedded generation worker started');
+} else {
+  console.log('👷 Generation jobs are processed by separate workers - run `npm run worker` (or set EMBEDDED_WORKER=true)');
+  watchForUnclaimedJobs();
+}
+
+// Without a worker process every generation stays queued; say so loudly instead of waiting forever
+function watchForUnclaimedJobs() {
+  const jobQueue = getJobQueue();
+  const reported = new Set();
+
+  const check = async () => {
+    const unclaimed = (await jobQueue.findUnclaimedJobs()).filter(job => !reported.has(job.id));
+    if (unclaimed.length === 0) return;
+
+    unclaimed.forEach(job => reported.add(job.id));
+    console.error(`❌ ${unclaimed.length} generation job(s) have waited over ${Math.round(jobQueue.staleAfter / 1000)}s without a worker picking them up: ${unclaimed.map(job => job.id).join(', ')}`);
+    console.error('❌ Is a worker running? Start one with `npm run worker`, or set EMBEDDED_WORKER=true to process jobs in this process.');
+  };
+
+  setInterval(() => {
+    check().catch(error => console.warn('⚠️ Unclaimed job check failed:', error.message));
+  }, jobQueue.staleAfter).unref();
+}
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...');
@@ -1,35 +1,185 @@
 const Joi = require('joi');
+const { moderateText, resolveStrictness, getTenantId } = require('../services/moderation');
+const { LANGUAGE_CODES } = require('../services/languages');
+const { REFERENCE_VIEWS } = require('../services/characterReferences');
+const { characterAppearanceSchema } = require('../services/storySchema');
+
+// Shared by story and series generation requests
+const styleSchema = Joi.string().valid('cartoon', 'watercolor', 'cinematic', 'anime', 'storybook');
+const genreSchema = Joi.string().valid('fantasy', 'sci-fi', 'adventure', 'mystery');
+const languageSchema = Joi.string().valid(...LANGUAGE_CODES);
+
+// Scenes are addressed by id (scene_3) or number
+const sceneRefSchema = Joi.alternatives().try(Joi.string(), Joi.number().integer().min(1));
+
+const sceneTextSchema = {
+  title: Joi.string().trim().min(1).max(200),
+  content: Joi.string().trim().min(1).max(5000),
+  narration: Joi.string().trim().min(1).max(5000),
+  dialogue: Joi.array().items(Joi.object({
+    speaker: Joi.string().trim().min(1).max(100).required(),
+    line: Joi.string().trim().min(1).max(1000).required()
+  })).max(20)
+};
+
+// Views and labels of uploaded reference images, comma-separated in file order
+const referenceViewPattern = new RegExp(`^\\s*(${REFERENCE_VIEWS.join('|')})?\\s*(,\\s*(${REFERENCE_VIEWS.join('|')})?\\s*)*$`);
+const referenceFieldsSchema = {
+  views: Joi.string().max(200).pattern(referenceViewPattern, 'reference views').optional(),
+  labels: Joi.string().max(500).optional()
+};
+
+// Reviewed appearance attributes arrive as a JSON string alongside the uploaded files
+const appearanceFieldSchema = Joi.string().max(5000).custom((value, helpers) => {
+  let appearance;
+  try {
+    appearance = JSON.parse(value);
+  } catch (error) {
+    return helpers.message('appearance must be valid JSON');
+  }
+  const { error } = characterAppearanceSchema.validate(appearance);
+  return error ? helpers.message(`appearance: ${error.details[0].message}`) : value;
+});
+
+const toneSchema = Joi.string().valid('lighthearted', 'serious', 'humorous', 'dramatic', 'mysterious', 'romantic');
+
+const castSchema = Joi.array().items(Joi.object({
+  dna_id: Joi.string().uuid().required(),
+  role: Joi.string().valid('protagonist', 'sidekick', 'antagonist').default('sidekick')
+})).min(1).max(6).unique('dna_id');
+
+const generationOptionsSchema = Joi.object({
+  duration: Joi.number().min(15).max(60).default(30),
+  fps: Joi.number().min(8).max(30).default(16),
+  resolution: Joi.object({
+    width: Joi.number().min(320).max(1920).default(640),
+    height: Joi.number().min(240).max(1080).default(360)
+  }).default({ width: 640, height: 360 }),
+  includeAudio: Joi.boolean().default(false),
+  includeVoice: Joi.boolean().default(false),
+  includeVideo: Joi.boolean().default(false),
+  motionIntensity: Joi.string().valid('subtle', 'moderate', 'dynamic').default('subtle'),
+  tone: toneSchema.default('lighthearted'),
+  length: Joi.string().valid('short', 'medium', 'long').default('medium'),
+  storyType: Joi.string().valid('adventure', 'fantasy', 'scifi', 'drama').optional(),
+  sceneCount: Joi.number().integer().min(3).max(24).default(4),
+  // Interactive stories branch at every scene; maxDepth is the number of scenes along any path
+  mode: Joi.string().valid('linear', 'interactive').default('linear'),
+  maxDepth: Joi.number().integer().min(2).max(8).default(4),
+  // Audience sets vocabulary, sentence length and content rating; readingLevel (US grade) overrides its target grade
+  audience: Joi.string().valid('toddler', 'early_reader', 'middle_grade', 'young_adult', 'adult').optional(),
+  readingLevel: Joi.number().min(0).max(16).optional(),
+  // Language the story is written and narrated in
+  language: languageSchema.default('en')
+}).default({});
 
 // Validation schemas
 const schemas = {
   imageUpload: Joi.object({
     name: Joi.string().max(100).optional(),
-    tags: Joi.string().max(500).optional()
+    tags: Joi.string().max(500).optional(),
+    description: Joi.string().max(1000).optional(),
+    traits: Joi.string().max(500).optional(),
+    appearance: appearanceFieldSchema.optional(),
+    ...referenceFieldsSchema
   }),
 
+  referenceUpload: Joi.object(referenceFieldsSchema),
+
   generateStory: Joi.object({
     prompt: Joi.string().min(10).max(1000).required(),
-    dna_id: Joi.string().uuid().required(),
-    style: Joi.string().valid('cartoon', 'watercolor', 'cinematic', 'anime', 'storybook').default('cartoon'),
-    genre: Joi.string().valid('fantasy', 'sci-fi', 'adventure', 'mystery').default('adventure'),
+    dna_id: Joi.string().uuid(),
+    // Multi-character cast; dna_id alone is shorthand for a single protagonist
+    characters: castSchema,
+    style: styleSchema.default('cartoon'),
+    genre: genreSchema.default('adventure'),
+    options: generationOptionsSchema
+  }).or('dna_id', 'characters'),
+
+  createSeries: Joi.object({
+    title: Joi.string().min(1).max(200).required(),
+    description: Joi.string().max(1000).allow('').optional(),
+    dna_id: Joi.string().uuid(),
+    characters: castSchema,
+    style: styleSchema.default('cartoon'),
+    genre: genreSchema.default('adventure'),
+    options: generationOptionsSchema
+  }).or('dna_id', 'characters'),
+
+  // Options override the series settings for this episode only
+  generateEpisode: Joi.object({
+    prompt: Joi.string().min(10).max(1000).required(),
+    options: generationOptionsSchema.prefs({ noDefaults: true })
+  }),
+
+  retryGeneration: Joi.object({
+    from_step: Joi.string().valid(
+      'character_loading',
+      'story_generation',
+      'storyboard_generation',
+      'voice_generation',
+      'video_generation',
+      'finalization'
+    ).optional()
+  }),
+
+  regenerateScene: Joi.object({
+    target: Joi.string().valid('image', 'narration', 'text').required(),
+    prompt: Joi.string().min(3).max(1000).optional(),
     options: Joi.object({
-      duration: Joi.number().min(15).max(60).default(30),
-      fps: Joi.number().min(8).max(30).default(16),
-      resolution: Joi.object({
-        width: Joi.number().min(320).max(1920).default(640),
-        height: Joi.number().min(240).max(1080).default(360)
-      }).default({ width: 640, height: 360 }),
-      includeAudio: Joi.boolean().default(false),
-      includeVoice: Joi.boolean().default(false),
-      includeVideo: Joi.boolean().default(false),
-      motionIntensity: Joi.string().valid('subtle', 'moderate', 'dynamic').default('subtle'),
-      tone: Joi.string().valid('lighthearted', 'serious', 'humorous', 'dramatic', 'mysterious', 'romantic').default('lighthearted'),
-      length: Joi.string().valid('short', 'medium', 'long').default('medium'),
-      storyType: Joi.string().valid('adventure', 'fantasy', 'scifi', 'drama').optional(),
-      
+      style: Joi.string().valid('cartoon', 'watercolor', 'cinematic', 'anime', 'storybook').optional(),
+      strength: Joi.number().min(0.1).max(1).optional(),
+      voice_id: Joi.string().optional(),
+      emotion: Joi.string().valid('neutral', 'happy', 'sad', 'excited', 'calm', 'dramatic').optional(),
+      tone: toneSchema.optional()
     }).default({})
   }),
 
+  rollbackScene: Joi.object({
+    target: Joi.string().valid('image', 'narration', 'text').required(),
+    version_id: Joi.string().uuid().optional()
+  }),
+
+  chooseBranch: Joi.object({
+    reader_id: Joi.string().uuid().optional()
+  }),
+
+  createVariation: Joi.object({
+    scene_id: sceneRefSchema.required(),
+    what_if: Joi.string().trim().min(3).max(500).required()
+  }),
+
+  // Applied in this order: scene updates, deletions, the new order of the remaining scenes, insertions.
+  // Inserted scenes go after after_scene_id, at the start for null, at the end when it is left out.
+  editStory: Joi.object({
+    title: Joi.string().trim().min(1).max(200),
+    scenes: Joi.array().items(Joi.object({
+      id: sceneRefSchema.required(),
+      ...sceneTextSchema
+    }).or('title', 'content', 'narration', 'dialogue')).min(1).max(24),
+    delete_scenes: Joi.array().items(sceneRefSchema).min(1).max(24).unique(),
+    scene_order: Joi.array().items(sceneRefSchema).min(1).max(24),
+    insert_scenes: Joi.array().items(Joi.object({
+      after_scene_id: sceneRefSchema.allow(null),
+      ...sceneTextSchema,
+      title: sceneTextSchema.title.required()
+    }).or('content', 'narration')).min(1).max(10),
+    summary: Joi.string().trim().max(200).optional()
+  }).or('title', 'scenes', 'delete_scenes', 'scene_order', 'insert_scenes'),
+
+  // passage is text selected in the scene; without it the action applies to the whole scene
+  sceneAssist: Joi.object({
+    action: Joi.string().valid('expand', 'shorten', 'add_dialogue', 'change_tone', 'funnier', 'simplify', 'continue').required(),
+    passage: Joi.string().min(1).max(5000).optional(),
+    tone: toneSchema.when('action', { is: 'change_tone', then: Joi.required(), otherwise: Joi.forbidden() })
+  }),
+
+  // voice_id overrides the voice picked for the language; narration is redone only if the source was narrated
+  translateStory: Joi.object({
+    language: languageSchema.required(),
+    voice_id: Joi.string().optional()
+  }),
+
   voiceNarration: Joi.object({
     text: Joi.string().min(1).max(5000).required(),
     voice_id: Joi.string().required(),
@@ -47,7 +197,37 @@ const schemas = {
   exportPdf: Joi.object({
     job_id: Joi.string().uuid().required(),
     title: Joi.string().max(200).optional(),
-    include_images: Joi.boolean().default(true)
+    include_images: Joi.boolean().default(true),
+    parallel_language: languageSchema.optional()
+  }),
+
+  // Parallel text: the story side by side with its translation into parallel_language
+  exportStory: Joi.object({
+    format: Joi.string().default('pdf'),
+    parallel_language: languageSchema.optional()
+  }),
+
+  moderationLog: Joi.object({
+    tenant_id: Joi.string().max(64).optional(),
+    blocked_only: Joi.boolean().default(false),
+    limit: Joi.number().integer().min(1).max(500).default(100)
+  }),
+
+  characterSheet: Joi.object({
+    style: styleSchema.default('cartoon')
+  }),
+
+  portraitParams: Joi.object({
+    id: Joi.string().required(),
+    style: styleSchema.required()
+  }),
+
+  lockPortrait: Joi.object({
+    locked: Joi.boolean().required()
+  }),
+
+  similarCharacters: Joi.object({
+    limit: Joi.number().integer().min(1).max(20).default(5)
   }),
 
   createShare: Joi.object({
@@ -59,7 +239,8 @@ const schemas = {
 
 // Middleware functions
 function validateImageUpload(req, res, next) {
-  const { error } = schemas.imageUpload.validate(req.body);
+  const schema = req.params.id ? schemas.referenceUpload : schemas.imageUpload;
+  const { error } = schema.validate(req.body);
   
   if (error) {
     return res.status(400).json({
@@ -70,9 +251,9 @@ function validateImageUpload(req, res, next) {
   }
 
   // Additional file validation
-  if (req.file) {
+  for (const file of req.files || (req.file ? [req.file] : [])) {
     const maxSize = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024; // 10MB
-    if (req.file.size > maxSize) {
+    if (file.size > maxSize) {
       return res.status(400).json({
         error: 'File too large',
         message: `Maximum file size is ${Math.round(maxSize / (1024 * 1024))}MB`
@@ -80,7 +261,7 @@ function validateImageUpload(req, res, next) {
     }
 
     const allowedTypes = (process.env.ALLOWED_MIME_TYPES || 'image/jpeg,image/png,image/webp').split(',');
-    if (!allowedTypes.includes(req.file.mimetype)) {
+    if (!allowedTypes.includes(file.mimetype)) {
       return res.status(400).json({
         error: 'Invalid file type',
         message: `Allowed types: ${allowedTypes.join(', ')}`
@@ -104,7 +285,35 @@ function validateGenerationRequest(req, res, next) {
 
   // Replace req.body with validated and default values
   req.body = value;
-  next();
+
+  // The prompt is checked before it reaches any story prompt
+  moderateRequestText('prompt')(req, res, next);
+}
+
+// Reject a request whose text field fails content moderation. Leaves the tenant
+// and strictness on req.moderation for the checks further down the pipeline.
+function moderateRequestText(field, kind = field) {
+  return async (req, res, next) => {
+    try {
+      const tenantId = getTenantId(req);
+      const strictness = resolveStrictness(tenantId, req.body.options);
+      const decision = await moderateText(req.body[field], { kind, tenantId, strictness });
+
+      if (!decision.allowed) {
+        return res.status(422).json({
+          error: 'Content not allowed',
+          message: `The ${field.replace(/_/g, ' ')} contains content that is not allowed (${decision.blocked_categories.join(', ')})`,
+          field,
+          categories: decision.blocked_categories
+        });
+      }
+
+      req.moderation = { tenantId, strictness };
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
 }
 
 function validateVoiceRequest(req, res, next) {
@@ -189,6 +398,23 @@ function validateQueryParams(schema) {
   };
 }
 
+// Path parameter validation
+function validateParams(schema) {
+  return (req, res, next) => {
+    const { error } = schema.validate(req.params);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Parameter validation failed',
+        message: error.details[0].message,
+        parameter: error.details[0].path.join('.')
+      });
+    }
+
+    next();
+  };
+}
+
 // Request sanitization
 function sanitizeInput(req, res, next) {
   function sanitizeObject(obj) {
@@ -237,11 +463,13 @@ function validateContentType(allowedTypes) {
 module.exports = {
   validateImageUpload,
   validateGenerationRequest,
+  moderateRequestText,
   validateVoiceRequest,
   validateExportRequest,
   validateShareRequest,
   validate,
   validateQueryParams,
+  validateParams,
   sanitizeInput,
   validateContentType,
   schemas
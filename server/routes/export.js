@@ -1,16 +1,19 @@
 const express = require('express');
-const { PDFDocument, rgb } = require('pdf-lib');
 const path = require('path');
 const fs = require('fs').promises;
 const { uploadToStorage } = require('../services/storage');
 const { requireAuth } = require('../middleware/auth');
+const { buildStorybookPdf } = require('../services/storybookPdf');
+const { findTranslation } = require('../services/storyTranslation');
+const { getLanguageName } = require('../services/languages');
+const { validateExportRequest, validateQueryParams, schemas } = require('../middleware/validation');
 
 const router = express.Router();
 
 // Export story as PDF
-router.post('/pdf', async (req, res) => {
+router.post('/pdf', validateExportRequest, async (req, res) => {
   try {
-    const { job_id, title, include_images = true } = req.body;
+    const { job_id, title, include_images = true, parallel_language } = req.body;
 
     if (!job_id) {
       return res.status(400).json({
@@ -26,108 +29,17 @@ router.post('/pdf', async (req, res) => {
     const resultData = await fs.readFile(resultPath, 'utf8');
     const result = JSON.parse(resultData);
 
-    // Create PDF
-    const pdfDoc = await PDFDocument.create();
-    const page = pdfDoc.addPage([595, 842]); // A4 size
-    
-    const { width, height } = page.getSize();
-    let yPosition = height - 50;
-
-    // Title
-    const titleText = title || result.story.title || 'TaleCraft AI Story';
-    page.drawText(titleText, {
-      x: 50,
-      y: yPosition,
-      size: 24,
-      color: rgb(0.1, 0.1, 0.1)
-    });
-    yPosition -= 60;
-
-    // Character info
-    page.drawText(`Character: ${result.metadata.character_name}`, {
-      x: 50,
-      y: yPosition,
-      size: 12,
-      color: rgb(0.3, 0.3, 0.3)
-    });
-    yPosition -= 20;
-
-    page.drawText(`Style: ${result.metadata.style} | Genre: ${result.metadata.genre}`, {
-      x: 50,
-      y: yPosition,
-      size: 12,
-      color: rgb(0.3, 0.3, 0.3)
-    });
-    yPosition -= 40;
-
-    // Story content
-    if (result.story.scenes && result.story.scenes.length > 0) {
-      for (let i = 0; i < result.story.scenes.length; i++) {
-        const scene = result.story.scenes[i];
-        
-        // Scene title
-        page.drawText(`Scene ${i + 1}: ${scene.title || `Scene ${i + 1}`}`, {
-          x: 50,
-          y: yPosition,
-          size: 16,
-          color: rgb(0.2, 0.2, 0.2)
-        });
-        yPosition -= 30;
-
-        // Scene description
-        const description = scene.description || scene.text || 'No description available';
-        const words = description.split(' ');
-        let line = '';
-        
-        for (const word of words) {
-          const testLine = line + word + ' ';
-          if (testLine.length > 80) { // Approximate character limit per line
-            page.drawText(line.trim(), {
-              x: 50,
-              y: yPosition,
-              size: 11,
-              color: rgb(0, 0, 0)
-            });
-            yPosition -= 18;
-            line = word + ' ';
-          } else {
-            line = testLine;
-          }
-          
-          // Check if we need a new page
-          if (yPosition < 100) {
-            const newPage = pdfDoc.addPage([595, 842]);
-            yPosition = height - 50;
-          }
-        }
-        
-        if (line.trim()) {
-          page.drawText(line.trim(), {
-            x: 50,
-            y: yPosition,
-            size: 11,
-            color: rgb(0, 0, 0)
-          });
-          yPosition -= 30;
-        }
-      }
+    // Parallel text needs the story's translation into parallel_language
+    const translation = parallel_language ? await findTranslation(job_id, parallel_language) : null;
+    if (parallel_language && !translation) {
+      return res.status(404).json({
+        error: 'Translation not found',
+        message: `This story has not been translated into ${getLanguageName(parallel_language)}`
+      });
     }
 
-    // Footer
-    const currentPage = pdfDoc.getPages()[pdfDoc.getPageCount() - 1];
-    currentPage.drawText('Generated by TaleCraft AI', {
-      x: 50,
-      y: 30,
-      size: 10,
-      color: rgb(0.5, 0.5, 0.5)
-    });
-
-    currentPage.drawText(new Date().toLocaleDateString(), {
-      x: width - 100,
-      y: 30,
-      size: 10,
-      color: rgb(0.5, 0.5, 0.5)
-    });
+    const titleText = title || result.story.title || 'TaleCraft AI Story';
+    const pdfDoc = await buildStorybookPdf(result, { title: titleText, translation: translation?.result });
 
     // Generate PDF buffer
     const pdfBytes = await pdfDoc.save();
@@ -157,10 +69,11 @@ router.post('/pdf', async (req, res) => {
 });
 
 // Export story by ID with format parameter (for frontend compatibility)
-router.post('/:storyId', requireAuth, async (req, res) => {
+// ?parallel_language=es sets the story side by side with its Spanish translation
+router.post('/:storyId', requireAuth, validateQueryParams(schemas.exportStory), async (req, res) => {
   try {
     const { storyId } = req.params;
-    const { format = 'pdf' } = req.query;
+    const { format = 'pdf', parallel_language } = req.query;
 
     if (format !== 'pdf') {
       return res.status(400).json({
@@ -178,150 +91,16 @@ router.post('/:storyId', requireAuth, async (req, res) => {
       const resultData = await fs.readFile(resultPath, 'utf8');
       const result = JSON.parse(resultData);
 
-      // Create PDF using the same logic as the existing /pdf route
-      const pdfDoc = await PDFDocument.create();
-      const page = pdfDoc.addPage([595, 842]); // A4 size
-      
-      const { width, height } = page.getSize();
-      let yPosition = height - 50;
-
-      // Title
-      const titleText = result.story?.title || 'TaleCraft AI Story';
-      page.drawText(titleText, {
-        x: 50,
-        y: yPosition,
-        size: 24,
-        color: rgb(0.1, 0.1, 0.1)
-      });
-      yPosition -= 60;
-
-      // Character info
-      if (result.metadata?.character_name) {
-        page.drawText(`Character: ${result.metadata.character_name}`, {
-          x: 50,
-          y: yPosition,
-          size: 12,
-          color: rgb(0.3, 0.3, 0.3)
-        });
-        yPosition -= 20;
-      }
-
-      // Style and genre info
-      if (result.metadata?.style || result.metadata?.genre) {
-        page.drawText(`Style: ${result.metadata?.style || 'Unknown'} | Genre: ${result.metadata?.genre || 'Unknown'}`, {
-          x: 50,
-          y: yPosition,
-          size: 12,
-          color: rgb(0.3, 0.3, 0.3)
+      const translation = parallel_language ? await findTranslation(storyId, parallel_language) : null;
+      if (parallel_language && !translation) {
+        return res.status(404).json({
+          error: 'Translation not found',
+          message: `This story has not been translated into ${getLanguageName(parallel_language)}`
         });
-        yPosition -= 40;
       }
 
-      // Story content
-      if (result.story?.scenes && result.story.scenes.length > 0) {
-        for (let i = 0; i < result.story.scenes.length; i++) {
-          const scene = result.story.scenes[i];
-          
-          // Scene title
-          page.drawText(`Scene ${i + 1}: ${scene.title || `Scene ${i + 1}`}`, {
-            x: 50,
-            y: yPosition,
-            size: 16,
-            color: rgb(0.2, 0.2, 0.2)
-          });
-          yPosition -= 30;
-
-          // Scene content
-          const content = scene.content || scene.description || scene.text || 'No content available';
-          const words = content.split(' ');
-          let line = '';
-          
-          for (const word of words) {
-            const testLine = line + word + ' ';
-            if (testLine.length > 80) { // Approximate character limit per line
-              page.drawText(line.trim(), {
-                x: 50,
-                y: yPosition,
-                size: 11,
-                color: rgb(0, 0, 0)
-              });
-              yPosition -= 18;
-              line = word + ' ';
-            } else {
-              line = testLine;
-            }
-            
-            // Check if we need a new page
-            if (yPosition < 100) {
-              const newPage = pdfDoc.addPage([595, 842]);
-              yPosition = height - 50;
-              page = newPage; // Update current page reference
-            }
-          }
-          
-          if (line.trim()) {
-            page.drawText(line.trim(), {
-              x: 50,
-              y: yPosition,
-              size: 11,
-              color: rgb(0, 0, 0)
-            });
-            yPosition -= 30;
-          }
-        }
-      } else if (result.story?.content) {
-        // Handle single content block
-        const content = result.story.content;
-        const words = content.split(' ');
-        let line = '';
-        
-        for (const word of words) {
-          const testLine = line + word + ' ';
-          if (testLine.length > 80) {
-            page.drawText(line.trim(), {
-              x: 50,
-              y: yPosition,
-              size: 11,
-              color: rgb(0, 0, 0)
-            });
-            yPosition -= 18;
-            line = word + ' ';
-          } else {
-            line = testLine;
-          }
-          
-          if (yPosition < 100) {
-            const newPage = pdfDoc.addPage([595, 842]);
-            yPosition = height - 50;
-            page = newPage;
-          }
-        }
-        
-        if (line.trim()) {
-          page.drawText(line.trim(), {
-            x: 50,
-            y: yPosition,
-            size: 11,
-            color: rgb(0, 0, 0)
-          });
-        }
-      }
-
-      // Footer
-      const currentPage = pdfDoc.getPages()[pdfDoc.getPageCount() - 1];
-      currentPage.drawText('Generated by TaleCraft AI', {
-        x: 50,
-        y: 30,
-        size: 10,
-        color: rgb(0.5, 0.5, 0.5)
-      });
-
-      currentPage.drawText(new Date().toLocaleDateString(), {
-        x: width - 100,
-        y: 30,
-        size: 10,
-        color: rgb(0.5, 0.5, 0.5)
-      });
+      const titleText = result.story?.title || 'TaleCraft AI Story';
+      const pdfDoc = await buildStorybookPdf(result, { title: titleText, translation: translation?.result });
 
       // Generate PDF buffer
       const pdfBytes = await pdfDoc.save();
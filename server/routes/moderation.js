@@ -0,0 +1,59 @@
+const express = require('express');
+const { validateQueryParams, schemas } = require('../middleware/validation');
+const { listModerationLog, resolveStrictness, getTenantId } = require('../services/moderation');
+const { optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// The log holds user prompts, so it is only served to holders of MODERATION_ADMIN_TOKEN
+function requireModerationAdmin(req, res, next) {
+  const token = process.env.MODERATION_ADMIN_TOKEN;
+
+  if (!token) {
+    return res.status(403).json({
+      error: 'Moderation log disabled',
+      message: 'Set MODERATION_ADMIN_TOKEN to enable the moderation log API'
+    });
+  }
+
+  if (req.get('X-Admin-Token') !== token) {
+    return res.status(401).json({
+      error: 'Invalid admin token',
+      message: 'A valid X-Admin-Token header is required'
+    });
+  }
+
+  next();
+}
+
+// Strictness that applies to the calling tenant
+router.get('/settings', optionalAuth, (req, res) => {
+  const tenantId = getTenantId(req);
+  res.json({
+    success: true,
+    tenant_id: tenantId,
+    strictness: resolveStrictness(tenantId)
+  });
+});
+
+router.get('/log', requireModerationAdmin, validateQueryParams(schemas.moderationLog), async (req, res) => {
+  try {
+    const { tenant_id, blocked_only, limit } = req.query;
+    const entries = await listModerationLog({ tenantId: tenant_id, blockedOnly: blocked_only, limit });
+
+    res.json({
+      success: true,
+      count: entries.length,
+      entries
+    });
+
+  } catch (error) {
+    console.error('Moderation log error:', error);
+    res.status(500).json({
+      error: 'Failed to load moderation log',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
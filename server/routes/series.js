@@ -0,0 +1,176 @@
+const express = require('express');
+const { validate, moderateRequestText, schemas } = require('../middleware/validation');
+const { optionalAuth } = require('../middleware/auth');
+const { getJobQueue, TERMINAL_STATUSES } = require('../services/jobQueue');
+const { createJobRecord } = require('../services/storyPipeline');
+const { normalizeCastRequest } = require('../services/storyCast');
+const { createSeries, getSeries, addEpisode } = require('../services/series');
+
+const router = express.Router();
+const jobQueue = getJobQueue();
+
+// Load a series the caller may use, or send the error response
+async function loadSeriesForRequest(req, res) {
+  const series = await getSeries(req.params.id);
+
+  if (!series) {
+    res.status(404).json({
+      error: 'Series not found',
+      message: `Series with ID ${req.params.id} does not exist`
+    });
+    return null;
+  }
+
+  if (series.user_id && series.user_id !== req.user?.id) {
+    res.status(403).json({
+      error: 'Access denied',
+      message: 'This series belongs to another user'
+    });
+    return null;
+  }
+
+  return series;
+}
+
+// Episode list with live status from the job queue for unfinished episodes
+async function describeEpisodes(series) {
+  return Promise.all(series.episodes.map(async (episode) => {
+    if (episode.status === 'completed') return episode;
+
+    const job = await jobQueue.getJob(episode.job_id);
+    return {
+      ...episode,
+      status: job?.status || 'missing',
+      progress: job?.progress || 0
+    };
+  }));
+}
+
+// Create a series; episodes share its cast, style, genre and options
+router.post('/', optionalAuth, validate(schemas.createSeries), async (req, res) => {
+  try {
+    const { title, description, style, genre, options } = req.body;
+    const characters = normalizeCastRequest(req.body.dna_id, req.body.characters);
+
+    const series = await createSeries({
+      title,
+      description,
+      settings: { dna_id: characters[0].dna_id, characters, style, genre, options }
+    }, req.user?.id || null);
+
+    res.status(201).json({
+      success: true,
+      series,
+      message: 'Series created'
+    });
+
+  } catch (error) {
+    console.error('Create series error:', error);
+    res.status(500).json({
+      error: 'Failed to create series',
+      message: error.message
+    });
+  }
+});
+
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const series = await loadSeriesForRequest(req, res);
+    if (!series) return;
+
+    res.json({
+      success: true,
+      series: { ...series, episodes: await describeEpisodes(series) }
+    });
+
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({
+      error: 'Failed to load series',
+      message: error.message
+    });
+  }
+});
+
+router.get('/:id/episodes', optionalAuth, async (req, res) => {
+  try {
+    const series = await loadSeriesForRequest(req, res);
+    if (!series) return;
+
+    const episodes = await describeEpisodes(series);
+    res.json({
+      success: true,
+      series_id: series.id,
+      total_episodes: episodes.length,
+      episodes
+    });
+
+  } catch (error) {
+    console.error('List episodes error:', error);
+    res.status(500).json({
+      error: 'Failed to list episodes',
+      message: error.message
+    });
+  }
+});
+
+// Generate the next episode, carrying the continuity summary forward
+router.post('/:id/episodes', optionalAuth, validate(schemas.generateEpisode), moderateRequestText('prompt'), async (req, res) => {
+  try {
+    const series = await loadSeriesForRequest(req, res);
+    if (!series) return;
+
+    // Continuity is only updated once an episode completes, so episodes run one at a time
+    const episodes = await describeEpisodes(series);
+    const inProgress = episodes.find(episode => episode.status !== 'missing' && !TERMINAL_STATUSES.includes(episode.status));
+    if (inProgress) {
+      return res.status(409).json({
+        error: 'Episode in progress',
+        message: `Episode ${inProgress.episode_number} is still generating, wait for it to finish`,
+        job_id: inProgress.job_id
+      });
+    }
+
+    const { prompt, options = {} } = req.body;
+    const { dna_id, characters, style, genre } = series.settings;
+    const job = createJobRecord({
+      prompt,
+      dna_id,
+      characters,
+      style,
+      genre,
+      options: { ...series.settings.options, ...options },
+      tenantId: req.moderation.tenantId,
+      userId: req.user?.id
+    });
+
+    const episode = await addEpisode(series.id, { jobId: job.id, prompt });
+    job.series = {
+      id: series.id,
+      episode_number: episode.episode_number,
+      continuity: series.continuity
+    };
+
+    await jobQueue.createJob(job);
+    console.log(`📥 Episode ${episode.episode_number} of series ${series.id} queued as job ${job.id}`);
+
+    res.json({
+      success: true,
+      job_id: job.id,
+      series_id: series.id,
+      episode_number: episode.episode_number,
+      status: 'started',
+      estimated_time: `${job.estimatedDuration}s`,
+      message: `Episode ${episode.episode_number} generation started`
+    });
+
+  } catch (error) {
+    console.error('Generate episode error:', error);
+    res.status(500).json({
+      error: 'Failed to start episode generation',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs').promises;
 const { FreeHybridStableDiffusionService } = require('../services/freeHybridStableDiffusion');
+const { getTextProviderRegistry } = require('../services/textProviders');
 
 const router = express.Router();
 
@@ -50,6 +51,27 @@ router.get('/services', async (req, res) => {
   }
 });
 
+// Text provider order, health and per-story cost estimates
+router.get('/text-providers', async (req, res) => {
+  try {
+    const registry = getTextProviderRegistry();
+    const health = await registry.health();
+
+    res.json({
+      success: true,
+      ...health,
+      cost_estimates: registry.estimateCost({ sceneCount: req.query.sceneCount }),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Text provider status check error:', error);
+    res.status(500).json({
+      error: 'Failed to check text providers',
+      message: error.message
+    });
+  }
+});
+
 // Get job status
 router.get('/:id', async (req, res) => {
   try {
@@ -2,9 +2,22 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs').promises;
 const { requireAuth } = require('../middleware/auth');
+const { validate, moderateRequestText, schemas } = require('../middleware/validation');
 const { saveGeneration, getUserGenerations, updateGeneration } = require('../services/supabase');
+const { getJobQueue } = require('../services/jobQueue');
+const { loadResult, findSceneIndex, isStoryOwner } = require('../services/sceneRegeneration');
+const { createVariation, getVariationTree } = require('../services/storyVariations');
+const { chooseBranch, describeStoryGraph, getReaderPath, summarizeReaderPaths } = require('../services/interactiveStory');
+const { loadStoryCast } = require('../services/storyPipeline');
+const { ModerationError, moderateText, getTenantId } = require('../services/moderation');
+const { isTranslationAvailable, TRANSLATION_UNAVAILABLE_MESSAGE, getTranslations, getResultLanguage } = require('../services/storyTranslation');
+const { createTaskRecord } = require('../services/taskJobs');
+const { getLanguageName } = require('../services/languages');
+const { editStory, listRevisions, restoreRevision } = require('../services/storyEditing');
+const { proposeSceneAssist } = require('../services/sceneAssist');
 
 const router = express.Router();
+const jobQueue = getJobQueue();
 
 // Save a story to user's account
 router.post('/save', requireAuth, async (req, res) => {
@@ -490,6 +503,552 @@ router.post('/:storyId/generate-video', requireAuth, async (req, res) => {
   }
 });
 
+// Load a story whose generation has finished, or send the error response
+// Pass `owned` for changes only the story's owner may make (see isStoryOwner)
+async function loadFinishedStory(req, res, { owned = false } = {}) {
+  const job = await jobQueue.getJob(req.params.id);
+  if (job && job.status !== 'completed') {
+    res.status(409).json({
+      error: 'Job not completed',
+      message: `Job status is '${job.status}', wait for generation to complete`
+    });
+    return null;
+  }
+
+  const result = await loadResult(req.params.id);
+  if (!result) {
+    res.status(404).json({
+      error: 'Story not found',
+      message: 'The requested story could not be found'
+    });
+    return null;
+  }
+
+  if (owned && !isStoryOwner(result, job, req.user?.id)) {
+    res.status(403).json({
+      error: 'Access denied',
+      message: result.metadata?.user_id || job?.user_id
+        ? 'You can only change your own stories'
+        : 'Stories generated while signed out can\'t be changed'
+    });
+    return null;
+  }
+
+  return { job, result };
+}
+
+// Fork a finished story at a scene: "what if ...?" rewrites every scene after it
+router.post('/:id/variations', validate(schemas.createVariation), moderateRequestText('what_if', 'variation'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { scene_id, what_if } = req.body;
+
+    const loaded = await loadFinishedStory(req, res);
+    if (!loaded) return;
+
+    const { job, result } = loaded;
+    if (result.story.mode === 'interactive') {
+      return res.status(400).json({
+        error: 'Interactive story',
+        message: 'Interactive stories already branch at every scene, pick a different choice instead'
+      });
+    }
+
+    const scenes = result.story?.scenes || [];
+    const sceneIndex = findSceneIndex(result, scene_id);
+    if (sceneIndex === -1) {
+      return res.status(404).json({
+        error: 'Scene not found',
+        message: `Scene ${scene_id} does not exist in this story`,
+        available_scenes: scenes.map(scene => scene.id)
+      });
+    }
+
+    if (sceneIndex === scenes.length - 1) {
+      return res.status(400).json({
+        error: 'Invalid fork scene',
+        message: 'The last scene has nothing after it to change, fork at an earlier scene'
+      });
+    }
+
+    const { id: variationId, result: variation } = await createVariation(id, sceneIndex, what_if, { job });
+
+    res.status(201).json({
+      success: true,
+      story_id: variationId,
+      parent_id: id,
+      title: variation.story.title,
+      variation: variation.metadata.variation,
+      message: 'Story variation created'
+    });
+
+  } catch (error) {
+    if (error instanceof ModerationError) {
+      return res.status(422).json({
+        error: 'Content not allowed',
+        message: 'The variation could not be written within the content rules, try another what-if',
+        categories: error.decision.blocked_categories
+      });
+    }
+
+    console.error('Create variation error:', error);
+    res.status(500).json({
+      error: 'Failed to create variation',
+      message: error.message
+    });
+  }
+});
+
+// Branch tree of the story's family, from the original story down
+router.get('/:id/variations', async (req, res) => {
+  try {
+    const variations = await getVariationTree(req.params.id);
+    if (!variations) {
+      return res.status(404).json({
+        error: 'Story not found',
+        message: 'The requested story could not be found'
+      });
+    }
+
+    res.json({
+      success: true,
+      story_id: req.params.id,
+      ...variations
+    });
+
+  } catch (error) {
+    console.error('Get variations error:', error);
+    res.status(500).json({
+      error: 'Failed to load variations',
+      message: error.message
+    });
+  }
+});
+
+// Translate a finished story into another language. The translation is a story of its own
+// that shares the storyboards and is narrated again, so it runs as a queued job: poll
+// GET /api/generate/:job_id/status, whose result holds the translation's story_id.
+router.post('/:id/translate', requireAuth, validate(schemas.translateStory), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { language, voice_id } = req.body;
+
+    const loaded = await loadFinishedStory(req, res, { owned: true });
+    if (!loaded) return;
+
+    const { job, result } = loaded;
+    if (result.story.mode === 'interactive') {
+      return res.status(400).json({
+        error: 'Interactive story',
+        message: 'Interactive stories are written as readers play them and cannot be translated'
+      });
+    }
+
+    const existing = (await getTranslations(id)).translations.find(version => version.language === language);
+    if (existing) {
+      return res.status(409).json({
+        error: 'Translation exists',
+        message: existing.is_original
+          ? `This story was written in ${getLanguageName(language)}`
+          : `This story already has a ${getLanguageName(language)} translation`,
+        story_id: existing.id
+      });
+    }
+
+    if (!isTranslationAvailable()) {
+      return res.status(503).json({
+        error: 'Translation unavailable',
+        message: TRANSLATION_UNAVAILABLE_MESSAGE
+      });
+    }
+
+    const translationJob = createTaskRecord('translation', { story_id: id, language, voice_id }, {
+      message: `Waiting to translate into ${getLanguageName(language)}...`,
+      estimatedDuration: result.audio_narration ? 120 : 45,
+      tenantId: job?.tenant_id || result.metadata?.tenant_id
+    });
+    await jobQueue.createJob(translationJob);
+
+    res.status(202).json({
+      success: true,
+      job_id: translationJob.id,
+      story_id: id,
+      language,
+      status: translationJob.status,
+      message: `Translation into ${getLanguageName(language)} queued`
+    });
+
+  } catch (error) {
+    console.error('Translate story error:', error);
+    res.status(500).json({
+      error: 'Failed to translate story',
+      message: error.message
+    });
+  }
+});
+
+// Every language the story is available in, the original first
+router.get('/:id/translations', async (req, res) => {
+  try {
+    const translations = await getTranslations(req.params.id);
+    if (!translations) {
+      return res.status(404).json({
+        error: 'Story not found',
+        message: 'The requested story could not be found'
+      });
+    }
+
+    res.json({
+      success: true,
+      story_id: req.params.id,
+      ...translations
+    });
+
+  } catch (error) {
+    console.error('Get translations error:', error);
+    res.status(500).json({
+      error: 'Failed to load translations',
+      message: error.message
+    });
+  }
+});
+
+// Follow a choice in an interactive story. The branch is generated the first
+// time anyone picks it, so this can take as long as writing and drawing a scene.
+router.post('/:id/nodes/:nodeId/choices/:choiceId', validate(schemas.chooseBranch), async (req, res) => {
+  try {
+    const { id, nodeId, choiceId } = req.params;
+
+    const loaded = await loadFinishedStory(req, res);
+    if (!loaded) return;
+
+    const { job, result } = loaded;
+    if (result.story.mode !== 'interactive') {
+      return res.status(400).json({
+        error: 'Not an interactive story',
+        message: 'Only interactive stories have choices'
+      });
+    }
+
+    const node = result.story.nodes[nodeId];
+    const choice = node?.choices.find(entry => entry.id === choiceId);
+    if (!choice) {
+      return res.status(404).json({
+        error: node ? 'Choice not found' : 'Node not found',
+        message: node ? `Choice ${choiceId} does not exist in node ${nodeId}` : `Node ${nodeId} does not exist in this story`,
+        ...(node && { available_choices: node.choices.map(entry => entry.id) })
+      });
+    }
+
+    const { characterDNA, cast } = await loadStoryCast(result, job);
+    const { node: next, generated } = await chooseBranch(id, nodeId, choiceId, {
+      readerId: req.body.reader_id,
+      characterDNA,
+      cast,
+      job
+    });
+
+    res.json({
+      success: true,
+      story_id: id,
+      choice_id: choiceId,
+      generated,
+      node: next
+    });
+
+  } catch (error) {
+    if (error instanceof ModerationError) {
+      return res.status(422).json({
+        error: 'Content not allowed',
+        message: 'This path could not be written within the content rules, try another choice',
+        categories: error.decision.blocked_categories
+      });
+    }
+
+    console.error('Choose branch error:', error);
+    res.status(500).json({
+      error: 'Failed to follow choice',
+      message: error.message
+    });
+  }
+});
+
+// Where readers go: totals and endings reached
+router.get('/:id/paths', async (req, res) => {
+  try {
+    const result = await loadResult(req.params.id);
+    if (!result || result.story?.mode !== 'interactive') {
+      return res.status(404).json({
+        error: 'Story not found',
+        message: 'No interactive story with this ID'
+      });
+    }
+
+    res.json({
+      success: true,
+      story_id: req.params.id,
+      ...summarizeReaderPaths(result)
+    });
+
+  } catch (error) {
+    console.error('Reader paths error:', error);
+    res.status(500).json({
+      error: 'Failed to load reader paths',
+      message: error.message
+    });
+  }
+});
+
+// One reader's path, so they can pick up where they left off
+router.get('/:id/paths/:readerId', async (req, res) => {
+  try {
+    const result = await loadResult(req.params.id);
+    const path = result?.story?.mode === 'interactive' ? getReaderPath(result, req.params.readerId) : null;
+    if (!path) {
+      return res.status(404).json({
+        error: 'Path not found',
+        message: `Reader ${req.params.readerId} has not made any choices in this story`
+      });
+    }
+
+    res.json({
+      success: true,
+      story_id: req.params.id,
+      reader_id: req.params.readerId,
+      ...path
+    });
+
+  } catch (error) {
+    console.error('Reader path error:', error);
+    res.status(500).json({
+      error: 'Failed to load reader path',
+      message: error.message
+    });
+  }
+});
+
+// Keep the job's copy of the result in step with hand edits
+async function syncJobResult(job, result) {
+  if (!job) return;
+  job.result = result;
+  await jobQueue.saveJob(job);
+}
+
+// Every piece of text an edit writes into the story
+function getEditText(edit) {
+  const scenes = [...(edit.scenes || []), ...(edit.insert_scenes || [])];
+  return [
+    edit.title,
+    ...scenes.flatMap(scene => [
+      scene.title,
+      scene.content,
+      scene.narration,
+      ...(scene.dialogue || []).map(entry => `${entry.speaker}: ${entry.line}`)
+    ])
+  ].filter(Boolean).join('\n\n');
+}
+
+// Edit a finished story's title and scenes. Each edit becomes a revision; scenes whose
+// text changed list their storyboard and narration in stale_assets until regenerated.
+router.patch('/:id', requireAuth, validate(schemas.editStory), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const loaded = await loadFinishedStory(req, res, { owned: true });
+    if (!loaded) return;
+
+    if (loaded.result.story.mode === 'interactive') {
+      return res.status(400).json({
+        error: 'Interactive story',
+        message: 'Interactive stories are written as readers play them and cannot be edited'
+      });
+    }
+
+    const decision = await moderateText(getEditText(req.body), {
+      kind: 'edit',
+      tenantId: getTenantId(req),
+      subjectId: id
+    });
+    if (!decision.allowed) {
+      return res.status(422).json({
+        error: 'Content not allowed',
+        message: `The edit contains content that is not allowed (${decision.blocked_categories.join(', ')})`,
+        categories: decision.blocked_categories
+      });
+    }
+
+    const { result, revision } = await editStory(id, req.body, {
+      editor: { id: req.user.id, email: req.user.email }
+    });
+    await syncJobResult(loaded.job, result);
+
+    res.json({
+      success: true,
+      story_id: id,
+      title: result.story.title,
+      scenes: result.story.scenes,
+      revision,
+      stale_assets: result.stale_assets,
+      message: `Story updated (revision ${revision.number})`
+    });
+
+  } catch (error) {
+    if (error.invalidEdit) {
+      return res.status(400).json({
+        error: 'Invalid edit',
+        message: error.message
+      });
+    }
+
+    console.error('Edit story error:', error);
+    res.status(500).json({
+      error: 'Failed to edit story',
+      message: error.message
+    });
+  }
+});
+
+// Co-writing assist on a scene or a passage of it. Nothing changes until the user accepts:
+// the response's `edit` is the PATCH /api/stories/:id body that applies the proposal.
+router.post('/:id/scenes/:sceneId/assist', requireAuth, validate(schemas.sceneAssist), async (req, res) => {
+  try {
+    const { id, sceneId } = req.params;
+
+    const loaded = await loadFinishedStory(req, res, { owned: true });
+    if (!loaded) return;
+
+    const { job, result } = loaded;
+    if (result.story.mode === 'interactive') {
+      return res.status(400).json({
+        error: 'Interactive story',
+        message: 'Interactive stories are written as readers play them and cannot be edited'
+      });
+    }
+
+    if (findSceneIndex(result, sceneId) === -1) {
+      return res.status(404).json({
+        error: 'Scene not found',
+        message: `Scene ${sceneId} does not exist in this story`,
+        available_scenes: (result.story.scenes || []).map(scene => scene.id)
+      });
+    }
+
+    const proposal = await proposeSceneAssist(result, sceneId, req.body, { job });
+
+    const decision = await moderateText(proposal.proposed, {
+      kind: 'assist',
+      tenantId: getTenantId(req),
+      subjectId: id
+    });
+    if (!decision.allowed) {
+      return res.status(422).json({
+        error: 'Content not allowed',
+        message: 'The suggestion did not meet the content rules, try again or pick another action',
+        categories: decision.blocked_categories
+      });
+    }
+
+    res.json({
+      success: true,
+      story_id: id,
+      ...proposal,
+      message: 'Suggestion ready for review'
+    });
+
+  } catch (error) {
+    if (error.invalidAssist) {
+      return res.status(400).json({
+        error: 'Invalid passage',
+        message: error.message
+      });
+    }
+    if (error.assistUnavailable) {
+      return res.status(503).json({
+        error: 'Assist unavailable',
+        message: error.message
+      });
+    }
+
+    console.error('Scene assist error:', error);
+    res.status(500).json({
+      error: 'Failed to run writing assist',
+      message: error.message
+    });
+  }
+});
+
+// Edit history, newest first
+router.get('/:id/revisions', async (req, res) => {
+  try {
+    const result = await loadResult(req.params.id);
+    if (!result) {
+      return res.status(404).json({
+        error: 'Story not found',
+        message: 'The requested story could not be found'
+      });
+    }
+
+    res.json({
+      success: true,
+      story_id: req.params.id,
+      revisions: listRevisions(result)
+    });
+
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({
+      error: 'Failed to load revisions',
+      message: error.message
+    });
+  }
+});
+
+// Bring the story back to an earlier revision, together with the storyboards and
+// narration it had then. The restore is recorded as a new revision.
+router.post('/:id/revisions/:revisionId/restore', requireAuth, async (req, res) => {
+  try {
+    const { id, revisionId } = req.params;
+
+    const loaded = await loadFinishedStory(req, res, { owned: true });
+    if (!loaded) return;
+
+    const { result, revision } = await restoreRevision(id, revisionId, {
+      editor: { id: req.user.id, email: req.user.email }
+    });
+    await syncJobResult(loaded.job, result);
+
+    res.json({
+      success: true,
+      story_id: id,
+      title: result.story.title,
+      scenes: result.story.scenes,
+      revision,
+      stale_assets: result.stale_assets,
+      message: `Restored revision ${revision.restored_from}`
+    });
+
+  } catch (error) {
+    if (error.revisionNotFound) {
+      return res.status(404).json({
+        error: 'Revision not found',
+        message: error.message
+      });
+    }
+    if (error.invalidEdit) {
+      return res.status(400).json({
+        error: 'Invalid restore',
+        message: error.message
+      });
+    }
+
+    console.error('Restore revision error:', error);
+    res.status(500).json({
+      error: 'Failed to restore revision',
+      message: error.message
+    });
+  }
+});
+
 // Get a single story by ID (for sharing) - MUST BE LAST to avoid conflicts
 router.get('/:id', async (req, res) => {
   try {
@@ -545,10 +1104,20 @@ router.get('/:id', async (req, res) => {
             (story.scenes ? `${story.scenes.length * 2}-${story.scenes.length * 3} min` : '5-10 min'),
           sceneUrls: result.scene_urls || storyboardUrls,
           storyboardUrls: storyboardUrls,
+          // Full entries keyed by scene, with the exact prompt each image was drawn from
+          storyboards: (result.storyboard_urls || []).filter(item => typeof item === 'object' && item.sceneId),
           videoUrl: result.video_url,
           audioUrl: result.audio_narration?.audioUrl,
           audio_narration: result.audio_narration,
           createdAt: result.metadata?.generated_at || new Date().toISOString(),
+          variation: result.metadata?.variation || null,
+          variations: result.variations || [],
+          language: getResultLanguage(result),
+          translation: result.metadata?.translation || null,
+          stale_assets: result.stale_assets || {},
+          revision: result.revisions?.[0]?.number || 0,
+          mode: story.mode || 'linear',
+          ...(story.mode === 'interactive' && { graph: describeStoryGraph(result) }),
           metadata: {
             ...result.metadata,
             generatedBy: "Gemini AI",
@@ -1,13 +1,34 @@
 const express = require('express');
 const multer = require('multer');
-const sharp = require('sharp');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const fs = require('fs').promises;
-const { uploadToStorage, deleteFromStorage } = require('../services/storage');
-const { generateCLIPEmbedding, getDemoCharacter, getAllDemoCharacters } = require('../services/clip');
-const { removeBackground } = require('../services/imageProcessing');
-const { validateImageUpload } = require('../middleware/validation');
+const { generateImageEmbedding, getDemoCharacter, getDemoEmbedding, getAllDemoCharacters, DEMO_EMBEDDING_BACKEND } = require('../services/clip');
+const {
+  MAX_REFERENCES,
+  RECOMMENDED_REFERENCES,
+  addReferences,
+  embedImages,
+  getEmbeddingBackend,
+  fromSupabaseRow,
+  removeReference,
+  getReferences,
+  describeReference,
+  loadLocalCharacter,
+  saveLocalCharacter,
+  updateLocalCharacter,
+  updateSupabaseCharacter
+} = require('../services/characterReferences');
+const { captionCharacter } = require('../services/characterCaptioning');
+const { SHEET_PANELS, describeSheet } = require('../services/characterSheet');
+const { createTaskRecord } = require('../services/taskJobs');
+const { getJobQueue } = require('../services/jobQueue');
+const { getStoredPortraits, setPortraitLocked } = require('../services/characterPortraits');
+const { loadCharacterDNA } = require('../services/storyPipeline');
+const { searchSimilarCharacters, findNearDuplicates } = require('../services/characterSearch');
+const { characterAppearanceSchema } = require('../services/storySchema');
+const { validateImageUpload, validate, validateQueryParams, validateParams, schemas } = require('../middleware/validation');
+const { moderateImage, getTenantId } = require('../services/moderation');
 const { optionalAuth, requireAuth } = require('../middleware/auth');
 const { 
   saveCharacter, 
@@ -35,10 +56,125 @@ const upload = multer({
   }
 });
 
-router.post('/', optionalAuth, upload.single('character'), validateImageUpload, async (req, res) => {
+// Comma-separated multipart field as a list aligned with the uploaded files
+function parseList(value) {
+  return value ? value.split(',').map(item => item.trim() || null) : [];
+}
+
+// Check every image and the text that comes with them before anything is stored
+async function moderateUploads(req, subjectId, text) {
+  for (const file of req.files) {
+    const moderation = await moderateImage(file.buffer, {
+      mimeType: file.mimetype,
+      text: [text, file.originalname].filter(Boolean).join('\n'),
+      kind: 'character_image',
+      tenantId: getTenantId(req),
+      subjectId
+    });
+    if (!moderation.allowed) return moderation;
+  }
+  return null;
+}
+
+function parseTags(value) {
+  return value ? value.split(',').map(tag => tag.trim()).filter(Boolean) : [];
+}
+
+// Appearance the user reviewed on the client (validated JSON) or, failing that, a fresh caption
+async function resolveCharacterDetails(req, { name, tags }) {
+  if (req.body.appearance) {
+    return {
+      appearance: characterAppearanceSchema.validate(JSON.parse(req.body.appearance)).value,
+      traits: parseTags(req.body.traits),
+      description: req.body.description
+    };
+  }
+
+  const caption = await captionCharacter(req.files, { name, tags });
+  return {
+    appearance: caption?.appearance || null,
+    traits: req.body.traits ? parseTags(req.body.traits) : caption?.personality || [],
+    description: req.body.description || caption?.description
+  };
+}
+
+function describeReferences(character) {
+  const references = getReferences(character);
+  const primaryReferenceId = character.primaryReferenceId || references[0]?.id;
+  return references.map(reference => describeReference(reference, primaryReferenceId));
+}
+
+// Fewer references than recommended still work, just with less reliable consistency
+function referenceWarning(count) {
+  return count < RECOMMENDED_REFERENCES
+    ? `Add at least ${RECOMMENDED_REFERENCES} reference images (front, side, expressions) for consistent scenes`
+    : null;
+}
+
+// A character whose references the requester may change: their own in Supabase, or a local one
+async function loadEditableCharacter(id, user) {
+  if (user) {
+    const row = await getCharacterById(id, user.id);
+    if (row) return { source: 'supabase', character: fromSupabaseRow(row) };
+  }
+
+  const character = await loadLocalCharacter(id);
+  if (character && (!character.ownerId || character.ownerId === user?.id)) {
+    return { source: 'local', character };
+  }
+  return null;
+}
+
+// Store the reference images and the DNA that follows from them on the character as it is now,
+// keeping a sheet or portrait a worker saved meanwhile
+async function saveEditableCharacter({ source, character }, user) {
+  const { embedding, embeddingBackend, references, primaryReferenceId, imageUrl, thumbnailUrl } = character;
+  if (source === 'local') {
+    await updateLocalCharacter(character.id, (current) => {
+      Object.assign(current, { embedding, embeddingBackend, references, primaryReferenceId, imageUrl, thumbnailUrl });
+    });
+    return;
+  }
+
+  await updateSupabaseCharacter(character.id, user.id, (row) => ({
+    embedding,
+    image_url: imageUrl,
+    thumbnail_url: thumbnailUrl,
+    metadata: { ...row.metadata, embedding, embeddingBackend, references, primaryReferenceId }
+  }));
+}
+
+// Match as returned by the search endpoints
+function describeMatch(character) {
+  return {
+    id: character.id,
+    name: character.name,
+    description: character.description,
+    thumbnailUrl: character.thumbnailUrl || character.imageUrl,
+    isDemo: character.is_demo,
+    source: character.source,
+    similarity: character.similarity
+  };
+}
+
+function duplicateWarning(duplicates) {
+  if (duplicates.length === 0) return null;
+  const names = duplicates.map(character => character.name).join(', ');
+  return `This character looks almost identical to ${names}. You may already have it.`;
+}
+
+function characterNotFound(res) {
+  return res.status(404).json({
+    error: 'Character not found',
+    message: 'Character does not exist or you do not have permission to change it'
+  });
+}
+
+// Upload 1-10 reference images of one character (or pick a demo character)
+router.post('/', optionalAuth, upload.array('character', MAX_REFERENCES), validateImageUpload, async (req, res) => {
   try {
     // Check if this is a demo character request
-    if (req.body.demoCharacter && !req.file) {
+    if (req.body.demoCharacter && !req.files?.length) {
       console.log(`Processing demo character request: ${req.body.demoCharacter}`);
       
       const demoCharacter = getDemoCharacter(req.body.demoCharacter);
@@ -50,7 +186,7 @@ router.post('/', optionalAuth, upload.single('character'), validateImageUpload,
       }
 
       // Generate character DNA using the demo character's embedding
-      const embedding = await generateCLIPEmbedding(null, { demoCharacter: req.body.demoCharacter });
+      const { embedding, backend: embeddingBackend } = await generateImageEmbedding(null, { demoCharacter: req.body.demoCharacter });
       
       // Generate a proper UUID for demo characters
       const demoCharacterId = uuidv4();
@@ -62,6 +198,7 @@ router.post('/', optionalAuth, upload.single('character'), validateImageUpload,
         traits: demoCharacter.traits,
         dna_id: demoCharacterId, // Use proper UUID
         embedding: embedding,
+        embeddingBackend,
         imageUrl: `/demo/${req.body.demoCharacter}.jpg`,
         thumbnailUrl: `/demo/${req.body.demoCharacter}_thumb.jpg`,
         createdAt: new Date().toISOString(),
@@ -76,60 +213,62 @@ router.post('/', optionalAuth, upload.single('character'), validateImageUpload,
       });
     }
 
-    if (!req.file) {
+    if (!req.files?.length) {
       return res.status(400).json({
         error: 'No file uploaded',
         message: 'Please upload a character image or select a demo character'
       });
     }
 
-    const { name, tags } = req.body;
+    const { name } = req.body;
+    const tags = parseTags(req.body.tags);
     const characterId = uuidv4();
     const timestamp = Date.now();
 
-    console.log(`Processing character upload: ${characterId}`);
+    console.log(`Processing character upload: ${characterId} (${req.files.length} reference image${req.files.length === 1 ? '' : 's'})`);
 
-    // Step 1: Process the image
-    const processedImage = await processCharacterImage(req.file.buffer);
-    
-    // Step 2: Remove background (optional, can be disabled for demo)
-    let finalImage = processedImage;
-    if (process.env.REMOVE_BACKGROUND === 'true') {
-      try {
-        finalImage = await removeBackground(processedImage);
-      } catch (bgError) {
-        console.warn('Background removal failed, using original:', bgError.message);
-      }
+    const blocked = await moderateUploads(req, characterId, [name, req.body.tags, req.body.description, req.body.traits, req.body.labels].filter(Boolean).join('\n'));
+    if (blocked) {
+      return res.status(422).json({
+        error: 'Content not allowed',
+        message: `This character can't be used (${blocked.blocked_categories.join(', ')})`,
+        categories: blocked.blocked_categories
+      });
     }
 
-    // Step 3: Generate CLIP embedding
-    const embedding = await generateCLIPEmbedding(finalImage);
+    // Process, embed and store every reference; the character's DNA is their centroid
+    const { embedding, embeddingBackend, references, primaryReferenceId, imageUrl, thumbnailUrl } = await addReferences(
+      { id: characterId },
+      req.files,
+      { views: parseList(req.body.views), labels: parseList(req.body.labels) }
+    );
 
-    // Step 4: Upload to S3 storage
-    const imageKey = `characters/${characterId}/${timestamp}_processed.png`;
-    const imageUrl = await uploadToStorage(finalImage, imageKey, 'image/png');
+    // Near-duplicates only warn; the character is still created
+    const duplicates = await findNearDuplicates(embedding, { backend: embeddingBackend, user: req.user, excludeId: characterId });
+    if (duplicates.length > 0) {
+      console.log(`🪞 Upload ${characterId} resembles ${duplicates.map(character => `${character.name} (${character.similarity})`).join(', ')}`);
+    }
 
-    // Step 5: Generate thumbnail
-    const thumbnail = await sharp(finalImage)
-      .resize(256, 256, { fit: 'cover' })
-      .png()
-      .toBuffer();
-    
-    const thumbnailKey = `characters/${characterId}/${timestamp}_thumb.png`;
-    const thumbnailUrl = await uploadToStorage(thumbnail, thumbnailKey, 'image/png');
+    const details = await resolveCharacterDetails(req, { name, tags });
 
-    // Step 6: Store character DNA data
+    // Store character DNA data
     const characterDNA = {
       id: characterId,
       name: name || `Character_${characterId.slice(0, 8)}`,
-      description: req.body.description || `A character named ${name || `Character_${characterId.slice(0, 8)}`}`,
-      tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
-      traits: tags ? tags.split(',').map(tag => tag.trim()).slice(0, 5) : ['adventurous', 'brave'], // Use tags as traits, limit to 5
+      description: details.description || `A character named ${name || `Character_${characterId.slice(0, 8)}`}`,
+      tags: tags,
+      // Personality traits the user reviewed or the caption suggested, else tags, limit to 5
+      traits: (details.traits.length ? details.traits : tags.length ? tags : ['adventurous', 'brave']).slice(0, 5),
+      appearance: details.appearance,
       embedding: embedding,
+      embeddingBackend: embeddingBackend,
+      references: references,
+      primaryReferenceId: primaryReferenceId,
       imageUrl: imageUrl,
       thumbnailUrl: thumbnailUrl,
+      ownerId: req.user?.id || null,
       createdAt: new Date().toISOString(),
-      originalFilename: req.file.originalname,
+      originalFilename: req.files[0].originalname,
       processedAt: timestamp
     };
 
@@ -139,13 +278,18 @@ router.post('/', optionalAuth, upload.single('character'), validateImageUpload,
         const savedCharacter = await saveCharacter(req.user.id, {
           id: characterId,
           name: characterDNA.name,
-          description: req.body.description || null,
+          description: details.description || null,
           tags: characterDNA.tags,
+          traits: characterDNA.traits,
           image_url: imageUrl,
           thumbnail_url: thumbnailUrl,
           dna_data: {
             embedding: embedding,
-            originalFilename: req.file.originalname,
+            embeddingBackend: embeddingBackend,
+            appearance: characterDNA.appearance,
+            references: references,
+            primaryReferenceId: primaryReferenceId,
+            originalFilename: characterDNA.originalFilename,
             processedAt: timestamp
           }
         });
@@ -154,21 +298,11 @@ router.post('/', optionalAuth, upload.single('character'), validateImageUpload,
       } catch (supabaseError) {
         console.warn('Failed to save to Supabase, falling back to local storage:', supabaseError.message);
         // Fall back to local storage if Supabase fails
-        const storageDir = path.join(__dirname, '../storage/characters');
-        await fs.mkdir(storageDir, { recursive: true });
-        await fs.writeFile(
-          path.join(storageDir, `${characterId}.json`),
-          JSON.stringify(characterDNA, null, 2)
-        );
+        await saveLocalCharacter(characterDNA);
       }
     } else {
       // Save to local storage for anonymous users
-      const storageDir = path.join(__dirname, '../storage/characters');
-      await fs.mkdir(storageDir, { recursive: true });
-      await fs.writeFile(
-        path.join(storageDir, `${characterId}.json`),
-        JSON.stringify(characterDNA, null, 2)
-      );
+      await saveLocalCharacter(characterDNA);
     }
 
     console.log(`Character DNA created successfully: ${characterId}`);
@@ -179,10 +313,17 @@ router.post('/', optionalAuth, upload.single('character'), validateImageUpload,
       character: {
         id: characterId,
         name: characterDNA.name,
+        description: characterDNA.description,
         tags: characterDNA.tags,
+        traits: characterDNA.traits,
+        appearance: characterDNA.appearance,
         thumbnailUrl: thumbnailUrl,
-        createdAt: characterDNA.createdAt
+        createdAt: characterDNA.createdAt,
+        references: describeReferences(characterDNA)
       },
+      warning: referenceWarning(references.length),
+      duplicates: duplicates.map(describeMatch),
+      duplicateWarning: duplicateWarning(duplicates),
       message: 'Character DNA generated successfully'
     });
 
@@ -195,6 +336,83 @@ router.post('/', optionalAuth, upload.single('character'), validateImageUpload,
   }
 });
 
+// Suggest a description, appearance attributes and personality traits for images about to be
+// uploaded, for the user to review; nothing is stored
+router.post('/caption', optionalAuth, upload.array('character', MAX_REFERENCES), validateImageUpload, async (req, res) => {
+  try {
+    if (!req.files?.length) {
+      return res.status(400).json({
+        error: 'No file uploaded',
+        message: 'Please upload at least one character image to describe'
+      });
+    }
+
+    const blocked = await moderateUploads(req, null, [req.body.name, req.body.tags].filter(Boolean).join('\n'));
+    if (blocked) {
+      return res.status(422).json({
+        error: 'Content not allowed',
+        message: `This character can't be used (${blocked.blocked_categories.join(', ')})`,
+        categories: blocked.blocked_categories
+      });
+    }
+
+    const caption = await captionCharacter(req.files, { name: req.body.name, tags: parseTags(req.body.tags) });
+
+    res.json({
+      success: true,
+      caption: caption && {
+        description: caption.description,
+        appearance: caption.appearance,
+        traits: caption.personality,
+        provider: caption.provider
+      },
+      message: caption ? 'Character described' : 'Automatic descriptions are not available right now'
+    });
+  } catch (error) {
+    console.error('Caption error:', error);
+    res.status(500).json({
+      error: 'Caption failed',
+      message: error.message
+    });
+  }
+});
+
+// Search by image: characters that look like the uploaded images, without storing anything
+router.post('/search', optionalAuth, upload.array('character', MAX_REFERENCES), validateImageUpload, validateQueryParams(schemas.similarCharacters), async (req, res) => {
+  try {
+    if (!req.files?.length) {
+      return res.status(400).json({
+        error: 'No file uploaded',
+        message: 'Please upload an image to search with'
+      });
+    }
+
+    const blocked = await moderateUploads(req, null, req.body.name);
+    if (blocked) {
+      return res.status(422).json({
+        error: 'Content not allowed',
+        message: `This image can't be used (${blocked.blocked_categories.join(', ')})`,
+        categories: blocked.blocked_categories
+      });
+    }
+
+    const { embedding, backend } = await embedImages(req.files);
+    const matches = await searchSimilarCharacters(embedding, { backend, user: req.user, limit: req.query.limit });
+
+    res.json({
+      success: true,
+      matches: matches.map(describeMatch),
+      count: matches.length
+    });
+  } catch (error) {
+    console.error('Image search error:', error);
+    res.status(500).json({
+      error: 'Search failed',
+      message: error.message
+    });
+  }
+});
+
 // Demo character endpoints (MUST be before /:id route)
 router.get('/demo-characters', (req, res) => {
   try {
@@ -232,7 +450,7 @@ router.post('/demo-character', async (req, res) => {
     }
 
     // Generate character DNA using the demo character's embedding
-    const embedding = await generateCLIPEmbedding(null, { demoCharacter: characterId });
+    const { embedding, backend: embeddingBackend } = await generateImageEmbedding(null, { demoCharacter: characterId });
     
     // Generate a proper UUID for demo characters
     const demoCharacterDnaId = uuidv4();
@@ -244,6 +462,7 @@ router.post('/demo-character', async (req, res) => {
       traits: demoCharacter.traits,
       dna_id: demoCharacterDnaId, // Use proper UUID
       embedding: embedding,
+      embeddingBackend,
       imageUrl: `/demo/${characterId}.jpg`,
       thumbnailUrl: `/demo/${characterId}_thumb.jpg`,
       createdAt: new Date().toISOString(),
@@ -282,9 +501,13 @@ router.get('/:id', optionalAuth, async (req, res) => {
               name: character.name,
               description: character.description,
               tags: character.tags,
+              traits: character.traits || [],
+              appearance: character.metadata?.appearance || null,
               thumbnailUrl: character.thumbnail_url,
               imageUrl: character.image_url,
               createdAt: character.created_at,
+              references: describeReferences(fromSupabaseRow(character)),
+              sheet: describeSheet(character.metadata?.sheet),
               isOwner: true
             }
           });
@@ -306,9 +529,14 @@ router.get('/:id', optionalAuth, async (req, res) => {
         character: {
           id: character.id,
           name: character.name,
+          description: character.description,
           tags: character.tags,
+          traits: character.traits || [],
+          appearance: character.appearance || null,
           thumbnailUrl: character.thumbnailUrl,
           createdAt: character.createdAt,
+          references: describeReferences(character),
+          sheet: describeSheet(character.sheet),
           isOwner: false
         }
       });
@@ -431,6 +659,288 @@ router.delete('/:id', requireAuth, async (req, res) => {
   }
 });
 
+// Characters that look most like this one among the user's library and the demo characters
+router.get('/:id/similar', optionalAuth, validateQueryParams(schemas.similarCharacters), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const demoCharacter = getDemoCharacter(id);
+    const stored = demoCharacter ? null : await loadEditableCharacter(id, req.user);
+    const embedding = demoCharacter ? await getDemoEmbedding(id) : stored?.character.embedding;
+
+    if (!embedding?.length) {
+      return res.status(404).json({
+        error: 'Character not found',
+        message: `Character with ID ${id} does not exist or has no DNA yet`
+      });
+    }
+
+    const matches = await searchSimilarCharacters(embedding, {
+      backend: demoCharacter ? DEMO_EMBEDDING_BACKEND : getEmbeddingBackend(stored.character),
+      user: req.user,
+      excludeId: id,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      character_id: id,
+      matches: matches.map(describeMatch),
+      count: matches.length
+    });
+  } catch (error) {
+    console.error('Similar characters error:', error);
+    res.status(500).json({
+      error: 'Failed to find similar characters',
+      message: error.message
+    });
+  }
+});
+
+// List a character's reference images
+router.get('/:id/references', optionalAuth, async (req, res) => {
+  try {
+    const stored = await loadEditableCharacter(req.params.id, req.user);
+    if (!stored) return characterNotFound(res);
+
+    const references = describeReferences(stored.character);
+    res.json({
+      success: true,
+      character_id: stored.character.id,
+      references,
+      count: references.length,
+      max: MAX_REFERENCES,
+      warning: referenceWarning(references.length),
+      sheet: describeSheet(stored.character.sheet)
+    });
+  } catch (error) {
+    console.error('Get references error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve references',
+      message: error.message
+    });
+  }
+});
+
+// Add reference images to a character; its DNA is recomputed from the whole set
+router.post('/:id/references', optionalAuth, upload.array('references', MAX_REFERENCES), validateImageUpload, async (req, res) => {
+  try {
+    const stored = await loadEditableCharacter(req.params.id, req.user);
+    if (!stored) return characterNotFound(res);
+
+    if (!req.files?.length) {
+      return res.status(400).json({
+        error: 'No file uploaded',
+        message: 'Please upload at least one reference image'
+      });
+    }
+
+    const blocked = await moderateUploads(req, stored.character.id, req.body.labels);
+    if (blocked) {
+      return res.status(422).json({
+        error: 'Content not allowed',
+        message: `These images can't be used (${blocked.blocked_categories.join(', ')})`,
+        categories: blocked.blocked_categories
+      });
+    }
+
+    const character = await addReferences(stored.character, req.files, {
+      views: parseList(req.body.views),
+      labels: parseList(req.body.labels)
+    });
+    await saveEditableCharacter({ ...stored, character }, req.user);
+
+    res.json({
+      success: true,
+      character_id: character.id,
+      references: describeReferences(character),
+      warning: referenceWarning(character.references.length),
+      message: `Added ${req.files.length} reference image${req.files.length === 1 ? '' : 's'}`
+    });
+  } catch (error) {
+    if (error.invalidReference) {
+      return res.status(400).json({
+        error: 'Too many references',
+        message: error.message
+      });
+    }
+    console.error('Add references error:', error);
+    res.status(500).json({
+      error: 'Failed to add references',
+      message: error.message
+    });
+  }
+});
+
+router.delete('/:id/references/:referenceId', optionalAuth, async (req, res) => {
+  try {
+    const stored = await loadEditableCharacter(req.params.id, req.user);
+    if (!stored) return characterNotFound(res);
+
+    const character = await removeReference(stored.character, req.params.referenceId);
+    await saveEditableCharacter({ ...stored, character }, req.user);
+
+    res.json({
+      success: true,
+      character_id: character.id,
+      references: describeReferences(character),
+      warning: referenceWarning(character.references.length),
+      message: 'Reference image removed'
+    });
+  } catch (error) {
+    if (error.referenceNotFound) {
+      return res.status(404).json({
+        error: 'Reference not found',
+        message: error.message
+      });
+    }
+    if (error.invalidReference) {
+      return res.status(400).json({
+        error: 'Cannot remove reference',
+        message: error.message
+      });
+    }
+    console.error('Remove reference error:', error);
+    res.status(500).json({
+      error: 'Failed to remove reference',
+      message: error.message
+    });
+  }
+});
+
+// Draw a character sheet (turnaround, expressions, poses) in one style from the character's
+// references; it replaces the previous sheet, and scenes in that style can start from its panels.
+// Drawing takes minutes, so it runs as a queued job: poll GET /api/generate/:job_id/status,
+// whose result holds the new sheet.
+router.post('/:id/sheet', optionalAuth, validate(schemas.characterSheet), async (req, res) => {
+  try {
+    const stored = await loadEditableCharacter(req.params.id, req.user);
+    if (!stored) return characterNotFound(res);
+
+    const { style } = req.body;
+    const job = createTaskRecord('character_sheet', {
+      character_id: stored.character.id,
+      style,
+      source: stored.source,
+      user_id: req.user?.id || null
+    }, {
+      message: `Queued the ${style} character sheet`,
+      estimatedDuration: SHEET_PANELS.length * 20
+    });
+    await getJobQueue().createJob(job);
+    console.log(`📥 Character sheet job ${job.id} queued for ${stored.character.id}`);
+
+    res.status(202).json({
+      success: true,
+      job_id: job.id,
+      character_id: stored.character.id,
+      status: job.status,
+      message: job.message
+    });
+  } catch (error) {
+    console.error('Character sheet error:', error);
+    res.status(500).json({
+      error: 'Failed to create character sheet',
+      message: error.message
+    });
+  }
+});
+
+// Portraits belong to demo characters (shared) or to characters the requester may change
+async function loadPortraitCharacter(id, user) {
+  if (!getDemoCharacter(id) && !await loadEditableCharacter(id, user)) return null;
+  return loadCharacterDNA(id);
+}
+
+// Generated reference portraits per art style, used for characters without reference images
+router.get('/:id/portraits', optionalAuth, async (req, res) => {
+  try {
+    const characterDNA = await loadPortraitCharacter(req.params.id, req.user);
+    if (!characterDNA) return characterNotFound(res);
+
+    res.json({
+      success: true,
+      character_id: characterDNA.id,
+      portraits: await getStoredPortraits(characterDNA),
+      uses_references: (characterDNA.references?.length || 0) > 0
+    });
+  } catch (error) {
+    console.error('Get portraits error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve portraits',
+      message: error.message
+    });
+  }
+});
+
+// Draw a new portrait for one style, replacing the stored one unless it is locked. Drawing
+// takes a while, so it runs as a queued job: poll GET /api/generate/:job_id/status, whose
+// result holds the new portrait.
+router.post('/:id/portraits/:style/regenerate', optionalAuth, validateParams(schemas.portraitParams), async (req, res) => {
+  try {
+    const characterDNA = await loadPortraitCharacter(req.params.id, req.user);
+    if (!characterDNA) return characterNotFound(res);
+
+    // Checked again when the portrait is saved, in case it is locked meanwhile
+    const { style } = req.params;
+    if ((await getStoredPortraits(characterDNA))[style]?.locked) {
+      return res.status(409).json({
+        error: 'Portrait locked',
+        message: `The ${style} portrait is locked; unlock it before regenerating`
+      });
+    }
+
+    const job = createTaskRecord('character_portrait', { character_id: characterDNA.id, style }, {
+      message: `Queued the ${style} portrait`,
+      estimatedDuration: 30
+    });
+    await getJobQueue().createJob(job);
+    console.log(`📥 Portrait job ${job.id} queued for ${characterDNA.id}`);
+
+    res.status(202).json({
+      success: true,
+      job_id: job.id,
+      character_id: characterDNA.id,
+      status: job.status,
+      message: job.message
+    });
+  } catch (error) {
+    console.error('Regenerate portrait error:', error);
+    res.status(500).json({
+      error: 'Failed to regenerate portrait',
+      message: error.message
+    });
+  }
+});
+
+// Lock a portrait so it can't be regenerated by accident, or unlock it
+router.put('/:id/portraits/:style', optionalAuth, validateParams(schemas.portraitParams), validate(schemas.lockPortrait), async (req, res) => {
+  try {
+    const characterDNA = await loadPortraitCharacter(req.params.id, req.user);
+    if (!characterDNA) return characterNotFound(res);
+
+    const portrait = await setPortraitLocked(characterDNA, req.params.style, req.body.locked);
+    if (!portrait) {
+      return res.status(404).json({
+        error: 'Portrait not found',
+        message: `${characterDNA.name} has no ${req.params.style} portrait yet`
+      });
+    }
+
+    res.json({
+      success: true,
+      character_id: characterDNA.id,
+      portrait,
+      message: portrait.locked ? 'Portrait locked' : 'Portrait unlocked'
+    });
+  } catch (error) {
+    console.error('Lock portrait error:', error);
+    res.status(500).json({
+      error: 'Failed to update portrait',
+      message: error.message
+    });
+  }
+});
+
 // List all characters (combines public and user characters)
 router.get('/', optionalAuth, async (req, res) => {
   try {
@@ -513,19 +1023,4 @@ router.get('/', optionalAuth, async (req, res) => {
   }
 });
 
-async function processCharacterImage(buffer) {
-  try {
-    // Auto-crop and standardize the image
-    return await sharp(buffer)
-      .resize(512, 512, { 
-        fit: 'cover',
-        position: 'center'
-      })
-      .png()
-      .toBuffer();
-  } catch (error) {
-    throw new Error(`Image processing failed: ${error.message}`);
-  }
-}
-
 module.exports = router;
@@ -12,7 +12,7 @@ router.get('/', async (req, res) => {
       success: true,
       voices: voices,
       count: voices.length,
-      languages: [...new Set(voices.map(v => v.language))]
+      languages: [...new Set(voices.flatMap(v => v.languages || [v.language]))]
     });
 
   } catch (error) {
@@ -38,7 +38,7 @@ router.post('/narrate', async (req, res) => {
 
     console.log(`Generating voice narration with voice: ${voice_id}`);
 
-    const audioResult = await generateVoiceNarration(text, voice_id, emotion, options);
+    const audioResult = await generateVoiceNarration(text, voice_id, emotion, { ...options, language });
 
     res.json({
       success: true,
@@ -0,0 +1,121 @@
+jest.mock('../storage', () => ({
+  uploadToStorage: jest.fn(async (buffer, filePath) => `/uploads/${filePath}`),
+  deleteFromStorageByUrl: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../characterReferences', () => ({
+  ...jest.requireActual('../characterReferences'),
+  loadReferenceImage: jest.fn(async (portrait) => `stored-${portrait.id}`)
+}));
+
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { uploadToStorage, deleteFromStorageByUrl } = require('../storage');
+const { loadReferenceImage } = require('../characterReferences');
+const { getStoredPortraits, savePortrait, setPortraitLocked } = require('../characterPortraits');
+const { PythonStableDiffusionService } = require('../pythonStableDiffusion');
+
+const PORTRAITS_DIR = path.join(__dirname, '../../storage/portraits');
+const DRAWING = { image: Buffer.from('portrait').toString('base64'), prompt: 'a portrait', seed: 7 };
+
+describe('character portraits', () => {
+  let characterDNA;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    // Stored like a demo character's, in storage/portraits
+    characterDNA = { id: `test-${uuidv4()}`, name: 'Astro Cat', is_demo: true };
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(path.join(PORTRAITS_DIR, `${characterDNA.id}.json`), { force: true });
+  });
+
+  it('replaces the stored portrait of a style and deletes the old image', async () => {
+    const first = await savePortrait(characterDNA, 'cartoon', DRAWING);
+    const second = await savePortrait(characterDNA, 'cartoon', DRAWING);
+
+    expect((await getStoredPortraits(characterDNA)).cartoon.id).toBe(second.id);
+    expect(deleteFromStorageByUrl).toHaveBeenCalledWith(first.imageUrl);
+  });
+
+  it('keeps portraits of other styles saved at the same time', async () => {
+    await Promise.all(['cartoon', 'anime', 'watercolor'].map(style => savePortrait(characterDNA, style, DRAWING)));
+
+    expect(Object.keys(await getStoredPortraits(characterDNA)).sort()).toEqual(['anime', 'cartoon', 'watercolor']);
+  });
+
+  it('refuses to replace a locked portrait', async () => {
+    const portrait = await savePortrait(characterDNA, 'cartoon', DRAWING);
+    expect((await setPortraitLocked(characterDNA, 'cartoon', true)).locked).toBe(true);
+
+    await expect(savePortrait(characterDNA, 'cartoon', DRAWING)).rejects.toMatchObject({ portraitLocked: true });
+    expect((await getStoredPortraits(characterDNA)).cartoon.id).toBe(portrait.id);
+    expect(await setPortraitLocked(characterDNA, 'anime', true)).toBeNull();
+  });
+
+  it('drops a portrait that was locked while the new one was drawn', async () => {
+    const portrait = await savePortrait(characterDNA, 'cartoon', DRAWING);
+    uploadToStorage.mockImplementationOnce(async (buffer, filePath) => {
+      await setPortraitLocked(characterDNA, 'cartoon', true);
+      return `/uploads/${filePath}`;
+    });
+
+    await expect(savePortrait(characterDNA, 'cartoon', DRAWING)).rejects.toMatchObject({ portraitLocked: true });
+
+    const stored = (await getStoredPortraits(characterDNA)).cartoon;
+    expect(stored).toMatchObject({ id: portrait.id, locked: true });
+    const [, uploadedPath] = uploadToStorage.mock.calls[1];
+    expect(deleteFromStorageByUrl).toHaveBeenCalledWith(`/uploads/${uploadedPath}`);
+    expect(deleteFromStorageByUrl).not.toHaveBeenCalledWith(portrait.imageUrl);
+  });
+
+  describe('PythonStableDiffusionService.getCharacterPortrait', () => {
+    let service;
+    let drawn;
+
+    beforeEach(() => {
+      service = new PythonStableDiffusionService();
+      drawn = 0;
+      jest.spyOn(service, 'generateCharacterPortrait').mockImplementation(async () => {
+        drawn += 1;
+        return { success: true, characterImage: Buffer.from(`drawing-${drawn}`).toString('base64'), prompt: 'a portrait', seed: drawn };
+      });
+    });
+
+    it('draws a portrait once and reuses it from the cache', async () => {
+      const first = await service.getCharacterPortrait(characterDNA, 'cartoon');
+      const second = await service.getCharacterPortrait(characterDNA, 'cartoon');
+
+      expect(service.generateCharacterPortrait).toHaveBeenCalledTimes(1);
+      expect(second).toMatchObject({ characterImage: first.characterImage, portrait: { id: first.portrait.id } });
+      expect(loadReferenceImage).not.toHaveBeenCalled();
+    });
+
+    it('picks up a portrait another process saved instead of the cached one', async () => {
+      await service.getCharacterPortrait(characterDNA, 'cartoon');
+      // e.g. a worker that regenerated it
+      const replacement = await savePortrait(characterDNA, 'cartoon', DRAWING);
+
+      const result = await service.getCharacterPortrait(characterDNA, 'cartoon');
+
+      expect(result).toMatchObject({ characterImage: `stored-${replacement.id}`, portrait: { id: replacement.id } });
+      expect(service.generateCharacterPortrait).toHaveBeenCalledTimes(1);
+    });
+
+    it('draws a new portrait on regenerate, but not over a locked one', async () => {
+      const first = await service.getCharacterPortrait(characterDNA, 'cartoon');
+      const regenerated = await service.getCharacterPortrait(characterDNA, 'cartoon', { regenerate: true });
+
+      expect(regenerated.portrait.id).not.toBe(first.portrait.id);
+      expect(regenerated.characterImage).not.toBe(first.characterImage);
+
+      await setPortraitLocked(characterDNA, 'cartoon', true);
+      await expect(service.getCharacterPortrait(characterDNA, 'cartoon', { regenerate: true })).rejects.toMatchObject({ portraitLocked: true });
+      expect(service.generateCharacterPortrait).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+jest.mock('../supabase', () => ({
+  isSupabaseEnabled: jest.fn(() => false),
+  matchCharacters: jest.fn(),
+  getUserCharacters: jest.fn(),
+  getCharacterById: jest.fn(),
+  updateCharacter: jest.fn()
+}));
+
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const sharp = require('sharp');
+const { isSupabaseEnabled, matchCharacters, getUserCharacters } = require('../supabase');
+const { generateImageEmbedding, getDemoEmbedding } = require('../clip');
+const { searchSimilarCharacters } = require('../characterSearch');
+
+const DEMO_DIR = path.join(__dirname, '../../public/demo');
+const CHARACTERS_DIR = path.join(__dirname, '../../storage/characters');
+
+async function embedFile(file) {
+  return (await generateImageEmbedding(await fs.readFile(path.join(DEMO_DIR, file)), { backend: 'local' })).embedding;
+}
+
+describe('searchSimilarCharacters', () => {
+  const written = [];
+
+  async function saveLocalCharacter(fields) {
+    const id = `test-${uuidv4()}`;
+    await fs.mkdir(CHARACTERS_DIR, { recursive: true });
+    await fs.writeFile(path.join(CHARACTERS_DIR, `${id}.json`), JSON.stringify({ id, name: id, embeddingBackend: 'local', ...fields }));
+    written.push(id);
+    return id;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await Promise.all(written.splice(0).map(id => fs.rm(path.join(CHARACTERS_DIR, `${id}.json`), { force: true })));
+  });
+
+  it('embeds the demo characters from their bundled images', async () => {
+    const embedding = await getDemoEmbedding('dragon_knight');
+
+    expect(embedding).toHaveLength(512);
+    expect(embedding).toEqual(await embedFile('dragon_knight.jpg'));
+    expect(await getDemoEmbedding('unknown')).toBeNull();
+  });
+
+  it('finds the demo character a picture shows', async () => {
+    const matches = await searchSimilarCharacters(await embedFile('astronaut_cat_thumb.jpg'), { backend: 'local' });
+
+    expect(matches[0]).toMatchObject({ id: 'astronaut_cat', is_demo: true, source: 'demo' });
+  });
+
+  it('matches demo characters with each other', async () => {
+    const matches = await searchSimilarCharacters(await getDemoEmbedding('cyber_ninja'), { backend: 'local', excludeId: 'cyber_ninja', limit: 10 });
+
+    expect(matches.map(match => match.id)).toEqual(expect.arrayContaining(['astronaut_cat', 'dragon_knight', 'mystical_wizard']));
+    expect(matches.map(match => match.id)).not.toContain('cyber_ninja');
+  });
+
+  it('compares only embeddings from the query backend', async () => {
+    expect(await searchSimilarCharacters(await getDemoEmbedding('cyber_ninja'), { backend: 'huggingface' })).toEqual([]);
+  });
+
+  it('shows local characters only to their owner', async () => {
+    const embedding = await getDemoEmbedding('mystical_wizard');
+    const mine = await saveLocalCharacter({ embedding, ownerId: 'me' });
+    const theirs = await saveLocalCharacter({ embedding, ownerId: 'someone-else' });
+
+    const ids = (await searchSimilarCharacters(embedding, { backend: 'local', user: { id: 'me' }, limit: 10 })).map(match => match.id);
+
+    expect(ids).toContain(mine);
+    expect(ids).not.toContain(theirs);
+  });
+
+  it('includes demo rows from the Supabase library', async () => {
+    isSupabaseEnabled.mockReturnValue(true);
+    matchCharacters.mockResolvedValue([{ id: 'a1b2', name: 'Seeded demo', is_demo: true, similarity: 0.99 }]);
+
+    const matches = await searchSimilarCharacters(await getDemoEmbedding('cyber_ninja'), { backend: 'local', user: { id: 'me' }, excludeId: 'cyber_ninja' });
+
+    expect(matches[0]).toMatchObject({ id: 'a1b2', is_demo: true, source: 'supabase' });
+    expect(matchCharacters).toHaveBeenCalledWith(expect.any(Array), 'me', expect.objectContaining({ backend: 'local', excludeId: null }));
+  });
+
+  it('ranks demo rows in process when the database has no match_characters', async () => {
+    const embedding = await getDemoEmbedding('dragon_knight');
+    isSupabaseEnabled.mockReturnValue(true);
+    matchCharacters.mockResolvedValue(null);
+    getUserCharacters.mockResolvedValue([
+      { id: 'seeded', name: 'Seeded demo', is_demo: true, embedding, metadata: { embeddingBackend: 'local' } },
+      { id: 'other-backend', name: 'Old upload', embedding, metadata: { embeddingBackend: 'huggingface' } }
+    ]);
+
+    const ids = (await searchSimilarCharacters(embedding, { backend: 'local', user: { id: 'me' }, limit: 10 })).map(match => match.id);
+
+    expect(ids).toContain('seeded');
+    expect(ids).not.toContain('other-backend');
+  });
+
+  it('drops matches below the minimum similarity', async () => {
+    const green = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#00ff00' } }).png().toBuffer();
+    const { embedding } = await generateImageEmbedding(green, { backend: 'local' });
+
+    const matches = await searchSimilarCharacters(embedding, { backend: 'local', minSimilarity: 0.99 });
+
+    expect(matches.filter(match => match.is_demo)).toEqual([]);
+  });
+});
@@ -0,0 +1,173 @@
+jest.mock('@google/generative-ai', () => {
+  const model = { generateContent: jest.fn(), generateContentStream: jest.fn() };
+  return {
+    ...jest.requireActual('@google/generative-ai'),
+    GoogleGenerativeAI: jest.fn(() => ({ getGenerativeModel: () => model }))
+  };
+});
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { GeminiStoryGenerator } = require('../geminiAI');
+
+const model = new GoogleGenerativeAI().getGenerativeModel();
+
+function storyScene(number) {
+  return {
+    title: `Scene ${number}`,
+    narration: `Mia follows the kite across the hills, part ${number}.`,
+    dialogue: [{ speaker: 'Mia', line: 'Wait for me!' }],
+    setting: 'windy hills',
+    characters: ['Mia'],
+    camera: 'wide shot',
+    mood: 'hopeful',
+    storyboardPrompt: 'a girl chasing a red kite'
+  };
+}
+
+function storyJson(sceneCount) {
+  return JSON.stringify({
+    title: 'The Lost Kite',
+    logline: 'A girl chases her kite.',
+    scenes: Array.from({ length: sceneCount }, (_, index) => storyScene(index + 1))
+  });
+}
+
+const textResponse = (text) => ({ response: { text: () => text } });
+
+function waitForAbort(signal) {
+  return new Promise(resolve => signal.addEventListener('abort', resolve, { once: true }));
+}
+
+describe('GeminiStoryGenerator.generateText', () => {
+  let generator;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    generator = new GeminiStoryGenerator();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('aborts a stream that times out and reports none of its later chunks', async () => {
+    let requestSignal;
+    model.generateContentStream.mockImplementation(async (request, { signal }) => {
+      requestSignal = signal;
+      return {
+        stream: (async function* () {
+          yield { text: () => 'Once' };
+          await waitForAbort(signal);
+          yield { text: () => ' upon a time' };
+        })()
+      };
+    });
+    const onDelta = jest.fn();
+
+    await expect(generator.generateText('A story', { onDelta, timeout: 20, maxRetries: 1 }))
+      .rejects.toThrow('Gemini API request timed out after 0.02 seconds');
+
+    expect(requestSignal.aborted).toBe(true);
+    // Let the aborted stream finish reading
+    await new Promise(resolve => setImmediate(resolve));
+    expect(onDelta.mock.calls).toEqual([['Once', 'Once']]);
+  });
+
+  it('aborts the request in flight when the job is cancelled', async () => {
+    const controller = new AbortController();
+    let requestSignal;
+    model.generateContent.mockImplementation((request, { signal }) => {
+      requestSignal = signal;
+      controller.abort();
+      return new Promise(() => {});
+    });
+
+    await expect(generator.generateText('A story', { signal: controller.signal })).rejects.toMatchObject({ name: 'JobCancelledError' });
+    expect(requestSignal.aborted).toBe(true);
+    expect(model.generateContent).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not abort the job when one attempt times out', async () => {
+    const controller = new AbortController();
+    model.generateContent.mockImplementation((request, { signal }) => waitForAbort(signal).then(() => 'never'));
+
+    await expect(generator.generateText('A story', { signal: controller.signal, timeout: 20, maxRetries: 1 })).rejects.toThrow('timed out');
+    expect(controller.signal.aborted).toBe(false);
+  });
+
+  it('returns the text and the attempt that produced it', async () => {
+    model.generateContent.mockResolvedValue({ response: { text: () => 'The end.' } });
+
+    expect(await generator.generateText('A story')).toEqual({ text: 'The end.', attempt: 1 });
+  });
+});
+
+describe('GeminiStoryGenerator structured stories', () => {
+  const CHARACTER = { name: 'Mia', traits: ['brave', 'curious'] };
+  let generator;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    generator = new GeminiStoryGenerator();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('asks for JSON matching the schema and maps it onto scenes', async () => {
+    model.generateContent.mockResolvedValue(textResponse(storyJson(3)));
+
+    const { story, metadata } = await generator.generateStory('A windy day', 'adventure', CHARACTER, { sceneCount: 3 });
+
+    const [request] = model.generateContent.mock.calls[0];
+    expect(request.generationConfig.responseMimeType).toBe('application/json');
+    expect(story.scenes.map(scene => scene.id)).toEqual(['scene_1', 'scene_2', 'scene_3']);
+    expect(story.scenes[0].content).toBe('Mia follows the kite across the hills, part 1.\n\nMia: "Wait for me!"');
+    expect(metadata).toMatchObject({ outputMode: 'structured', repairAttempts: 0, sceneCount: 3 });
+  });
+
+  it('re-asks with the validation errors and the previous response until the story fits', async () => {
+    model.generateContent
+      .mockResolvedValueOnce(textResponse(storyJson(2)))
+      .mockResolvedValueOnce(textResponse(`\`\`\`json\n${storyJson(3)}\n\`\`\``));
+
+    const { metadata } = await generator.generateStory('A windy day', 'adventure', CHARACTER, { sceneCount: 3 });
+
+    const repairPrompt = model.generateContent.mock.calls[1][0].contents[0].parts[0].text;
+    expect(repairPrompt).toContain('VALIDATION ERRORS:\n"scenes" must contain 3 items');
+    expect(repairPrompt).toContain(storyJson(2));
+    expect(repairPrompt).toContain('with EXACTLY 3 scenes');
+    expect(metadata.repairAttempts).toBe(1);
+  });
+
+  it('gives up after the last repair', async () => {
+    model.generateContent.mockResolvedValue(textResponse('Once upon a time'));
+
+    await expect(generator.requestStructuredStory('Write a story', 3)).rejects.toMatchObject({
+      invalidStructuredOutput: true,
+      message: expect.stringContaining('Structured output still invalid after 2 repairs: Response is not valid JSON')
+    });
+    expect(model.generateContent).toHaveBeenCalledTimes(3);
+  });
+
+  it('leaves an overloaded API to the next provider instead of falling back to free text', async () => {
+    jest.useFakeTimers();
+    model.generateContent.mockRejectedValue(new Error('503 Service Unavailable: the model is overloaded'));
+
+    const generation = expect(generator.generateStory('A windy day', 'adventure', CHARACTER, { sceneCount: 3 }))
+      .rejects.toThrow('Story generation failed after 3 attempts');
+    await jest.runAllTimersAsync();
+    await generation;
+
+    // Every attempt was a structured request, and no free-text one followed
+    expect(model.generateContent).toHaveBeenCalledTimes(3);
+    expect(model.generateContent.mock.calls.every(([request]) => request.generationConfig)).toBe(true);
+  });
+});
@@ -0,0 +1,122 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { JobQueue } = require('../jobQueue');
+
+const STALE_AFTER = 1000;
+
+// Pretend a file was last written `ms` ago
+async function age(filePath, ms) {
+  const then = new Date(Date.now() - ms);
+  await fs.utimes(filePath, then, then);
+}
+
+describe('JobQueue (file backend)', () => {
+  let rootDir;
+  let queue;
+  let backend;
+
+  beforeEach(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'talecraft-queue-'));
+    queue = new JobQueue({ backend: 'file', rootDir, staleAfter: STALE_AFTER });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    backend = queue.backend;
+    await queue.init();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await queue.close();
+    await fs.rm(rootDir, { recursive: true, force: true });
+  });
+
+  it('queues a job only once while it is pending or running', async () => {
+    await queue.createJob({ id: 'job-1' });
+
+    expect(await queue.enqueue('job-1')).toBe(false);
+    expect(await backend.claim('worker-a')).toBe('job-1');
+    expect(await queue.enqueue('job-1')).toBe(false);
+
+    await backend.release('job-1');
+    expect(await queue.enqueue('job-1')).toBe(true);
+  });
+
+  it('hands each job to one worker', async () => {
+    await queue.createJob({ id: 'job-1' });
+
+    const claims = await Promise.all([backend.claim('worker-a'), backend.claim('worker-b')]);
+
+    expect(claims.filter(Boolean)).toEqual(['job-1']);
+  });
+
+  it('does not take a job claimed from a long queue for a stale one', async () => {
+    await queue.createJob({ id: 'job-1' });
+    const [entry] = await fs.readdir(backend.pendingDir);
+    await age(path.join(backend.pendingDir, entry), STALE_AFTER * 5);
+
+    await backend.claim('worker-a');
+
+    expect(await backend.requeueStale(STALE_AFTER)).toEqual([]);
+    expect(await backend.claim('worker-b')).toBeNull();
+  });
+
+  it('re-queues a job whose heartbeat stopped', async () => {
+    await queue.createJob({ id: 'job-1' });
+    await backend.claim('worker-a');
+    await age(path.join(backend.activeDir, 'job-1.json'), STALE_AFTER * 2);
+
+    expect(await backend.requeueStale(STALE_AFTER)).toEqual(['job-1']);
+    expect(await backend.claim('worker-b')).toBe('job-1');
+  });
+
+  it('recovers a job whose worker died in the middle of claiming it', async () => {
+    await queue.createJob({ id: 'job-1' });
+    const [entry] = await fs.readdir(backend.pendingDir);
+    const claimPath = path.join(backend.activeDir, 'job-1.999.1.claim');
+    await fs.rename(path.join(backend.pendingDir, entry), claimPath);
+    await age(claimPath, STALE_AFTER * 2);
+    await age(path.join(backend.queuedDir, 'job-1'), STALE_AFTER * 2);
+
+    expect(await queue.recoverJobs()).toBe(1);
+    expect(await fs.readdir(backend.activeDir)).toEqual([]);
+    expect(await backend.claim('worker-b')).toBe('job-1');
+  });
+
+  it('lets one caller sweep for stale jobs at a time', async () => {
+    expect(await backend.acquireSweepLock(STALE_AFTER)).toBe(true);
+    expect(await backend.acquireSweepLock(STALE_AFTER)).toBe(false);
+    expect(await queue.recoverJobs()).toBe(0);
+
+    await age(path.join(rootDir, 'queue', 'sweep.lock'), STALE_AFTER * 2);
+    expect(await backend.acquireSweepLock(STALE_AFTER)).toBe(true);
+  });
+
+  it('skips finished jobs when recovering', async () => {
+    await queue.saveJob({ id: 'done', status: 'completed' });
+    await queue.saveJob({ id: 'orphan', status: 'processing' });
+
+    expect(await queue.recoverJobs()).toBe(1);
+    expect(await backend.claim('worker-a')).toBe('orphan');
+    expect(await backend.claim('worker-a')).toBeNull();
+  });
+
+  it('records a cancellation until the job is queued again', async () => {
+    const job = await queue.createJob({ id: 'job-1' });
+    await backend.claim('worker-a');
+
+    await queue.cancelJob(job);
+    expect(await queue.isCancelled('job-1')).toBe(true);
+    expect((await queue.getJob('job-1')).status).toBe('cancelled');
+
+    await backend.release('job-1');
+    await queue.enqueue('job-1');
+    expect(await queue.isCancelled('job-1')).toBe(false);
+  });
+
+  it('reports jobs no worker has picked up', async () => {
+    await queue.createJob({ id: 'job-1' });
+
+    expect(await queue.findUnclaimedJobs(60000)).toEqual([]);
+    expect((await queue.findUnclaimedJobs(-1)).map(job => job.id)).toEqual(['job-1']);
+  });
+});
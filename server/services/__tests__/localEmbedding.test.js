@@ -0,0 +1,77 @@
+const sharp = require('sharp');
+const { generateLocalEmbedding } = require('../localEmbedding');
+
+// Embeddings are unit vectors, so their dot product is the cosine similarity
+function calculateSimilarity(a, b) {
+  return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+// A flat-coloured character: a body and a head on a plain background, drawn from SVG
+function drawCharacter({ body = '#e4572e', head = '#f3a712', background = '#ffffff', offset = 0 } = {}) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256">
+    <rect width="256" height="256" fill="${background}"/>
+    <rect x="${88 + offset}" y="120" width="80" height="110" rx="16" fill="${body}"/>
+    <circle cx="${128 + offset}" cy="84" r="44" fill="${head}"/>
+    <circle cx="${112 + offset}" cy="76" r="6" fill="#222222"/>
+    <circle cx="${144 + offset}" cy="76" r="6" fill="#222222"/>
+  </svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+function drawStripes() {
+  const stripes = Array.from({ length: 8 }, (_, i) => (
+    `<rect x="${i * 32}" width="16" height="256" fill="${i % 2 ? '#2e86ab' : '#1b998b'}"/>`
+  )).join('');
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256">
+    <rect width="256" height="256" fill="#0b132b"/>${stripes}
+  </svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+describe('generateLocalEmbedding', () => {
+  let character;
+
+  beforeAll(async () => {
+    character = await drawCharacter();
+  });
+
+  it('returns a 512-dimensional unit vector', async () => {
+    const embedding = await generateLocalEmbedding(character);
+
+    expect(embedding).toHaveLength(512);
+    const norm = Math.sqrt(embedding.reduce((sum, value) => sum + value * value, 0));
+    expect(norm).toBeCloseTo(1, 6);
+  });
+
+  it('gives the same image the same embedding every time', async () => {
+    const first = await generateLocalEmbedding(character);
+    const second = await generateLocalEmbedding(Buffer.from(character));
+
+    expect(second).toEqual(first);
+  });
+
+  it('is stable across re-encoding and resizing', async () => {
+    const original = await generateLocalEmbedding(character);
+    const jpeg = await generateLocalEmbedding(await sharp(character).jpeg({ quality: 80 }).toBuffer());
+    const resized = await generateLocalEmbedding(await sharp(character).resize(512, 512).png().toBuffer());
+
+    expect(calculateSimilarity(original, jpeg)).toBeGreaterThan(0.95);
+    expect(calculateSimilarity(original, resized)).toBeGreaterThan(0.95);
+  });
+
+  it('ranks a look-alike above a different image', async () => {
+    const original = await generateLocalEmbedding(character);
+    const shifted = await generateLocalEmbedding(await drawCharacter({ offset: 8 }));
+    const recoloured = await generateLocalEmbedding(await drawCharacter({ body: '#3f88c5', head: '#44bba4' }));
+    const different = await generateLocalEmbedding(await drawStripes());
+
+    const lookAlike = calculateSimilarity(original, shifted);
+    expect(lookAlike).toBeGreaterThan(calculateSimilarity(original, recoloured));
+    expect(lookAlike).toBeGreaterThan(calculateSimilarity(original, different));
+    expect(calculateSimilarity(original, recoloured)).toBeGreaterThan(calculateSimilarity(original, different));
+  });
+
+  it('rejects missing image data', async () => {
+    await expect(generateLocalEmbedding(Buffer.alloc(0))).rejects.toThrow('Local embedding needs image data');
+  });
+});
@@ -0,0 +1,161 @@
+const fs = require('fs').promises;
+const {
+  resolveStrictness,
+  resolveStoryModeration,
+  getTenantId,
+  moderateText,
+  moderateStory,
+  assertStoryAllowed,
+  setModerationClassifier
+} = require('../moderation');
+
+const STORY = {
+  title: 'The Lost Kite',
+  scenes: [
+    { number: 1, title: 'Windy day', content: 'Mia chases her kite over the hills.' },
+    { number: 2, title: 'The storm', content: 'A drunk pirate waves a pistol at the kite.' }
+  ]
+};
+
+describe('moderation', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(fs, 'mkdir').mockResolvedValue();
+    jest.spyOn(fs, 'appendFile').mockResolvedValue();
+    delete process.env.MODERATION_TENANT_LEVELS;
+    delete process.env.MODERATION_TENANT;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+    setModerationClassifier(null);
+  });
+
+  describe('rules', () => {
+    it('blocks each severity from its own strictness up', async () => {
+      const text = 'The pirate drank wine in the tavern.';
+
+      expect((await moderateText(text, { strictness: 'standard' })).allowed).toBe(true);
+      expect(await moderateText(text, { strictness: 'strict' })).toMatchObject({ allowed: false, blocked_categories: ['drugs'] });
+      expect((await moderateText('a gory battle', { strictness: 'relaxed' })).allowed).toBe(true);
+      expect((await moderateText('a gory battle', { strictness: 'standard' })).allowed).toBe(false);
+      expect((await moderateText('nsfw pictures', { strictness: 'relaxed' })).allowed).toBe(false);
+    });
+
+    it('keeps flags it does not block on, and checks nothing when off', async () => {
+      const decision = await moderateText('Mia hid the bomb under the bed.', { strictness: 'standard' });
+      expect(decision).toMatchObject({ allowed: true, flags: [expect.objectContaining({ rule: 'weapons', match: 'bomb' })] });
+
+      expect(await moderateText('nsfw pictures', { strictness: 'off' })).toMatchObject({ allowed: true, flags: [] });
+    });
+
+    it('sees through leetspeak and zero-width characters', async () => {
+      expect((await moderateText('some p0rn', { strictness: 'relaxed' })).blocked_categories).toEqual(['sexual']);
+      expect((await moderateText('some n\u200Bsfw art', { strictness: 'relaxed' })).blocked_categories).toEqual(['sexual']);
+    });
+
+    it('does not match words that only contain a term', async () => {
+      expect((await moderateText('Mia reads in Shell Beach by the Scunthorpe hall.', { strictness: 'strict' })).allowed).toBe(true);
+    });
+
+    it('adds MODERATION_BLOCKLIST terms as severe rules', async () => {
+      process.env.MODERATION_BLOCKLIST = 'Brand X, brand-y';
+
+      await jest.isolateModulesAsync(async () => {
+        const moderation = require('../moderation');
+        const decision = await moderation.moderateText('Mia drinks Brand-Y soda.', { strictness: 'relaxed' });
+        expect(decision).toMatchObject({ allowed: false, blocked_categories: ['blocklist'] });
+      });
+    });
+
+    it('logs each decision with the tenant and an excerpt', async () => {
+      await moderateText('nsfw pictures', { kind: 'prompt', tenantId: 'kidsclub', strictness: 'strict', subjectId: 'job-1' });
+
+      const [, line] = fs.appendFile.mock.calls[0];
+      expect(JSON.parse(line)).toMatchObject({
+        tenant_id: 'kidsclub',
+        kind: 'prompt',
+        subject_id: 'job-1',
+        allowed: false,
+        excerpt: 'nsfw pictures'
+      });
+    });
+  });
+
+  describe('stories', () => {
+    it('names the scenes that were blocked', async () => {
+      const decision = await moderateStory(STORY, { strictness: 'strict' });
+
+      expect(decision).toMatchObject({ allowed: false, blocked_scenes: [2] });
+      expect(decision.blocked_categories.sort()).toEqual(['drugs', 'weapons']);
+      await expect(assertStoryAllowed(STORY, { strictness: 'strict', label: 'Translation' }))
+        .rejects.toMatchObject({ name: 'ModerationError', message: expect.stringMatching(/^Translation was blocked .* in scene 2$/) });
+    });
+
+    it('holds a story to its job, else to what its result recorded', () => {
+      process.env.MODERATION_TENANT_LEVELS = 'kidsclub:relaxed,studio:relaxed';
+      const result = { metadata: { tenant_id: 'studio', reading_level: { audience: 'middle_grade' } } };
+
+      expect(resolveStoryModeration(result)).toEqual({ tenantId: 'studio', strictness: 'standard' });
+      expect(resolveStoryModeration(result, { tenant_id: 'kidsclub', options: { audience: 'toddler' } }))
+        .toEqual({ tenantId: 'kidsclub', strictness: 'strict' });
+      expect(resolveStoryModeration({ metadata: {} })).toEqual({ tenantId: 'default', strictness: 'standard' });
+    });
+  });
+
+  describe('classifier', () => {
+    it('blocks categories scored over the strictness threshold', async () => {
+      const classify = jest.fn().mockResolvedValue({ categories: { violence: 0.5, hate: 0.95 } });
+      setModerationClassifier({ name: 'test', classify });
+
+      const decision = await moderateText('A quiet walk in the park.', { kind: 'prompt', strictness: 'standard' });
+
+      expect(classify).toHaveBeenCalledWith({ text: 'A quiet walk in the park.', kind: 'prompt' });
+      expect(decision).toMatchObject({ allowed: false, blocked_categories: ['hate'] });
+      expect((await moderateText('A quiet walk in the park.', { strictness: 'strict' })).blocked_categories).toEqual(['violence', 'hate']);
+    });
+
+    it('falls back to the rules when the classifier fails', async () => {
+      setModerationClassifier({ name: 'test', classify: jest.fn().mockRejectedValue(new Error('timeout of 10000ms exceeded')) });
+
+      const decision = await moderateText('nsfw pictures', { strictness: 'standard' });
+
+      expect(decision).toMatchObject({ allowed: false, blocked_categories: ['sexual'], classifier_error: 'timeout of 10000ms exceeded' });
+    });
+  });
+
+  describe('tenants', () => {
+    it('reads tenant levels from MODERATION_TENANT_LEVELS, ignoring unknown levels', () => {
+      process.env.MODERATION_TENANT_LEVELS = 'kidsclub:strict, studio : off,lab:lax';
+
+      expect(resolveStrictness('kidsclub')).toBe('strict');
+      expect(resolveStrictness('studio')).toBe('off');
+      expect(resolveStrictness('lab')).toBe('standard');
+      expect(resolveStrictness()).toBe('standard');
+    });
+
+    it('never lets a young audience go below its minimum, unless the tenant turned moderation off', () => {
+      process.env.MODERATION_TENANT_LEVELS = 'studio:relaxed,lab:off';
+
+      expect(resolveStrictness('studio', { audience: 'toddler' })).toBe('strict');
+      expect(resolveStrictness('studio', { audience: 'middle_grade' })).toBe('standard');
+      expect(resolveStrictness('studio', { audience: 'young_adult' })).toBe('relaxed');
+      expect(resolveStrictness('lab', { audience: 'toddler' })).toBe('off');
+    });
+
+    it('takes the tenant from the signed-in user, never from the request', () => {
+      const req = { headers: { 'x-tenant-id': 'studio' }, body: { tenantId: 'studio' }, query: { tenant: 'studio' } };
+
+      expect(getTenantId(req)).toBe('default');
+      expect(getTenantId({ ...req, user: { app_metadata: { tenant_id: 'kidsclub' }, user_metadata: { tenant_id: 'studio' } } })).toBe('kidsclub');
+
+      process.env.MODERATION_TENANT = 'schools';
+      expect(getTenantId(req)).toBe('schools');
+      expect(getTenantId({ user: { app_metadata: { tenant_id: '../etc' } } })).toBe('default');
+    });
+  });
+});
@@ -0,0 +1,142 @@
+jest.mock('../geminiAI', () => {
+  const generator = { rewriteForReadingLevel: jest.fn() };
+  return { GeminiStoryGenerator: jest.fn(() => generator) };
+});
+
+const { GeminiStoryGenerator } = require('../geminiAI');
+const {
+  resolveReadingTarget,
+  buildReadingLevelPromptSection,
+  analyzeReadability,
+  countSyllables,
+  checkReadingLevel
+} = require('../readability');
+const { matchReadingLevel } = require('../storyEngine');
+
+const gemini = new GeminiStoryGenerator();
+
+const SIMPLE = 'Mia has a red kite. The wind is strong. The kite flies up. Mia runs fast. She is happy.';
+const COMPLEX = 'Notwithstanding considerable meteorological uncertainty, Mia meticulously calibrated the aerodynamic characteristics of her extraordinarily sophisticated kite, anticipating unprecedented atmospheric turbulence throughout the afternoon.';
+
+const story = (...contents) => ({
+  title: 'The Lost Kite',
+  logline: 'A girl chases her kite.',
+  scenes: contents.map((content, index) => ({ id: `scene_${index + 1}`, number: index + 1, title: `Scene ${index + 1}`, content }))
+});
+
+describe('readability', () => {
+  describe('analyzeReadability', () => {
+    it('counts syllables by vowel group, ignoring a silent e', () => {
+      expect(['kite', 'happy', 'wind', 'extraordinarily', 'the', 'jumped'].map(countSyllables)).toEqual([1, 2, 1, 6, 1, 1]);
+    });
+
+    it('counts words and sentences, keeping contractions and closing quotes together', () => {
+      const analysis = analyzeReadability('"Wait for me!" Mia shouted. She didn\'t stop.');
+
+      expect(analysis).toMatchObject({ words: 8, sentences: 3 });
+    });
+
+    it('rates long words and sentences several grades above short ones', () => {
+      const simple = analyzeReadability(SIMPLE);
+      const complex = analyzeReadability(COMPLEX);
+
+      expect(simple.grade_level).toBeLessThan(2);
+      expect(complex.grade_level).toBeGreaterThan(12);
+      expect(simple.flesch_reading_ease).toBeGreaterThan(complex.flesch_reading_ease);
+    });
+
+    it('has nothing to say about text without words', () => {
+      expect(analyzeReadability('...')).toBeNull();
+      expect(checkReadingLevel(story(''), resolveReadingTarget({ audience: 'toddler' }))).toEqual({ analysis: null, on_target: true, direction: null });
+    });
+  });
+
+  describe('targets', () => {
+    it('uses the audience grade range, or a range around an explicit reading level', () => {
+      expect(resolveReadingTarget({ audience: 'early_reader' })).toMatchObject({ audience: 'early_reader', content_rating: 'G', min_grade: 1, max_grade: 3 });
+      expect(resolveReadingTarget({ audience: 'adult', readingLevel: 1 })).toMatchObject({ audience: 'adult', target_grade: 1, min_grade: 0, max_grade: 2.5 });
+      expect(resolveReadingTarget({ readingLevel: 6 })).toMatchObject({ audience: null, label: 'readers at grade 6', min_grade: 4.5, max_grade: 7.5 });
+      expect(resolveReadingTarget({ audience: 'pirates' })).toBeNull();
+    });
+
+    it('says which way a story misses its target', () => {
+      const target = resolveReadingTarget({ audience: 'middle_grade' });
+
+      expect(checkReadingLevel(story(COMPLEX), target)).toMatchObject({ on_target: false, direction: 'simpler' });
+      expect(checkReadingLevel(story(SIMPLE), target)).toMatchObject({ on_target: false, direction: 'richer' });
+      expect(checkReadingLevel(story(SIMPLE), null)).toMatchObject({ on_target: true, direction: null });
+    });
+
+    it('describes the audience in the prompt, or nothing without one', () => {
+      expect(buildReadingLevelPromptSection({ audience: 'toddler' })).toContain('AUDIENCE: toddlers (ages 2-4) - content rating G\nREADING LEVEL: US grade 0.5');
+      expect(buildReadingLevelPromptSection({ readingLevel: 3 })).toContain('VOCABULARY: Common words with the occasional new one explained by context');
+      expect(buildReadingLevelPromptSection({})).toBe('');
+    });
+  });
+
+  describe('matchReadingLevel', () => {
+    const env = { ...process.env };
+    const CHARACTER = { name: 'Mia' };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      process.env.GEMINI_API_KEY = 'test-key';
+      delete process.env.DEMO_MODE;
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      process.env = { ...env };
+    });
+
+    it('keeps a story that is already on target', async () => {
+      const draft = story(SIMPLE);
+
+      const { story: result, readingLevel } = await matchReadingLevel(draft, CHARACTER, { audience: 'toddler' });
+
+      expect(result).toBe(draft);
+      expect(readingLevel).toMatchObject({ audience: 'toddler', on_target: true, rewrites: 0 });
+      expect(gemini.rewriteForReadingLevel).not.toHaveBeenCalled();
+    });
+
+    it('rewrites a story that misses and keeps the closer draft', async () => {
+      gemini.rewriteForReadingLevel.mockResolvedValue({ logline: 'Mia and her kite.', scenes: [{ content: SIMPLE }] });
+      const onRewrite = jest.fn();
+
+      const { story: result, readingLevel } = await matchReadingLevel(story(COMPLEX), CHARACTER, { audience: 'toddler', onRewrite });
+
+      expect(onRewrite).toHaveBeenCalledWith(expect.objectContaining({ audience: 'toddler' }), expect.objectContaining({ grade_level: expect.any(Number) }));
+      expect(result.scenes[0]).toMatchObject({ id: 'scene_1', content: SIMPLE });
+      expect(result.logline).toBe('Mia and her kite.');
+      expect(readingLevel).toMatchObject({ on_target: true, rewrites: 1 });
+    });
+
+    it('keeps the first draft when the rewrite lands further away', async () => {
+      const draft = story(SIMPLE);
+      gemini.rewriteForReadingLevel.mockResolvedValue({ scenes: [{ content: COMPLEX }] });
+
+      const { story: result, readingLevel } = await matchReadingLevel(draft, CHARACTER, { audience: 'young_adult' });
+
+      expect(result).toBe(draft);
+      expect(readingLevel).toMatchObject({ on_target: false, rewrites: 1 });
+    });
+
+    it('keeps the draft when the rewrite fails, or offline', async () => {
+      gemini.rewriteForReadingLevel.mockRejectedValue(new Error('503 overloaded'));
+      const draft = story(COMPLEX);
+
+      expect((await matchReadingLevel(draft, CHARACTER, { audience: 'toddler' })).story).toBe(draft);
+
+      process.env.DEMO_MODE = 'true';
+      expect((await matchReadingLevel(draft, CHARACTER, { audience: 'toddler' })).readingLevel).toMatchObject({ rewrites: 0, on_target: false });
+      expect(gemini.rewriteForReadingLevel).toHaveBeenCalledTimes(1);
+    });
+
+    it('leaves stories in other languages alone', async () => {
+      expect(await matchReadingLevel(story(COMPLEX), CHARACTER, { audience: 'toddler', language: 'es' })).toMatchObject({ readingLevel: null });
+      expect(gemini.rewriteForReadingLevel).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,74 @@
+jest.mock('../geminiAI', () => {
+  const generator = { assistScene: jest.fn() };
+  return { GeminiStoryGenerator: jest.fn(() => generator) };
+});
+jest.mock('../storyPipeline', () => ({
+  loadStoryCast: jest.fn().mockResolvedValue({ characterDNA: { name: 'Mia' }, cast: [{ name: 'Mia' }] })
+}));
+
+const { GeminiStoryGenerator } = require('../geminiAI');
+const { proposeSceneAssist } = require('../sceneAssist');
+
+const gemini = new GeminiStoryGenerator();
+
+const RESULT = {
+  story: {
+    title: 'The Lost Kite',
+    scenes: [{ id: 'scene_1', number: 1, title: 'Scene 1', content: 'Mia runs. The kite flies away.' }]
+  },
+  metadata: {}
+};
+
+describe('proposeSceneAssist', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    process.env.GEMINI_API_KEY = 'test-key';
+    delete process.env.DEMO_MODE;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  it('proposes the rewritten passage in place, as a story edit', async () => {
+    gemini.assistScene.mockResolvedValue({ text: 'The kite soars off.', metadata: {} });
+
+    const proposal = await proposeSceneAssist(RESULT, 'scene_1', { action: 'simplify', passage: 'The kite flies away.' });
+
+    expect(proposal.proposed).toBe('Mia runs. The kite soars off.');
+    expect(proposal.passage).toEqual({ start: 10, end: 30, text: 'The kite flies away.' });
+    expect(proposal.edit.scenes).toEqual([{ id: 'scene_1', content: 'Mia runs. The kite soars off.' }]);
+  });
+
+  it('adds continued text after the passage', async () => {
+    gemini.assistScene.mockResolvedValue({ text: 'She follows it.', metadata: {} });
+
+    const proposal = await proposeSceneAssist(RESULT, 'scene_1', { action: 'continue' });
+
+    expect(proposal.proposed).toBe('Mia runs. The kite flies away. She follows it.');
+  });
+
+  it('rejects a passage that is not in the scene', async () => {
+    await expect(proposeSceneAssist(RESULT, 'scene_1', { action: 'expand', passage: 'A dragon appears.' }))
+      .rejects.toMatchObject({ invalidAssist: true });
+  });
+
+  it('reports writing assist unavailable without Gemini', async () => {
+    delete process.env.GEMINI_API_KEY;
+
+    await expect(proposeSceneAssist(RESULT, 'scene_1', { action: 'expand' })).rejects.toMatchObject({ assistUnavailable: true });
+    expect(gemini.assistScene).not.toHaveBeenCalled();
+  });
+
+  it('reports it unavailable in demo mode instead of faking the text', async () => {
+    process.env.DEMO_MODE = 'true';
+
+    await expect(proposeSceneAssist(RESULT, 'scene_1', { action: 'change_tone', tone: 'serious' }))
+      .rejects.toThrow('Writing assist needs Gemini: set GEMINI_API_KEY and turn off DEMO_MODE');
+    expect(gemini.assistScene).not.toHaveBeenCalled();
+  });
+});
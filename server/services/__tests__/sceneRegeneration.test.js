@@ -0,0 +1,166 @@
+jest.mock('../geminiAI', () => {
+  const generator = { regenerateScene: jest.fn() };
+  return { GeminiStoryGenerator: jest.fn(() => generator) };
+});
+jest.mock('../pythonStableDiffusion', () => {
+  const service = { generateSceneWithCharacter: jest.fn() };
+  return { PythonStableDiffusionService: jest.fn(() => service) };
+});
+jest.mock('../imageGeneration', () => ({ generateSingleSceneImage: jest.fn(), STYLE_PRESETS: {} }));
+jest.mock('../voiceService', () => ({
+  generateVoiceNarration: jest.fn(),
+  detectSceneEmotion: () => 'neutral'
+}));
+jest.mock('../consistencyScoring', () => ({
+  scoreSceneCast: jest.fn(),
+  summarizeConsistency: () => null
+}));
+jest.mock('../moderation', () => ({
+  assertStoryAllowed: jest.fn().mockResolvedValue({ allowed: true }),
+  resolveStoryModeration: () => ({})
+}));
+
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { generateVoiceNarration } = require('../voiceService');
+const { GeminiStoryGenerator } = require('../geminiAI');
+const {
+  loadResult,
+  saveResult,
+  listSceneVersions,
+  regenerateScene,
+  rollbackScene,
+  MAX_SCENE_VERSIONS
+} = require('../sceneRegeneration');
+
+const RESULTS_DIR = path.join(__dirname, '../../storage/results');
+const CHARACTER = { id: 'astronaut_cat', name: 'Astro Cat' };
+
+function generatedResult() {
+  return {
+    story: {
+      title: 'The Lost Kite',
+      scenes: [1, 2].map(number => ({ id: `scene_${number}`, number, title: `Scene ${number}`, content: `Part ${number}.`, description: `Part ${number}.` }))
+    },
+    audio_narration: {
+      voice_id: 'voice',
+      scenes: [1, 2].map(number => ({ scene_id: `scene_${number}`, scene_number: number, audio_url: `/uploads/${number}.mp3`, duration: 5 })),
+      total_duration: 10
+    },
+    metadata: { user_id: 'owner' }
+  };
+}
+
+describe('scene regeneration', () => {
+  let storyId;
+  let takes;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    storyId = `test-${uuidv4()}`;
+    await saveResult(storyId, generatedResult());
+
+    takes = 0;
+    generateVoiceNarration.mockImplementation(async () => {
+      takes += 1;
+      return { audioUrl: `/uploads/take-${takes}.mp3`, duration: 6 };
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(path.join(RESULTS_DIR, `${storyId}.json`), { force: true });
+  });
+
+  it('keeps the replaced asset as the newest version', async () => {
+    const { value, previous_version } = await regenerateScene(storyId, 'scene_1', 'narration', { characterDNA: CHARACTER });
+
+    expect(value.audio_url).toBe('/uploads/take-1.mp3');
+    expect(previous_version.value.audio_url).toBe('/uploads/1.mp3');
+
+    const result = await loadResult(storyId);
+    expect(result.audio_narration.scenes[0].audio_url).toBe('/uploads/take-1.mp3');
+    expect(result.audio_duration).toBe(11);
+    expect(listSceneVersions(result, 'scene_1').narration.map(version => version.reason)).toEqual(['regenerate']);
+  });
+
+  it('passes the job signal to the provider', async () => {
+    const controller = new AbortController();
+
+    await regenerateScene(storyId, 'scene_2', 'narration', { characterDNA: CHARACTER, signal: controller.signal });
+
+    expect(generateVoiceNarration).toHaveBeenCalledWith(expect.any(String), 'voice', 'neutral', expect.objectContaining({ signal: controller.signal }));
+  });
+
+  it(`keeps at most ${MAX_SCENE_VERSIONS} versions per scene and target`, async () => {
+    for (let i = 0; i < MAX_SCENE_VERSIONS + 2; i++) {
+      await regenerateScene(storyId, 'scene_1', 'narration', { characterDNA: CHARACTER });
+    }
+
+    const history = listSceneVersions(await loadResult(storyId), 'scene_1').narration;
+    expect(history).toHaveLength(MAX_SCENE_VERSIONS);
+    expect(history[0].value.audio_url).toBe(`/uploads/take-${MAX_SCENE_VERSIONS + 1}.mp3`);
+  });
+
+  it('marks the storyboard and narration stale when the text changes', async () => {
+    GeminiStoryGenerator().regenerateScene.mockResolvedValue({ id: 'scene_1', number: 1, title: 'Scene 1', content: 'A new part.' });
+
+    await regenerateScene(storyId, 'scene_1', 'text', { characterDNA: CHARACTER });
+
+    expect((await loadResult(storyId)).stale_assets).toEqual({ scene_1: ['image', 'narration'] });
+  });
+
+  it('throws the not-found errors rollback throws', async () => {
+    await expect(regenerateScene('test-missing', 'scene_1', 'narration', { characterDNA: CHARACTER }))
+      .rejects.toThrow('Result for job test-missing not found');
+    await expect(regenerateScene(storyId, 'scene_9', 'narration', { characterDNA: CHARACTER }))
+      .rejects.toThrow('Scene scene_9 not found');
+    await expect(rollbackScene('test-missing', 'scene_1', 'narration')).rejects.toThrow('Result for job test-missing not found');
+    await expect(rollbackScene(storyId, 'scene_9', 'narration')).rejects.toThrow('Scene scene_9 not found');
+    expect(generateVoiceNarration).not.toHaveBeenCalled();
+  });
+});
+
+describe('scene rollback', () => {
+  let storyId;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    storyId = `test-${uuidv4()}`;
+    await saveResult(storyId, generatedResult());
+    generateVoiceNarration.mockResolvedValue({ audioUrl: '/uploads/new.mp3', duration: 6 });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(path.join(RESULTS_DIR, `${storyId}.json`), { force: true });
+  });
+
+  it('restores the newest version and keeps the replaced one', async () => {
+    await regenerateScene(storyId, 'scene_1', 'narration', { characterDNA: CHARACTER });
+
+    const { value, previous_version } = await rollbackScene(storyId, 'scene_1', 'narration');
+
+    expect(value.audio_url).toBe('/uploads/1.mp3');
+    expect(previous_version).toMatchObject({ reason: 'rollback', value: { audio_url: '/uploads/new.mp3' } });
+    const result = await loadResult(storyId);
+    expect(result.audio_narration.scenes[0].audio_url).toBe('/uploads/1.mp3');
+    expect(listSceneVersions(result, 'scene_1').narration).toHaveLength(1);
+  });
+
+  it('restores a version picked by id', async () => {
+    const { previous_version: original } = await regenerateScene(storyId, 'scene_1', 'narration', { characterDNA: CHARACTER });
+    await regenerateScene(storyId, 'scene_1', 'narration', { characterDNA: CHARACTER });
+
+    const { value } = await rollbackScene(storyId, 'scene_1', 'narration', original.version_id);
+
+    expect(value.audio_url).toBe('/uploads/1.mp3');
+    await expect(rollbackScene(storyId, 'scene_1', 'narration', original.version_id)).rejects.toThrow(`Version ${original.version_id} not found`);
+  });
+
+  it('refuses to roll back a scene with no history', async () => {
+    await expect(rollbackScene(storyId, 'scene_2', 'narration')).rejects.toThrow('No previous narration version for scene scene_2');
+  });
+});
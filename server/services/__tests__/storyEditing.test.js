@@ -0,0 +1,112 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { editStory, listRevisions, restoreRevision } = require('../storyEditing');
+const { isStoryOwner, loadResult, saveResult } = require('../sceneRegeneration');
+
+const RESULTS_DIR = path.join(__dirname, '../../storage/results');
+
+function scene(number, content) {
+  return { id: `scene_${number}`, number, title: `Scene ${number}`, content, description: content };
+}
+
+function generatedResult() {
+  return {
+    story: {
+      title: 'The Lost Kite',
+      scenes: [scene(1, 'Mia finds a kite.'), scene(2, 'The wind takes it.'), scene(3, 'She gets it back.')]
+    },
+    storyboard_urls: [1, 2, 3].map(number => ({ sceneId: `scene_${number}`, url: `/uploads/${number}.png` })),
+    audio_narration: {
+      scenes: [1, 2, 3].map(number => ({ scene_id: `scene_${number}`, scene_number: number, audio_url: `/uploads/${number}.mp3`, duration: 5 })),
+      total_duration: 15
+    },
+    metadata: { user_id: 'owner', generated_at: '2026-01-01T00:00:00.000Z' }
+  };
+}
+
+describe('story editing', () => {
+  let storyId;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    storyId = `test-${uuidv4()}`;
+    await saveResult(storyId, generatedResult());
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(path.join(RESULTS_DIR, `${storyId}.json`), { force: true });
+  });
+
+  it('records an edit as a revision after the generated story', async () => {
+    const { revision } = await editStory(storyId, { title: 'The Found Kite', summary: 'Happier title' }, { editor: 'owner' });
+
+    expect(revision).toMatchObject({ number: 1, action: 'edit', editor: 'owner', summary: 'Happier title' });
+    expect(revision.changes).toEqual([{ type: 'title', from: 'The Lost Kite', to: 'The Found Kite' }]);
+
+    const result = await loadResult(storyId);
+    expect(listRevisions(result).map(entry => entry.action)).toEqual(['edit', 'generated']);
+    expect(result.revisions[0].snapshot.story.title).toBe('The Found Kite');
+  });
+
+  it('marks the assets of rewritten scenes stale', async () => {
+    const { result } = await editStory(storyId, { scenes: [{ id: 'scene_2', content: 'A storm takes the kite.' }] });
+
+    expect(result.stale_assets).toEqual({ scene_2: ['image', 'narration'] });
+  });
+
+  it('keeps storyboards and narration in scene order, dropping deleted scenes', async () => {
+    const { result } = await editStory(storyId, { delete_scenes: ['scene_1'], scene_order: ['scene_3', 'scene_2'] });
+
+    expect(result.story.scenes.map(entry => [entry.id, entry.number])).toEqual([['scene_3', 1], ['scene_2', 2]]);
+    expect(result.storyboard_urls.map(item => item.sceneId)).toEqual(['scene_3', 'scene_2']);
+    expect(result.audio_narration.scenes.map(item => [item.scene_id, item.scene_number])).toEqual([['scene_3', 1], ['scene_2', 2]]);
+    expect(result.audio_duration).toBe(10);
+  });
+
+  it('gives inserted scenes a new id and no assets', async () => {
+    await editStory(storyId, { delete_scenes: ['scene_3'] });
+    const { result } = await editStory(storyId, { insert_scenes: [{ after_scene_id: 'scene_1', title: 'A bird', content: 'A bird helps.' }] });
+
+    expect(result.story.scenes.map(entry => entry.id)).toEqual(['scene_1', 'scene_4', 'scene_2']);
+    expect(result.stale_assets.scene_4).toEqual(['image', 'narration']);
+  });
+
+  it('rejects edits that change nothing or leave no scenes', async () => {
+    await expect(editStory(storyId, { title: 'The Lost Kite' })).rejects.toMatchObject({ invalidEdit: true });
+    await expect(editStory(storyId, { delete_scenes: ['scene_1', 'scene_2', 'scene_3'] })).rejects.toThrow('A story needs at least one scene');
+    await expect(editStory(storyId, { scene_order: ['scene_1'] })).rejects.toThrow('scene_order must list every remaining scene exactly once');
+  });
+
+  it('restores an earlier revision as a new revision', async () => {
+    await editStory(storyId, { delete_scenes: ['scene_2'] });
+    const generated = listRevisions(await loadResult(storyId)).find(entry => entry.action === 'generated');
+
+    const { result, revision } = await restoreRevision(storyId, generated.revision_id, { editor: 'owner' });
+
+    expect(revision).toMatchObject({ number: 2, action: 'restore', restored_from: 0 });
+    expect(result.story.scenes.map(entry => entry.id)).toEqual(['scene_1', 'scene_2', 'scene_3']);
+    expect(result.storyboard_urls).toHaveLength(3);
+    await expect(restoreRevision(storyId, 'missing')).rejects.toMatchObject({ revisionNotFound: true });
+  });
+});
+
+describe('isStoryOwner', () => {
+  const owned = { metadata: { user_id: 'owner' } };
+
+  it('lets only the owner change a story', () => {
+    expect(isStoryOwner(owned, null, 'owner')).toBe(true);
+    expect(isStoryOwner(owned, null, 'someone-else')).toBe(false);
+    expect(isStoryOwner(owned, null, undefined)).toBe(false);
+  });
+
+  it('falls back to the job that generated the story', () => {
+    expect(isStoryOwner({ metadata: {} }, { user_id: 'owner' }, 'owner')).toBe(true);
+  });
+
+  it('lets nobody change a story generated while signed out', () => {
+    expect(isStoryOwner({ metadata: { user_id: null } }, { user_id: null }, 'anyone')).toBe(false);
+    expect(isStoryOwner({ metadata: {} }, null, undefined)).toBe(false);
+  });
+});
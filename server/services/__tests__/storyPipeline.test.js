@@ -0,0 +1,178 @@
+jest.mock('../textProviders', () => {
+  const registry = { generateStory: jest.fn() };
+  return { getTextProviderRegistry: () => registry };
+});
+jest.mock('../imageGeneration', () => ({
+  generateCharacterConsistentScenes: jest.fn(),
+  toStoryboardEntry: (image) => image
+}));
+jest.mock('../sceneRegeneration', () => ({ saveResult: jest.fn() }));
+jest.mock('../series', () => ({ completeEpisode: jest.fn() }));
+jest.mock('../storage', () => ({ uploadToStorage: jest.fn(), deleteFromStorageByUrl: jest.fn() }));
+jest.mock('../moderation', () => ({
+  assertStoryAllowed: jest.fn().mockResolvedValue({ allowed: true }),
+  resolveStrictness: () => 'standard'
+}));
+
+const { getTextProviderRegistry } = require('../textProviders');
+const { generateCharacterConsistentScenes } = require('../imageGeneration');
+const { saveResult } = require('../sceneRegeneration');
+const { deleteFromStorageByUrl } = require('../storage');
+const { createJobRecord, prepareRetry, runStoryPipeline } = require('../storyPipeline');
+
+const textProviders = getTextProviderRegistry();
+
+const STORY = {
+  title: 'Astro Cat and the Moon',
+  scenes: [1, 2, 3, 4].map(number => ({ scene_number: number, text: `The cat flies to the moon, part ${number}.`, visual_description: 'a cat in space' }))
+};
+
+// Jobs are kept in memory; saved copies show what a worker would write to disk
+function createQueue() {
+  const saved = [];
+  return {
+    saved,
+    isCancelled: jest.fn().mockResolvedValue(false),
+    saveJob: jest.fn(async (job) => {
+      saved.push(JSON.parse(JSON.stringify(job)));
+      return job;
+    })
+  };
+}
+
+function newJob(options = {}) {
+  return createJobRecord({
+    prompt: 'A trip to the moon',
+    dna_id: 'astronaut_cat',
+    style: 'cartoon',
+    genre: 'adventure',
+    options: { includeVideo: false, ...options }
+  });
+}
+
+describe('runStoryPipeline checkpoints', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    textProviders.generateStory.mockResolvedValue({ story: STORY, provider: 'gemini', generationMethod: 'gemini' });
+    generateCharacterConsistentScenes.mockImplementation(async (scenes) => scenes.map(scene => ({ sceneNumber: scene.scene_number, url: `/uploads/${scene.scene_number}.png` })));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('checkpoints the cast by id, without its DNA', async () => {
+    const job = newJob();
+
+    await runStoryPipeline(job, createQueue());
+
+    expect(job.status).toBe('completed');
+    expect(job.checkpoints.character_loading).toEqual({
+      castRefs: [{ id: 'astronaut_cat', role: 'protagonist', embeddingBackend: 'local' }]
+    });
+    expect(job.result.metadata.character_name).toBe('Astro Cat');
+  });
+
+  it('keeps the job record small while the story streams', async () => {
+    const queue = createQueue();
+    textProviders.generateStory.mockImplementation(async (prompt, genre, characterDNA, options) => {
+      await options.onTextDelta('Once', 'Once');
+      return { story: STORY, provider: 'gemini', generationMethod: 'gemini' };
+    });
+
+    await runStoryPipeline(newJob(), queue);
+
+    const streamed = queue.saved.find(saved => saved.partials?.story_generation);
+    expect(JSON.stringify(streamed)).not.toContain('embedding"');
+  });
+
+  it('resumes a failed job from the failed step, reloading the cast', async () => {
+    const job = newJob();
+    textProviders.generateStory.mockRejectedValueOnce(new Error('All text providers failed'));
+
+    await runStoryPipeline(job, createQueue());
+    expect(job.status).toBe('failed');
+    expect(job.steps.find(step => step.name === 'story_generation').status).toBe('failed');
+
+    expect(prepareRetry(job)).toBe('story_generation');
+    await runStoryPipeline(job, createQueue());
+
+    expect(job.status).toBe('completed');
+    expect(textProviders.generateStory).toHaveBeenCalledTimes(2);
+    const [, , characterDNA] = textProviders.generateStory.mock.calls[1];
+    expect(characterDNA).toMatchObject({ id: 'astronaut_cat', name: 'Astro Cat' });
+    expect(saveResult).toHaveBeenCalledWith(job.id, expect.objectContaining({ story: STORY }));
+  });
+
+  it('re-runs the steps from from_step and reuses the ones before it', async () => {
+    const job = newJob();
+    await runStoryPipeline(job, createQueue());
+
+    expect(prepareRetry(job, 'storyboard_generation')).toBe('storyboard_generation');
+    expect(job.checkpoints.storyboard_generation).toBeUndefined();
+    expect(job.checkpoints.story_generation).toBeDefined();
+
+    await runStoryPipeline(job, createQueue());
+
+    expect(job.status).toBe('completed');
+    expect(textProviders.generateStory).toHaveBeenCalledTimes(1);
+    expect(generateCharacterConsistentScenes).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects a from_step the job does not have', () => {
+    expect(() => prepareRetry(newJob(), 'video_generation')).toThrow("Step 'video_generation' is not part of this job");
+  });
+});
+
+describe('runStoryPipeline cancellation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('aborts the provider call in flight when the job is cancelled', async () => {
+    const controller = new AbortController();
+    let providerSignal;
+    textProviders.generateStory.mockImplementation((prompt, genre, characterDNA, options) => new Promise((resolve, reject) => {
+      providerSignal = options.signal;
+      options.signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+      controller.abort();
+    }));
+    const job = newJob();
+
+    await runStoryPipeline(job, createQueue(), { signal: controller.signal });
+
+    expect(providerSignal.aborted).toBe(true);
+    expect(job.status).toBe('cancelled');
+    expect(job.steps.find(step => step.name === 'story_generation').status).toBe('cancelled');
+    expect(generateCharacterConsistentScenes).not.toHaveBeenCalled();
+  });
+
+  it('stops at the next save when another process cancelled the job, removing partial uploads', async () => {
+    const queue = createQueue();
+    textProviders.generateStory.mockResolvedValue({ story: STORY, provider: 'gemini', generationMethod: 'gemini' });
+    generateCharacterConsistentScenes.mockImplementation(async (scenes, characterDNA, style, { onSceneComplete }) => {
+      await onSceneComplete({ sceneNumber: 1, url: '/uploads/1.png' });
+      queue.isCancelled.mockResolvedValue(true);
+      await onSceneComplete({ sceneNumber: 2, url: '/uploads/2.png' });
+      return [];
+    });
+    const job = newJob();
+
+    await runStoryPipeline(job, queue);
+
+    expect(job.status).toBe('cancelled');
+    expect(deleteFromStorageByUrl).toHaveBeenCalledWith('/uploads/1.png');
+    expect(deleteFromStorageByUrl).toHaveBeenCalledWith('/uploads/2.png');
+    expect(job.partials).toEqual({});
+    expect(saveResult).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,92 @@
+const { resolveSceneCount, getSceneBeat, getCameraAngle, DEFAULT_SCENE_COUNT } = require('../storyStructure');
+const { parseGeneratedStory, generateTemplateStory } = require('../storyEngine');
+const { GeminiStoryGenerator } = require('../geminiAI');
+
+const CHARACTER = { id: 'mia', name: 'Mia', traits: ['brave'] };
+
+// "Scene n: title / Camera: angle / description" blocks, as the free-text prompt asks for
+function engineText(sceneCount) {
+  return Array.from({ length: sceneCount }, (_, index) => (
+    `Scene ${index + 1}: Chapter ${index + 1}\nCamera: Close-up\nMia follows the kite into place number ${index + 1}.`
+  )).join('\n\n');
+}
+
+// "SCENE n: title" followed by its narration, as Gemini writes free text
+function geminiText(sceneCount) {
+  return Array.from({ length: sceneCount }, (_, index) => (
+    `SCENE ${index + 1}: Chapter ${index + 1}\nMia follows the kite into place number ${index + 1}.`
+  )).join('\n\n');
+}
+
+describe('story structure', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('clamps the requested scene count to 3-24', () => {
+    expect(resolveSceneCount()).toBe(DEFAULT_SCENE_COUNT);
+    expect(resolveSceneCount({ sceneCount: 'lots' })).toBe(DEFAULT_SCENE_COUNT);
+    expect(resolveSceneCount({ sceneCount: '8' })).toBe(8);
+    expect(resolveSceneCount({ sceneCount: 1 })).toBe(3);
+    expect(resolveSceneCount({ sceneCount: 100 })).toBe(24);
+  });
+
+  it('spreads the story beats and camera angles over any number of scenes', () => {
+    expect([0, 1, 2, 3, 4, 5].map(index => getSceneBeat(index, 6)))
+      .toEqual(['opening', 'development', 'development', 'development', 'climax', 'resolution']);
+    expect([0, 1, 2].map(index => getSceneBeat(index, 3))).toEqual(['opening', 'climax', 'resolution']);
+    expect(getCameraAngle(6)).toBe(getCameraAngle(0));
+  });
+
+  describe('parseGeneratedStory', () => {
+    it('reads every scene of a long story', () => {
+      const story = parseGeneratedStory(engineText(8), CHARACTER, 8);
+
+      expect(story.scenes).toHaveLength(8);
+      expect(story.scenes[7]).toMatchObject({ id: 'scene_8', number: 8, title: 'Chapter 8', camera: 'Close-up', description: 'Mia follows the kite into place number 8.' });
+    });
+
+    it('trims extra scenes and pads missing ones to the requested count', () => {
+      expect(parseGeneratedStory(engineText(8), CHARACTER, 5).scenes.map(scene => scene.id))
+        .toEqual(['scene_1', 'scene_2', 'scene_3', 'scene_4', 'scene_5']);
+
+      const padded = parseGeneratedStory(engineText(3), CHARACTER, 6).scenes;
+      expect(padded).toHaveLength(6);
+      expect(padded[5]).toMatchObject({ id: 'scene_6', number: 6, title: 'Scene 6', camera: getCameraAngle(5) });
+    });
+
+    it('makes up the requested number of scenes from text without any', () => {
+      expect(parseGeneratedStory('Mia flew her kite.', CHARACTER, 7).scenes).toHaveLength(7);
+    });
+  });
+
+  describe('GeminiStoryGenerator.parseStoryIntoScenes', () => {
+    const generator = new GeminiStoryGenerator();
+
+    it('reads every scene of a long story', () => {
+      const story = generator.parseStoryIntoScenes(geminiText(10), CHARACTER, 10);
+
+      expect(story.totalScenes).toBe(10);
+      expect(story.scenes.map(scene => scene.title)).toEqual(Array.from({ length: 10 }, (_, index) => `Chapter ${index + 1}`));
+      expect(story.scenes[9].content).toBe('Mia follows the kite into place number 10.');
+    });
+
+    it('trims extra scenes and pads missing ones to the requested count', () => {
+      expect(generator.parseStoryIntoScenes(geminiText(6), CHARACTER, 3).scenes).toHaveLength(3);
+
+      const padded = generator.parseStoryIntoScenes(geminiText(3), CHARACTER, 5).scenes;
+      expect(padded.map(scene => scene.id)).toEqual(['scene_1', 'scene_2', 'scene_3', 'scene_4', 'scene_5']);
+      expect(padded[4].title).toBe('Scene 5');
+    });
+  });
+
+  it('builds template stories with the requested number of scenes', () => {
+    expect(generateTemplateStory('A windy day', 'adventure', CHARACTER, { sceneCount: 9 }).scenes).toHaveLength(9);
+    expect(generateTemplateStory('A windy day', 'adventure', CHARACTER).scenes).toHaveLength(DEFAULT_SCENE_COUNT);
+  });
+});
@@ -0,0 +1,147 @@
+jest.mock('../geminiAI', () => {
+  const generator = { translateStory: jest.fn() };
+  return { GeminiStoryGenerator: jest.fn(() => generator) };
+});
+jest.mock('../voiceService', () => ({
+  generateStoryNarration: jest.fn(),
+  resolveNarrationVoice: jest.fn()
+}));
+jest.mock('../moderation', () => ({
+  assertStoryAllowed: jest.fn().mockResolvedValue({ allowed: true }),
+  resolveStoryModeration: () => ({})
+}));
+jest.mock('../storyPipeline', () => ({
+  loadStoryCast: jest.fn().mockResolvedValue({ characterDNA: { name: 'Mia' }, cast: [{ name: 'Mia' }] })
+}));
+
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { GeminiStoryGenerator } = require('../geminiAI');
+const { generateStoryNarration, resolveNarrationVoice } = require('../voiceService');
+const { assertStoryAllowed } = require('../moderation');
+const { loadResult, saveResult } = require('../sceneRegeneration');
+const { translateStory: translateStoryText } = require('../storyEngine');
+const { translateStory, findTranslation, getTranslations } = require('../storyTranslation');
+
+const RESULTS_DIR = path.join(__dirname, '../../storage/results');
+const gemini = new GeminiStoryGenerator();
+
+const STORY = {
+  title: 'The Lost Kite',
+  logline: 'A girl chases her kite.',
+  scenes: [1, 2].map(number => ({ id: `scene_${number}`, number, title: `Scene ${number}`, content: `Part ${number}.`, description: `Part ${number}.`, camera: 'wide shot' }))
+};
+
+const SPANISH = {
+  title: 'La cometa perdida',
+  logline: 'Una niña persigue su cometa.',
+  scenes: [1, 2].map(number => ({ title: `Escena ${number}`, content: `Parte ${number}.`, description: `Parte ${number}.` })),
+  metadata: { generatedBy: 'gemini-2.0-flash' }
+};
+
+describe('story translation', () => {
+  const env = { ...process.env };
+  let storyIds;
+
+  async function saveStory(fields = {}) {
+    const id = `test-${uuidv4()}`;
+    storyIds.push(id);
+    await saveResult(id, {
+      story: STORY,
+      storyboard_urls: [{ sceneId: 'scene_1', url: '/uploads/1.png' }],
+      metadata: { user_id: 'owner', series_id: 'series-1', episode_number: 2, generated_at: '2026-01-01T00:00:00.000Z' },
+      ...fields
+    });
+    return id;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    process.env.GEMINI_API_KEY = 'test-key';
+    delete process.env.DEMO_MODE;
+    storyIds = [];
+    gemini.translateStory.mockResolvedValue(SPANISH);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+    await Promise.all(storyIds.map(id => fs.rm(path.join(RESULTS_DIR, `${id}.json`), { force: true })));
+  });
+
+  it('translates the words and keeps the scene ids and cameras', async () => {
+    const story = await translateStoryText(STORY, { language: 'es' });
+
+    expect(story.title).toBe('La cometa perdida');
+    expect(story.scenes.map(scene => [scene.id, scene.title, scene.camera])).toEqual([
+      ['scene_1', 'Escena 1', 'wide shot'],
+      ['scene_2', 'Escena 2', 'wide shot']
+    ]);
+    expect(story.fullStory).toBe('Parte 1.\n\nParte 2.');
+    expect(story.metadata.language).toBe('es');
+  });
+
+  it('reports translation unavailable without Gemini', async () => {
+    delete process.env.GEMINI_API_KEY;
+
+    await expect(translateStoryText(STORY, { language: 'es' })).rejects.toMatchObject({ translationUnavailable: true });
+    expect(gemini.translateStory).not.toHaveBeenCalled();
+  });
+
+  it('reports it unavailable in demo mode instead of faking the text', async () => {
+    process.env.DEMO_MODE = 'true';
+
+    await expect(translateStoryText(STORY, { language: 'es' })).rejects.toThrow('Story translation needs Gemini');
+  });
+
+  it('saves the translation next to the original, sharing its storyboards', async () => {
+    const originalId = await saveStory();
+
+    const { id, result } = await translateStory(originalId, 'es');
+    storyIds.push(id);
+
+    expect(result.storyboard_urls).toEqual([{ sceneId: 'scene_1', url: '/uploads/1.png' }]);
+    expect(result.metadata).toMatchObject({ language: 'es', is_translation: true, translation: { original_id: originalId, source_language: 'en' } });
+    expect(result.metadata.series_id).toBeUndefined();
+    expect((await loadResult(originalId)).translations).toEqual([expect.objectContaining({ id, language: 'es', title: 'La cometa perdida' })]);
+
+    expect((await findTranslation(originalId, 'es')).id).toBe(id);
+    const family = await getTranslations(id);
+    expect(family.translations.map(version => [version.id, version.is_original])).toEqual([[originalId, true], [id, false]]);
+  });
+
+  it('narrates the translation when the original was narrated', async () => {
+    const originalId = await saveStory({ audio_narration: { voice_id: 'voice-en', scenes: [{ scene_id: 'scene_1' }] } });
+    resolveNarrationVoice.mockResolvedValue({ voiceId: 'voice-es', language: 'es', modelId: 'multilingual' });
+    generateStoryNarration.mockResolvedValue({ voice_id: 'voice-es', scenes: [{ scene_id: 'scene_1', duration: 4 }], total_duration: 4 });
+
+    const { id, result } = await translateStory(originalId, 'es');
+    storyIds.push(id);
+
+    expect(resolveNarrationVoice).toHaveBeenCalledWith('es', { voiceId: undefined, fallbackVoiceId: 'voice-en' });
+    expect(result.audio_narration.voice_id).toBe('voice-es');
+    expect(result.audio_duration).toBe(4);
+  });
+
+  it('keeps the translation without narration when narrating fails', async () => {
+    const originalId = await saveStory({ audio_narration: { voice_id: 'voice-en', scenes: [{ scene_id: 'scene_1' }] } });
+    resolveNarrationVoice.mockRejectedValue(new Error('No voice for Spanish'));
+
+    const { id, result } = await translateStory(originalId, 'es');
+    storyIds.push(id);
+
+    expect(result.audio_narration).toBeNull();
+  });
+
+  it('checks the translation before narrating it', async () => {
+    const originalId = await saveStory({ audio_narration: { voice_id: 'voice-en', scenes: [{ scene_id: 'scene_1' }] } });
+    assertStoryAllowed.mockRejectedValueOnce(new Error('Content not allowed'));
+
+    await expect(translateStory(originalId, 'es')).rejects.toThrow('Content not allowed');
+    expect(generateStoryNarration).not.toHaveBeenCalled();
+    expect((await loadResult(originalId)).translations).toBeUndefined();
+  });
+});
@@ -0,0 +1,124 @@
+jest.mock('../geminiAI', () => {
+  const generator = { generateStory: jest.fn(), checkAvailability: jest.fn() };
+  return { GeminiStoryGenerator: jest.fn(() => generator) };
+});
+jest.mock('axios', () => ({ post: jest.fn(), get: jest.fn() }));
+
+const axios = require('axios');
+const { GeminiStoryGenerator } = require('../geminiAI');
+const { TextProviderRegistry, getProviderOrder, DEFAULT_PROVIDER_ORDER } = require('../textProviders');
+
+const gemini = new GeminiStoryGenerator();
+const CHARACTER = { name: 'Mia', traits: ['brave'] };
+
+function storyText(sceneCount) {
+  return Array.from({ length: sceneCount }, (_, index) => (
+    `Scene ${index + 1}: Chapter ${index + 1}\nMia follows the red kite over the windy hills and into the valley.`
+  )).join('\n\n');
+}
+
+describe('text providers', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    delete process.env.TEXT_PROVIDER_ORDER;
+    delete process.env.HUGGING_FACE_TOKEN;
+    delete process.env.OPENAI_COMPAT_BASE_URL;
+    delete process.env.DEMO_MODE;
+    process.env.GEMINI_API_KEY = 'test-key';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  describe('getProviderOrder', () => {
+    it('defaults to Gemini, Hugging Face, then the templates', () => {
+      expect(getProviderOrder()).toEqual(DEFAULT_PROVIDER_ORDER);
+      expect(DEFAULT_PROVIDER_ORDER).toEqual(['gemini', 'huggingface', 'template']);
+    });
+
+    it('reads TEXT_PROVIDER_ORDER, dropping unknown and repeated names', () => {
+      process.env.TEXT_PROVIDER_ORDER = ' OpenAI, llama ,template,openai';
+
+      expect(getProviderOrder()).toEqual(['openai', 'template']);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('llama'));
+    });
+
+    it('falls back to the default when no configured name is known', () => {
+      process.env.TEXT_PROVIDER_ORDER = 'llama';
+
+      expect(getProviderOrder()).toEqual(DEFAULT_PROVIDER_ORDER);
+    });
+  });
+
+  describe('TextProviderRegistry.generateStory', () => {
+    it('uses the first provider that produces a story', async () => {
+      const story = { title: 'The Lost Kite', scenes: [] };
+      gemini.generateStory.mockResolvedValue({ story });
+
+      const result = await new TextProviderRegistry().generateStory('A windy day', 'adventure', CHARACTER);
+
+      expect(result).toEqual({ story, provider: 'gemini', generationMethod: 'gemini-ai', failures: [] });
+    });
+
+    it('falls back in order, skipping providers that are not configured', async () => {
+      gemini.generateStory.mockRejectedValue(new Error('Story generation failed after 3 attempts'));
+      const onFallback = jest.fn();
+
+      const result = await new TextProviderRegistry().generateStory('A windy day', 'adventure', CHARACTER, { sceneCount: 4 }, { onFallback });
+
+      expect(result.provider).toBe('template');
+      expect(result.story.scenes).toHaveLength(4);
+      expect(result.failures).toEqual([{ provider: 'gemini', error: 'Story generation failed after 3 attempts' }]);
+      expect(onFallback).toHaveBeenCalledTimes(1);
+      expect(onFallback.mock.calls[0][0].name).toBe('gemini');
+    });
+
+    it('follows the configured order', async () => {
+      process.env.OPENAI_COMPAT_BASE_URL = 'http://127.0.0.1:8080/v1/';
+      axios.post.mockResolvedValue({ data: { choices: [{ message: { content: storyText(3) } }] } });
+
+      const registry = new TextProviderRegistry(['openai', 'gemini']);
+      const result = await registry.generateStory('A windy day', 'adventure', CHARACTER, { sceneCount: 3 });
+
+      expect(result.provider).toBe('openai');
+      expect(result.story.scenes).toHaveLength(3);
+      expect(axios.post).toHaveBeenCalledWith('http://127.0.0.1:8080/v1/chat/completions', expect.any(Object), expect.any(Object));
+      expect(gemini.generateStory).not.toHaveBeenCalled();
+    });
+
+    it('stops at a cancelled job instead of trying the next provider', async () => {
+      const controller = new AbortController();
+      gemini.generateStory.mockImplementation(async () => {
+        controller.abort();
+        throw new Error('aborted');
+      });
+      const onFallback = jest.fn();
+
+      await expect(new TextProviderRegistry().generateStory('A windy day', 'adventure', CHARACTER, { signal: controller.signal }, { onFallback }))
+        .rejects.toMatchObject({ name: 'JobCancelledError' });
+      expect(onFallback).not.toHaveBeenCalled();
+    });
+
+    it('lists every failure when no provider succeeds', async () => {
+      process.env.OPENAI_COMPAT_BASE_URL = 'http://127.0.0.1:8080/v1';
+      gemini.generateStory.mockRejectedValue(new Error('503 overloaded'));
+      axios.post.mockResolvedValue({ data: { choices: [] } });
+
+      await expect(new TextProviderRegistry(['gemini', 'openai']).generateStory('A windy day', 'adventure', CHARACTER))
+        .rejects.toThrow('All text providers failed (gemini: 503 overloaded; openai: OpenAI-compatible server returned an empty completion)');
+    });
+
+    it('reports when no provider is configured', async () => {
+      delete process.env.GEMINI_API_KEY;
+
+      await expect(new TextProviderRegistry(['gemini', 'huggingface']).generateStory('A windy day', 'adventure', CHARACTER))
+        .rejects.toThrow('All text providers failed (none configured)');
+    });
+  });
+});
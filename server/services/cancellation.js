@@ -0,0 +1,70 @@
+// Cooperative cancellation helpers for long-running generation work
+
+class JobCancelledError extends Error {
+  constructor(message = 'Generation cancelled by user') {
+    super(message);
+    this.name = 'JobCancelledError';
+  }
+}
+
+// True for our own cancellation error and for aborted fetch/axios requests
+function isAbortError(error, signal) {
+  if (signal?.aborted) return true;
+  if (!error) return false;
+
+  return error.name === 'JobCancelledError' ||
+    error.name === 'AbortError' ||
+    error.name === 'CanceledError' ||
+    error.code === 'ERR_CANCELED';
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw new JobCancelledError();
+  }
+}
+
+// Reject as soon as the signal aborts, for calls that don't accept a signal themselves
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  throwIfAborted(signal);
+
+  let onAbort;
+  const abortPromise = new Promise((_, reject) => {
+    onAbort = () => reject(new JobCancelledError());
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+  return Promise.race([promise, abortPromise]).finally(() => {
+    signal.removeEventListener('abort', onAbort);
+  });
+}
+
+// A controller for one attempt at a call: it aborts when the job's signal does, and can also be
+// aborted on its own (e.g. when the attempt times out) without cancelling the job
+function linkAbortController(signal) {
+  const controller = new AbortController();
+  if (!signal) return { controller, unlink: () => {} };
+
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal.aborted) {
+    onAbort();
+  } else {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  return { controller, unlink: () => signal.removeEventListener('abort', onAbort) };
+}
+
+function abortableDelay(ms, signal) {
+  return abortable(new Promise(resolve => setTimeout(resolve, ms)), signal);
+}
+
+module.exports = {
+  JobCancelledError,
+  isAbortError,
+  throwIfAborted,
+  abortable,
+  abortableDelay,
+  linkAbortController
+};
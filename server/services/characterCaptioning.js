@@ -0,0 +1,85 @@
+const axios = require('axios');
+const { GeminiStoryGenerator } = require('./geminiAI');
+const { validateCaptionResponse } = require('./storySchema');
+
+// Vision captioning of uploaded characters: appearance attributes, a prose description and
+// personality hints, read off the reference images. Users review the result before saving.
+
+const MAX_CAPTION_IMAGES = 4; // The first few references describe a character well enough
+
+/**
+ * Captioners share one interface:
+ *   caption({ images: [{ data: Buffer, mimeType }], name, tags }) -> { description, appearance, personality }
+ */
+class GeminiCaptioner {
+  constructor() {
+    this.name = 'gemini';
+    this.generator = new GeminiStoryGenerator();
+  }
+
+  async caption({ images, name, tags }) {
+    return this.generator.captionCharacter(images, { name, tags });
+  }
+}
+
+// A local captioning server (BLIP, LLaVA...) that answers with the same JSON fields
+class HttpCaptioner {
+  constructor(url, apiKey = null) {
+    this.name = 'http';
+    this.url = url;
+    this.apiKey = apiKey;
+  }
+
+  async caption({ images, name, tags }) {
+    const response = await axios.post(this.url, {
+      images: images.map(image => ({ data: image.data.toString('base64'), mime_type: image.mimeType })),
+      ...(name && { name }),
+      tags
+    }, {
+      timeout: parseInt(process.env.CHARACTER_CAPTIONER_TIMEOUT_MS || '30000', 10),
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+    });
+
+    const { value, error } = validateCaptionResponse(JSON.stringify(response.data));
+    if (error) {
+      throw new Error(`Invalid captioner response: ${error}`);
+    }
+    return value;
+  }
+}
+
+function createDefaultCaptioner() {
+  if (process.env.CHARACTER_CAPTIONER === 'off') return null;
+  if (process.env.CHARACTER_CAPTIONER_URL) {
+    return new HttpCaptioner(process.env.CHARACTER_CAPTIONER_URL, process.env.CHARACTER_CAPTIONER_API_KEY);
+  }
+  return process.env.GEMINI_API_KEY ? new GeminiCaptioner() : null;
+}
+
+let captioner = createDefaultCaptioner();
+
+// Swap in another captioner (or null to skip captioning)
+function setCharacterCaptioner(nextCaptioner) {
+  captioner = nextCaptioner;
+}
+
+// Caption uploaded files; resolves to null when no captioner is set up or it fails,
+// so uploads never depend on it
+async function captionCharacter(files, { name, tags = [] } = {}) {
+  if (!captioner) return null;
+
+  try {
+    const images = files.slice(0, MAX_CAPTION_IMAGES).map(file => ({ data: file.buffer, mimeType: file.mimetype }));
+    const caption = await captioner.caption({ images, name, tags });
+    console.log(`👁️ Captioned character ${name || ''} with ${captioner.name}: ${caption.appearance.species || 'unknown species'}`);
+    return { ...caption, provider: captioner.name };
+  } catch (error) {
+    console.warn(`⚠️ Character captioning failed (${captioner.name}): ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  captionCharacter,
+  setCharacterCaptioner
+};
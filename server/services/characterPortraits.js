@@ -0,0 +1,163 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const { uploadToStorage, deleteFromStorageByUrl } = require('./storage');
+const {
+  loadReferenceImage,
+  loadLocalCharacter,
+  updateLocalCharacter,
+  updateSupabaseCharacter
+} = require('./characterReferences');
+const { getCharacterById } = require('./supabase');
+const { withFileLock, writeFileAtomic } = require('./fileLock');
+
+// Generated reference portraits of characters without uploaded references, one per art style.
+// They are stored with the character (`portraits` of a local character, `metadata.portraits` of
+// a Supabase row) so every job after the first draws scenes from the same portrait. Demo
+// characters have no record of their own; theirs are kept in storage/portraits.
+// A locked portrait can't be regenerated until it is unlocked.
+
+const DEMO_PORTRAITS_DIR = path.join(__dirname, '../storage/portraits');
+
+function portraitLocked(style) {
+  const error = new Error(`The ${style} portrait is locked; unlock it before regenerating`);
+  error.portraitLocked = true;
+  return error;
+}
+
+async function readDemoPortraits(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+}
+
+// Where a character's portraits live. `update(mutator)` changes the portraits map as it is
+// stored now, under a file lock or a compare-and-set on the Supabase row, so portraits, sheets
+// and references saved by another process meanwhile are kept; it resolves to what `mutator`
+// returns, and nothing is saved when `mutator` throws.
+async function loadPortraitRecord(characterDNA) {
+  if (characterDNA.is_demo) {
+    const filePath = path.join(DEMO_PORTRAITS_DIR, `${characterDNA.id}.json`);
+    return {
+      portraits: await readDemoPortraits(filePath),
+      update: (mutator) => withFileLock(filePath, async () => {
+        const portraits = await readDemoPortraits(filePath);
+        const result = mutator(portraits);
+        await writeFileAtomic(filePath, JSON.stringify(portraits, null, 2));
+        return result;
+      })
+    };
+  }
+
+  const local = await loadLocalCharacter(characterDNA.id);
+  if (local) {
+    return {
+      portraits: local.portraits || {},
+      update: (mutator) => updateLocalCharacter(characterDNA.id, (character) => {
+        character.portraits = character.portraits || {};
+        return mutator(character.portraits);
+      })
+    };
+  }
+
+  const row = await getCharacterById(characterDNA.id, null, true);
+  if (row) {
+    return {
+      portraits: row.metadata?.portraits || {},
+      update: async (mutator) => {
+        let result;
+        await updateSupabaseCharacter(row.id, row.user_id, (current) => {
+          const portraits = { ...current.metadata?.portraits };
+          result = mutator(portraits);
+          return { metadata: { ...current.metadata, portraits } };
+        });
+        return result;
+      }
+    };
+  }
+
+  return null;
+}
+
+async function getStoredPortraits(characterDNA) {
+  const record = await loadPortraitRecord(characterDNA);
+  return record?.portraits || {};
+}
+
+// A stored portrait as base64, for the image-to-image endpoint
+async function loadPortraitImage(characterDNA, portrait) {
+  try {
+    return await loadReferenceImage(portrait);
+  } catch (error) {
+    console.warn(`⚠️ Stored ${portrait.style} portrait of ${characterDNA.name} is unreadable, it will be regenerated:`, error.message);
+    return null;
+  }
+}
+
+// Store a newly generated portrait, replacing the previous one of that style unless it is locked
+async function savePortrait(characterDNA, style, { image, prompt, seed }) {
+  const record = await loadPortraitRecord(characterDNA);
+  if (!record) {
+    console.warn(`⚠️ Character ${characterDNA.id} has no record to keep its portrait in`);
+    return null;
+  }
+
+  if (record.portraits[style]?.locked) throw portraitLocked(style);
+
+  const portraitId = uuidv4();
+  const imageUrl = await uploadToStorage(Buffer.from(image, 'base64'), `characters/${characterDNA.id}/portraits/${style}_${portraitId}.png`, 'image/png');
+  const portrait = {
+    id: portraitId,
+    style,
+    imageUrl,
+    prompt,
+    seed,
+    locked: false,
+    createdAt: new Date().toISOString()
+  };
+
+  let previous;
+  try {
+    // Checked again on the stored map: the portrait may have been locked while this one was drawn
+    previous = await record.update((portraits) => {
+      if (portraits[style]?.locked) throw portraitLocked(style);
+      const replaced = portraits[style];
+      portraits[style] = portrait;
+      return replaced;
+    });
+  } catch (error) {
+    await deleteFromStorageByUrl(imageUrl).catch(() => {});
+    throw error;
+  }
+  if (previous) {
+    await deleteFromStorageByUrl(previous.imageUrl).catch(error => console.warn(`Failed to delete portrait ${previous.imageUrl}:`, error.message));
+  }
+
+  console.log(`💾 Saved ${style} portrait ${portraitId} for ${characterDNA.name}`);
+  return portrait;
+}
+
+async function setPortraitLocked(characterDNA, style, locked) {
+  const record = await loadPortraitRecord(characterDNA);
+  if (!record?.portraits[style]) return null;
+
+  const updated = await record.update((portraits) => {
+    if (!portraits[style]) return null;
+    portraits[style] = { ...portraits[style], locked };
+    return portraits[style];
+  });
+  if (!updated) return null;
+  console.log(`${locked ? '🔒 Locked' : '🔓 Unlocked'} ${style} portrait of ${characterDNA.name}`);
+  return updated;
+}
+
+module.exports = {
+  getStoredPortraits,
+  loadPortraitImage,
+  savePortrait,
+  setPortraitLocked,
+  portraitLocked
+};
@@ -0,0 +1,405 @@
+const path = require('path');
+const fs = require('fs').promises;
+const axios = require('axios');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { uploadToStorage, deleteFromStorageByUrl } = require('./storage');
+const { generateImageEmbedding, resolveEmbeddingBackend, calculateSimilarity, normalizeEmbedding } = require('./clip');
+const { removeBackground } = require('./imageProcessing');
+const { withFileLock, writeFileAtomic } = require('./fileLock');
+const { getCharacterById, updateCharacter } = require('./supabase');
+
+// Character DNA built from several reference images (front, side, expressions, outfits).
+// Each reference keeps its own embedding; the character's `embedding` is their centroid, and
+// image-to-image generation starts from whichever reference suits the scene best.
+
+const MAX_REFERENCES = 10;
+const RECOMMENDED_REFERENCES = 3;
+const REFERENCE_VIEWS = ['front', 'side', 'back', 'expression', 'outfit', 'other'];
+
+// Words in a scene prompt that call for a particular view of the character
+const VIEW_KEYWORDS = {
+  side: ['side', 'profile', 'walking', 'running', 'turns', 'glances'],
+  back: ['behind', 'back', 'away', 'leaving', 'departs', 'from the rear'],
+  front: ['faces', 'facing', 'looks at', 'portrait', 'close-up', 'smiles']
+};
+
+const LOCAL_STORAGE_DIR = path.join(__dirname, '../storage/characters');
+const MAX_SAVE_ATTEMPTS = 5; // Supabase rows changed by someone else while we save
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+
+function invalidReference(message) {
+  const error = new Error(message);
+  error.invalidReference = true;
+  return error;
+}
+
+// Auto-crop and standardize an uploaded image
+async function processCharacterImage(buffer) {
+  try {
+    return await sharp(buffer)
+      .resize(512, 512, {
+        fit: 'cover',
+        position: 'center'
+      })
+      .png()
+      .toBuffer();
+  } catch (error) {
+    throw new Error(`Image processing failed: ${error.message}`);
+  }
+}
+
+// Standardize an upload the way every reference image is, before embedding it
+async function prepareReferenceImage(buffer) {
+  const image = await processCharacterImage(buffer);
+  if (process.env.REMOVE_BACKGROUND !== 'true') return image;
+
+  try {
+    return await removeBackground(image);
+  } catch (bgError) {
+    console.warn('Background removal failed, using original:', bgError.message);
+    return image;
+  }
+}
+
+// Embed images with one backend. When it fails over to another for one image (Hugging Face falling
+// back to local), the whole set is embedded again with the fallback so its embeddings compare.
+// `images` are functions resolving to image buffers; resolves to the embeddings and their backend.
+async function embedAlike(images, backend) {
+  const embeddings = [];
+  for (const loadImage of images) {
+    const result = await generateImageEmbedding(await loadImage(), { backend });
+    if (result.backend !== backend) {
+      console.warn(`⚠️ Embedding backend ${backend} fell back to ${result.backend}, embedding all ${images.length} images with it`);
+      return embedAlike(images, result.backend);
+    }
+    embeddings.push(result.embedding);
+  }
+  return { embeddings, backend };
+}
+
+// Process, embed and store one reference image. `backend` is the character's embedding backend
+async function createReference(buffer, characterId, { view = 'front', label = null, originalFilename = null, folder = 'references', backend } = {}) {
+  const referenceId = uuidv4();
+  const image = await prepareReferenceImage(buffer);
+
+  const { embedding, backend: embeddingBackend } = await generateImageEmbedding(image, { backend });
+  const imageUrl = await uploadToStorage(image, `characters/${characterId}/${folder}/${referenceId}.png`, 'image/png');
+
+  const thumbnail = await sharp(image)
+    .resize(256, 256, { fit: 'cover' })
+    .png()
+    .toBuffer();
+  const thumbnailUrl = await uploadToStorage(thumbnail, `characters/${characterId}/${folder}/${referenceId}_thumb.png`, 'image/png');
+
+  return {
+    id: referenceId,
+    view,
+    label,
+    imageUrl,
+    thumbnailUrl,
+    embedding,
+    embeddingBackend, // Generated scenes are scored with the same backend
+    originalFilename,
+    createdAt: new Date().toISOString()
+  };
+}
+
+function similarity(a, b) {
+  return a?.length && a.length === b?.length ? calculateSimilarity(a, b) : 0;
+}
+
+// Backend shared by every embedded reference, or null when they were embedded differently.
+// Similarity search only compares characters whose DNA came from the same backend.
+function resolveReferenceBackend(references) {
+  const backends = new Set(references.filter(reference => reference.embedding?.length).map(reference => reference.embeddingBackend || null));
+  return backends.size === 1 ? [...backends][0] : null;
+}
+
+// Backend of a character's DNA embedding; characters saved before it was recorded take it from their references
+function getEmbeddingBackend(character) {
+  return character.embeddingBackend || character.metadata?.embeddingBackend || resolveReferenceBackend(character.references || character.metadata?.references || []);
+}
+
+// Mean of the normalized embeddings of the references embedded with `backend`; others don't compare
+function computeCentroid(references, backend) {
+  const embeddings = references
+    .filter(reference => reference.embedding?.length && (reference.embeddingBackend || null) === backend)
+    .map(reference => reference.embedding);
+  if (embeddings.length === 0) return null;
+
+  const sum = new Array(embeddings[0].length).fill(0);
+  for (const embedding of embeddings.map(normalizeEmbedding)) {
+    embedding.forEach((value, i) => { sum[i] += value; });
+  }
+  return normalizeEmbedding(sum.map(value => value / embeddings.length));
+}
+
+// Characters uploaded before references existed have one image; it becomes their first reference
+function getReferences(character) {
+  if (character.references?.length) return character.references;
+
+  const imageUrl = character.imageUrl || character.image_url;
+  if (!imageUrl || character.is_demo) return [];
+
+  return [{
+    id: 'original',
+    view: 'front',
+    label: null,
+    imageUrl,
+    thumbnailUrl: character.thumbnailUrl || character.thumbnail_url || imageUrl,
+    embedding: character.embedding,
+    embeddingBackend: character.embeddingBackend || null,
+    originalFilename: character.originalFilename || null,
+    createdAt: character.createdAt || character.created_at || null
+  }];
+}
+
+// Re-embed the references that another backend embedded (or that predate recording it) with the
+// character's backend; if that backend fails over, every reference moves to the fallback instead
+async function alignReferenceBackends(references, backend) {
+  const mismatched = references.filter(reference => reference.embeddingBackend !== backend);
+  if (mismatched.length === 0) return { references, backend };
+
+  const images = mismatched.map(reference => async () => Buffer.from(await loadReferenceImage(reference), 'base64'));
+  const { embeddings, backend: used } = await embedAlike(images, backend);
+  if (used !== backend) return alignReferenceBackends(references, used);
+
+  console.log(`🔄 Re-embedded ${mismatched.length} reference${mismatched.length === 1 ? '' : 's'} with ${backend}`);
+  const realigned = new Map(mismatched.map((reference, i) => [reference.id, { ...reference, embedding: embeddings[i], embeddingBackend: backend }]));
+  return { references: references.map(reference => realigned.get(reference.id) || reference), backend };
+}
+
+// The DNA fields that follow from a set of references embedded with `backend`: their centroid,
+// and the reference closest to it as the character's main image
+function summarizeReferences(references, backend) {
+  const embedding = computeCentroid(references, backend);
+  const primary = embedding
+    ? references.reduce((best, reference) => (
+      similarity(embedding, reference.embedding) > similarity(embedding, best.embedding) ? reference : best
+    ))
+    : references[0];
+
+  return {
+    references,
+    embedding,
+    embeddingBackend: embedding ? backend : null,
+    primaryReferenceId: primary.id,
+    imageUrl: primary.imageUrl,
+    thumbnailUrl: primary.thumbnailUrl
+  };
+}
+
+// Reference as returned by the API, without its embedding
+function describeReference({ embedding, ...reference }, primaryReferenceId = null) {
+  return { ...reference, primary: reference.id === primaryReferenceId };
+}
+
+function countKeywords(prompt, keywords) {
+  return keywords.filter(keyword => new RegExp(`\\b${keyword}\\b`, 'i').test(prompt)).length;
+}
+
+// Panels of the character's sheet, when it was drawn in the given style. They are references for
+// generation only; the DNA embedding stays the centroid of the uploaded images.
+function getSheetReferences(characterDNA, style) {
+  const sheet = characterDNA.sheet || characterDNA.metadata?.sheet;
+  return style && sheet?.style === style ? sheet.panels || [] : [];
+}
+
+// A reference or sheet panel by id, e.g. the one a scene was drawn from
+function findReference(characterDNA, referenceId) {
+  const sheet = characterDNA.sheet || characterDNA.metadata?.sheet;
+  return [...(characterDNA.references || []), ...(sheet?.panels || [])].find(reference => reference.id === referenceId) || null;
+}
+
+// The reference to start a scene from: the most typical one, unless the scene asks for a
+// view, expression or outfit one of the references (or sheet panels in this style) was labelled with
+function selectReference(characterDNA, prompt = '', style = null) {
+  const references = [...(characterDNA.references || []), ...getSheetReferences(characterDNA, style)]
+    .filter(reference => reference.imageUrl);
+  if (references.length === 0) return null;
+
+  const backend = getEmbeddingBackend(characterDNA);
+  const centroid = characterDNA.embedding?.length ? characterDNA.embedding : computeCentroid(references, backend);
+  const scored = references.map(reference => {
+    const labelWords = (reference.label || '').toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 2);
+    return {
+      reference,
+      matches: countKeywords(prompt, VIEW_KEYWORDS[reference.view] || []) + countKeywords(prompt, labelWords),
+      typicality: reference.embeddingBackend === backend ? similarity(centroid, reference.embedding) : 0
+    };
+  });
+
+  scored.sort((a, b) => b.matches - a.matches || b.typicality - a.typicality);
+  return scored[0].reference;
+}
+
+// A reference image as base64, for the image-to-image endpoint
+async function loadReferenceImage(reference) {
+  if (reference.imageUrl.startsWith('/uploads/')) {
+    const buffer = await fs.readFile(path.join(UPLOADS_DIR, reference.imageUrl.replace('/uploads/', '')));
+    return buffer.toString('base64');
+  }
+
+  const response = await axios.get(reference.imageUrl, { responseType: 'arraybuffer', timeout: 30000 });
+  return Buffer.from(response.data).toString('base64');
+}
+
+// Embedding of images that are not stored, e.g. a search by image: the centroid of their
+// embeddings, with the backend it came from
+async function embedImages(files) {
+  const images = files.map(file => {
+    let prepared = null;
+    return () => (prepared = prepared || prepareReferenceImage(file.buffer));
+  });
+  const { embeddings, backend } = await embedAlike(images, resolveEmbeddingBackend());
+  const references = embeddings.map(embedding => ({ embedding, embeddingBackend: backend }));
+  return { embedding: computeCentroid(references, backend), backend };
+}
+
+// Add reference images to a stored character; returns the updated character
+async function addReferences(character, files, { views = [], labels = [] } = {}) {
+  const existing = getReferences(character);
+  if (existing.length + files.length > MAX_REFERENCES) {
+    throw invalidReference(`A character can have at most ${MAX_REFERENCES} reference images (${existing.length} already)`);
+  }
+
+  // New references are embedded like the existing ones, so the DNA centroid only averages comparable embeddings
+  const backend = (existing.length && getEmbeddingBackend(character)) || resolveEmbeddingBackend();
+  const created = [];
+  for (const [index, file] of files.entries()) {
+    created.push(await createReference(file.buffer, character.id, {
+      view: views[index] || (existing.length + index === 0 ? 'front' : 'other'),
+      label: labels[index] || null,
+      originalFilename: file.originalname,
+      backend
+    }));
+  }
+
+  const aligned = await alignReferenceBackends([...existing, ...created], backend);
+  console.log(`🖼️ Added ${created.length} reference image${created.length === 1 ? '' : 's'} to character ${character.id}`);
+  return { ...character, ...summarizeReferences(aligned.references, aligned.backend) };
+}
+
+async function deleteReferenceFiles(reference) {
+  await Promise.all([reference.imageUrl, reference.thumbnailUrl].map(url => (
+    deleteFromStorageByUrl(url).catch(error => console.warn(`Failed to delete reference file ${url}:`, error.message))
+  )));
+}
+
+async function removeReference(character, referenceId) {
+  const references = getReferences(character);
+  const reference = references.find(entry => entry.id === referenceId);
+  if (!reference) {
+    const error = new Error(`Reference ${referenceId} not found`);
+    error.referenceNotFound = true;
+    throw error;
+  }
+  if (references.length === 1) {
+    throw invalidReference('A character needs at least one reference image');
+  }
+
+  await deleteReferenceFiles(reference);
+
+  const aligned = await alignReferenceBackends(
+    references.filter(entry => entry.id !== referenceId),
+    getEmbeddingBackend(character) || resolveEmbeddingBackend()
+  );
+  console.log(`🗑️ Removed reference ${referenceId} from character ${character.id}`);
+  return { ...character, ...summarizeReferences(aligned.references, aligned.backend) };
+}
+
+// Supabase rows keep their reference images, sheet and portraits in the metadata column
+function fromSupabaseRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    embedding: row.embedding,
+    embeddingBackend: getEmbeddingBackend(row),
+    imageUrl: row.image_url,
+    thumbnailUrl: row.thumbnail_url,
+    createdAt: row.created_at,
+    references: row.metadata?.references || [],
+    primaryReferenceId: row.metadata?.primaryReferenceId || null,
+    sheet: row.metadata?.sheet || null,
+    metadata: row.metadata || {}
+  };
+}
+
+// Characters of anonymous users (and Supabase fallbacks) live in storage/characters
+function localCharacterPath(characterId) {
+  return path.join(LOCAL_STORAGE_DIR, `${characterId}.json`);
+}
+
+async function loadLocalCharacter(characterId) {
+  try {
+    return JSON.parse(await fs.readFile(localCharacterPath(characterId), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function writeLocalCharacter(character) {
+  await fs.mkdir(LOCAL_STORAGE_DIR, { recursive: true });
+  await writeFileAtomic(localCharacterPath(character.id), JSON.stringify(character, null, 2));
+}
+
+async function saveLocalCharacter(character) {
+  await withFileLock(localCharacterPath(character.id), () => writeLocalCharacter(character));
+}
+
+// Change a local character as it is on disk now, so writes from the API process and the
+// workers (sheets, portraits) don't undo each other. Resolves to what `mutator` returns.
+async function updateLocalCharacter(characterId, mutator) {
+  return withFileLock(localCharacterPath(characterId), async () => {
+    const character = await loadLocalCharacter(characterId);
+    if (!character) {
+      throw new Error(`Character ${characterId} not found`);
+    }
+
+    const returnValue = await mutator(character);
+    await writeLocalCharacter(character);
+    return returnValue;
+  });
+}
+
+// The same for a Supabase row: `mutator` gets a fresh row and returns the columns to update,
+// which are saved only if nobody changed the row since it was read (retried otherwise).
+// Resolves to the row as it was before the update.
+async function updateSupabaseCharacter(characterId, userId, mutator) {
+  for (let attempt = 0; attempt < MAX_SAVE_ATTEMPTS; attempt++) {
+    const row = await getCharacterById(characterId, userId);
+    if (!row) {
+      throw new Error(`Character ${characterId} not found`);
+    }
+
+    const saved = await updateCharacter(characterId, userId, mutator(row), { expectedUpdatedAt: row.updated_at });
+    if (saved) return row;
+  }
+  throw new Error(`Failed to save character ${characterId}`);
+}
+
+module.exports = {
+  MAX_REFERENCES,
+  RECOMMENDED_REFERENCES,
+  REFERENCE_VIEWS,
+  createReference,
+  embedImages,
+  getEmbeddingBackend,
+  summarizeReferences,
+  getReferences,
+  describeReference,
+  findReference,
+  getSheetReferences,
+  selectReference,
+  loadReferenceImage,
+  addReferences,
+  removeReference,
+  deleteReferenceFiles,
+  fromSupabaseRow,
+  loadLocalCharacter,
+  saveLocalCharacter,
+  updateLocalCharacter,
+  updateSupabaseCharacter
+};
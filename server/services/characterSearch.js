@@ -0,0 +1,199 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { findSimilarCharacters, normalizeEmbedding, getAllDemoCharacters, getDemoEmbedding, DEMO_EMBEDDING_BACKEND } = require('./clip');
+const { getUserCharacters, matchCharacters, isSupabaseEnabled } = require('./supabase');
+const { getEmbeddingBackend } = require('./characterReferences');
+
+// Nearest-neighbour search over character DNA embeddings in the requester's library (through the
+// pgvector index in Supabase, or an in-process index over storage/characters) and the demo
+// characters. Embeddings are only comparable when the same backend produced them, so every search
+// is limited to the backend of its query; the bundled demo characters are embedded locally.
+
+const LOCAL_STORAGE_DIR = path.join(__dirname, '../storage/characters');
+const DEFAULT_LIMIT = 5;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Cosine similarity from which a new upload counts as a near-duplicate of an existing character
+const DUPLICATE_THRESHOLD = parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD || '0.95');
+
+// Unit-length embeddings in memory; a search is one dot product per character
+class EmbeddingIndex {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  set(id, character, embedding, backend) {
+    this.entries.set(id, { character, backend, vector: normalizeEmbedding(embedding) });
+  }
+
+  delete(id) {
+    this.entries.delete(id);
+  }
+
+  search(query, backend, filter = () => true) {
+    const results = [];
+    for (const { character, backend: entryBackend, vector } of this.entries.values()) {
+      if (entryBackend !== backend || vector.length !== query.length || !filter(character)) continue;
+
+      let similarity = 0;
+      for (let i = 0; i < query.length; i++) similarity += query[i] * vector[i];
+      results.push({ ...character, similarity });
+    }
+    return results;
+  }
+}
+
+// Local characters are re-read only when their file changed, so uploads, reference edits and
+// cleanup all show up without the writers having to know about the index
+const localIndex = new EmbeddingIndex();
+const localVersions = new Map();
+
+async function syncLocalIndex() {
+  let files;
+  try {
+    files = (await fs.readdir(LOCAL_STORAGE_DIR)).filter(file => file.endsWith('.json'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    files = [];
+  }
+
+  const present = new Set();
+  for (const file of files) {
+    const id = file.slice(0, -'.json'.length);
+    present.add(id);
+
+    try {
+      const filePath = path.join(LOCAL_STORAGE_DIR, file);
+      const { mtimeMs } = await fs.stat(filePath);
+      if (localVersions.get(id) === mtimeMs) continue;
+
+      const character = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      localVersions.set(id, mtimeMs);
+      const backend = getEmbeddingBackend(character);
+      if (!character.embedding?.length || !backend) {
+        localIndex.delete(id);
+        continue;
+      }
+
+      localIndex.set(id, {
+        id: character.id,
+        name: character.name,
+        description: character.description,
+        imageUrl: character.imageUrl,
+        thumbnailUrl: character.thumbnailUrl,
+        ownerId: character.ownerId || null,
+        is_demo: character.is_demo || false,
+        source: 'local'
+      }, character.embedding, backend);
+    } catch (error) {
+      console.warn(`⚠️ Skipping character file ${file} in similarity index:`, error.message);
+    }
+  }
+
+  for (const id of localVersions.keys()) {
+    if (!present.has(id)) {
+      localVersions.delete(id);
+      localIndex.delete(id);
+    }
+  }
+}
+
+// The bundled demo characters, shared by everyone; embedded once per process
+const demoIndex = new EmbeddingIndex();
+
+async function syncDemoIndex() {
+  for (const character of getAllDemoCharacters()) {
+    if (demoIndex.entries.has(character.id)) continue;
+
+    try {
+      demoIndex.set(character.id, {
+        id: character.id,
+        name: character.name,
+        description: character.description,
+        imageUrl: `/demo/${character.id}.jpg`,
+        thumbnailUrl: `/demo/${character.id}_thumb.jpg`,
+        is_demo: true,
+        source: 'demo'
+      }, await getDemoEmbedding(character.id), DEMO_EMBEDDING_BACKEND);
+    } catch (error) {
+      console.warn(`⚠️ Skipping demo character ${character.id} in similarity index:`, error.message);
+    }
+  }
+}
+
+function fromSupabaseMatch(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    imageUrl: row.image_url,
+    thumbnailUrl: row.thumbnail_url,
+    is_demo: row.is_demo || false,
+    source: 'supabase',
+    similarity: row.similarity
+  };
+}
+
+async function searchSupabase(embedding, backend, userId, { limit, excludeId }) {
+  // Demo characters have slugs for ids, which the uuid column can't compare against
+  const matches = await matchCharacters(embedding, userId, { backend, limit, excludeId: UUID_PATTERN.test(excludeId) ? excludeId : null });
+  if (matches) return matches.map(fromSupabaseMatch);
+
+  // Database without the match_characters function: rank the user's characters here
+  const characters = (await getUserCharacters(userId))
+    .filter(row => row.id !== excludeId && getEmbeddingBackend(row) === backend && row.embedding?.length === embedding.length)
+    .map(row => ({ ...fromSupabaseMatch(row), embedding: row.embedding }));
+  const ranked = await findSimilarCharacters(embedding, characters, limit);
+  return ranked.map(({ embedding: _embedding, ...character }) => character);
+}
+
+/**
+ * Characters closest to an embedding, most similar first.
+ * `backend` is the embedding backend that produced the query (as returned by generateImageEmbedding);
+ * only characters embedded with it are compared. Searches the demo characters, local characters the
+ * user may see (their own and anonymous ones) and, for signed-in users, their Supabase library.
+ */
+async function searchSimilarCharacters(embedding, { backend, user = null, excludeId = null, limit = DEFAULT_LIMIT, minSimilarity = -1 } = {}) {
+  if (!embedding?.length || !backend) return [];
+
+  const query = normalizeEmbedding(embedding);
+  await syncLocalIndex();
+
+  const candidates = localIndex.search(query, backend, character => !character.ownerId || character.ownerId === user?.id);
+  if (backend === DEMO_EMBEDDING_BACKEND) {
+    await syncDemoIndex();
+    candidates.push(...demoIndex.search(query, backend));
+  }
+  if (user && isSupabaseEnabled()) {
+    candidates.push(...await searchSupabase(embedding, backend, user.id, { limit: limit + 1, excludeId }));
+  }
+
+  // A Supabase character saved locally as a fallback can turn up twice
+  const best = new Map();
+  for (const candidate of candidates) {
+    if (candidate.id === excludeId || candidate.similarity < minSimilarity) continue;
+    if (!best.has(candidate.id) || best.get(candidate.id).similarity < candidate.similarity) {
+      best.set(candidate.id, candidate);
+    }
+  }
+
+  return [...best.values()]
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit)
+    .map(character => ({ ...character, similarity: Math.round(character.similarity * 1000) / 1000 }));
+}
+
+// Existing characters a new upload is nearly identical to
+async function findNearDuplicates(embedding, { backend, user = null, excludeId = null } = {}) {
+  try {
+    return await searchSimilarCharacters(embedding, { backend, user, excludeId, limit: 3, minSimilarity: DUPLICATE_THRESHOLD });
+  } catch (error) {
+    console.warn('⚠️ Duplicate check failed:', error.message);
+    return [];
+  }
+}
+
+module.exports = {
+  searchSimilarCharacters,
+  findNearDuplicates
+};
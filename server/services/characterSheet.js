@@ -0,0 +1,172 @@
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { PythonStableDiffusionService } = require('./pythonStableDiffusion');
+const {
+  createReference,
+  deleteReferenceFiles,
+  getEmbeddingBackend,
+  fromSupabaseRow,
+  loadLocalCharacter,
+  updateLocalCharacter,
+  updateSupabaseCharacter
+} = require('./characterReferences');
+const { getCharacterById } = require('./supabase');
+const { createCollage } = require('./imageProcessing');
+const { uploadToStorage, deleteFromStorageByUrl } = require('./storage');
+const { throwIfAborted } = require('./cancellation');
+
+// Character sheets: a turnaround, a set of expressions and a few poses of one character in one
+// style, drawn from its uploaded references. Each panel is stored like a reference image, so
+// scenes in that style can start from the back view or the angry face when the prompt asks for it.
+
+const pythonSD = new PythonStableDiffusionService();
+
+// Strength is how far a panel may move away from the reference image; turnarounds and poses need
+// the freedom to turn the character, expressions mostly redraw the face
+const SHEET_PANELS = [
+  { id: 'front', group: 'turnaround', view: 'front', label: 'front', prompt: 'front view, standing, facing the viewer', strength: 0.6 },
+  { id: 'side', group: 'turnaround', view: 'side', label: 'side', prompt: 'side view, profile, standing', strength: 0.75 },
+  { id: 'back', group: 'turnaround', view: 'back', label: 'back', prompt: 'back view, seen from behind, standing', strength: 0.8 },
+  { id: 'happy', group: 'expression', view: 'expression', label: 'happy', prompt: 'happy expression, big smile', strength: 0.55 },
+  { id: 'sad', group: 'expression', view: 'expression', label: 'sad', prompt: 'sad expression, teary eyes', strength: 0.55 },
+  { id: 'angry', group: 'expression', view: 'expression', label: 'angry', prompt: 'angry expression, frowning', strength: 0.55 },
+  { id: 'surprised', group: 'expression', view: 'expression', label: 'surprised', prompt: 'surprised expression, wide eyes, open mouth', strength: 0.55 },
+  { id: 'scared', group: 'expression', view: 'expression', label: 'scared', prompt: 'scared expression, trembling', strength: 0.55 },
+  { id: 'laughing', group: 'expression', view: 'expression', label: 'laughing', prompt: 'laughing out loud, eyes closed', strength: 0.55 },
+  { id: 'running', group: 'pose', view: 'other', label: 'running', prompt: 'running pose, dynamic motion', strength: 0.75 },
+  { id: 'jumping', group: 'pose', view: 'other', label: 'jumping', prompt: 'jumping in the air, arms raised', strength: 0.75 },
+  { id: 'sitting', group: 'pose', view: 'other', label: 'sitting', prompt: 'sitting on the ground, relaxed', strength: 0.75 }
+];
+
+const PANEL_SIZE = 256; // Cell size of createCollage
+
+function sheetUnavailable(message) {
+  const error = new Error(message);
+  error.sheetUnavailable = true;
+  return error;
+}
+
+// Panels as collage cells: square, the whole character visible on white
+async function toCollageCell(buffer) {
+  return sharp(buffer)
+    .resize(PANEL_SIZE, PANEL_SIZE, { fit: 'contain', background: '#ffffff' })
+    .flatten({ background: '#ffffff' })
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Draw every panel of a character sheet and store it under characters/<id>/sheets.
+ * Panels that fail are left out and listed in `missing`; the sheet fails only when none succeed.
+ * `onPanel(done, total)` is called after every panel.
+ */
+async function generateCharacterSheet(character, style = 'cartoon', { signal, onPanel = async () => {} } = {}) {
+  const connectionCheck = await pythonSD.checkConnection();
+  if (!connectionCheck.available) {
+    throw sheetUnavailable(`Image generation service is not available: ${connectionCheck.error}`);
+  }
+
+  const sheetId = uuidv4();
+  const folder = `sheets/${sheetId}`;
+  const seed = Math.floor(Math.random() * 2147483647); // Shared by all panels so they match
+  console.log(`📋 Generating ${style} character sheet for ${character.name} (${SHEET_PANELS.length} panels)`);
+
+  const panels = [];
+  const cells = [];
+  const missing = [];
+  try {
+    for (const [index, panel] of SHEET_PANELS.entries()) {
+      throwIfAborted(signal);
+      const result = await pythonSD.generateCharacterSheetPanel(character, style, panel, { signal, seed });
+      if (!result.success) {
+        console.warn(`⚠️ Sheet panel ${panel.id} failed:`, result.error);
+        missing.push(panel.id);
+        await onPanel(index + 1, SHEET_PANELS.length);
+        continue;
+      }
+
+      const reference = await createReference(result.imageBuffer, character.id, {
+        view: panel.view,
+        label: panel.label,
+        folder,
+        backend: getEmbeddingBackend(character) || undefined
+      });
+      panels.push({ ...reference, group: panel.group, panel: panel.id, prompt: result.prompt });
+      cells.push(await toCollageCell(result.imageBuffer));
+      await onPanel(index + 1, SHEET_PANELS.length);
+    }
+
+    if (panels.length === 0) {
+      throw sheetUnavailable('No panel of the character sheet could be generated');
+    }
+
+    const collage = await createCollage(cells, 'grid');
+    const imageUrl = await uploadToStorage(collage, `characters/${character.id}/${folder}/sheet.png`, 'image/png');
+
+    console.log(`✅ Character sheet ${sheetId} ready: ${panels.length}/${SHEET_PANELS.length} panels`);
+    return {
+      id: sheetId,
+      style,
+      seed,
+      imageUrl,
+      panels,
+      missing,
+      createdAt: new Date().toISOString()
+    };
+  } catch (error) {
+    await Promise.all(panels.map(deleteReferenceFiles));
+    throw error;
+  }
+}
+
+// The character a sheet is drawn for, as stored now: `source` is where the API found it
+async function loadSheetCharacter(characterId, { source, userId = null }) {
+  if (source === 'local') {
+    return loadLocalCharacter(characterId);
+  }
+  const row = await getCharacterById(characterId, userId);
+  return row ? fromSupabaseRow(row) : null;
+}
+
+// Put a new sheet on the character as it is now, keeping references and portraits saved while
+// the sheet was drawn. Resolves to the sheet it replaced.
+async function saveCharacterSheet(characterId, { source, userId = null }, sheet) {
+  if (source === 'local') {
+    return updateLocalCharacter(characterId, (character) => {
+      const previous = character.sheet || null;
+      character.sheet = sheet;
+      return previous;
+    });
+  }
+
+  const row = await updateSupabaseCharacter(characterId, userId, (current) => ({
+    metadata: { ...current.metadata, sheet }
+  }));
+  return row.metadata?.sheet || null;
+}
+
+async function deleteCharacterSheet(sheet) {
+  if (!sheet) return;
+  await Promise.all([
+    ...sheet.panels.map(deleteReferenceFiles),
+    deleteFromStorageByUrl(sheet.imageUrl).catch(error => console.warn(`Failed to delete sheet ${sheet.imageUrl}:`, error.message))
+  ]);
+}
+
+// Sheet as returned by the API, without panel embeddings
+function describeSheet(sheet) {
+  if (!sheet) return null;
+  return {
+    ...sheet,
+    panels: sheet.panels.map(({ embedding, ...panel }) => panel)
+  };
+}
+
+module.exports = {
+  SHEET_PANELS,
+  generateCharacterSheet,
+  loadSheetCharacter,
+  saveCharacterSheet,
+  deleteCharacterSheet,
+  describeSheet
+};
@@ -1,67 +1,92 @@
+const path = require('path');
+const fs = require('fs').promises;
 const { InferenceClient } = require('@huggingface/inference');
 const sharp = require('sharp');
+const { generateLocalEmbedding } = require('./localEmbedding');
 
 // Initialize Hugging Face Inference
 const hf = process.env.HUGGING_FACE_TOKEN ? new InferenceClient(process.env.HUGGING_FACE_TOKEN) : null;
 
-// Demo character embeddings (precomputed for faster demo)
+// 'huggingface' (needs HUGGING_FACE_TOKEN), 'local' (offline features of the image itself) or
+// 'mock' (random). Embeddings from different backends can't be compared with each other.
+const EMBEDDING_BACKENDS = ['huggingface', 'local', 'mock'];
+
+function resolveEmbeddingBackend(requested) {
+  const backend = requested || process.env.EMBEDDING_BACKEND || (hf ? 'huggingface' : 'local');
+  if (!EMBEDDING_BACKENDS.includes(backend)) {
+    console.warn(`Unknown embedding backend "${backend}", using local embeddings`);
+    return 'local';
+  }
+  if (backend === 'huggingface' && !hf) {
+    console.log('HUGGING_FACE_TOKEN not found, using local embeddings');
+    return 'local';
+  }
+  return backend;
+}
+
+// Demo characters ship with their images in public/demo. Their DNA is embedded from those images
+// with the local backend, so it is the same on every deployment and needs no model or token.
+const DEMO_IMAGES_DIR = path.join(__dirname, '../public/demo');
+const DEMO_EMBEDDING_BACKEND = 'local';
+
 const DEMO_CHARACTERS = {
   astronaut_cat: {
     name: "Astro Cat",
     description: "A brave feline astronaut exploring the cosmos",
-    embedding: generateConsistentEmbedding("astronaut_cat_space_explorer"),
     traits: ["brave", "curious", "adventurous", "feline", "space"]
   },
   dragon_knight: {
     name: "Dragon Knight",
     description: "A noble warrior bonded with an ancient dragon",
-    embedding: generateConsistentEmbedding("dragon_knight_medieval_warrior"),
     traits: ["noble", "strong", "magical", "warrior", "dragon"]
   },
   mystical_wizard: {
     name: "Mystical Wizard",
     description: "An ancient spellcaster with profound magical knowledge",
-    embedding: generateConsistentEmbedding("mystical_wizard_ancient_magic"),
     traits: ["wise", "magical", "ancient", "powerful", "mystical"]
   },
   cyber_ninja: {
     name: "Cyber Ninja",
     description: "A stealthy warrior from the digital future",
-    embedding: generateConsistentEmbedding("cyber_ninja_digital_stealth"),
     traits: ["stealthy", "fast", "technological", "ninja", "cyber"]
   }
 };
 
-// Generate consistent embeddings for demo characters based on their traits
-function generateConsistentEmbedding(seed) {
-  const embedding = [];
-  let hash = 0;
-  for (let i = 0; i < seed.length; i++) {
-    hash = ((hash << 5) - hash + seed.charCodeAt(i)) & 0xffffffff;
-  }
-  
-  for (let i = 0; i < 512; i++) {
-    hash = ((hash * 1103515245 + 12345) & 0x7fffffff);
-    embedding.push(((hash / 0x7fffffff) - 0.5) * 2);
+// Embedded on first use and kept for the life of the process
+const demoEmbeddings = new Map();
+
+async function getDemoEmbedding(characterId) {
+  if (!DEMO_CHARACTERS[characterId]) return null;
+
+  if (!demoEmbeddings.has(characterId)) {
+    const pending = fs.readFile(path.join(DEMO_IMAGES_DIR, `${characterId}.jpg`))
+      .then(imageBuffer => generateLocalEmbedding(imageBuffer));
+    // A failed read or embedding is retried by the next caller
+    pending.catch(() => demoEmbeddings.delete(characterId));
+    demoEmbeddings.set(characterId, pending);
   }
-  return embedding;
+  return demoEmbeddings.get(characterId);
 }
 
-// Real CLIP embedding generation using Qwen-VL model
-async function generateCLIPEmbedding(imageBuffer, options = {}) {
+// Embedding of an image with the backend that actually produced it, since only embeddings from
+// the same backend can be compared; options.backend overrides EMBEDDING_BACKEND for one call
+async function generateImageEmbedding(imageBuffer, options = {}) {
+  // Check if this is a demo character request
+  if (options.demoCharacter && DEMO_CHARACTERS[options.demoCharacter]) {
+    return { embedding: await getDemoEmbedding(options.demoCharacter), backend: DEMO_EMBEDDING_BACKEND };
+  }
+
+  const backend = resolveEmbeddingBackend(options.backend);
+  if (backend === 'mock') {
+    return { embedding: generateMockEmbedding(), backend };
+  }
+  if (backend === 'local') {
+    console.log('Generating character DNA from local image features...');
+    return { embedding: await generateLocalEmbedding(imageBuffer), backend };
+  }
+
   try {
     console.log('Generating character DNA with Qwen-VL model...');
-    
-    // Check if this is a demo character request
-    if (options.demoCharacter && DEMO_CHARACTERS[options.demoCharacter]) {
-      console.log(`Using precomputed embedding for demo character: ${options.demoCharacter}`);
-      return DEMO_CHARACTERS[options.demoCharacter].embedding;
-    }
-
-    if (!hf) {
-      console.log('HUGGING_FACE_TOKEN not found, using mock embedding');
-      return generateMockEmbedding();
-    }
 
     // Preprocess image for Qwen-VL (resize to 448x448)
     const processedImage = await sharp(imageBuffer)
@@ -87,17 +112,23 @@ async function generateCLIPEmbedding(imageBuffer, options = {}) {
         embedding = normalizeEmbeddingTo512(embedding);
       }
       
-      return embedding;
+      return { embedding, backend };
     } else {
       throw new Error('Invalid Qwen-VL API response');
     }
 
   } catch (error) {
-    console.warn('Qwen-VL embedding failed, using enhanced mock:', error.message);
-    return generateMockEmbedding();
+    console.warn('Qwen-VL embedding failed, using local embedding:', error.message);
+    return { embedding: await generateLocalEmbedding(imageBuffer), backend: 'local' };
   }
 }
 
+// Character DNA embedding of an image
+async function generateCLIPEmbedding(imageBuffer, options = {}) {
+  const { embedding } = await generateImageEmbedding(imageBuffer, options);
+  return embedding;
+}
+
 // Helper function to normalize embeddings to 512 dimensions
 function normalizeEmbeddingTo512(embedding) {
   if (embedding.length === 512) return embedding;
@@ -117,6 +148,7 @@ function normalizeEmbeddingTo512(embedding) {
   }
 }
 
+// Random on every call; only for exercising code paths that ignore similarity
 function generateMockEmbedding() {
   // Generate a more sophisticated mock embedding with some clustering
   const embedding = [];
@@ -136,6 +168,12 @@ function generateMockEmbedding() {
   return embedding;
 }
 
+// Scale an embedding to unit length, so cosine similarity becomes a dot product
+function normalizeEmbedding(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+}
+
 // Find similar characters based on CLIP embeddings
 async function findSimilarCharacters(queryEmbedding, characterLibrary, topK = 5) {
   const similarities = characterLibrary.map(character => ({
@@ -203,10 +241,15 @@ function calculateSimilarity(embedding1, embedding2, traits1 = [], traits2 = [])
 
 module.exports = {
   generateCLIPEmbedding,
+  generateImageEmbedding,
+  resolveEmbeddingBackend,
   calculateSimilarity,
   findSimilarCharacters,
+  normalizeEmbedding,
   generateMockEmbedding,
   getDemoCharacter,
+  getDemoEmbedding,
   getAllDemoCharacters,
-  DEMO_CHARACTERS
+  DEMO_CHARACTERS,
+  DEMO_EMBEDDING_BACKEND
 };
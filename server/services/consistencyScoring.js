@@ -0,0 +1,137 @@
+const { generateImageEmbedding, resolveEmbeddingBackend, calculateSimilarity } = require('./clip');
+const { findReference, getEmbeddingBackend } = require('./characterReferences');
+
+// Checks that a generated scene still shows the character: the scene image is embedded with the
+// backend that embedded the character's reference, and compared against that reference.
+
+// Cosine similarity below which a scene is regenerated; scenes also show the background, so this
+// sits well under the similarity of two photos of the same character
+const CONSISTENCY_THRESHOLD = parseFloat(process.env.CONSISTENCY_THRESHOLD || '0.6');
+// Extra generations per scene that scores below the threshold
+const CONSISTENCY_MAX_RETRIES = parseInt(process.env.CONSISTENCY_MAX_RETRIES || '2', 10);
+
+const MIN_RETRY_STRENGTH = 0.4;
+const STRENGTH_STEP = 0.1;
+const SEED_STEP = 104729; // Prime, so retries of neighbouring scenes don't share seeds
+
+// What a scene is compared against: the reference image it started from, else the character DNA
+function getScoringTarget(characterDNA, referenceId = null) {
+  const reference = referenceId ? findReference(characterDNA, referenceId) : null;
+  if (reference?.embedding?.length) {
+    return {
+      embedding: reference.embedding,
+      backend: reference.embeddingBackend || resolveEmbeddingBackend(),
+      referenceId: reference.id
+    };
+  }
+
+  if (!characterDNA.embedding?.length) return null;
+  return {
+    embedding: characterDNA.embedding,
+    backend: getEmbeddingBackend(characterDNA) || resolveEmbeddingBackend(),
+    referenceId: null
+  };
+}
+
+/**
+ * Similarity of a generated scene image to the character, or null when it can't be measured:
+ * mock embeddings are not derived from an image, and embeddings from different backends
+ * (e.g. Hugging Face was down for one of them) don't compare.
+ */
+async function scoreSceneImage(imageBuffer, characterDNA, { referenceId = null, sceneEmbeddings = new Map() } = {}) {
+  if (!imageBuffer?.length) return null;
+
+  const target = getScoringTarget(characterDNA, referenceId);
+  if (!target || target.backend === 'mock') return null;
+
+  try {
+    // The scene is embedded once per backend however many characters are compared with it
+    if (!sceneEmbeddings.has(target.backend)) {
+      sceneEmbeddings.set(target.backend, generateImageEmbedding(imageBuffer, { backend: target.backend }));
+    }
+    const { embedding, backend } = await sceneEmbeddings.get(target.backend);
+    if (backend !== target.backend || embedding.length !== target.embedding.length) {
+      console.warn(`⚠️ Skipping consistency score: scene embedded with ${backend}, character with ${target.backend}`);
+      return null;
+    }
+
+    const score = Math.round(calculateSimilarity(embedding, target.embedding) * 1000) / 1000;
+    return {
+      score,
+      threshold: CONSISTENCY_THRESHOLD,
+      passed: score >= CONSISTENCY_THRESHOLD,
+      backend,
+      reference_id: target.referenceId
+    };
+  } catch (error) {
+    console.warn('⚠️ Consistency scoring failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Consistency of a scene with everyone in it. Each cast member with an image-derived embedding is
+ * scored, the first one (who the scene was drawn from) against `referenceId`; the weakest member
+ * sets the scene's score and the scene passes only when every member does. Null when nobody can be scored.
+ */
+async function scoreSceneCast(imageBuffer, sceneCast, { referenceId = null } = {}) {
+  const sceneEmbeddings = new Map();
+  const members = [];
+  for (const [index, member] of sceneCast.entries()) {
+    const consistency = await scoreSceneImage(imageBuffer, member, {
+      referenceId: index === 0 ? referenceId : null,
+      sceneEmbeddings
+    });
+    if (consistency) members.push({ character_id: member.id, name: member.name, ...consistency });
+  }
+  if (members.length === 0) return null;
+
+  const weakest = members.reduce((lowest, member) => (member.score < lowest.score ? member : lowest));
+  return {
+    score: weakest.score,
+    threshold: CONSISTENCY_THRESHOLD,
+    passed: members.every(member => member.passed),
+    backend: weakest.backend,
+    reference_id: members.find(member => member.reference_id)?.reference_id || null,
+    ...(sceneCast.length > 1 && {
+      cast: members.map(({ character_id, name, score, passed }) => ({ character_id, name, score, passed }))
+    })
+  };
+}
+
+// Seed and strength of a generation attempt. Every retry changes the seed and lowers the img2img
+// strength, which in our SD service keeps more of the reference image (see CHARACTER_CONSISTENCY.md)
+function getAttemptSettings(baseSeed, baseStrength, attempt) {
+  if (attempt === 0) return { seed: baseSeed, strength: baseStrength };
+
+  const seed = baseSeed == null
+    ? Math.floor(Math.random() * 2147483647)
+    : (baseSeed + attempt * SEED_STEP) % 2147483647;
+  const strength = Math.max(MIN_RETRY_STRENGTH, Math.round((baseStrength - attempt * STRENGTH_STEP) * 100) / 100);
+  return { seed, strength: Math.min(strength, baseStrength) };
+}
+
+// Story-level summary of the per-scene scores in storyboard entries
+function summarizeConsistency(storyboards = []) {
+  const scored = storyboards.filter(entry => typeof entry?.consistency?.score === 'number');
+  if (scored.length === 0) return null;
+
+  const scores = scored.map(entry => entry.consistency.score);
+  return {
+    average_score: Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 1000) / 1000,
+    min_score: Math.min(...scores),
+    scored_scenes: scored.length,
+    below_threshold: scored.filter(entry => !entry.consistency.passed).length,
+    threshold: CONSISTENCY_THRESHOLD,
+    retries: scored.reduce((sum, entry) => sum + Math.max((entry.consistency.attempts?.length || 1) - 1, 0), 0)
+  };
+}
+
+module.exports = {
+  CONSISTENCY_THRESHOLD,
+  CONSISTENCY_MAX_RETRIES,
+  scoreSceneImage,
+  scoreSceneCast,
+  getAttemptSettings,
+  summarizeConsistency
+};
@@ -0,0 +1,126 @@
+// Rolling continuity for story series: what has happened so far, where, between whom, and with what
+const CONTINUITY_LIMITS = {
+  events: 30,
+  locations: 20,
+  relationships: 20,
+  items: 20
+};
+
+function emptyContinuity() {
+  return {
+    summary: '',
+    events: [],
+    locations: [],
+    relationships: [],
+    items: [],
+    episodes_covered: 0,
+    updated_at: null
+  };
+}
+
+// Keep the newest entries of each list, without duplicates
+function mergeList(previous = [], next = [], limit) {
+  const seen = new Set();
+  const merged = [];
+
+  for (const entry of [...next].reverse().concat([...previous].reverse())) {
+    const value = typeof entry === 'string' ? entry.trim() : '';
+    const key = value.toLowerCase();
+    if (!value || seen.has(key)) continue;
+    seen.add(key);
+    merged.push(value);
+  }
+
+  return merged.slice(0, limit).reverse();
+}
+
+// Coerce a model response (or stored record) into the continuity shape
+function normalizeContinuity(raw = {}) {
+  const continuity = emptyContinuity();
+  continuity.summary = typeof raw.summary === 'string' ? raw.summary.trim().slice(-2000) : '';
+
+  for (const [key, limit] of Object.entries(CONTINUITY_LIMITS)) {
+    continuity[key] = mergeList([], Array.isArray(raw[key]) ? raw[key] : [], limit);
+  }
+
+  continuity.episodes_covered = raw.episodes_covered || 0;
+  continuity.updated_at = raw.updated_at || null;
+  return continuity;
+}
+
+// Fold a new episode's continuity into the series record
+function mergeContinuity(previous, update, episodeNumber) {
+  const base = normalizeContinuity(previous || {});
+  const next = normalizeContinuity(update || {});
+  const merged = { summary: next.summary || base.summary };
+
+  for (const [key, limit] of Object.entries(CONTINUITY_LIMITS)) {
+    // Relationships and items change state, so the model returns the full current list
+    merged[key] = key === 'events'
+      ? mergeList(base.events, next.events, limit)
+      : mergeList(next[key].length > 0 ? [] : base[key], next[key], limit);
+  }
+
+  merged.episodes_covered = episodeNumber;
+  merged.updated_at = new Date().toISOString();
+  return merged;
+}
+
+// Without a model: scene titles become events and scene settings become locations
+function buildFallbackContinuity(previous, story, episodeNumber) {
+  const base = normalizeContinuity(previous || {});
+  const scenes = story.scenes || [];
+
+  return {
+    summary: [base.summary, `Episode ${episodeNumber}: ${story.logline || scenes.map(scene => scene.title).join(', ')}`]
+      .filter(Boolean).join('\n'),
+    events: scenes.map(scene => `Episode ${episodeNumber}: ${scene.title}`),
+    locations: [...base.locations, ...scenes.map(scene => scene.setting).filter(Boolean)],
+    relationships: base.relationships,
+    items: base.items
+  };
+}
+
+// "PREVIOUSLY IN THIS SERIES" section for story prompts; empty for a first episode
+function buildContinuityPromptSection(continuity, episodeNumber = null) {
+  if (!continuity || (!continuity.summary && !continuity.events?.length)) return '';
+
+  const list = (label, entries) => entries?.length ? `${label}:\n${entries.map(entry => `- ${entry}`).join('\n')}\n` : '';
+
+  return `PREVIOUSLY IN THIS SERIES (${episodeNumber ? `this is episode ${episodeNumber}` : 'continue from here'}):
+${continuity.summary ? `${continuity.summary}\n` : ''}${list('KEY EVENTS', continuity.events)}${list('KNOWN LOCATIONS', continuity.locations)}${list('RELATIONSHIPS', continuity.relationships)}${list('IMPORTANT ITEMS', continuity.items)}CONTINUITY RULES: Stay consistent with everything above. Refer back to earlier events where it fits, but tell a new, self-contained episode.
+`;
+}
+
+// Prompt asking the model to update the continuity after an episode
+function buildContinuityUpdatePrompt(previous, story, episodeNumber) {
+  const base = normalizeContinuity(previous || {});
+  const sceneText = (story.scenes || [])
+    .map((scene, index) => `SCENE ${index + 1}: ${scene.title}\n${scene.content || scene.description}`)
+    .join('\n\n');
+
+  return `You keep the continuity notes for an ongoing story series. Update them with episode ${episodeNumber}.
+
+CURRENT NOTES (after ${base.episodes_covered} episode(s)):
+${JSON.stringify(base, null, 2)}
+
+EPISODE ${episodeNumber}: ${story.title || 'Untitled'}
+${sceneText}
+
+Return JSON only with these fields:
+- "summary": the story so far in at most 6 sentences, including this episode
+- "events": the key events of THIS episode only, each one short sentence
+- "locations": every location that matters so far
+- "relationships": the current relationships between characters, e.g. "Luna and Grimble: wary allies"
+- "items": important objects and who has them now`;
+}
+
+module.exports = {
+  CONTINUITY_LIMITS,
+  emptyContinuity,
+  normalizeContinuity,
+  mergeContinuity,
+  buildFallbackContinuity,
+  buildContinuityPromptSection,
+  buildContinuityUpdatePrompt
+};
@@ -0,0 +1,106 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Cross-process locks on local JSON records (results, series, characters). The API process
+// and the generation workers write the same files, so an in-process promise chain is not enough.
+// A lock is a `<file>.lock` created with `wx` and touched while it is held; one whose holder
+// stopped touching it (the process died) is taken over.
+
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 50;
+const LOCK_TIMEOUT_MS = 120000;
+
+const processLocks = new Map(); // lock path -> tail of the pending chain in this process
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function acquireLock(lockPath, token) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  while (true) {
+    try {
+      await fs.writeFile(lockPath, token, { flag: 'wx' });
+      return;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        await fs.mkdir(path.dirname(lockPath), { recursive: true });
+        continue;
+      }
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const stats = await fs.stat(lockPath).catch(() => null);
+    if (stats && Date.now() - stats.mtimeMs > LOCK_STALE_MS) {
+      // rename is atomic, so only one waiter takes the stale lock away
+      const stalePath = `${lockPath}.${token}.stale`;
+      const taken = await fs.rename(lockPath, stalePath).then(() => true, () => false);
+      if (taken) {
+        console.warn(`⚠️ Took over stale lock ${path.basename(lockPath)}`);
+        await fs.unlink(stalePath).catch(() => {});
+      }
+      continue;
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for lock on ${path.basename(lockPath, '.lock')}`);
+    }
+    await delay(LOCK_RETRY_MS);
+  }
+}
+
+async function releaseLock(lockPath, token) {
+  // Don't remove a lock another process took over after ours went stale
+  const holder = await fs.readFile(lockPath, 'utf8').catch(() => null);
+  if (holder === token) {
+    await fs.unlink(lockPath).catch(() => {});
+  }
+}
+
+/**
+ * Run `fn` while holding the lock of `filePath`, in this process and across processes.
+ * Resolves with whatever `fn` returns.
+ */
+async function withFileLock(filePath, fn) {
+  const lockPath = `${filePath}.lock`;
+  const previous = processLocks.get(lockPath) || Promise.resolve();
+
+  const run = previous.catch(() => {}).then(async () => {
+    const token = uuidv4();
+    await acquireLock(lockPath, token);
+
+    const keepAlive = setInterval(() => {
+      const now = new Date();
+      fs.utimes(lockPath, now, now).catch(() => {});
+    }, LOCK_STALE_MS / 3);
+    keepAlive.unref();
+
+    try {
+      return await fn();
+    } finally {
+      clearInterval(keepAlive);
+      await releaseLock(lockPath, token);
+    }
+  });
+
+  processLocks.set(lockPath, run);
+  try {
+    return await run;
+  } finally {
+    if (processLocks.get(lockPath) === run) {
+      processLocks.delete(lockPath);
+    }
+  }
+}
+
+// Write then rename so readers in other processes never see a half-written file
+async function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.${uuidv4()}.tmp`;
+  await fs.writeFile(tempPath, data);
+  await fs.rename(tempPath, filePath);
+}
+
+module.exports = {
+  withFileLock,
+  writeFileAtomic
+};
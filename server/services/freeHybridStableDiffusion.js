@@ -1,5 +1,6 @@
 const { PythonStableDiffusionService } = require('./pythonStableDiffusion');
 const { StableDiffusionService } = require('./stableDiffusion');
+const { throwIfAborted } = require('./cancellation');
 
 class FreeHybridStableDiffusionService {
   constructor() {
@@ -105,6 +106,7 @@ class FreeHybridStableDiffusionService {
     }
 
     // Fallback to cloud if enabled
+    throwIfAborted(options.signal);
     if (this.enableCloudFallback) {
       console.log(`☁️ Falling back to cloud SD (PAID)...`);
       const cloudResult = await this.cloudSD.generateStoryboardImage(prompt, style, sceneId);
@@ -131,13 +133,13 @@ class FreeHybridStableDiffusionService {
     };
   }
 
-  async generateMultipleStoryboards(scenes, style = 'cartoon', characterDNA = null) {
+  async generateMultipleStoryboards(scenes, style = 'cartoon', characterDNA = null, options = {}) {
     console.log(`🎨 Hybrid composite storyboard for ${scenes.length} scenes...`);
 
     // Try Python SD first if preferred and available
     if (this.preferPython && this.enablePythonSD) {
       console.log(`🐍 Trying Python SD composite (FREE)...`);
-      const pythonResult = await this.pythonSD.generateMultipleStoryboards(scenes, style, characterDNA);
+      const pythonResult = await this.pythonSD.generateMultipleStoryboards(scenes, style, characterDNA, options);
       
       if (pythonResult && pythonResult.length > 0) {
         console.log(`✅ Python SD composite successful - $0 cost!`);
@@ -150,7 +152,7 @@ class FreeHybridStableDiffusionService {
     // Fallback to cloud if enabled
     if (this.enableCloudFallback) {
       console.log(`☁️ Falling back to cloud SD composite (PAID)...`);
-      const cloudResult = await this.cloudSD.generateMultipleStoryboards(scenes, style, characterDNA);
+      const cloudResult = await this.cloudSD.generateMultipleStoryboards(scenes, style, characterDNA, options);
       
       if (cloudResult && cloudResult.length > 0) {
         console.log(`✅ Cloud SD composite successful - ~$0.02 cost`);
@@ -1,116 +1,351 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { JobCancelledError, isAbortError, throwIfAborted, abortable, abortableDelay, linkAbortController } = require('./cancellation');
+const { DEFAULT_SCENE_COUNT, resolveSceneCount, getSceneBeat } = require('./storyStructure');
+const {
+  buildGeminiResponseSchema,
+  buildGeminiNodeSchema,
+  buildGeminiAssistSchema,
+  buildGeminiCaptionSchema,
+  validateStoryResponse,
+  validateNodeResponse,
+  validateAssistResponse,
+  validateCaptionResponse
+} = require('./storySchema');
+const { buildCastPromptSection } = require('./storyCast');
+const { buildContinuityPromptSection } = require('./continuity');
+const { buildReadingLevelPromptSection } = require('./readability');
+const { LANGUAGES, buildLanguagePromptSection } = require('./languages');
+
+const MAX_REPAIR_ATTEMPTS = 2; // Re-asks when structured output fails validation
+
+// Tone-specific guidance
+const TONE_GUIDANCE = {
+  lighthearted: 'Keep it fun and upbeat',
+  serious: 'Make it thoughtful and meaningful', 
+  humorous: 'Add comedy and funny moments',
+  dramatic: 'Include emotional depth and tension',
+  mysterious: 'Add suspense and intrigue',
+  romantic: 'Include heartwarming moments'
+};
+
+// Co-writing assist actions on a passage of one scene
+const ASSIST_INSTRUCTIONS = {
+  expand: () => 'Expand the passage with vivid detail, sensory description and emotion, to roughly twice its length',
+  shorten: () => 'Shorten the passage to about half its length, keeping the key events and the voice',
+  add_dialogue: () => 'Rewrite the passage so the characters speak: weave a few short lines of dialogue, in quotes, into the narration',
+  change_tone: (tone) => `Rewrite the passage in a ${tone} tone - ${TONE_GUIDANCE[tone] || 'Engaging and appropriate'}`,
+  funnier: () => 'Make the passage funnier with playful humour, comic timing or a silly detail, without changing what happens',
+  simplify: () => 'Simplify the vocabulary and sentence structure so a young reader can follow it, keeping the meaning',
+  continue: () => 'Continue the story from the end of the passage with 2-3 new sentences that follow on naturally'
+};
+
+// Length-specific requirements
+const LENGTH_GUIDANCE = {
+  short: 'Simple and focused story progression',
+  medium: 'Well-developed story with clear progression', 
+  long: 'Rich story with detailed character development'
+};
 
 class GeminiStoryGenerator {
   constructor() {
     this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
     this.model = this.genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+    this.structuredOutput = process.env.GEMINI_STRUCTURED_OUTPUT !== 'false';
   }
 
   async generateStory(prompt, genre, characterDNA, options = {}) {
-    const maxRetries = 3;
+    console.log(`Generating story with Gemini for genre: ${genre}`);
+
+    if (this.structuredOutput) {
+      try {
+        return await this.generateStructuredStory(prompt, genre, characterDNA, options);
+      } catch (error) {
+        if (isAbortError(error, options.signal)) throw error;
+
+        // An overloaded API won't do better with free text - let the caller fall back
+        if (!error.invalidStructuredOutput && this.isRetryableError(error)) {
+          console.error(`❌ Gemini story generation failed after ${error.attempts} attempts, will use fallback`);
+          throw new Error(`Story generation failed after ${error.attempts} attempts: ${error.message}`);
+        }
+
+        console.warn(`⚠️ Structured story generation failed (${error.message}), falling back to free-text parsing`);
+      }
+    }
+
+    // Last resort: free-text prompt recovered with the regex scene parser
+    const sceneCount = resolveSceneCount(options);
+    const storyPrompt = this.buildStoryPrompt(prompt, genre, characterDNA, options);
+
+    let storyText;
+    let attempt;
+    try {
+      ({ text: storyText, attempt } = await this.generateText(storyPrompt, { signal: options.signal, onDelta: options.onTextDelta }));
+    } catch (error) {
+      if (isAbortError(error, options.signal)) throw error;
+      console.error(`❌ Gemini story generation failed after ${error.attempts} attempts, will use fallback`);
+      throw new Error(`Story generation failed after ${error.attempts} attempts: ${error.message}`);
+    }
+
+    console.log(`📝 First 200 chars: ${storyText.substring(0, 200)}...`);
+
+    // Parse the story into scenes
+    console.log(`🎭 Parsing story into scenes...`);
+
+    // Add timeout protection for parsing using setTimeout
+    let parsedStory;
+    let parsingComplete = false;
+
+    setTimeout(() => {
+      if (!parsingComplete) {
+        console.error(`❌ Story parsing timeout after 10 seconds - forcing completion`);
+        throw new Error('Story parsing timeout after 10 seconds');
+      }
+    }, 10000);
+
+    try {
+      parsedStory = this.parseStoryIntoScenes(storyText, characterDNA, sceneCount);
+      parsingComplete = true;
+      console.log(`🎭 Parsing completed. Scenes found: ${parsedStory.scenes?.length || 0}`);
+    } catch (parseError) {
+      parsingComplete = true;
+      console.error(`❌ Parsing error:`, parseError);
+
+      // Create emergency fallback
+      parsedStory = {
+        title: `${characterDNA.name}'s Adventure`,
+        scenes: [{
+          id: 'scene_1',
+          number: 1,
+          title: 'The Adventure Begins',
+          content: storyText.substring(0, Math.min(500, storyText.length)) + '...',
+          description: storyText.substring(0, Math.min(500, storyText.length)) + '...',
+          characterName: characterDNA.name,
+          storyboardPrompt: `${characterDNA.name} begins an adventure, ${storyText.substring(0, 100)}`
+        }],
+        totalScenes: 1,
+        character: characterDNA,
+        emergencyFallback: true
+      };
+      console.log(`⚠️ Using emergency fallback story structure`);
+    }
+    
+    console.log(`✅ Gemini story generation successful on attempt ${attempt}`);
+    
+    return {
+      success: true,
+      story: parsedStory,
+      rawText: storyText,
+      metadata: {
+        genre,
+        character: characterDNA.name,
+        estimatedReadTime: Math.ceil(storyText.length / 1000),
+        sceneCount: parsedStory.scenes.length,
+        generatedBy: 'gemini-2.0-flash',
+        outputMode: 'text',
+        attempt: attempt
+      }
+    };
+  }
+
+  // Request a JSON story matching the response schema, re-asking with the validation errors until it fits
+  async generateStructuredStory(prompt, genre, characterDNA, options = {}) {
+    const sceneCount = resolveSceneCount(options);
+    const storyPrompt = this.buildStructuredStoryPrompt(prompt, genre, characterDNA, options);
+    const { value, text, attempt, repairAttempts } = await this.requestStructuredStory(storyPrompt, sceneCount, options);
+
+    return {
+      success: true,
+      story: this.buildStructuredStory(value, characterDNA),
+      rawText: text,
+      metadata: {
+        genre,
+        character: characterDNA.name,
+        estimatedReadTime: Math.ceil(text.length / 1000),
+        sceneCount: value.scenes.length,
+        generatedBy: 'gemini-2.0-flash',
+        outputMode: 'structured',
+        repairAttempts,
+        attempt: attempt
+      }
+    };
+  }
+
+  // Structured story with exactly sceneCount scenes
+  async requestStructuredStory(storyPrompt, sceneCount, options = {}) {
+    return this.requestStructuredOutput(storyPrompt, {
+      label: `structured story (${sceneCount} scenes)`,
+      responseSchema: buildGeminiResponseSchema(sceneCount),
+      validate: (text) => validateStoryResponse(text, sceneCount),
+      repairInstruction: `Return the corrected story as JSON only, with EXACTLY ${sceneCount} scenes and every required field filled in.`
+    }, options);
+  }
+
+  // Shared repair loop for structured prompts: returns the validated JSON value
+  async requestStructuredOutput(storyPrompt, { label, responseSchema, validate, repairInstruction }, options = {}) {
+    const generationConfig = {
+      responseMimeType: 'application/json',
+      responseSchema
+    };
+
+    let requestPrompt = storyPrompt;
+    let validationError;
+
+    for (let pass = 0; pass <= MAX_REPAIR_ATTEMPTS; pass++) {
+      console.log(pass === 0
+        ? `🧩 Requesting ${label}...`
+        : `🔧 Re-asking Gemini to repair ${label} (repair ${pass}/${MAX_REPAIR_ATTEMPTS})...`);
+
+      const { text, attempt } = await this.generateText(requestPrompt, {
+        signal: options.signal,
+        generationConfig,
+        images: options.images,
+        onDelta: options.onTextDelta
+      });
+      const { value, error } = validate(text);
+
+      if (value) {
+        console.log(`✅ Validated ${label}`);
+        return { value, text, attempt, repairAttempts: pass };
+      }
+
+      validationError = error;
+      console.warn(`⚠️ Invalid ${label}: ${error}`);
+      requestPrompt = this.buildRepairPrompt(storyPrompt, text, error, repairInstruction);
+    }
+
+    const error = new Error(`Structured output still invalid after ${MAX_REPAIR_ATTEMPTS} repairs: ${validationError}`);
+    error.invalidStructuredOutput = true;
+    throw error;
+  }
+
+  // Map a validated JSON story onto the scene shape the rest of the pipeline uses.
+  // Continuations (variations) pass the number of their first scene.
+  buildStructuredStory(structured, characterDNA, firstNumber = 1) {
+    const scenes = structured.scenes.map((scene, offset) => {
+      const index = firstNumber - 1 + offset;
+      return {
+        id: `scene_${index + 1}`,
+        number: index + 1,
+        ...this.buildStructuredScene(scene, characterDNA)
+      };
+    });
+
+    return {
+      title: structured.title,
+      logline: structured.logline,
+      scenes,
+      totalScenes: scenes.length,
+      character: characterDNA,
+      structured: true
+    };
+  }
+
+  buildStructuredScene(scene, characterDNA) {
+    const characterTraits = characterDNA.traits?.slice(0, 2)?.join(', ') || 'adventurous';
+    const dialogueText = scene.dialogue.map(entry => `${entry.speaker}: "${entry.line}"`).join('\n');
+    const content = dialogueText ? `${scene.narration}\n\n${dialogueText}` : scene.narration;
+
+    return {
+      title: scene.title,
+      content,
+      description: content,
+      narration: scene.narration,
+      dialogue: scene.dialogue,
+      setting: scene.setting,
+      characters: scene.characters,
+      camera: scene.camera,
+      mood: scene.mood,
+      characterName: characterDNA.name,
+      storyboardPrompt: `${scene.storyboardPrompt}. Main character: ${characterDNA.name} (${characterTraits}). Setting: ${scene.setting}. Camera angle: ${scene.camera}. Mood: ${scene.mood}`
+    };
+  }
+
+  // Run a single Gemini prompt with per-attempt timeout and retries on transient errors.
+  // options.images ([{ data: Buffer, mimeType }]) go before the prompt for vision requests.
+  async generateText(promptText, options = {}) {
+    const maxRetries = options.maxRetries || 3;
     const retryDelay = 2000; // 2 seconds between retries
-    const requestTimeout = 45000; // Increased to 45 seconds timeout for each attempt
+    const requestTimeout = options.timeout || 45000; // Increased to 45 seconds timeout for each attempt
+    const { signal, generationConfig, onDelta, images = [] } = options;
+    const imageParts = images.map(image => ({
+      inlineData: { data: image.data.toString('base64'), mimeType: image.mimeType }
+    }));
+    const request = generationConfig || imageParts.length > 0
+      ? { contents: [{ role: 'user', parts: [...imageParts, { text: promptText }] }], ...(generationConfig && { generationConfig }) }
+      : promptText;
     
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      // Each attempt gets its own controller, so a timeout aborts the request (and its stream) in
+      // flight without cancelling the job; cancelling the job aborts it too
+      const { controller, unlink } = linkAbortController(signal);
+      let timer;
+
       try {
-        console.log(`Generating story with Gemini (attempt ${attempt}/${maxRetries}) for genre: ${genre}`);
-        console.log(`⏰ Setting ${requestTimeout/1000}s timeout for this attempt...`);
-        
-        const storyPrompt = this.buildStoryPrompt(prompt, genre, characterDNA, options);
+        throwIfAborted(signal);
+        console.log(`⏰ Gemini attempt ${attempt}/${maxRetries}, ${requestTimeout/1000}s timeout...`);
         
-        // Add timeout protection using Promise.race with longer timeout
-        const generationPromise = this.model.generateContent(storyPrompt);
+        const generationPromise = onDelta
+          ? this.streamContent(request, controller.signal, onDelta)
+          : this.model.generateContent(request, { signal: controller.signal }).then(result => result.response.text());
         const timeoutPromise = new Promise((_, reject) => {
-          setTimeout(() => {
+          timer = setTimeout(() => {
             console.log(`⏰ Gemini API request timed out after ${requestTimeout/1000} seconds on attempt ${attempt}`);
             reject(new Error(`Gemini API request timed out after ${requestTimeout/1000} seconds`));
+            controller.abort();
           }, requestTimeout);
         });
 
         console.log(`🚀 Starting Gemini API call (attempt ${attempt})...`);
-        const result = await Promise.race([generationPromise, timeoutPromise]);
+        const text = await abortable(Promise.race([generationPromise, timeoutPromise]), signal);
         console.log(`✅ Gemini API call completed (attempt ${attempt})`);
         
-        console.log(`📝 Processing response from Gemini...`);
-        const response = await result.response;
-        const storyText = response.text();
-        console.log(`📝 Response received, length: ${storyText.length} characters`);
-        console.log(`📝 First 200 chars: ${storyText.substring(0, 200)}...`);
-        
-        // Parse the story into scenes
-        console.log(`🎭 Parsing story into scenes...`);
-
-        // Add timeout protection for parsing using setTimeout
-        let parsedStory;
-        let parsingComplete = false;
+        console.log(`📝 Response received, length: ${text.length} characters`);
 
-        setTimeout(() => {
-          if (!parsingComplete) {
-            console.error(`❌ Story parsing timeout after 10 seconds - forcing completion`);
-            throw new Error('Story parsing timeout after 10 seconds');
-          }
-        }, 10000);
-
-        try {
-          parsedStory = this.parseStoryIntoScenes(storyText, characterDNA);
-          parsingComplete = true;
-          console.log(`🎭 Parsing completed. Scenes found: ${parsedStory.scenes?.length || 0}`);
-        } catch (parseError) {
-          parsingComplete = true;
-          console.error(`❌ Parsing error:`, parseError);
-
-          // Create emergency fallback
-          parsedStory = {
-            title: `${characterDNA.name}'s Adventure`,
-            scenes: [{
-              id: 'scene_1',
-              number: 1,
-              title: 'The Adventure Begins',
-              content: storyText.substring(0, Math.min(500, storyText.length)) + '...',
-              description: storyText.substring(0, Math.min(500, storyText.length)) + '...',
-              characterName: characterDNA.name,
-              storyboardPrompt: `${characterDNA.name} begins an adventure, ${storyText.substring(0, 100)}`
-            }],
-            totalScenes: 1,
-            character: characterDNA,
-            emergencyFallback: true
-          };
-          console.log(`⚠️ Using emergency fallback story structure`);
-        }
-        
-        console.log(`✅ Gemini story generation successful on attempt ${attempt}`);
-        
-        return {
-          success: true,
-          story: parsedStory,
-          rawText: storyText,
-          metadata: {
-            genre,
-            character: characterDNA.name,
-            estimatedReadTime: Math.ceil(storyText.length / 1000),
-            sceneCount: parsedStory.scenes.length,
-            generatedBy: 'gemini-2.0-flash',
-            attempt: attempt
-          }
-        };
+        return { text, attempt };
       } catch (error) {
+        // Cancelled jobs must not retry or fall back to another provider
+        if (isAbortError(error, signal)) {
+          console.log(`🛑 Gemini request cancelled on attempt ${attempt}`);
+          throw new JobCancelledError();
+        }
+
         console.error(`❌ Gemini attempt ${attempt} failed:`, error.message);
         
         // Check if this is a retryable error
         const isRetryable = this.isRetryableError(error);
         
         if (attempt === maxRetries || !isRetryable) {
-          console.error(`❌ Gemini story generation failed after ${attempt} attempts, will use fallback`);
-          throw new Error(`Story generation failed after ${attempt} attempts: ${error.message}`);
+          error.attempts = attempt;
+          throw error;
         }
-        
-        // Wait before retrying
-        console.log(`⏳ Waiting ${retryDelay/1000}s before retry...`);
-        await this.delay(retryDelay);
+      } finally {
+        clearTimeout(timer);
+        unlink();
       }
+
+      // Wait before retrying
+      console.log(`⏳ Waiting ${retryDelay/1000}s before retry...`);
+      await abortableDelay(retryDelay, signal);
     }
   }
 
+  // Stream a response, reporting each chunk along with the text received so far. Aborting the
+  // signal cancels the request; chunks already buffered are dropped rather than reported.
+  async streamContent(request, signal, onDelta) {
+    const result = await this.model.generateContentStream(request, { signal });
+    let text = '';
+
+    for await (const chunk of result.stream) {
+      if (signal.aborted) break;
+      const delta = chunk.text();
+      if (!delta) continue;
+      text += delta;
+      await onDelta(delta, text);
+    }
+
+    return text;
+  }
+
   isRetryableError(error) {
     const retryableMessages = [
       'overloaded',
@@ -168,6 +403,8 @@ class GeminiStoryGenerator {
     const characterName = characterDNA.name || 'the protagonist';
     const characterTraits = characterDNA.traits?.join(', ') || 'adventurous';
     const characterDescription = characterDNA.description || 'an adventurous character';
+    const castSection = options.cast?.length > 1 ? `${buildCastPromptSection(options.cast)}\n` : '';
+    const continuitySection = buildContinuityPromptSection(options.continuity, options.episodeNumber);
     
     // Extract additional options from frontend
     const tone = options.tone || 'lighthearted';
@@ -175,53 +412,42 @@ class GeminiStoryGenerator {
     const includeVoice = options.includeVoice !== false;
     const includeVideo = options.includeVideo !== false;
     
-    // Add tone-specific guidance
-    const toneGuidance = {
-      lighthearted: 'Keep it fun and upbeat',
-      serious: 'Make it thoughtful and meaningful', 
-      humorous: 'Add comedy and funny moments',
-      dramatic: 'Include emotional depth and tension',
-      mysterious: 'Add suspense and intrigue',
-      romantic: 'Include heartwarming moments'
+    const toneGuidance = TONE_GUIDANCE;
+    const lengthGuidance = LENGTH_GUIDANCE;
+    const sceneCount = resolveSceneCount(options);
+
+    const beatGuidance = {
+      opening: `Make it narrative, descriptive, and ${tone}. Focus on character emotions, dialogue, and story progression rather than just visual descriptions.`,
+      climax: `Build tension or develop the plot further. Maintain the ${tone} throughout.`,
+      resolution: `Provide a satisfying conclusion that matches the ${tone} and resolves the story.`
     };
-    
-    // Add length-specific requirements
-    const lengthGuidance = {
-      short: 'Simple and focused story progression',
-      medium: 'Well-developed story with clear progression', 
-      long: 'Rich story with detailed character development'
-    };
-    
-    return `You are a professional story creator. Create an engaging story with EXACTLY 4 scenes.
+    const sceneFormat = Array.from({ length: sceneCount }, (_, index) => {
+      const beat = getSceneBeat(index, sceneCount);
+      const guidance = beatGuidance[beat] || `Continue the narrative naturally from Scene ${index}. Include character development and ${tone} elements.`;
+      return `SCENE ${index + 1}: [Engaging scene title]
+[2-3 sentences of engaging story content that readers will enjoy. ${guidance}]`;
+    }).join('\n\n');
+
+    return `You are a professional story creator. Create an engaging story with EXACTLY ${sceneCount} scenes.
 
 CHARACTER: ${characterName}
 CHARACTER DESCRIPTION: ${characterDescription}
 TRAITS: ${characterTraits}
-STORY PROMPT: ${prompt}
+${castSection}${continuitySection}STORY PROMPT: ${prompt}
 GENRE: ${genre}
 TONE: ${tone} - ${toneGuidance[tone] || 'Engaging and appropriate'}
 LENGTH: ${length} - ${lengthGuidance[length] || 'Well-paced story'}
-VOICE NARRATION: ${includeVoice ? 'Yes - Include narrative elements' : 'No - Focus on visual action only'}
+${buildReadingLevelPromptSection(options)}${buildLanguagePromptSection(options)}VOICE NARRATION: ${includeVoice ? 'Yes - Include narrative elements' : 'No - Focus on visual action only'}
 VIDEO GENERATION: ${includeVideo ? 'Yes - Optimize for visual storytelling' : 'No - Text-focused'}
 
-CRITICAL REQUIREMENT: Create EXACTLY 4 scenes - NO MORE, NO LESS
+CRITICAL REQUIREMENT: Create EXACTLY ${sceneCount} scenes - NO MORE, NO LESS
 
 MANDATORY FORMAT - DO NOT DEVIATE:
 
-SCENE 1: [Engaging scene title]
-[2-3 sentences of engaging story content that readers will enjoy. Make it narrative, descriptive, and ${tone}. Focus on character emotions, dialogue, and story progression rather than just visual descriptions.]
-
-SCENE 2: [Engaging scene title]
-[2-3 sentences of engaging story content that readers will enjoy. Continue the narrative naturally from Scene 1. Include character development and ${tone} elements.]
-
-SCENE 3: [Engaging scene title]
-[2-3 sentences of engaging story content that readers will enjoy. Build tension or develop the plot further. Maintain the ${tone} throughout.]
-
-SCENE 4: [Engaging scene title]
-[2-3 sentences of engaging story content that readers will enjoy. Provide a satisfying conclusion that matches the ${tone} and resolves the story.]
+${sceneFormat}
 
 REQUIREMENTS:
-- EXACTLY 4 scenes only
+- EXACTLY ${sceneCount} scenes only
 - Each scene must start with "SCENE X:"
 - Write 2-3 engaging sentences per scene that tell a story
 - Focus on narrative, dialogue, emotions, and character development
@@ -230,11 +456,11 @@ REQUIREMENTS:
 - Consider ${characterName}'s traits: ${characterTraits}
 - Use the character description: ${characterDescription}
 - Appropriate for ${genre} genre and ${length} length
-- NO additional scenes beyond 4
+- NO additional scenes beyond ${sceneCount}
 ${includeVoice ? '- Include narrative elements suitable for voice-over' : ''}
 ${includeVideo ? '- Ensure each scene is visually compelling for video' : ''}
 
-EXAMPLE FOR ${tone.toUpperCase()} TONE:
+EXAMPLE FOR ${tone.toUpperCase()} TONE${sceneCount !== DEFAULT_SCENE_COUNT ? ` (format only - your story needs ${sceneCount} scenes)` : ''}:
 SCENE 1: The Mysterious Discovery
 ${characterName} was exploring the old library when they noticed a strange glow coming from behind the dusty shelves. ${tone === 'humorous' ? 'With typical clumsiness, they knocked over three books while investigating.' : tone === 'dramatic' ? 'Their heart raced as they approached the mysterious light.' : tone === 'mysterious' ? 'An eerie silence filled the air as they cautiously moved closer.' : 'Curiosity sparked in their eyes as they investigated.'} What they found would change everything.
 
@@ -247,10 +473,443 @@ ${tone === 'humorous' ? `Just as ${characterName} was getting comfortable with t
 SCENE 4: The Resolution
 ${tone === 'humorous' ? `Through a combination of luck and questionable decision-making, ${characterName} found their way forward.` : tone === 'dramatic' ? `With courage they didn't know they possessed, ${characterName} made their choice.` : tone === 'mysterious' ? `${characterName} embraced the mystery and stepped into the unknown.` : `${characterName} discovered the strength within themselves.`} The artifact's power had awakened something special in them, and they knew their ordinary life was now behind them. ${tone === 'humorous' ? 'They just hoped the next adventure would involve less falling down.' : 'This was just the beginning of their extraordinary journey.'}
 
-NOW CREATE YOUR STORY WITH EXACTLY 4 SCENES FOLLOWING THIS EXACT FORMAT:`;
+NOW CREATE YOUR STORY WITH EXACTLY ${sceneCount} SCENES FOLLOWING THIS EXACT FORMAT:`;
+  }
+
+  buildStructuredStoryPrompt(prompt, genre, characterDNA, options) {
+    const characterName = characterDNA.name || 'the protagonist';
+    const characterTraits = characterDNA.traits?.join(', ') || 'adventurous';
+    const characterDescription = characterDNA.description || 'an adventurous character';
+    const castSection = options.cast?.length > 1 ? `${buildCastPromptSection(options.cast)}\n` : '';
+    const continuitySection = buildContinuityPromptSection(options.continuity, options.episodeNumber);
+    const tone = options.tone || 'lighthearted';
+    const length = options.length || 'medium';
+    const includeVoice = options.includeVoice !== false;
+    const includeVideo = options.includeVideo !== false;
+    const sceneCount = resolveSceneCount(options);
+
+    return `You are a professional story creator. Create an engaging story with EXACTLY ${sceneCount} scenes and return it as JSON.
+
+CHARACTER: ${characterName}
+CHARACTER DESCRIPTION: ${characterDescription}
+TRAITS: ${characterTraits}
+${castSection}${continuitySection}STORY PROMPT: ${prompt}
+GENRE: ${genre}
+TONE: ${tone} - ${TONE_GUIDANCE[tone] || 'Engaging and appropriate'}
+LENGTH: ${length} - ${LENGTH_GUIDANCE[length] || 'Well-paced story'}
+${buildReadingLevelPromptSection(options)}${buildLanguagePromptSection(options)}
+REQUIREMENTS:
+- "title": an engaging story title; "logline": one sentence summarising the story
+- "scenes": EXACTLY ${sceneCount} scenes in story order - the first opens the story, the last resolves it
+- "narration": 2-3 engaging sentences per scene focused on narrative, emotions and character development
+- "dialogue": short spoken lines as {"speaker", "line"} objects (may be empty)
+- "setting", "characters" (names of everyone present, spelled as in the cast), "camera" (e.g. Wide shot, Close-up) and "mood" for every scene
+- "storyboardPrompt": a purely visual description of the scene for an illustrator
+- Match the ${tone} tone throughout and consider ${characterName}'s traits: ${characterTraits}
+${includeVoice ? '- Write narration suitable for voice-over' : ''}
+${includeVideo ? '- Ensure each scene is visually compelling for video' : ''}
+
+Respond with JSON only.`;
+  }
+
+  buildRepairPrompt(storyPrompt, previousResponse, validationError, repairInstruction) {
+    return `${storyPrompt}
+
+Your previous response could not be used because it did not match the required JSON structure.
+
+VALIDATION ERRORS:
+${validationError}
+
+PREVIOUS RESPONSE:
+${previousResponse.substring(0, 8000)}
+
+${repairInstruction}`;
+  }
+
+  // Rewrite a finished story for its target reading level, keeping the plot scene for scene
+  async rewriteForReadingLevel(story, target, analysis, characterDNA, options = {}) {
+    console.log(`📚 Rewriting story for ${target.label} with Gemini: grade ${analysis.grade_level} -> ${target.target_grade}`);
+
+    const rewritePrompt = this.buildReadingLevelRewritePrompt(story, target, analysis, characterDNA, options);
+    const { value } = await this.requestStructuredStory(rewritePrompt, story.scenes.length, options);
+    return this.buildStructuredStory(value, characterDNA);
+  }
+
+  buildReadingLevelRewritePrompt(story, target, analysis, characterDNA, options = {}) {
+    const characterName = characterDNA.name || 'the protagonist';
+    const castSection = options.cast?.length > 1 ? `${buildCastPromptSection(options.cast)}\n` : '';
+    const tone = options.tone || 'lighthearted';
+    const simpler = analysis.grade_level > target.max_grade;
+
+    const scenes = story.scenes.map((scene, index) => `SCENE ${index + 1}: ${scene.title}
+${scene.content || scene.description}${scene.setting ? `\nSETTING: ${scene.setting}` : ''}${scene.camera ? `\nCAMERA: ${scene.camera}` : ''}${scene.mood ? `\nMOOD: ${scene.mood}` : ''}`).join('\n\n');
+
+    return `You are a professional story editor. Rewrite an existing story for a different reading level and return it as JSON.
+
+STORY TITLE: ${story.title || 'Untitled'}
+CHARACTER: ${characterName}
+${castSection}TONE: ${tone} - ${TONE_GUIDANCE[tone] || 'Engaging and appropriate'}
+${buildReadingLevelPromptSection(options)}${buildLanguagePromptSection(options)}
+CURRENT READING LEVEL: grade ${analysis.grade_level} (${analysis.avg_sentence_length} words per sentence, ${analysis.avg_syllables_per_word} syllables per word) - ${simpler ? 'too hard' : 'too simple'} for this audience
+
+STORY:
+${scenes}
+
+REQUIREMENTS:
+- Keep the title, plot, characters, settings and the order of events; change only the wording
+- ${simpler ? 'Use shorter sentences and simpler, more common words' : 'Use longer, more varied sentences and richer vocabulary'}
+- "scenes": EXACTLY ${story.scenes.length} scenes, one for each scene above, in the same order
+- "narration" and "dialogue" carry the rewritten text; "dialogue" holds spoken lines as {"speaker", "line"} objects (may be empty)
+- Keep each scene's "setting", "camera" and "mood"; list everyone present in "characters", spelled as in the cast
+- "storyboardPrompt": a purely visual description of the scene for an illustrator; "logline": one sentence summarising the story
+
+Respond with JSON only.`;
+  }
+
+  // Translate a finished story scene for scene into options.language
+  async translateStory(story, characterDNA, options = {}) {
+    const { name } = LANGUAGES[options.language];
+    console.log(`🌐 Translating story into ${name} with Gemini: ${story.title}`);
+
+    const translationPrompt = this.buildTranslationPrompt(story, characterDNA, options);
+    const { value, attempt, repairAttempts } = await this.requestStructuredStory(translationPrompt, story.scenes.length, options);
+    const translated = this.buildStructuredStory(value, characterDNA);
+
+    return {
+      title: translated.title,
+      logline: translated.logline,
+      scenes: translated.scenes,
+      metadata: {
+        generatedBy: 'gemini-2.0-flash',
+        outputMode: 'structured',
+        repairAttempts,
+        attempt
+      }
+    };
+  }
+
+  buildTranslationPrompt(story, characterDNA, options = {}) {
+    const { name, native } = LANGUAGES[options.language];
+    const characterName = characterDNA.name || 'the protagonist';
+    const castSection = options.cast?.length > 1 ? `${buildCastPromptSection(options.cast)}\n` : '';
+    const tone = options.tone || 'lighthearted';
+
+    const scenes = story.scenes.map((scene, index) => `SCENE ${index + 1}: ${scene.title}
+${scene.content || scene.description}${scene.setting ? `\nSETTING: ${scene.setting}` : ''}${scene.camera ? `\nCAMERA: ${scene.camera}` : ''}${scene.mood ? `\nMOOD: ${scene.mood}` : ''}`).join('\n\n');
+
+    return `You are a professional literary translator. Translate an existing story into ${name} (${native}) and return it as JSON.
+
+STORY TITLE: ${story.title || 'Untitled'}
+${story.logline ? `LOGLINE: ${story.logline}\n` : ''}CHARACTER: ${characterName}
+${castSection}TONE: ${tone} - ${TONE_GUIDANCE[tone] || 'Engaging and appropriate'}
+${buildReadingLevelPromptSection(options)}
+STORY:
+${scenes}
+
+REQUIREMENTS:
+- Translate the title, logline, every scene title, the narration and the dialogue into ${name}, keeping the meaning, tone and reading level of the original
+- Write natural ${name} a native reader would enjoy rather than a word-for-word translation
+- Keep character names unchanged; "dialogue" speakers use the same names as the original
+- "scenes": EXACTLY ${story.scenes.length} scenes, one for each scene above, in the same order
+- "narration" and "dialogue" carry the translated text; "dialogue" holds spoken lines as {"speaker", "line"} objects (may be empty)
+- Keep "setting", "camera", "mood", "characters" and "storyboardPrompt" in English: they are used to draw the pictures, which stay the same
+
+Respond with JSON only.`;
+  }
+
+  // Rewrite one scene of an existing story, keeping it consistent with its neighbours
+  async regenerateScene(story, sceneIndex, characterDNA, options = {}) {
+    const scene = story.scenes[sceneIndex];
+    console.log(`✍️ Regenerating scene ${sceneIndex + 1} text with Gemini: ${scene.title}`);
+
+    const scenePrompt = this.buildScenePrompt(story, sceneIndex, characterDNA, options);
+    const { text } = await this.generateText(scenePrompt, { signal: options.signal });
+
+    // Reuse the story parser on the single "SCENE n:" block
+    const sceneParts = text.split(/SCENE\s+\d+:/gi).map(part => part.trim()).filter(Boolean);
+    const lines = (sceneParts[0] || text.trim()).split('\n');
+    const title = lines.length > 1 ? lines[0].replace(/[\[\]*#]/g, '').trim() : scene.title;
+    const content = (lines.length > 1 ? lines.slice(1).join('\n') : lines[0]).trim();
+
+    if (!content) {
+      throw new Error('Gemini returned an empty scene');
+    }
+
+    return {
+      ...scene,
+      title: title || scene.title,
+      content,
+      description: content,
+      characterName: characterDNA.name,
+      storyboardPrompt: this.generateStoryboardPrompt(title || scene.title, content, characterDNA)
+    };
+  }
+
+  buildScenePrompt(story, sceneIndex, characterDNA, options = {}) {
+    const characterName = characterDNA.name || 'the protagonist';
+    const characterTraits = characterDNA.traits?.join(', ') || 'adventurous';
+    const characterDescription = characterDNA.description || 'an adventurous character';
+    const castSection = options.cast?.length > 1 ? `${buildCastPromptSection(options.cast)}\n` : '';
+    const tone = options.tone || 'lighthearted';
+    const sceneNumber = sceneIndex + 1;
+
+    const outline = story.scenes.map((scene, index) => {
+      const marker = index === sceneIndex ? ' <-- REWRITE THIS SCENE' : '';
+      return `SCENE ${index + 1}: ${scene.title}${marker}\n${scene.content || scene.description}`;
+    }).join('\n\n');
+
+    return `You are a professional story creator. Rewrite ONE scene of an existing story.
+
+STORY TITLE: ${story.title || 'Untitled'}
+CHARACTER: ${characterName}
+CHARACTER DESCRIPTION: ${characterDescription}
+TRAITS: ${characterTraits}
+${castSection}GENRE: ${options.genre || 'adventure'}
+TONE: ${tone} - ${TONE_GUIDANCE[tone] || 'Engaging and appropriate'}
+${buildReadingLevelPromptSection(options)}${buildLanguagePromptSection(options)}
+CURRENT STORY:
+${outline}
+
+${options.prompt ? `REWRITE INSTRUCTIONS: ${options.prompt}\n\n` : ''}REQUIREMENTS:
+- Rewrite ONLY scene ${sceneNumber}, keeping it consistent with the scenes before and after it
+- Write 2-3 engaging sentences focused on narrative, dialogue and emotions
+- Match the ${tone} tone
+- Do not repeat the other scenes
+
+MANDATORY FORMAT - DO NOT DEVIATE:
+SCENE ${sceneNumber}: [Engaging scene title]
+[2-3 sentences of story content]`;
+  }
+
+  // Describe a character from its reference images: appearance attributes, a prose
+  // description and personality hints. images: [{ data: Buffer, mimeType }]
+  async captionCharacter(images, { name, tags = [] } = {}, options = {}) {
+    console.log(`👁️ Captioning ${images.length} reference image${images.length === 1 ? '' : 's'} of ${name || 'a character'} with Gemini`);
+
+    const { value, attempt, repairAttempts } = await this.requestStructuredOutput(this.buildCaptionPrompt(images.length, { name, tags }), {
+      label: 'character caption',
+      responseSchema: buildGeminiCaptionSchema(),
+      validate: validateCaptionResponse,
+      repairInstruction: 'Return the corrected character description as JSON only.'
+    }, { ...options, images });
+
+    return {
+      ...value,
+      metadata: {
+        generatedBy: 'gemini-2.0-flash',
+        repairAttempts,
+        attempt
+      }
+    };
+  }
+
+  buildCaptionPrompt(imageCount, { name, tags = [] }) {
+    return `You are a character designer for illustrated children's stories. The ${imageCount === 1 ? 'image shows' : `${imageCount} images show`} the same character${name ? `, named ${name}` : ''}.
+${tags.length ? `The owner tagged it: ${tags.join(', ')}
+` : ''}
+Describe the character so an illustrator can draw it the same way in every scene, and return JSON.
+
+REQUIREMENTS:
+- Describe only what is visible; leave a field empty rather than guess
+- Name colours precisely (e.g. "mustard yellow", not "bright")
+- Keep every attribute short, a few words each
+- Personality hints come from pose and expression only, as single adjectives
+- Do not mention the background, the photo or the art style`;
+  }
+
+  // Rewrite a passage of one scene (or, for "continue", write what follows it).
+  // request: { action, passage, sceneText, tone }; returns only the new text.
+  async assistScene(story, sceneIndex, request, characterDNA, options = {}) {
+    const scene = story.scenes[sceneIndex];
+    console.log(`🪄 Scene assist (${request.action}) on scene ${sceneIndex + 1} with Gemini: ${scene.title}`);
+
+    const assistPrompt = this.buildAssistPrompt(story, sceneIndex, request, characterDNA, options);
+    const { value, attempt, repairAttempts } = await this.requestStructuredOutput(assistPrompt, {
+      label: `scene assist (${request.action})`,
+      responseSchema: buildGeminiAssistSchema(),
+      validate: validateAssistResponse,
+      repairInstruction: 'Return the corrected result as JSON only, with the text in "text".'
+    }, options);
+
+    return {
+      text: value.text,
+      metadata: {
+        generatedBy: 'gemini-2.0-flash',
+        outputMode: 'structured',
+        repairAttempts,
+        attempt
+      }
+    };
+  }
+
+  buildAssistPrompt(story, sceneIndex, request, characterDNA, options = {}) {
+    const { action, passage, sceneText, tone } = request;
+    const scene = story.scenes[sceneIndex];
+    const characterName = characterDNA.name || 'the protagonist';
+    const castSection = options.cast?.length > 1 ? `${buildCastPromptSection(options.cast)}\n` : '';
+    const storyTone = options.tone || 'lighthearted';
+    const wholeScene = passage === sceneText;
+
+    const context = [story.scenes[sceneIndex - 1], story.scenes[sceneIndex + 1]]
+      .map((neighbour, offset) => neighbour && `${offset === 0 ? 'PREVIOUS' : 'NEXT'} SCENE: ${neighbour.title}\n${neighbour.content || neighbour.description}`)
+      .filter(Boolean)
+      .join('\n\n');
+
+    return `You are a professional story editor helping an author revise their story. Work on one passage and return it as JSON.
+
+STORY TITLE: ${story.title || 'Untitled'}
+CHARACTER: ${characterName}
+${castSection}GENRE: ${options.genre || 'adventure'}
+STORY TONE: ${storyTone} - ${TONE_GUIDANCE[storyTone] || 'Engaging and appropriate'}
+${buildReadingLevelPromptSection(options)}${buildLanguagePromptSection(options)}
+${context ? `${context}\n\n` : ''}SCENE ${sceneIndex + 1}: ${scene.title}
+${sceneText}
+${wholeScene ? '' : `\nPASSAGE (part of scene ${sceneIndex + 1}):\n${passage}\n`}
+TASK: ${ASSIST_INSTRUCTIONS[action](tone)}
+
+REQUIREMENTS:
+- ${action === 'continue'
+    ? `"text" holds ONLY the new sentences that come right after the ${wholeScene ? 'scene' : 'passage'}, not the existing text`
+    : `"text" holds the revised ${wholeScene ? 'scene' : 'passage'} in full, replacing the original${wholeScene ? '' : ' - it must still fit into the sentences around it'}`}
+- Keep character names, point of view and tense consistent with the rest of the scene
+- No headings, scene numbers, quotation of these instructions or commentary
+
+Respond with JSON only.`;
+  }
+
+  // "What if?" branch: keep the scenes up to forkIndex and write new ones from there
+  async generateVariation(story, forkIndex, whatIf, characterDNA, options = {}) {
+    const sceneCount = story.scenes.length - forkIndex - 1;
+    console.log(`🌿 Generating variation from scene ${forkIndex + 1} with Gemini: what if ${whatIf}`);
+
+    const variationPrompt = this.buildVariationPrompt(story, forkIndex, whatIf, characterDNA, options);
+    const { value, attempt, repairAttempts } = await this.requestStructuredStory(variationPrompt, sceneCount, options);
+    const branch = this.buildStructuredStory(value, characterDNA, forkIndex + 2);
+
+    return {
+      title: branch.title,
+      logline: branch.logline,
+      scenes: branch.scenes,
+      metadata: {
+        generatedBy: 'gemini-2.0-flash',
+        outputMode: 'structured',
+        repairAttempts,
+        attempt
+      }
+    };
+  }
+
+  buildVariationPrompt(story, forkIndex, whatIf, characterDNA, options = {}) {
+    const characterName = characterDNA.name || 'the protagonist';
+    const characterTraits = characterDNA.traits?.join(', ') || 'adventurous';
+    const characterDescription = characterDNA.description || 'an adventurous character';
+    const castSection = options.cast?.length > 1 ? `${buildCastPromptSection(options.cast)}\n` : '';
+    const tone = options.tone || 'lighthearted';
+    const sceneCount = story.scenes.length - forkIndex - 1;
+    const firstNew = forkIndex + 2;
+
+    const keptScenes = story.scenes.slice(0, forkIndex + 1)
+      .map((scene, index) => `SCENE ${index + 1}: ${scene.title}\n${scene.content || scene.description}`)
+      .join('\n\n');
+    const originalPath = story.scenes.slice(forkIndex + 1)
+      .map((scene, index) => `SCENE ${firstNew + index}: ${scene.title}`)
+      .join('\n');
+
+    return `You are a professional story creator. Write an alternative continuation of an existing story.
+
+ORIGINAL TITLE: ${story.title || 'Untitled'}
+CHARACTER: ${characterName}
+CHARACTER DESCRIPTION: ${characterDescription}
+TRAITS: ${characterTraits}
+${castSection}GENRE: ${options.genre || 'adventure'}
+TONE: ${tone} - ${TONE_GUIDANCE[tone] || 'Engaging and appropriate'}
+${buildReadingLevelPromptSection(options)}${buildLanguagePromptSection(options)}
+STORY SO FAR (already told, do not rewrite):
+${keptScenes}
+
+ORIGINAL CONTINUATION (for reference only, the new one must diverge from it):
+${originalPath}
+
+WHAT IF: ${whatIf}
+
+REQUIREMENTS:
+- "title": a new title for this version of the story; "logline": one sentence summarising the new path
+- "scenes": EXACTLY ${sceneCount} scenes continuing from scene ${firstNew}, in story order
+- The first new scene follows directly from scene ${forkIndex + 1} and shows the "what if" taking effect
+- Let the premise change what happens next; the last scene resolves the story in a new way
+- "narration": 2-3 engaging sentences per scene; "dialogue": short spoken lines as {"speaker", "line"} objects (may be empty)
+- "setting", "characters" (names of everyone present, spelled as in the cast), "camera" and "mood" for every scene
+- "storyboardPrompt": a purely visual description of the scene for an illustrator
+- Keep ${characterName} in character and match the ${tone} tone
+
+Respond with JSON only.`;
+  }
+
+  // Interactive stories: the opening scene, or the scene a reader's choice leads to.
+  // `path` lists the scenes read so far with the choice taken after each one.
+  async generateStoryNode({ prompt, genre, path = [], depth = 1, maxDepth }, characterDNA, options = {}) {
+    const opening = path.length === 0;
+    const ending = depth >= maxDepth;
+    const nodePrompt = this.buildNodePrompt({ prompt, genre, path, depth, maxDepth }, characterDNA, options);
+
+    const { value, attempt, repairAttempts } = await this.requestStructuredOutput(nodePrompt, {
+      label: opening ? 'interactive story opening' : `story node (depth ${depth}/${maxDepth})`,
+      responseSchema: buildGeminiNodeSchema({ opening, ending }),
+      validate: (text) => validateNodeResponse(text, { opening, ending }),
+      repairInstruction: `Return the corrected scene as JSON only, with ${ending ? 'an empty "choices" list' : '2 or 3 "choices"'} and every required field filled in.`
+    }, options);
+
+    return {
+      title: value.title,
+      logline: value.logline,
+      scene: this.buildStructuredScene(value.scene, characterDNA),
+      choices: value.scene.choices,
+      metadata: {
+        generatedBy: 'gemini-2.0-flash',
+        outputMode: 'structured',
+        repairAttempts,
+        attempt
+      }
+    };
+  }
+
+  buildNodePrompt({ prompt, genre, path = [], depth = 1, maxDepth }, characterDNA, options = {}) {
+    const characterName = characterDNA.name || 'the protagonist';
+    const characterTraits = characterDNA.traits?.join(', ') || 'adventurous';
+    const characterDescription = characterDNA.description || 'an adventurous character';
+    const castSection = options.cast?.length > 1 ? `${buildCastPromptSection(options.cast)}\n` : '';
+    const tone = options.tone || 'lighthearted';
+    const opening = path.length === 0;
+    const ending = depth >= maxDepth;
+
+    const pathText = path
+      .map((step, index) => `SCENE ${index + 1}: ${step.node.title}\n${step.node.content || step.node.description}\nTHE READER CHOSE: ${step.choice}`)
+      .join('\n\n');
+
+    return `You are writing an interactive choose-your-own-adventure story. ${opening ? 'Write its opening scene.' : "Write the scene the reader's latest choice leads to."}
+
+CHARACTER: ${characterName}
+CHARACTER DESCRIPTION: ${characterDescription}
+TRAITS: ${characterTraits}
+${castSection}STORY PROMPT: ${prompt}
+GENRE: ${genre || 'adventure'}
+TONE: ${tone} - ${TONE_GUIDANCE[tone] || 'Engaging and appropriate'}
+${buildReadingLevelPromptSection(options)}${buildLanguagePromptSection(options)}
+${opening ? '' : `THE READER'S PATH SO FAR:\n${pathText}\n\n`}REQUIREMENTS:
+${opening ? '- "title": an engaging story title; "logline": one sentence setting up the premise\n' : ''}- "scene": ${opening ? 'the opening scene, introducing the characters and their situation' : "what happens because of the reader's last choice, following directly from the previous scene"}
+- "narration": 2-3 engaging sentences; "dialogue": short spoken lines as {"speaker", "line"} objects (may be empty)
+- "setting", "characters" (names of everyone present, spelled as in the cast), "camera" and "mood"
+- "storyboardPrompt": a purely visual description of the scene for an illustrator
+${ending
+    ? '- This scene is an ENDING: resolve the story along this path and return an empty "choices" list'
+    : `- End at a decision point with 2-3 "choices": short actions (under 12 words) ${characterName} could take, each leading somewhere clearly different`}
+- This is scene ${depth} of at most ${maxDepth} on any path${!ending && depth === maxDepth - 1 ? ', so the next scene will be an ending' : ''}
+- Keep ${characterName} in character and match the ${tone} tone
+
+Respond with JSON only.`;
   }
 
-  parseStoryIntoScenes(storyText, characterDNA) {
+  parseStoryIntoScenes(storyText, characterDNA, sceneCount = DEFAULT_SCENE_COUNT) {
     console.log(`🔍 Starting scene parsing for text length: ${storyText.length}`);
 
     // Early validation
@@ -274,7 +933,7 @@ NOW CREATE YOUR STORY WITH EXACTLY 4 SCENES FOLLOWING THIS EXACT FORMAT:`;
       // Skip the first part if it's empty (before first scene)
       const startIndex = sceneParts[0].trim().length === 0 ? 1 : 0;
 
-      for (let i = startIndex; i < sceneParts.length && scenes.length < 4; i++) {
+      for (let i = startIndex; i < sceneParts.length && scenes.length < sceneCount; i++) {
         const part = sceneParts[i].trim();
         if (part.length === 0) continue;
 
@@ -305,26 +964,26 @@ NOW CREATE YOUR STORY WITH EXACTLY 4 SCENES FOLLOWING THIS EXACT FORMAT:`;
       // Fallback parsing if primary method failed
       if (scenes.length === 0) {
         console.log(`⚠️ Primary parsing failed, trying fallback method...`);
-        return this.fallbackParseStory(storyText, characterDNA);
+        return this.fallbackParseStory(storyText, characterDNA, sceneCount);
       }
 
     } catch (error) {
       console.error(`❌ Error in primary parsing:`, error);
       console.log(`⚠️ Trying fallback parsing method...`);
-      return this.fallbackParseStory(storyText, characterDNA);
+      return this.fallbackParseStory(storyText, characterDNA, sceneCount);
     }
 
     console.log(`🎭 Story structure: ${scenes.length} scenes parsed with separate content and storyboard prompts`);
 
-    // Ensure exactly 4 scenes
-    if (scenes.length > 4) {
-      console.log(`⚠️ Generated ${scenes.length} scenes, trimming to exactly 4`);
-      scenes.splice(4); // Keep only first 4 scenes
-    } else if (scenes.length < 4) {
-      console.log(`⚠️ Only generated ${scenes.length} scenes, padding to exactly 4`);
+    // Ensure exactly the requested number of scenes
+    if (scenes.length > sceneCount) {
+      console.log(`⚠️ Generated ${scenes.length} scenes, trimming to exactly ${sceneCount}`);
+      scenes.splice(sceneCount);
+    } else if (scenes.length < sceneCount) {
+      console.log(`⚠️ Only generated ${scenes.length} scenes, padding to exactly ${sceneCount}`);
       
-      // Pad to exactly 4 scenes
-      while (scenes.length < 4) {
+      // Pad to exactly the requested number of scenes
+      while (scenes.length < sceneCount) {
         const sceneNum = scenes.length + 1;
         const fallbackContent = `${characterDNA.name} continues their adventure with determination and courage.`;
         scenes.push({
@@ -343,12 +1002,12 @@ NOW CREATE YOUR STORY WITH EXACTLY 4 SCENES FOLLOWING THIS EXACT FORMAT:`;
     return {
       title: `${characterDNA.name}'s Adventure`,
       scenes,
-      totalScenes: 4, // Always 4 now
+      totalScenes: sceneCount,
       character: characterDNA
     };
   }
 
-  fallbackParseStory(storyText, characterDNA) {
+  fallbackParseStory(storyText, characterDNA, sceneCount = DEFAULT_SCENE_COUNT) {
     console.log(`🔧 Using fallback parsing method...`);
 
     const scenes = [];
@@ -357,7 +1016,7 @@ NOW CREATE YOUR STORY WITH EXACTLY 4 SCENES FOLLOWING THIS EXACT FORMAT:`;
     const lines = storyText.split('\n').filter(line => line.trim().length > 0);
 
     let currentScene = null;
-    let sceneCount = 0;
+    let parsedCount = 0;
 
     for (const line of lines) {
       const trimmedLine = line.trim();
@@ -369,12 +1028,12 @@ NOW CREATE YOUR STORY WITH EXACTLY 4 SCENES FOLLOWING THIS EXACT FORMAT:`;
           scenes.push(currentScene);
         }
 
-        sceneCount++;
-        const title = trimmedLine.replace(/^SCENE\s+\d+:\s*/i, '').replace(/^Scene\s+\d+:\s*/i, '') || `Scene ${sceneCount}`;
+        parsedCount++;
+        const title = trimmedLine.replace(/^SCENE\s+\d+:\s*/i, '').replace(/^Scene\s+\d+:\s*/i, '') || `Scene ${parsedCount}`;
 
         currentScene = {
-          id: `scene_${sceneCount}`,
-          number: sceneCount,
+          id: `scene_${parsedCount}`,
+          number: parsedCount,
           title: title,
           content: '',
           description: '',
@@ -382,7 +1041,7 @@ NOW CREATE YOUR STORY WITH EXACTLY 4 SCENES FOLLOWING THIS EXACT FORMAT:`;
           storyboardPrompt: ''
         };
 
-        console.log(`🔧 Fallback found scene ${sceneCount}: "${title}"`);
+        console.log(`🔧 Fallback found scene ${parsedCount}: "${title}"`);
       } else if (currentScene && trimmedLine.length > 0) {
         // Add content to current scene
         currentScene.content += (currentScene.content ? ' ' : '') + trimmedLine;
@@ -399,7 +1058,7 @@ NOW CREATE YOUR STORY WITH EXACTLY 4 SCENES FOLLOWING THIS EXACT FORMAT:`;
       console.log(`⚠️ No scenes found, creating basic fallback scenes from full text...`);
 
       // Split text into roughly equal parts
-      const textChunks = this.splitTextIntoChunks(storyText, 4);
+      const textChunks = this.splitTextIntoChunks(storyText, sceneCount);
 
       for (let i = 0; i < textChunks.length; i++) {
         scenes.push({
@@ -424,8 +1083,8 @@ NOW CREATE YOUR STORY WITH EXACTLY 4 SCENES FOLLOWING THIS EXACT FORMAT:`;
 
     return {
       title: `${characterDNA.name}'s Adventure`,
-      scenes: scenes.slice(0, 4), // Ensure max 4 scenes
-      totalScenes: Math.min(scenes.length, 4),
+      scenes: scenes.slice(0, sceneCount), // Ensure max sceneCount scenes
+      totalScenes: Math.min(scenes.length, sceneCount),
       character: characterDNA,
       fallbackParsed: true
     };
@@ -1,7 +1,10 @@
 const { InferenceClient } = require('@huggingface/inference');
-const { uploadToStorage } = require('./storage');
+const { uploadToStorage, deleteFromStorageByUrl } = require('./storage');
 const { v4: uuidv4 } = require('uuid');
 const { PythonStableDiffusionService } = require('./pythonStableDiffusion');
+const { isAbortError, throwIfAborted } = require('./cancellation');
+const { getSceneCast, describeAppearance } = require('./storyCast');
+const { CONSISTENCY_MAX_RETRIES, scoreSceneCast, getAttemptSettings } = require('./consistencyScoring');
 
 // Initialize services
 const hf = new InferenceClient(process.env.HUGGING_FACE_TOKEN);
@@ -15,7 +18,7 @@ const STYLE_PRESETS = {
   storybook: 'children\'s book illustration, whimsical, hand-drawn, colorful'
 };
 
-async function generateSceneImages(scenes, characterDNA, style = 'cartoon') {
+async function generateSceneImages(scenes, characterDNA, style = 'cartoon', cast = []) {
   try {
     console.log(`Generating ${scenes.length} scene images in ${style} style`);
     
@@ -29,7 +32,8 @@ async function generateSceneImages(scenes, characterDNA, style = 'cartoon') {
         scenes[i], 
         characterDNA, 
         stylePrompt,
-        i
+        i,
+        cast
       );
       
       sceneImages.push({
@@ -49,10 +53,12 @@ async function generateSceneImages(scenes, characterDNA, style = 'cartoon') {
   }
 }
 
-async function generateSingleSceneImage(scene, characterDNA, stylePrompt, sceneIndex) {
+async function generateSingleSceneImage(scene, characterDNA, stylePrompt, sceneIndex, cast = []) {
   try {
-    // Build comprehensive prompt for consistent character rendering
-    const characterDescription = buildCharacterDescription(characterDNA);
+    // Build comprehensive prompt for consistent character rendering - with a
+    // multi-character cast, only the members present in the scene are described
+    const sceneCast = cast.length > 1 ? getSceneCast(scene, cast) : [characterDNA];
+    const characterDescription = sceneCast.map(buildCharacterDescription).join(', ');
     const fullScenePrompt = `${characterDescription}, ${scene.description}, ${stylePrompt}, high quality, detailed, 4k resolution`;
 
     // Optimize prompt for CLIP token limits
@@ -101,6 +107,12 @@ async function generateSingleSceneImage(scene, characterDNA, stylePrompt, sceneI
 function buildCharacterDescription(characterDNA) {
   // Extract visual features from character DNA (optimized for CLIP token limits)
   const baseDescription = `character named ${characterDNA.name}`;
+
+  // Captioned appearance describes the look better than tags
+  const appearance = describeAppearance(characterDNA.appearance);
+  if (appearance) {
+    return `${baseDescription}, ${appearance}`;
+  }
   
   // Add tags if available (limit to top 3 visual tags)
   if (characterDNA.tags && characterDNA.tags.length > 0) {
@@ -268,45 +280,126 @@ async function generateBackground(scene, environment) {
   }
 }
 
-async function generateCharacterConsistentScenes(scenes, characterDNA, style = 'cartoon') {
+// One character-based scene, regenerated with new settings while it doesn't look enough like
+// everyone in it; the best-scoring attempt is kept and the others are deleted
+async function generateScoredScene(prompt, sceneCast, style, sceneId, strength, { signal } = {}) {
+  const characterDNA = sceneCast[0];
+  const attempts = [];
+  let best = null;
+
+  for (let attempt = 0; attempt <= CONSISTENCY_MAX_RETRIES; attempt++) {
+    throwIfAborted(signal);
+    const settings = attempt === 0 ? { strength } : getAttemptSettings(attempts[0].seed, strength, attempt);
+    if (attempt > 0) {
+      console.log(`🔁 Scene ${sceneId} scored ${best.consistency.score}, retrying with seed ${settings.seed}, strength ${settings.strength}`);
+    }
+
+    const { imageBuffer, ...sceneResult } = await pythonSD.generateSceneWithCharacter(
+      prompt, characterDNA, style, sceneId, settings.strength, { signal, cast: sceneCast, seed: settings.seed }
+    );
+    if (!sceneResult.success) {
+      if (best) break; // Keep what the earlier attempts produced
+      return sceneResult;
+    }
+
+    const consistency = await scoreSceneCast(imageBuffer, sceneCast, { referenceId: sceneResult.metadata?.reference_id });
+    attempts.push({ seed: sceneResult.seed, strength: sceneResult.strength, score: consistency?.score ?? null });
+
+    if (!best || (consistency && consistency.score > best.consistency.score)) {
+      if (best) await discardSceneImage(best.imageUrl);
+      best = { ...sceneResult, consistency };
+    } else {
+      await discardSceneImage(sceneResult.imageUrl);
+    }
+
+    // Unscored scenes can't improve by retrying
+    if (!consistency || consistency.passed) break;
+  }
+
+  if (!best.consistency) return best;
+  if (!best.consistency.passed) {
+    console.warn(`⚠️ Scene ${sceneId} stayed below the consistency threshold (best ${best.consistency.score})`);
+  }
+  return { ...best, consistency: { ...best.consistency, attempts } };
+}
+
+async function discardSceneImage(imageUrl) {
+  try {
+    await deleteFromStorageByUrl(imageUrl);
+  } catch (error) {
+    console.warn(`Failed to delete discarded scene image ${imageUrl}:`, error.message);
+  }
+}
+
+async function generateCharacterConsistentScenes(scenes, characterDNA, style = 'cartoon', options = {}) {
+  const { existingImages = [], onSceneComplete, signal, cast = [] } = options;
+
+  // Character-based images from an earlier attempt are reused as-is
+  const findExisting = (scene) => existingImages.find(image =>
+    image.scene_id === scene.id && image.character_based && image.url
+  );
+
   try {
     console.log(`🎭 Generating ${scenes.length} character-consistent scenes in ${style} style`);
-    console.log(`👤 Character: ${characterDNA.name}`);
+    console.log(`👤 Character: ${characterDNA.name}${cast.length > 1 ? ` (+${cast.length - 1} cast members)` : ''}`);
+
+    if (scenes.length > 0 && scenes.every(findExisting)) {
+      console.log(`♻️ All ${scenes.length} scenes already generated, reusing them`);
+      return scenes.map(findExisting);
+    }
 
     // Check if Python SD service is available
+    throwIfAborted(signal);
     const connectionCheck = await pythonSD.checkConnection();
     if (!connectionCheck.available) {
       console.warn('⚠️ Python SD service not available, falling back to standard generation');
-      return await generateSceneImages(scenes, characterDNA, style);
+      return await generateSceneImages(scenes, characterDNA, style, cast);
     }
 
     const sceneImages = [];
 
-    // Step 1: Generate character portrait for consistency
-    console.log('📸 Step 1: Generating character portrait...');
-    const portraitResult = await pythonSD.generateCharacterPortrait(characterDNA, style);
+    // Step 1: Generate character portrait for consistency; characters with reference images start from those
+    if (characterDNA.references?.length) {
+      console.log(`🖼️ Step 1: Using ${characterDNA.references.length} reference images of ${characterDNA.name}`);
+    } else {
+      console.log('📸 Step 1: Loading or generating character portrait...');
+      const portraitResult = await pythonSD.getCharacterPortrait(characterDNA, style, { signal });
 
-    if (!portraitResult.success) {
-      console.warn('⚠️ Character portrait generation failed, falling back to standard generation');
-      return await generateSceneImages(scenes, characterDNA, style);
-    }
+      if (!portraitResult.success) {
+        console.warn('⚠️ Character portrait generation failed, falling back to standard generation');
+        return await generateSceneImages(scenes, characterDNA, style, cast);
+      }
 
-    console.log(`✅ Character portrait generated successfully`);
+      console.log(`✅ Character portrait ready`);
+    }
 
     // Step 2: Generate each scene using the character for consistency
     console.log(`🎬 Step 2: Generating ${scenes.length} scenes with character consistency...`);
 
     for (let i = 0; i < scenes.length; i++) {
       const scene = scenes[i];
+      throwIfAborted(signal);
+
+      const existing = findExisting(scene);
+      if (existing) {
+        console.log(`♻️ Reusing scene ${i + 1}/${scenes.length}: ${scene.title}`);
+        sceneImages.push(existing);
+        continue;
+      }
+
       console.log(`🎬 Generating scene ${i + 1}/${scenes.length}: ${scene.title}`);
 
+      // The first cast member in the scene provides the reference portrait
+      const sceneCast = cast.length > 1 ? getSceneCast(scene, cast) : [characterDNA];
+
       try {
-        const sceneResult = await pythonSD.generateSceneWithCharacter(
+        const sceneResult = await generateScoredScene(
           scene.description,
-          characterDNA,
+          sceneCast,
           style,
           scene.id || `scene_${i + 1}`,
-          0.7 // Good balance between consistency and variety
+          0.7, // Good balance between consistency and variety
+          { signal }
         );
 
         if (sceneResult.success) {
@@ -318,13 +411,16 @@ async function generateCharacterConsistentScenes(scenes, characterDNA, style = '
             style: style,
             character_based: true,
             strength: sceneResult.strength,
-            metadata: sceneResult.metadata
+            characters: sceneCast.map(member => member.name),
+            metadata: sceneResult.metadata,
+            consistency: sceneResult.consistency || null
           });
           console.log(`✅ Scene ${i + 1} generated successfully`);
+          if (onSceneComplete) await onSceneComplete(sceneImages[sceneImages.length - 1]);
         } else {
           console.warn(`⚠️ Scene ${i + 1} failed, generating fallback...`);
           // Fallback to standard generation for this scene
-          const fallbackResult = await generateSingleSceneImage(scene, characterDNA, STYLE_PRESETS[style] || STYLE_PRESETS.cartoon, i);
+          const fallbackResult = await generateSingleSceneImage(scene, characterDNA, STYLE_PRESETS[style] || STYLE_PRESETS.cartoon, i, cast);
           sceneImages.push({
             scene_id: scene.id,
             scene_number: i + 1,
@@ -336,9 +432,10 @@ async function generateCharacterConsistentScenes(scenes, characterDNA, style = '
           });
         }
       } catch (sceneError) {
+        if (isAbortError(sceneError, signal)) throw sceneError;
         console.warn(`⚠️ Scene ${i + 1} generation error, using fallback:`, sceneError.message);
         // Fallback to standard generation
-        const fallbackResult = await generateSingleSceneImage(scene, characterDNA, STYLE_PRESETS[style] || STYLE_PRESETS.cartoon, i);
+        const fallbackResult = await generateSingleSceneImage(scene, characterDNA, STYLE_PRESETS[style] || STYLE_PRESETS.cartoon, i, cast);
         sceneImages.push({
           scene_id: scene.id,
           scene_number: i + 1,
@@ -360,18 +457,33 @@ async function generateCharacterConsistentScenes(scenes, characterDNA, style = '
     return sceneImages;
 
   } catch (error) {
+    if (isAbortError(error, signal)) throw error;
     console.error('Character-consistent scene generation error:', error);
     console.warn('⚠️ Falling back to standard scene generation');
     // Fallback to standard generation
-    return await generateSceneImages(scenes, characterDNA, style);
+    return await generateSceneImages(scenes, characterDNA, style, cast);
   }
 }
 
+// Storyboard entry as stored in results, keyed by scene id
+function toStoryboardEntry(image) {
+  return {
+    sceneId: image.scene_id,
+    imageUrl: image.url,
+    prompt: image.prompt,
+    style: image.style,
+    characterBased: image.character_based,
+    metadata: image.metadata,
+    consistency: image.consistency || null
+  };
+}
+
 module.exports = {
   generateSceneImages,
   generateSingleSceneImage,
   generateCharacterConsistentScenes, // New function for character consistency
   applyStyleTransfer,
   generateBackground,
+  toStoryboardEntry,
   STYLE_PRESETS
 };
@@ -0,0 +1,344 @@
+const { v4: uuidv4 } = require('uuid');
+const { GeminiStoryGenerator } = require('./geminiAI');
+const { GENRE_TEMPLATES } = require('./storyEngine');
+const { getCameraAngle } = require('./storyStructure');
+const { generateCharacterConsistentScenes, toStoryboardEntry } = require('./imageGeneration');
+const { generateVoiceNarration, detectSceneEmotion } = require('./voiceService');
+const { loadResult, updateResult } = require('./sceneRegeneration');
+const { isAbortError } = require('./cancellation');
+const { moderateStory, resolveStrictness, ModerationError } = require('./moderation');
+
+// Choose-your-own-adventure stories. Instead of a flat scene list the story is a
+// graph: story.nodes maps node ids to scenes whose choices point at the next node.
+// Only the opening is generated up front; every other node is written the first
+// time a reader picks the choice leading to it.
+const DEFAULT_MAX_DEPTH = 4; // Scenes along any path, the last one being an ending
+const MAX_READER_PATHS = 500; // Reader paths kept per story, least recently active dropped first
+
+const geminiGenerator = new GeminiStoryGenerator();
+const pendingBranches = new Map(); // story_id:choice_id -> generation in flight
+
+function newNodeId() {
+  return `node_${uuidv4().split('-')[0]}`;
+}
+
+function buildNode(id, scene, choiceLabels, { parentId = null, viaChoiceId = null, depth }) {
+  return {
+    ...scene,
+    id,
+    number: depth, // scene number along the reader's path
+    depth,
+    parent_id: parentId,
+    via_choice_id: viaChoiceId,
+    is_ending: choiceLabels.length === 0,
+    choices: choiceLabels.map((label, index) => ({
+      id: `${id}_c${index + 1}`,
+      label,
+      next_node_id: null,
+      times_chosen: 0
+    })),
+    created_at: new Date().toISOString()
+  };
+}
+
+// Nodes from the opening down to nodeId
+function getNodePath(story, nodeId) {
+  const path = [];
+  for (let node = story.nodes[nodeId]; node; node = story.nodes[node.parent_id]) {
+    path.unshift(node);
+  }
+  return path;
+}
+
+// Scenes read so far with the choice taken after each, ending with the new choice
+function buildChoicePath(story, nodeId, choiceId) {
+  const nodes = getNodePath(story, nodeId);
+  return nodes.map((node, index) => {
+    const takenId = index === nodes.length - 1 ? choiceId : nodes[index + 1].via_choice_id;
+    return { node, choice: node.choices.find(choice => choice.id === takenId)?.label };
+  });
+}
+
+// Offline node: the genre's settings, elements and conflicts rotate with depth
+function generateTemplateNode({ path = [], depth = 1, maxDepth }, characterDNA, genre) {
+  const template = GENRE_TEMPLATES[genre] || GENRE_TEMPLATES.adventure;
+  const characterName = characterDNA.name;
+  const pick = (list, offset = 0) => list[(depth + offset) % list.length];
+  const ending = depth >= maxDepth;
+
+  let title;
+  let description;
+  if (path.length === 0) {
+    title = 'The Beginning';
+    description = `${characterName} finds a glowing artifact in the ${template.settings[0]}, and with it a choice to make.`;
+  } else {
+    const choice = path[path.length - 1].choice.replace(/[.!?]+$/, '');
+    title = ending ? 'The End of the Path' : `Into the ${pick(template.settings)}`;
+    description = ending
+      ? `${characterName} makes a choice: ${choice}. It leads to the ${pick(template.settings)}, where ${characterName} overcomes ${pick(template.conflicts)} and the adventure comes to an end.`
+      : `${characterName} makes a choice: ${choice}. In the ${pick(template.settings)}, ${characterName} comes up against ${pick(template.conflicts)} and discovers ${pick(template.elements)}.`;
+  }
+
+  const choices = ending ? [] : [
+    `Head for the ${pick(template.settings, 1)}`,
+    `Investigate the ${pick(template.elements, 1)}`,
+    `Face the ${pick(template.conflicts, 1)}`
+  ].slice(0, path.length === 0 ? 3 : 2);
+
+  return {
+    title: path.length === 0 ? `${characterName} and the ${genre.charAt(0).toUpperCase() + genre.slice(1)} Choice` : undefined,
+    logline: path.length === 0 ? `${characterName} must decide what to do with a mysterious artifact - and you decide for them.` : undefined,
+    scene: {
+      title,
+      content: description,
+      description,
+      setting: pick(template.settings),
+      characters: [characterName],
+      camera: getCameraAngle(depth - 1),
+      characterName
+    },
+    choices,
+    metadata: { is_template: true }
+  };
+}
+
+// Gemini writes the node when it is configured; the template otherwise or on failure
+async function generateNodeContent(context, characterDNA, options = {}) {
+  if (process.env.GEMINI_API_KEY && process.env.DEMO_MODE !== 'true') {
+    try {
+      return { generated: await geminiGenerator.generateStoryNode(context, characterDNA, options), provider: 'gemini' };
+    } catch (error) {
+      if (isAbortError(error, options.signal)) throw error;
+      console.warn(`⚠️ Gemini story node failed, using template node:`, error.message);
+    }
+  }
+
+  return { generated: generateTemplateNode(context, characterDNA, context.genre || 'adventure'), provider: 'template' };
+}
+
+// Opening node of a new interactive story, used by the story_generation step.
+// story.scenes holds the opening scene so the storyboard and voice steps handle it as usual.
+async function createInteractiveStory(prompt, genre, characterDNA, options = {}) {
+  const maxDepth = options.maxDepth || DEFAULT_MAX_DEPTH;
+  const { generated, provider } = await generateNodeContent({ prompt, genre, path: [], depth: 1, maxDepth }, characterDNA, options);
+
+  const opening = buildNode(newNodeId(), generated.scene, generated.choices, { depth: 1 });
+  const { choices, ...openingScene } = opening;
+
+  return {
+    story: {
+      title: generated.title,
+      logline: generated.logline,
+      mode: 'interactive',
+      prompt,
+      genre,
+      max_depth: maxDepth,
+      start_node_id: opening.id,
+      nodes: { [opening.id]: opening },
+      scenes: [openingScene],
+      totalScenes: 1,
+      character: characterDNA,
+      structured: provider === 'gemini'
+    },
+    provider,
+    generationMethod: `${provider}_interactive`
+  };
+}
+
+async function generateNodeStoryboard(node, characterDNA, cast, style) {
+  try {
+    const [image] = await generateCharacterConsistentScenes([node], characterDNA, style, { cast });
+    return image ? toStoryboardEntry(image) : null;
+  } catch (error) {
+    console.warn(`⚠️ Storyboard for story node ${node.id} failed:`, error.message);
+    return null;
+  }
+}
+
+async function narrateNode(node, narration, job) {
+  const text = `${node.title}. ${node.description}`;
+  const emotion = detectSceneEmotion(node);
+
+  try {
+    const clip = await generateVoiceNarration(text, narration.voice_id, emotion, {
+      model_id: job?.options?.voiceModel,
+      language: job?.options?.language || 'en'
+    });
+    return {
+      scene_id: node.id,
+      scene_number: node.depth,
+      audio_url: clip.audioUrl,
+      duration: clip.duration,
+      emotion,
+      text
+    };
+  } catch (error) {
+    console.warn(`⚠️ Narration for story node ${node.id} failed:`, error.message);
+    return null;
+  }
+}
+
+// Write the node a choice leads to, with its storyboard and (if the story is narrated) narration
+async function generateBranch(storyId, nodeId, choiceId, { characterDNA, cast = [characterDNA], job = null }) {
+  const result = await loadResult(storyId);
+  const { story } = result;
+  const depth = story.nodes[nodeId].depth + 1;
+
+  console.log(`🔀 Writing branch ${choiceId} of story ${storyId} (depth ${depth}/${story.max_depth})`);
+
+  const { generated, provider } = await generateNodeContent({
+    prompt: story.prompt,
+    genre: story.genre || result.metadata?.genre,
+    path: buildChoicePath(story, nodeId, choiceId),
+    depth,
+    maxDepth: story.max_depth
+  }, characterDNA, { ...job?.options, cast });
+
+  const node = buildNode(newNodeId(), generated.scene, generated.choices, { parentId: nodeId, viaChoiceId: choiceId, depth });
+  node.text_provider = provider;
+
+  // Same check as linear stories get before their storyboards are drawn
+  const tenantId = job?.tenant_id || 'default';
+  const decision = await moderateStory({ scenes: [node] }, {
+    kind: 'story_node',
+    tenantId,
+    strictness: resolveStrictness(tenantId, job?.options),
+    subjectId: `${storyId}:${node.id}`
+  });
+  if (!decision.allowed) {
+    throw new ModerationError(decision, `Branch ${choiceId} was blocked by content moderation (${decision.blocked_categories.join(', ')})`);
+  }
+
+  const storyboard = await generateNodeStoryboard(node, characterDNA, cast, result.metadata?.style || job?.style || 'cartoon');
+  const narration = result.audio_narration ? await narrateNode(node, result.audio_narration, job) : null;
+
+  await updateResult(storyId, (latest) => {
+    const choice = latest.story.nodes[nodeId].choices.find(entry => entry.id === choiceId);
+    if (choice.next_node_id) return; // another process linked this branch first
+
+    latest.story.nodes[node.id] = node;
+    choice.next_node_id = node.id;
+
+    if (storyboard) {
+      latest.storyboard_urls = [...(latest.storyboard_urls || []), storyboard];
+    }
+    if (narration) {
+      latest.audio_narration.scenes.push(narration);
+      latest.audio_narration.total_duration = latest.audio_narration.scenes.reduce((sum, item) => sum + (item.duration || 0), 0);
+    }
+
+    latest.metadata = {
+      ...latest.metadata,
+      nodes_count: Object.keys(latest.story.nodes).length,
+      storyboards_count: (latest.storyboard_urls || []).length
+    };
+  });
+
+  console.log(`✅ Branch ${choiceId} of story ${storyId} now leads to ${node.id}: ${node.title}`);
+}
+
+function recordReaderStep(result, readerId, fromNodeId, toNode) {
+  const now = new Date().toISOString();
+  result.reader_paths = result.reader_paths || {};
+
+  const entry = result.reader_paths[readerId] || { path: [], started_at: now };
+  const fromIndex = entry.path.lastIndexOf(fromNodeId);
+
+  // Going back and choosing again rewinds the path to that node
+  entry.path = fromIndex === -1
+    ? getNodePath(result.story, fromNodeId).map(node => node.id)
+    : entry.path.slice(0, fromIndex + 1);
+  entry.path.push(toNode.id);
+  entry.finished = toNode.is_ending;
+  entry.updated_at = now;
+  result.reader_paths[readerId] = entry;
+
+  const readerIds = Object.keys(result.reader_paths);
+  if (readerIds.length > MAX_READER_PATHS) {
+    readerIds
+      .sort((a, b) => result.reader_paths[a].updated_at.localeCompare(result.reader_paths[b].updated_at))
+      .slice(0, readerIds.length - MAX_READER_PATHS)
+      .forEach(id => delete result.reader_paths[id]);
+  }
+}
+
+// Follow a choice, writing the branch first if nobody has picked it before
+async function chooseBranch(storyId, nodeId, choiceId, { readerId = null, characterDNA, cast, job = null } = {}) {
+  const result = await loadResult(storyId);
+  const choice = result.story.nodes[nodeId].choices.find(entry => entry.id === choiceId);
+  let generated = false;
+
+  if (!choice.next_node_id) {
+    const key = `${storyId}:${choiceId}`;
+    if (!pendingBranches.has(key)) {
+      const generation = generateBranch(storyId, nodeId, choiceId, { characterDNA, cast, job })
+        .finally(() => pendingBranches.delete(key));
+      pendingBranches.set(key, generation);
+      generated = true;
+    }
+    await pendingBranches.get(key);
+  }
+
+  return updateResult(storyId, (latest) => {
+    const latestChoice = latest.story.nodes[nodeId].choices.find(entry => entry.id === choiceId);
+    const next = latest.story.nodes[latestChoice.next_node_id];
+
+    latestChoice.times_chosen = (latestChoice.times_chosen || 0) + 1;
+    if (readerId) {
+      recordReaderStep(latest, readerId, nodeId, next);
+    }
+
+    return { node: describeNode(latest, next), generated };
+  });
+}
+
+// Node with its storyboard image and narration clip
+function describeNode(result, node) {
+  const storyboard = (result.storyboard_urls || []).find(item => typeof item === 'object' && item.sceneId === node.id);
+  const narration = (result.audio_narration?.scenes || []).find(item => item.scene_id === node.id);
+
+  return {
+    ...node,
+    image_url: storyboard?.imageUrl || null,
+    audio_url: narration?.audio_url || null,
+    audio_duration: narration?.duration || 0
+  };
+}
+
+function describeStoryGraph(result) {
+  const { story } = result;
+  return {
+    start_node_id: story.start_node_id,
+    max_depth: story.max_depth,
+    nodes: Object.fromEntries(Object.values(story.nodes).map(node => [node.id, describeNode(result, node)]))
+  };
+}
+
+function getReaderPath(result, readerId) {
+  return result.reader_paths?.[readerId] || null;
+}
+
+// How readers move through the story: totals and which endings they reach
+function summarizeReaderPaths(result) {
+  const paths = Object.values(result.reader_paths || {});
+  const endings = {};
+  for (const entry of paths.filter(item => item.finished)) {
+    const endingId = entry.path[entry.path.length - 1];
+    endings[endingId] = (endings[endingId] || 0) + 1;
+  }
+
+  return {
+    total_readers: paths.length,
+    finished_readers: paths.filter(item => item.finished).length,
+    endings_reached: endings
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_DEPTH,
+  createInteractiveStory,
+  chooseBranch,
+  describeStoryGraph,
+  getReaderPath,
+  summarizeReaderPaths
+};
@@ -0,0 +1,607 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Job states that no longer need a worker
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// File-based backend (default) - jobs live in storage/jobs, the queue in storage/queue
+class FileQueueBackend extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.rootDir = options.rootDir || path.join(__dirname, '../storage');
+    this.jobsDir = path.join(this.rootDir, 'jobs');
+    this.pendingDir = path.join(this.rootDir, 'queue', 'pending');
+    this.activeDir = path.join(this.rootDir, 'queue', 'active');
+    this.cancelledDir = path.join(this.rootDir, 'queue', 'cancelled');
+    this.queuedDir = path.join(this.rootDir, 'queue', 'queued'); // one marker per job that is pending or active
+    this.watcher = null;
+    this.lastSeen = new Map(); // job_id -> updatedAt, used to drop our own writes
+    this.writeCounter = 0;
+  }
+
+  async init() {
+    await fs.mkdir(this.jobsDir, { recursive: true });
+    await fs.mkdir(this.pendingDir, { recursive: true });
+    await fs.mkdir(this.activeDir, { recursive: true });
+    await fs.mkdir(this.cancelledDir, { recursive: true });
+    await fs.mkdir(this.queuedDir, { recursive: true });
+  }
+
+  async saveJob(job) {
+    const jobPath = path.join(this.jobsDir, `${job.id}.json`);
+    const tempPath = `${jobPath}.${process.pid}.${++this.writeCounter}.tmp`;
+
+    // Write then rename so readers in other processes never see a half-written file
+    await fs.writeFile(tempPath, JSON.stringify(job, null, 2));
+    await fs.rename(tempPath, jobPath);
+    this.lastSeen.set(job.id, job.updatedAt);
+  }
+
+  async loadJob(jobId) {
+    try {
+      const jobData = await fs.readFile(path.join(this.jobsDir, `${jobId}.json`), 'utf8');
+      return JSON.parse(jobData);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to load job ${jobId} from disk:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  async listJobs() {
+    const files = await fs.readdir(this.jobsDir).catch(() => []);
+    const jobs = [];
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+      const job = await this.loadJob(file.replace('.json', ''));
+      if (job) jobs.push(job);
+    }
+
+    return jobs;
+  }
+
+  // The marker is created exclusively, so a job already pending or running is never queued twice
+  async enqueue(jobId) {
+    try {
+      await fs.writeFile(path.join(this.queuedDir, jobId), new Date().toISOString(), { flag: 'wx' });
+    } catch (error) {
+      if (error.code === 'EEXIST') return false;
+      throw error;
+    }
+
+    const entry = path.join(this.pendingDir, `${Date.now()}_${jobId}.json`);
+    await fs.writeFile(entry, JSON.stringify({ job_id: jobId, enqueuedAt: new Date().toISOString() }));
+    return true;
+  }
+
+  async claim(workerId) {
+    const entries = (await fs.readdir(this.pendingDir).catch(() => []))
+      .filter(file => file.endsWith('.json'))
+      .sort(); // Timestamp prefix keeps FIFO order
+
+    for (const entry of entries) {
+      const jobId = entry.slice(entry.indexOf('_') + 1, -'.json'.length);
+      const activePath = path.join(this.activeDir, `${jobId}.json`);
+      const claimPath = path.join(this.activeDir, `${jobId}.${process.pid}.${++this.writeCounter}.claim`);
+
+      try {
+        // rename is atomic - if another worker got there first the source is gone
+        await fs.rename(path.join(this.pendingDir, entry), claimPath);
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      // A renamed file keeps the mtime of its pending entry, which requeueStale would take for a
+      // dead heartbeat; the entry only gets its .json name once the write has made it fresh
+      await fs.writeFile(claimPath, JSON.stringify({ job_id: jobId, workerId, claimedAt: new Date().toISOString() }));
+      await fs.rename(claimPath, activePath);
+      return jobId;
+    }
+
+    return null;
+  }
+
+  async heartbeat(jobId) {
+    const now = new Date();
+    await fs.utimes(path.join(this.activeDir, `${jobId}.json`), now, now).catch(() => {});
+  }
+
+  async release(jobId) {
+    await fs.unlink(path.join(this.activeDir, `${jobId}.json`)).catch(() => {});
+    await fs.unlink(path.join(this.queuedDir, jobId)).catch(() => {});
+  }
+
+  async markCancelled(jobId) {
+    await fs.writeFile(path.join(this.cancelledDir, jobId), new Date().toISOString());
+  }
+
+  async clearCancelled(jobId) {
+    await fs.unlink(path.join(this.cancelledDir, jobId)).catch(() => {});
+  }
+
+  async isCancelled(jobId) {
+    return fs.access(path.join(this.cancelledDir, jobId)).then(() => true, () => false);
+  }
+
+  // Active, or being claimed (see claim)
+  async isActive(jobId) {
+    const entries = await fs.readdir(this.activeDir).catch(() => []);
+    return entries.some(entry => entry === `${jobId}.json` || (entry.startsWith(`${jobId}.`) && entry.endsWith('.claim')));
+  }
+
+  async requeueStale(staleMs) {
+    const entries = await fs.readdir(this.activeDir).catch(() => []);
+    const requeued = [];
+
+    for (const entry of entries) {
+      const activePath = path.join(this.activeDir, entry);
+      try {
+        const stats = await fs.stat(activePath);
+        if (Date.now() - stats.mtime.getTime() < staleMs) continue;
+
+        // A claim its worker never finished: drop it, the marker check below re-queues the job
+        if (entry.endsWith('.claim')) {
+          await fs.unlink(activePath);
+          continue;
+        }
+
+        const jobId = entry.replace('.json', '');
+        await fs.rename(activePath, path.join(this.pendingDir, `${Date.now()}_${jobId}.json`));
+        requeued.push(jobId);
+      } catch (error) {
+        // Another worker already moved it
+      }
+    }
+
+    // A process that died between writing a marker and its pending entry left the job unqueued.
+    // Pending is checked before active: a job only moves from pending to active.
+    for (const jobId of await fs.readdir(this.queuedDir).catch(() => [])) {
+      const markerPath = path.join(this.queuedDir, jobId);
+      const stats = await fs.stat(markerPath).catch(() => null);
+      if (!stats || Date.now() - stats.mtime.getTime() < staleMs) continue;
+
+      const pending = await fs.readdir(this.pendingDir).catch(() => []);
+      if (pending.some(entry => entry.endsWith(`_${jobId}.json`))) continue;
+      if (await this.isActive(jobId)) continue;
+
+      await fs.unlink(markerPath).catch(() => {});
+    }
+
+    return requeued;
+  }
+
+  // True for the one caller that may sweep for stale jobs until `ttlMs` has passed
+  async acquireSweepLock(ttlMs, retry = true) {
+    const lockPath = path.join(this.rootDir, 'queue', 'sweep.lock');
+    try {
+      await fs.writeFile(lockPath, `${os.hostname()}_${process.pid}`, { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const stats = await fs.stat(lockPath).catch(() => null);
+    if (!retry || (stats && Date.now() - stats.mtime.getTime() < ttlMs)) return false;
+
+    // rename is atomic, so only one process takes an expired lock away
+    const expiredPath = `${lockPath}.${process.pid}.${++this.writeCounter}.expired`;
+    if (stats && !(await fs.rename(lockPath, expiredPath).then(() => true, () => false))) return false;
+    await fs.unlink(expiredPath).catch(() => {});
+    return this.acquireSweepLock(ttlMs, false);
+  }
+
+  async publish(job) {
+    this.emit('update', job);
+  }
+
+  subscribe() {
+    if (this.watcher) return;
+
+    // Relay job updates written by worker processes to this process
+    try {
+      this.watcher = fsSync.watch(this.jobsDir, (eventType, filename) => {
+        if (!filename || !filename.endsWith('.json')) return;
+
+        this.loadJob(filename.replace('.json', '')).then(job => {
+          if (!job || this.lastSeen.get(job.id) === job.updatedAt) return;
+          this.lastSeen.set(job.id, job.updatedAt);
+          this.emit('update', job);
+        });
+      });
+    } catch (error) {
+      console.warn('⚠️ Could not watch jobs directory, cross-process progress updates disabled:', error.message);
+    }
+  }
+
+  async close() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+// Redis-compatible backend - requires the optional `ioredis` package and REDIS_URL
+class RedisQueueBackend extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    let Redis;
+    try {
+      Redis = require('ioredis');
+    } catch (error) {
+      throw new Error('JOB_QUEUE_BACKEND=redis requires the ioredis package. Run: npm install ioredis');
+    }
+
+    this.url = options.url || process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+    this.prefix = options.prefix || process.env.REDIS_PREFIX || 'talecraft';
+    this.lockTtl = options.staleAfter || 60000;
+    this.client = new Redis(this.url);
+    this.subscriber = null;
+  }
+
+  key(...parts) {
+    return [this.prefix, ...parts].join(':');
+  }
+
+  async init() {
+    await this.client.ping();
+  }
+
+  async saveJob(job) {
+    await this.client
+      .multi()
+      .set(this.key('job', job.id), JSON.stringify(job))
+      .sadd(this.key('jobs'), job.id)
+      .exec();
+  }
+
+  async loadJob(jobId) {
+    const jobData = await this.client.get(this.key('job', jobId));
+    return jobData ? JSON.parse(jobData) : null;
+  }
+
+  async listJobs() {
+    const ids = await this.client.smembers(this.key('jobs'));
+    if (ids.length === 0) return [];
+
+    const values = await this.client.mget(ids.map(id => this.key('job', id)));
+    return values.filter(Boolean).map(value => JSON.parse(value));
+  }
+
+  // The set holds every pending or active job; adding to it and pushing run as one script,
+  // so a job already pending or running is never queued twice
+  async enqueue(jobId) {
+    const added = await this.client.eval(
+      "if redis.call('SADD', KEYS[1], ARGV[1]) == 1 then redis.call('LPUSH', KEYS[2], ARGV[1]) return 1 end return 0",
+      2,
+      this.key('queue', 'queued'),
+      this.key('queue', 'pending'),
+      jobId
+    );
+    return added === 1;
+  }
+
+  // Moving the job to active and locking it run as one script, so requeueStale never sees a
+  // claimed job without its lock. RPOPLPUSH keeps compatibility with Redis < 6.2 and most
+  // Redis-compatible servers
+  async claim(workerId) {
+    const jobId = await this.client.eval(
+      "local id = redis.call('RPOPLPUSH', KEYS[1], KEYS[2]) if id then redis.call('SET', KEYS[3] .. id, ARGV[1], 'PX', ARGV[2]) end return id",
+      3,
+      this.key('queue', 'pending'),
+      this.key('queue', 'active'),
+      this.key('lock', ''),
+      workerId,
+      this.lockTtl
+    );
+    return jobId || null;
+  }
+
+  async heartbeat(jobId) {
+    await this.client.pexpire(this.key('lock', jobId), this.lockTtl);
+  }
+
+  async release(jobId) {
+    await this.client
+      .multi()
+      .lrem(this.key('queue', 'active'), 0, jobId)
+      .del(this.key('lock', jobId))
+      .srem(this.key('queue', 'queued'), jobId)
+      .exec();
+  }
+
+  async markCancelled(jobId) {
+    await this.client.set(this.key('cancelled', jobId), new Date().toISOString());
+  }
+
+  async clearCancelled(jobId) {
+    await this.client.del(this.key('cancelled', jobId));
+  }
+
+  async isCancelled(jobId) {
+    return (await this.client.exists(this.key('cancelled', jobId))) === 1;
+  }
+
+  async requeueStale(staleMs) {
+    const activeIds = await this.client.lrange(this.key('queue', 'active'), 0, -1);
+    const requeued = [];
+
+    for (const jobId of activeIds) {
+      const locked = await this.client.exists(this.key('lock', jobId));
+      if (locked) continue;
+
+      const removed = await this.client.lrem(this.key('queue', 'active'), 1, jobId);
+      if (removed > 0) {
+        await this.client.lpush(this.key('queue', 'pending'), jobId);
+        requeued.push(jobId);
+      }
+    }
+
+    return requeued;
+  }
+
+  async acquireSweepLock(ttlMs) {
+    return (await this.client.set(this.key('sweep'), `${os.hostname()}_${process.pid}`, 'PX', ttlMs, 'NX')) === 'OK';
+  }
+
+  async publish(job) {
+    await this.client.publish(this.key('job-updates'), JSON.stringify(job));
+  }
+
+  subscribe() {
+    if (this.subscriber) return;
+
+    this.subscriber = this.client.duplicate();
+    this.subscriber.subscribe(this.key('job-updates')).catch(error => {
+      console.error('❌ Failed to subscribe to Redis job updates:', error.message);
+    });
+    this.subscriber.on('message', (channel, message) => {
+      try {
+        this.emit('update', JSON.parse(message));
+      } catch (error) {
+        console.error('Invalid job update message from Redis:', error.message);
+      }
+    });
+  }
+
+  async close() {
+    if (this.subscriber) {
+      await this.subscriber.quit().catch(() => {});
+      this.subscriber = null;
+    }
+    await this.client.quit().catch(() => {});
+  }
+}
+
+const BACKENDS = {
+  file: FileQueueBackend,
+  redis: RedisQueueBackend
+};
+
+class JobQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const backendName = options.backend || process.env.JOB_QUEUE_BACKEND || 'file';
+    const Backend = BACKENDS[backendName];
+
+    if (!Backend) {
+      throw new Error(`Unknown job queue backend '${backendName}'. Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+
+    this.backendName = backendName;
+    this.concurrency = options.concurrency || parseInt(process.env.JOB_CONCURRENCY) || 2;
+    this.pollInterval = options.pollInterval || parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000;
+    this.staleAfter = options.staleAfter || parseInt(process.env.JOB_STALE_AFTER_MS) || 60000;
+    this.backend = new Backend({ ...options, staleAfter: this.staleAfter });
+    this.ready = null;
+
+    this.backend.on('update', job => this.emit('update', job));
+  }
+
+  init() {
+    if (!this.ready) {
+      this.ready = this.backend.init().then(() => {
+        console.log(`📦 Job queue ready (backend: ${this.backendName}, concurrency: ${this.concurrency})`);
+      });
+    }
+    return this.ready;
+  }
+
+  async createJob(job) {
+    await this.init();
+    job.status = 'queued';
+    job.queuedAt = new Date().toISOString();
+    await this.saveJob(job);
+    await this.backend.enqueue(job.id);
+    return job;
+  }
+
+  async getJob(jobId) {
+    await this.init();
+    return this.backend.loadJob(jobId);
+  }
+
+  async saveJob(job) {
+    await this.init();
+    job.updatedAt = new Date().toISOString();
+    await this.backend.saveJob(job);
+    await this.backend.publish(job);
+    return job;
+  }
+
+  async listJobs() {
+    await this.init();
+    return this.backend.listJobs();
+  }
+
+  // Resolves false when the job is already pending or running
+  async enqueue(jobId) {
+    await this.init();
+    // Re-queueing a job (e.g. on retry) lifts an earlier cancellation
+    await this.backend.clearCancelled(jobId);
+    return this.backend.enqueue(jobId);
+  }
+
+  // Cancellation is recorded separately from the job record so a worker's
+  // in-flight progress save can't overwrite it
+  async cancelJob(job) {
+    await this.init();
+    await this.backend.markCancelled(job.id);
+    job.status = 'cancelled';
+    return this.saveJob(job);
+  }
+
+  async isCancelled(jobId) {
+    await this.init();
+    return this.backend.isCancelled(jobId);
+  }
+
+  // Jobs still waiting for a worker after `olderThanMs`, e.g. because no worker process runs
+  async findUnclaimedJobs(olderThanMs = this.staleAfter) {
+    await this.init();
+    const cutoff = Date.now() - olderThanMs;
+    const jobs = await this.backend.listJobs();
+    return jobs.filter(job => job.status === 'queued' && new Date(job.updatedAt || job.queuedAt).getTime() < cutoff);
+  }
+
+  // Subscribe to job updates, including those written by other worker processes
+  onUpdate(handler) {
+    this.init().then(() => this.backend.subscribe()).catch(error => {
+      console.error('❌ Failed to subscribe to job updates:', error.message);
+    });
+    this.on('update', handler);
+  }
+
+  // Re-enqueue jobs left unfinished by a crashed process. Every worker calls this on a timer;
+  // the sweep lock lets one of them sweep per half interval and the others skip it
+  async recoverJobs() {
+    await this.init();
+    if (!(await this.backend.acquireSweepLock(Math.floor(this.staleAfter / 2)))) return 0;
+
+    const stale = await this.backend.requeueStale(this.staleAfter);
+    stale.forEach(jobId => console.log(`🔄 Re-queued stale job: ${jobId}`));
+
+    const jobs = await this.backend.listJobs();
+    let recovered = stale.length;
+
+    for (const job of jobs) {
+      if (TERMINAL_STATUSES.includes(job.status)) continue;
+
+      // enqueue is a no-op for jobs already pending or running, including ones the API
+      // saved but hasn't enqueued yet
+      if (await this.backend.enqueue(job.id)) {
+        console.log(`🔄 Recovering orphaned job: ${job.id} (${job.status})`);
+        recovered++;
+      }
+    }
+
+    return recovered;
+  }
+
+  // Start pulling jobs off the queue; `processor(job)` runs one job to completion
+  startWorker(processor, options = {}) {
+    const workerId = options.workerId || `${os.hostname()}_${process.pid}`;
+    const concurrency = options.concurrency || this.concurrency;
+    const active = new Map(); // job_id -> heartbeat interval
+    let stopped = false;
+    let polling = false;
+
+    const runJob = async (jobId) => {
+      const heartbeat = setInterval(() => {
+        this.backend.heartbeat(jobId).catch(() => {});
+      }, Math.max(1000, Math.floor(this.staleAfter / 3)));
+      active.set(jobId, heartbeat);
+
+      try {
+        const job = await this.backend.loadJob(jobId);
+        if (!job) {
+          console.warn(`⚠️ Claimed job ${jobId} has no stored data, dropping it`);
+          return;
+        }
+        if (TERMINAL_STATUSES.includes(job.status)) {
+          console.log(`⏭️ Skipping job ${jobId} - already ${job.status}`);
+          return;
+        }
+
+        console.log(`👷 Worker ${workerId} picked up job ${jobId} (${active.size}/${concurrency} slots busy)`);
+        await processor(job);
+      } catch (error) {
+        console.error(`❌ Worker failed while processing job ${jobId}:`, error);
+      } finally {
+        clearInterval(heartbeat);
+        active.delete(jobId);
+        await this.backend.release(jobId).catch(() => {});
+      }
+    };
+
+    const poll = async () => {
+      if (stopped || polling) return;
+      polling = true;
+
+      try {
+        while (!stopped && active.size < concurrency) {
+          const jobId = await this.backend.claim(workerId);
+          if (!jobId) break;
+          runJob(jobId);
+        }
+      } catch (error) {
+        console.error('❌ Job queue poll failed:', error.message);
+      } finally {
+        polling = false;
+      }
+    };
+
+    const start = async () => {
+      await this.init();
+      const recovered = await this.recoverJobs();
+      console.log(`✅ Worker ${workerId} started. Recovered ${recovered} unfinished jobs.`);
+      poll();
+    };
+
+    const pollTimer = setInterval(poll, this.pollInterval);
+    // Also picks up a retry that was enqueued while its previous run was still being released
+    const recoveryTimer = setInterval(() => {
+      this.recoverJobs().catch(error => console.error('❌ Job recovery failed:', error.message));
+    }, this.staleAfter);
+
+    start().catch(error => console.error('❌ Failed to start job worker:', error));
+
+    return {
+      workerId,
+      activeJobs: () => Array.from(active.keys()),
+      stop: async () => {
+        stopped = true;
+        clearInterval(pollTimer);
+        clearInterval(recoveryTimer);
+      }
+    };
+  }
+
+  async close() {
+    await this.backend.close();
+  }
+}
+
+// Shared queue instance for this process
+let sharedQueue = null;
+
+function getJobQueue() {
+  if (!sharedQueue) {
+    sharedQueue = new JobQueue();
+  }
+  return sharedQueue;
+}
+
+module.exports = {
+  JobQueue,
+  FileQueueBackend,
+  RedisQueueBackend,
+  getJobQueue,
+  TERMINAL_STATUSES
+};
@@ -0,0 +1,57 @@
+// Languages stories can be written and narrated in (ISO 639-1 codes)
+
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGES = {
+  en: { name: 'English', native: 'English' },
+  es: { name: 'Spanish', native: 'Español' },
+  fr: { name: 'French', native: 'Français' },
+  de: { name: 'German', native: 'Deutsch' },
+  it: { name: 'Italian', native: 'Italiano' },
+  pt: { name: 'Portuguese', native: 'Português' },
+  nl: { name: 'Dutch', native: 'Nederlands' },
+  sv: { name: 'Swedish', native: 'Svenska' },
+  pl: { name: 'Polish', native: 'Polski' },
+  tr: { name: 'Turkish', native: 'Türkçe' },
+  id: { name: 'Indonesian', native: 'Bahasa Indonesia' },
+  ms: { name: 'Malay', native: 'Bahasa Melayu' },
+  hi: { name: 'Hindi', native: 'हिन्दी' },
+  zh: { name: 'Chinese', native: '中文' },
+  ja: { name: 'Japanese', native: '日本語' },
+  ko: { name: 'Korean', native: '한국어' }
+};
+
+const LANGUAGE_CODES = Object.keys(LANGUAGES);
+
+function resolveLanguage(language) {
+  return LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+}
+
+function getLanguageName(language) {
+  return LANGUAGES[resolveLanguage(language)].name;
+}
+
+// Language a generated story is actually in: offline demo and template stories are always English
+function getStoryLanguage(story, options = {}) {
+  if (story?.metadata?.is_demo || story?.metadata?.is_template) return DEFAULT_LANGUAGE;
+  return resolveLanguage(options.language);
+}
+
+// LANGUAGE block for the story prompts; English stories need none
+function buildLanguagePromptSection(options = {}) {
+  const language = resolveLanguage(options.language);
+  if (language === DEFAULT_LANGUAGE) return '';
+
+  const { name, native } = LANGUAGES[language];
+  return `LANGUAGE: Write the title, logline, scene titles, narration and dialogue in ${name} (${native}). Keep character names unchanged, and keep format markers, JSON field names and "storyboardPrompt" in English\n`;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  LANGUAGE_CODES,
+  resolveLanguage,
+  getLanguageName,
+  getStoryLanguage,
+  buildLanguagePromptSection
+};
@@ -0,0 +1,158 @@
+const sharp = require('sharp');
+
+// Offline image embedding for development and CI, used when no embedding model is configured.
+// Perceptual hashes, a colour histogram and a tiny thumbnail of the image are concatenated and
+// projected to 512 dimensions. The same image always gets the same embedding and look-alike
+// images get close ones, but it knows nothing about what the picture shows.
+
+const EMBEDDING_SIZE = 512;
+const PROJECTION_SEED = 0x7a1ec4af;
+const HISTOGRAM_LEVELS = 4; // Per channel, 4 x 4 x 4 = 64 colour bins
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+}
+
+function center(vector) {
+  const mean = vector.reduce((sum, value) => sum + value, 0) / vector.length;
+  return vector.map(value => value - mean);
+}
+
+// Raw pixels of the image at a fixed size; transparent areas (removed backgrounds) become white
+async function rawPixels(buffer, width, height, { grey = false } = {}) {
+  let pipeline = sharp(buffer)
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .resize(width, height, { fit: 'fill' });
+  pipeline = grey ? pipeline.greyscale() : pipeline.removeAlpha();
+
+  const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+  // Greyscale output can still carry three channels; keep the first
+  const channels = grey ? 1 : 3;
+  const pixels = new Float64Array(width * height * channels);
+  for (let i = 0; i < width * height; i++) {
+    for (let c = 0; c < channels; c++) {
+      pixels[i * channels + c] = data[i * info.channels + c] / 255;
+    }
+  }
+  return pixels;
+}
+
+// Difference hash, kept as signed brightness steps rather than bits: near-equal neighbours in
+// flat areas would otherwise flip with every re-encode
+function differenceHash(grey9x8) {
+  const steps = [];
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      steps.push(grey9x8[y * 9 + x] - grey9x8[y * 9 + x + 1]);
+    }
+  }
+  return steps;
+}
+
+// Perceptual hash, likewise unthresholded: the low-frequency DCT coefficients of a 32 x 32 greyscale image
+function perceptualHash(grey32) {
+  const size = 32;
+  const keep = 8;
+  const coefficients = [];
+
+  for (let u = 0; u < keep; u++) {
+    for (let v = 0; v < keep; v++) {
+      if (u === 0 && v === 0) continue; // The DC term only tracks overall brightness
+      let sum = 0;
+      for (let y = 0; y < size; y++) {
+        const cosY = Math.cos(((2 * y + 1) * u * Math.PI) / (2 * size));
+        for (let x = 0; x < size; x++) {
+          sum += grey32[y * size + x] * cosY * Math.cos(((2 * x + 1) * v * Math.PI) / (2 * size));
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+  return coefficients;
+}
+
+// Joint RGB histogram, square-rooted so large flat areas don't drown out the rest
+function colorHistogram(rgb) {
+  const bins = new Array(HISTOGRAM_LEVELS ** 3).fill(0);
+  const pixelCount = rgb.length / 3;
+  const level = value => Math.min(HISTOGRAM_LEVELS - 1, Math.floor(value * HISTOGRAM_LEVELS));
+
+  for (let i = 0; i < pixelCount; i++) {
+    const r = level(rgb[i * 3]);
+    const g = level(rgb[i * 3 + 1]);
+    const b = level(rgb[i * 3 + 2]);
+    bins[(r * HISTOGRAM_LEVELS + g) * HISTOGRAM_LEVELS + b]++;
+  }
+  return bins.map(count => Math.sqrt(count / pixelCount));
+}
+
+// Seeded PRNG (mulberry32), so the projection is identical on every machine and run
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Gaussian random projection (Box-Muller); it approximately preserves cosine similarity
+const projections = new Map();
+
+function getProjection(featureCount) {
+  if (!projections.has(featureCount)) {
+    const random = createRandom(PROJECTION_SEED);
+    const matrix = new Float64Array(featureCount * EMBEDDING_SIZE);
+    for (let i = 0; i < matrix.length; i++) {
+      matrix[i] = Math.sqrt(-2 * Math.log(random() || Number.MIN_VALUE)) * Math.cos(2 * Math.PI * random());
+    }
+    projections.set(featureCount, matrix);
+  }
+  return projections.get(featureCount);
+}
+
+function project(features) {
+  const matrix = getProjection(features.length);
+  const embedding = new Array(EMBEDDING_SIZE).fill(0);
+  features.forEach((value, row) => {
+    if (value === 0) return;
+    const offset = row * EMBEDDING_SIZE;
+    for (let column = 0; column < EMBEDDING_SIZE; column++) {
+      embedding[column] += value * matrix[offset + column];
+    }
+  });
+  return normalize(embedding);
+}
+
+/**
+ * 512-dimensional embedding of an image computed locally from its pixels.
+ * Each feature group is scaled to unit length so none of them dominates.
+ */
+async function generateLocalEmbedding(imageBuffer) {
+  if (!imageBuffer?.length) {
+    throw new Error('Local embedding needs image data');
+  }
+
+  const [grey9x8, grey32, rgb64, rgb8] = await Promise.all([
+    rawPixels(imageBuffer, 9, 8, { grey: true }),
+    rawPixels(imageBuffer, 32, 32, { grey: true }),
+    rawPixels(imageBuffer, 64, 64),
+    rawPixels(imageBuffer, 8, 8)
+  ]);
+
+  const features = [
+    normalize(differenceHash(grey9x8)),
+    normalize(perceptualHash(grey32)),
+    normalize(center(colorHistogram(rgb64))),
+    normalize(center(Array.from(rgb8)))
+  ].flat();
+
+  return project(features);
+}
+
+module.exports = {
+  generateLocalEmbedding
+};
@@ -1,6 +1,7 @@
 const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
+const { describeAppearance } = require('./storyCast');
 
 class LocalStableDiffusionService {
   constructor() {
@@ -181,7 +182,7 @@ class LocalStableDiffusionService {
           characterPrompt += `Character traits: ${characterDNA.traits.slice(0, 3).join(', ')}. `;
         }
         if (characterDNA.appearance) {
-          characterPrompt += `Appearance: ${characterDNA.appearance}. `;
+          characterPrompt += `Appearance: ${describeAppearance(characterDNA.appearance)}. `;
         }
       }
 
@@ -0,0 +1,355 @@
+const path = require('path');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+
+// Content moderation for prompts, generated stories and uploaded images.
+// A local rules engine always runs; an optional classifier adds a second opinion.
+
+const LOG_DIR = path.join(__dirname, '../storage/moderation');
+const STRICTNESS_LEVELS = ['off', 'relaxed', 'standard', 'strict'];
+const DEFAULT_STRICTNESS = STRICTNESS_LEVELS.includes(process.env.MODERATION_LEVEL) ? process.env.MODERATION_LEVEL : 'standard';
+
+// Lowest strictness at which a match of each severity blocks the content
+const BLOCKING_SEVERITY = {
+  severe: 'relaxed',
+  moderate: 'standard',
+  mild: 'strict'
+};
+
+// Classifier scores at or above these block the content
+const CLASSIFIER_THRESHOLDS = {
+  relaxed: 0.9,
+  standard: 0.7,
+  strict: 0.4
+};
+
+// Young audiences never get less than these levels, whatever the tenant allows
+const AUDIENCE_MINIMUM = {
+  toddler: 'strict',
+  early_reader: 'strict',
+  middle_grade: 'standard'
+};
+
+const terms = (...words) => new RegExp(`\\b(?:${words.join('|')})\\b`, 'i');
+
+const BUILT_IN_RULES = [
+  { id: 'sexual_explicit', category: 'sexual', severity: 'severe', pattern: terms('sex(?:ual|y)?', 'porn\\w*', 'nsfw', 'erotic\\w*', 'fetish\\w*', 'orgasm\\w*', 'genitals?') },
+  { id: 'sexual_nudity', category: 'sexual', severity: 'moderate', pattern: terms('nude', 'nudity', 'naked', 'topless', 'undress(?:ed|ing)?') },
+  { id: 'self_harm', category: 'self_harm', severity: 'severe', pattern: terms('suicid\\w*', 'self[- ]harm\\w*', 'kill (?:my|him|her|them)sel(?:f|ves)', 'cut(?:s|ting)? (?:my|him|her)self') },
+  { id: 'hate', category: 'hate', severity: 'severe', pattern: terms('nazis?', 'white power', 'ethnic cleansing', 'racial purity', 'genocide') },
+  { id: 'graphic_violence', category: 'graphic_violence', severity: 'moderate', pattern: terms('gore', 'gory', 'dismember\\w*', 'decapitat\\w*', 'disembowel\\w*', 'mutilat\\w*', 'tortur\\w*', 'massacre\\w*', 'bloodbath') },
+  { id: 'drugs', category: 'drugs', severity: 'moderate', pattern: terms('cocaine', 'heroin', 'meth(?:amphetamine)?', 'overdos\\w*', '(?:get|getting|got) high on (?:drugs|weed|pot|crack|pills)') },
+  { id: 'alcohol', category: 'drugs', severity: 'mild', pattern: terms('drunk\\w*', 'beers?', 'wine', 'whiske?y', 'vodka') },
+  { id: 'profanity', category: 'profanity', severity: 'moderate', pattern: terms('f+u+c+k+\\w*', 'shit\\w*', 'bitch\\w*', 'bastards?', 'asshole\\w*', 'cunt\\w*') },
+  { id: 'mild_profanity', category: 'profanity', severity: 'mild', pattern: terms('damn\\w*', 'crap', 'hell') },
+  { id: 'violence', category: 'violence', severity: 'mild', pattern: terms('kill\\w*', 'murder\\w*', 'blood(?:y)?', 'stab\\w*', 'shoot(?:s|ing)?', 'corpses?', 'dead bod(?:y|ies)') },
+  { id: 'weapons', category: 'weapons', severity: 'mild', pattern: terms('guns?', 'rifles?', 'pistols?', 'shotguns?', 'grenades?', 'bombs?', 'explosives?') },
+  { id: 'scary', category: 'scary', severity: 'mild', pattern: terms('horror', 'terrifying', 'zombies?', 'demons?', 'possessed') }
+];
+
+// Undo common obfuscation (leetspeak, zero-width characters) before matching
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+function normalizeText(text = '') {
+  return text
+    .normalize('NFKC')
+    .replace(/[\u200B-\u200D\uFEFF]/g, '')
+    .replace(/(?<=[a-z])[013457@$](?=[a-z])/gi, (char) => LEET[char]);
+}
+
+class ModerationError extends Error {
+  constructor(decision, message = `Content not allowed (${decision.blocked_categories.join(', ')})`) {
+    super(message);
+    this.name = 'ModerationError';
+    this.decision = decision;
+  }
+}
+
+// Blocklists from MODERATION_BLOCKLIST (comma-separated, always severe) and
+// MODERATION_RULES_FILE (JSON: { rules: [{ id, category, severity, terms | pattern }], allow: [...] })
+let customRules = null;
+function loadCustomRules() {
+  if (customRules) return customRules;
+
+  const rules = [];
+  let allow = [];
+  const blocklist = (process.env.MODERATION_BLOCKLIST || '').split(',').map(term => term.trim()).filter(Boolean);
+  if (blocklist.length > 0) {
+    rules.push({ id: 'blocklist', category: 'blocklist', severity: 'severe', pattern: terms(...blocklist.map(escapeRegExp)) });
+  }
+
+  if (process.env.MODERATION_RULES_FILE) {
+    try {
+      const config = JSON.parse(fsSync.readFileSync(path.resolve(process.env.MODERATION_RULES_FILE), 'utf8'));
+      for (const rule of config.rules || []) {
+        if (!BLOCKING_SEVERITY[rule.severity]) {
+          console.warn(`⚠️ Skipping moderation rule ${rule.id}: unknown severity "${rule.severity}"`);
+          continue;
+        }
+        rules.push({
+          id: rule.id,
+          category: rule.category || 'custom',
+          severity: rule.severity,
+          pattern: rule.pattern ? new RegExp(rule.pattern, 'i') : terms(...(rule.terms || []).map(escapeRegExp))
+        });
+      }
+      allow = (config.allow || []).map(term => term.toLowerCase());
+      console.log(`🛡️ Loaded ${config.rules?.length || 0} moderation rules from ${process.env.MODERATION_RULES_FILE}`);
+    } catch (error) {
+      console.error(`❌ Failed to load moderation rules from ${process.env.MODERATION_RULES_FILE}:`, error.message);
+    }
+  }
+
+  customRules = { rules, allow };
+  return customRules;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Per-tenant levels come from MODERATION_TENANT_LEVELS, e.g. "kidsclub:strict,studio:relaxed"
+function getTenantStrictness(tenantId) {
+  const levels = Object.fromEntries((process.env.MODERATION_TENANT_LEVELS || '')
+    .split(',')
+    .map(entry => entry.split(':').map(part => part.trim()))
+    .filter(([tenant, level]) => tenant && STRICTNESS_LEVELS.includes(level)));
+
+  return levels[tenantId] || DEFAULT_STRICTNESS;
+}
+
+function resolveStrictness(tenantId = 'default', options = {}) {
+  const tenantLevel = getTenantStrictness(tenantId);
+  const minimum = AUDIENCE_MINIMUM[options.audience];
+  if (tenantLevel === 'off' || !minimum) return tenantLevel;
+
+  return STRICTNESS_LEVELS.indexOf(minimum) > STRICTNESS_LEVELS.indexOf(tenantLevel) ? minimum : tenantLevel;
+}
+
+function blocksAt(severity, strictness) {
+  return strictness !== 'off' && STRICTNESS_LEVELS.indexOf(strictness) >= STRICTNESS_LEVELS.indexOf(BLOCKING_SEVERITY[severity]);
+}
+
+function matchRules(text) {
+  const { rules, allow } = loadCustomRules();
+  const normalized = normalizeText(text);
+  const flags = [];
+
+  for (const rule of [...BUILT_IN_RULES, ...rules]) {
+    const match = normalized.match(rule.pattern);
+    if (!match || allow.includes(match[0].toLowerCase())) continue;
+    flags.push({ source: 'rules', rule: rule.id, category: rule.category, severity: rule.severity, match: match[0] });
+  }
+
+  return flags;
+}
+
+/**
+ * Classifiers share one interface:
+ *   classify({ text, image, mimeType, kind }) -> { categories: { [category]: score 0-1 } }
+ * `image` is a Buffer; classifiers that only read text ignore it.
+ */
+class HttpModerationClassifier {
+  constructor(url, apiKey = null) {
+    this.name = 'http';
+    this.url = url;
+    this.apiKey = apiKey;
+  }
+
+  async classify({ text, image, mimeType, kind }) {
+    const response = await axios.post(this.url, {
+      kind,
+      ...(text && { text }),
+      ...(image && { image: image.toString('base64'), mime_type: mimeType })
+    }, {
+      timeout: parseInt(process.env.MODERATION_CLASSIFIER_TIMEOUT_MS || '10000', 10),
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+    });
+
+    return { categories: response.data?.categories || {} };
+  }
+}
+
+let classifier = process.env.MODERATION_CLASSIFIER_URL
+  ? new HttpModerationClassifier(process.env.MODERATION_CLASSIFIER_URL, process.env.MODERATION_CLASSIFIER_API_KEY)
+  : null;
+
+// Swap in another classifier (or null to run the rules engine alone)
+function setModerationClassifier(nextClassifier) {
+  classifier = nextClassifier;
+}
+
+async function runClassifier(input, strictness) {
+  if (!classifier || strictness === 'off') return { flags: [], error: null };
+
+  try {
+    const { categories } = await classifier.classify(input);
+    const flags = Object.entries(categories)
+      .filter(([, score]) => score >= CLASSIFIER_THRESHOLDS[strictness])
+      .map(([category, score]) => ({ source: classifier.name || 'classifier', category, severity: 'severe', score }));
+    return { flags, error: null };
+  } catch (error) {
+    console.warn(`⚠️ Moderation classifier failed, using rules only: ${error.message}`);
+    return { flags: [], error: error.message };
+  }
+}
+
+function buildDecision(flags, strictness, extra = {}) {
+  const blocked = flags.filter(flag => flag.source !== 'rules' || blocksAt(flag.severity, strictness));
+  return {
+    allowed: blocked.length === 0,
+    strictness,
+    blocked_categories: [...new Set(blocked.map(flag => flag.category))],
+    flags,
+    ...extra
+  };
+}
+
+// Check a piece of text. `kind` says where it came from (prompt, story, image...) for the log.
+async function moderateText(text, { kind = 'text', tenantId = 'default', strictness = resolveStrictness(tenantId), subjectId = null } = {}) {
+  if (strictness === 'off' || !text?.trim()) {
+    return buildDecision([], strictness);
+  }
+
+  const classified = await runClassifier({ text, kind }, strictness);
+  const decision = buildDecision([...matchRules(text), ...classified.flags], strictness, {
+    ...(classified.error && { classifier_error: classified.error })
+  });
+
+  await logDecision(decision, { kind, tenantId, subjectId, excerpt: text });
+  return decision;
+}
+
+// Check every scene of a generated story; the decision lists the scenes that failed
+async function moderateStory(story, options = {}) {
+  const scenes = story.scenes || [];
+  const texts = [story.title, story.logline, ...scenes.map(scene => `${scene.title}\n${scene.content || scene.description || ''}`)];
+  const decision = await moderateText(texts.filter(Boolean).join('\n\n'), { ...options, kind: options.kind || 'story' });
+  if (decision.allowed) return decision;
+
+  // Point at the scenes that tripped the rules, so the failure message is actionable
+  const blockedScenes = scenes
+    .filter(scene => matchRules(`${scene.title}\n${scene.content || scene.description || ''}`)
+      .some(flag => decision.blocked_categories.includes(flag.category)))
+    .map(scene => scene.number || scene.id);
+
+  return { ...decision, blocked_scenes: blockedScenes };
+}
+
+// Tenant and strictness a finished story is held to: those of the job that generated it,
+// else what its result recorded (variations and translations have no job of their own)
+function resolveStoryModeration(result, job = null) {
+  const tenantId = job?.tenant_id || result?.metadata?.tenant_id || 'default';
+  const audience = job?.options?.audience || result?.metadata?.audience || result?.metadata?.reading_level?.audience;
+  return { tenantId, strictness: resolveStrictness(tenantId, { audience }) };
+}
+
+// Throw a ModerationError when generated text is not allowed; `label` names it in the message
+async function assertStoryAllowed(story, { label = 'Generated story', ...options } = {}) {
+  const decision = await moderateStory(story, options);
+  if (!decision.allowed) {
+    const scenes = decision.blocked_scenes?.length ? ` in scene ${decision.blocked_scenes.join(', ')}` : '';
+    throw new ModerationError(decision, `${label} was blocked by content moderation (${decision.blocked_categories.join(', ')})${scenes}`);
+  }
+  return decision;
+}
+
+// Uploaded images: the rules engine reads the accompanying text (name, tags, filename);
+// the pixels are only checked when a classifier is configured
+async function moderateImage(image, { mimeType, text = '', kind = 'image', tenantId = 'default', strictness = resolveStrictness(tenantId), subjectId = null } = {}) {
+  if (strictness === 'off') {
+    return buildDecision([], strictness);
+  }
+
+  const classified = await runClassifier({ text, image, mimeType, kind }, strictness);
+  const decision = buildDecision([...matchRules(text), ...classified.flags], strictness, {
+    image_checked: Boolean(classifier) && !classified.error,
+    ...(classified.error && { classifier_error: classified.error })
+  });
+
+  await logDecision(decision, { kind, tenantId, subjectId, excerpt: text });
+  return decision;
+}
+
+// Append-only JSONL log, one file per day
+async function logDecision(decision, { kind, tenantId, subjectId, excerpt }) {
+  const now = new Date();
+  const entry = {
+    id: uuidv4(),
+    at: now.toISOString(),
+    tenant_id: tenantId,
+    kind,
+    subject_id: subjectId,
+    strictness: decision.strictness,
+    allowed: decision.allowed,
+    blocked_categories: decision.blocked_categories,
+    flags: decision.flags,
+    ...(decision.image_checked !== undefined && { image_checked: decision.image_checked }),
+    ...(decision.classifier_error && { classifier_error: decision.classifier_error }),
+    excerpt: (excerpt || '').substring(0, 200)
+  };
+
+  if (!decision.allowed) {
+    console.warn(`🛡️ Moderation blocked ${kind} for tenant ${tenantId}: ${decision.blocked_categories.join(', ')}`);
+  }
+
+  try {
+    await fs.mkdir(LOG_DIR, { recursive: true });
+    await fs.appendFile(path.join(LOG_DIR, `${now.toISOString().slice(0, 10)}.jsonl`), `${JSON.stringify(entry)}\n`);
+  } catch (error) {
+    console.error('❌ Failed to write moderation log:', error.message);
+  }
+}
+
+// Newest log entries first
+async function listModerationLog({ tenantId = null, blockedOnly = false, limit = 100 } = {}) {
+  let files;
+  try {
+    files = (await fs.readdir(LOG_DIR)).filter(file => file.endsWith('.jsonl')).sort().reverse();
+  } catch (error) {
+    return [];
+  }
+
+  const entries = [];
+  for (const file of files) {
+    const lines = (await fs.readFile(path.join(LOG_DIR, file), 'utf8')).split('\n').filter(Boolean).reverse();
+    for (const line of lines) {
+      try {
+        const entry = JSON.parse(line);
+        if (tenantId && entry.tenant_id !== tenantId) continue;
+        if (blockedOnly && entry.allowed) continue;
+        entries.push(entry);
+        if (entries.length >= limit) return entries;
+      } catch (error) {
+        // Skip a line cut short by a crash mid-write
+      }
+    }
+  }
+
+  return entries;
+}
+
+// Tenant a request belongs to. It is never taken from the request itself, or any caller could
+// pick a laxer tenant: signed-in users carry it in their Supabase app_metadata (only settable
+// server-side), everyone else gets the deployment's MODERATION_TENANT
+function getTenantId(req) {
+  const tenantId = req.user?.app_metadata?.tenant_id || process.env.MODERATION_TENANT;
+  return tenantId && /^[\w.-]{1,64}$/.test(tenantId) ? tenantId : 'default';
+}
+
+module.exports = {
+  STRICTNESS_LEVELS,
+  ModerationError,
+  HttpModerationClassifier,
+  setModerationClassifier,
+  resolveStrictness,
+  resolveStoryModeration,
+  getTenantId,
+  moderateText,
+  moderateStory,
+  assertStoryAllowed,
+  moderateImage,
+  listModerationLog
+};
@@ -1,6 +1,36 @@
 const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
+const { JobCancelledError, isAbortError, throwIfAborted, abortable } = require('./cancellation');
+const { buildPanelCharacterPrompt, describeAppearance } = require('./storyCast');
+const { selectReference, loadReferenceImage } = require('./characterReferences');
+const { getStoredPortraits, loadPortraitImage, savePortrait, portraitLocked } = require('./characterPortraits');
+
+const PANELS_PER_SHEET = 4; // Max panels the model renders legibly in one composite
+
+// Character images as base64, shared by every instance of the service and only saving re-reads
+// of stored files. Keys name an image that never changes (a reference or stored portrait id), so
+// a portrait regenerated by another process is a new key rather than a stale entry. Least
+// recently used images are dropped beyond MAX_CACHED_IMAGES.
+const MAX_CACHED_IMAGES = 32;
+const characterImageCache = new Map();
+
+function getCachedImage(key) {
+  const image = characterImageCache.get(key);
+  if (image) {
+    characterImageCache.delete(key);
+    characterImageCache.set(key, image);
+  }
+  return image;
+}
+
+function cacheImage(key, image) {
+  characterImageCache.delete(key);
+  characterImageCache.set(key, image);
+  if (characterImageCache.size > MAX_CACHED_IMAGES) {
+    characterImageCache.delete(characterImageCache.keys().next().value);
+  }
+}
 
 class PythonStableDiffusionService {
   constructor() {
@@ -11,9 +41,6 @@ class PythonStableDiffusionService {
     // Timeout settings - reduced for faster failures
     this.healthTimeout = 3000;      // 3 seconds for health checks
     this.generateTimeout = 120000;  // 2 minutes for generation
-
-    // Character image cache for consistent generation
-    this.characterImageCache = new Map();
   }
 
   async checkConnection() {
@@ -85,8 +112,11 @@ class PythonStableDiffusionService {
     }
   }
 
-  async generateStoryboardImage(prompt, style = 'cartoon', sceneId) {
+  async generateStoryboardImage(prompt, style = 'cartoon', sceneId, options = {}) {
+    const { signal } = options;
+
     try {
+      throwIfAborted(signal);
       console.log(`🐍 Generating Python SD storyboard image for scene: ${sceneId}`);
 
       // Check if Python SD is available with fast timeout
@@ -108,6 +138,7 @@ class PythonStableDiffusionService {
       // Use Promise.race to avoid hanging requests
       const generatePromise = axios.post(`${this.serviceUrl}/generate`, payload, {
         timeout: this.generateTimeout,
+        signal,
         headers: {
           'Content-Type': 'application/json'
         }
@@ -117,7 +148,7 @@ class PythonStableDiffusionService {
         setTimeout(() => reject(new Error('Generation request timeout')), this.generateTimeout + 5000);
       });
 
-      const response = await Promise.race([generatePromise, timeoutPromise]);
+      const response = await abortable(Promise.race([generatePromise, timeoutPromise]), signal);
 
       if (!response.data.success) {
         throw new Error(response.data.error || 'Unknown Python SD generation error');
@@ -142,6 +173,7 @@ class PythonStableDiffusionService {
       };
 
     } catch (error) {
+      if (isAbortError(error, signal)) throw new JobCancelledError();
       console.error('Python Stable Diffusion generation error:', error);
       
       return {
@@ -154,9 +186,12 @@ class PythonStableDiffusionService {
     }
   }
 
-  async generateCharacterPortrait(characterDNA, style = 'cartoon') {
+  async generateCharacterPortrait(characterDNA, style = 'cartoon', options = {}) {
     // Generate a character portrait to use for consistent scene generation
+    const { signal } = options;
+
     try {
+      throwIfAborted(signal);
       console.log(`🎭 Generating character portrait for: ${characterDNA.name}`);
 
       const connectionCheck = await this.checkConnection();
@@ -172,13 +207,14 @@ class PythonStableDiffusionService {
       const payload = {
         prompt: enhancedPrompt,
         style: style,
-        seed: characterDNA.id ? this.hashStringToSeed(characterDNA.id) : null // Consistent seed for character
+        seed: options.seed ?? (characterDNA.id ? this.hashStringToSeed(characterDNA.id) : null) // Consistent seed for character
       };
 
       console.log(`🔧 Generating character portrait with style: ${style}`);
 
       const generatePromise = axios.post(`${this.serviceUrl}/generate`, payload, {
         timeout: this.generateTimeout,
+        signal,
         headers: {
           'Content-Type': 'application/json'
         }
@@ -188,27 +224,24 @@ class PythonStableDiffusionService {
         setTimeout(() => reject(new Error('Character portrait generation timeout')), this.generateTimeout + 5000);
       });
 
-      const response = await Promise.race([generatePromise, timeoutPromise]);
+      const response = await abortable(Promise.race([generatePromise, timeoutPromise]), signal);
 
       if (!response.data.success) {
         throw new Error(response.data.error || 'Character portrait generation failed');
       }
 
-      // Cache the character image
-      const characterKey = `${characterDNA.id}_${style}`;
-      this.characterImageCache.set(characterKey, response.data.image);
-
       console.log(`✅ Character portrait generated successfully for: ${characterDNA.name}`);
 
       return {
         success: true,
         characterImage: response.data.image,
-        characterKey,
         prompt: enhancedPrompt,
+        seed: payload.seed,
         metadata: response.data.metadata
       };
 
     } catch (error) {
+      if (isAbortError(error, signal)) throw new JobCancelledError();
       console.error('Character portrait generation error:', error);
 
       return {
@@ -220,33 +253,157 @@ class PythonStableDiffusionService {
     }
   }
 
-  async generateSceneWithCharacter(prompt, characterDNA, style = 'cartoon', sceneId, strength = 0.7) {
-    // Generate a scene using character image for consistency
+  // The character's portrait in a style: the one stored with the character, or one generated and
+  // stored now. The stored record is read every time, since another process may have regenerated
+  // the portrait. options.regenerate draws a new one with a fresh seed (refused for locked portraits).
+  async getCharacterPortrait(characterDNA, style = 'cartoon', options = {}) {
+    const { signal, regenerate = false } = options;
+    const stored = (await getStoredPortraits(characterDNA))[style];
+    // Portraits that couldn't be stored are kept for the character until one is
+    const unsavedKey = `${characterDNA.id}_${style}_unsaved`;
+
+    if (!regenerate) {
+      const cacheKey = stored ? `portrait_${stored.id}` : unsavedKey;
+      let characterImage = getCachedImage(cacheKey);
+      if (!characterImage && stored) {
+        characterImage = await loadPortraitImage(characterDNA, stored);
+        if (characterImage) {
+          console.log(`🖼️ Using stored ${style} portrait ${stored.id} of ${characterDNA.name}`);
+          cacheImage(cacheKey, characterImage);
+        }
+      }
+      if (characterImage) {
+        return { success: true, characterImage, ...(stored && { portrait: stored }) };
+      }
+    } else if (stored?.locked) {
+      throw portraitLocked(style);
+    }
+
+    const portraitResult = await this.generateCharacterPortrait(characterDNA, style, {
+      signal,
+      ...(regenerate && { seed: Math.floor(Math.random() * 2147483647) })
+    });
+    if (!portraitResult.success) return portraitResult;
+
     try {
-      console.log(`🎬 Generating character-consistent scene for: ${sceneId}`);
+      const portrait = await savePortrait(characterDNA, style, {
+        image: portraitResult.characterImage,
+        prompt: portraitResult.prompt,
+        seed: portraitResult.seed
+      });
+      cacheImage(portrait ? `portrait_${portrait.id}` : unsavedKey, portraitResult.characterImage);
+      return { ...portraitResult, portrait };
+    } catch (error) {
+      if (error.portraitLocked) throw error;
+      // The portrait still works for this job, it just isn't kept
+      console.warn(`⚠️ Failed to store the ${style} portrait of ${characterDNA.name}:`, error.message);
+      cacheImage(unsavedKey, portraitResult.characterImage);
+      return portraitResult;
+    }
+  }
 
-      const connectionCheck = await this.checkConnection();
-      if (!connectionCheck.available) {
-        throw new Error(connectionCheck.error);
+  // Base64 image of a reference, or of a generated portrait for characters without references
+  async resolveCharacterImage(characterDNA, style, reference, { signal } = {}) {
+    let characterImage;
+
+    if (reference) {
+      const cacheKey = `reference_${reference.id}`;
+      characterImage = getCachedImage(cacheKey);
+      if (!characterImage) {
+        console.log(`🖼️ Using ${reference.view} reference ${reference.id} for ${characterDNA.name}`);
+        characterImage = await loadReferenceImage(reference);
+        cacheImage(cacheKey, characterImage);
       }
+    } else {
+      const portraitResult = await this.getCharacterPortrait(characterDNA, style, { signal });
 
-      // Get or generate character portrait
-      const characterKey = `${characterDNA.id}_${style}`;
-      let characterImage = this.characterImageCache.get(characterKey);
+      if (!portraitResult.success) {
+        throw new Error(`Failed to generate character portrait: ${portraitResult.error}`);
+      }
 
-      if (!characterImage) {
-        console.log(`📸 Character portrait not cached, generating...`);
-        const portraitResult = await this.generateCharacterPortrait(characterDNA, style);
+      characterImage = portraitResult.characterImage;
+    }
+
+    return { reference, characterImage };
+  }
+
+  // One view, expression or pose of a character sheet, drawn from the character's most typical
+  // uploaded reference (not an earlier sheet) with the same seed for every panel
+  async generateCharacterSheetPanel(characterDNA, style, panel, options = {}) {
+    const { signal, seed = null } = options;
 
-        if (!portraitResult.success) {
-          throw new Error(`Failed to generate character portrait: ${portraitResult.error}`);
+    try {
+      throwIfAborted(signal);
+      console.log(`🧍 Generating ${panel.label} sheet panel for: ${characterDNA.name}`);
+
+      const { reference, characterImage } = await this.resolveCharacterImage(characterDNA, style, selectReference(characterDNA), { signal });
+      const panelPrompt = `character sheet, ${this.buildCharacterDescription(characterDNA)}, ${panel.prompt}, full body, plain white background, same character, consistent character design`;
+      const enhancedPrompt = this.optimizePromptForCLIP(panelPrompt);
+
+      const payload = {
+        prompt: enhancedPrompt,
+        character_image: characterImage,
+        style: style,
+        strength: panel.strength,
+        seed
+      };
+
+      const generatePromise = axios.post(`${this.serviceUrl}/generate-scene`, payload, {
+        timeout: this.generateTimeout,
+        signal,
+        headers: {
+          'Content-Type': 'application/json'
         }
+      });
+
+      const timeoutPromise = new Promise((_, reject) => {
+        setTimeout(() => reject(new Error('Character sheet panel timeout')), this.generateTimeout + 5000);
+      });
 
-        characterImage = portraitResult.characterImage;
+      const response = await abortable(Promise.race([generatePromise, timeoutPromise]), signal);
+
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Character sheet panel generation failed');
       }
 
-      // Enhance scene prompt for character consistency
-      const characterDescription = this.buildCharacterDescription(characterDNA);
+      return {
+        success: true,
+        imageBuffer: Buffer.from(response.data.image, 'base64'),
+        prompt: enhancedPrompt,
+        metadata: { ...response.data.metadata, ...(reference && { reference_id: reference.id }) }
+      };
+
+    } catch (error) {
+      if (isAbortError(error, signal)) throw new JobCancelledError();
+      console.error(`Character sheet panel ${panel.id} generation error:`, error);
+
+      return {
+        success: false,
+        error: error.message,
+        panelId: panel.id
+      };
+    }
+  }
+
+  async generateSceneWithCharacter(prompt, characterDNA, style = 'cartoon', sceneId, strength = 0.7, options = {}) {
+    // Generate a scene using character image for consistency
+    const { signal } = options;
+
+    try {
+      throwIfAborted(signal);
+      console.log(`🎬 Generating character-consistent scene for: ${sceneId}`);
+
+      const connectionCheck = await this.checkConnection();
+      if (!connectionCheck.available) {
+        throw new Error(connectionCheck.error);
+      }
+
+      // Start from the reference (uploaded, or from a character sheet in this style) that fits the scene best
+      const { reference, characterImage } = await this.resolveCharacterImage(characterDNA, style, selectReference(characterDNA, prompt, style), { signal });
+
+      // Enhance scene prompt for character consistency; options.cast lists everyone in the scene
+      const sceneCast = options.cast?.length ? options.cast : [characterDNA];
+      const characterDescription = sceneCast.map(member => this.buildCharacterDescription(member)).join(', ');
       const scenePrompt = `${characterDescription} ${prompt}, same character, consistent art style`;
       const enhancedPrompt = this.enhancePromptForStoryboard(scenePrompt, style);
 
@@ -255,13 +412,14 @@ class PythonStableDiffusionService {
         character_image: characterImage,
         style: style,
         strength: strength,
-        seed: sceneId ? this.hashStringToSeed(sceneId.toString()) : null
+        seed: options.seed ?? (sceneId ? this.hashStringToSeed(sceneId.toString()) : null)
       };
 
       console.log(`🔧 Generating scene with character consistency, style: ${style}, strength: ${strength}`);
 
       const generatePromise = axios.post(`${this.serviceUrl}/generate-scene`, payload, {
         timeout: this.generateTimeout,
+        signal,
         headers: {
           'Content-Type': 'application/json'
         }
@@ -271,7 +429,7 @@ class PythonStableDiffusionService {
         setTimeout(() => reject(new Error('Scene generation timeout')), this.generateTimeout + 5000);
       });
 
-      const response = await Promise.race([generatePromise, timeoutPromise]);
+      const response = await abortable(Promise.race([generatePromise, timeoutPromise]), signal);
 
       if (!response.data.success) {
         throw new Error(response.data.error || 'Character-consistent scene generation failed');
@@ -292,10 +450,13 @@ class PythonStableDiffusionService {
         prompt: enhancedPrompt,
         characterBased: true,
         strength,
-        metadata: response.data.metadata
+        seed: payload.seed,
+        imageBuffer, // For consistency scoring; not stored
+        metadata: { ...response.data.metadata, ...(reference && { reference_id: reference.id }) }
       };
 
     } catch (error) {
+      if (isAbortError(error, signal)) throw new JobCancelledError();
       console.error('Character-consistent scene generation error:', error);
 
       return {
@@ -330,7 +491,7 @@ class PythonStableDiffusionService {
     // Add appearance description but keep it short
     if (characterDNA.appearance) {
       // Take only first 30 words of appearance description
-      const appearanceWords = characterDNA.appearance.split(' ').slice(0, 30).join(' ');
+      const appearanceWords = describeAppearance(characterDNA.appearance).split(' ').slice(0, 30).join(' ');
       description += `, ${appearanceWords}`;
     } else if (characterDNA.description) {
       // Extract visual elements from description (first 20 words)
@@ -416,46 +577,50 @@ class PythonStableDiffusionService {
     return optimizedPrompt;
   }
 
-  async generateMultipleStoryboards(scenes, style = 'cartoon', characterDNA = null) {
+  async generateMultipleStoryboards(scenes, style = 'cartoon', characterDNA = null, options = {}) {
     try {
       console.log(`🐍 Creating Python SD composite storyboard for ${scenes.length} scenes...`);
       
-      // Create character description for consistency
-      let characterPrompt = '';
-      if (characterDNA) {
-        characterPrompt = `Main character: ${characterDNA.name}, ${characterDNA.description || characterDNA.personality || 'friendly character'}. `;
-        if (characterDNA.traits && characterDNA.traits.length > 0) {
-          characterPrompt += `Character traits: ${characterDNA.traits.slice(0, 3).join(', ')}. `;
-        }
-        if (characterDNA.appearance) {
-          characterPrompt += `Appearance: ${characterDNA.appearance}. `;
+      // Split long stories into balanced sheets so each composite stays legible
+      const sheetCount = Math.ceil(scenes.length / PANELS_PER_SHEET);
+      const imageUrls = [];
+
+      for (let sheet = 0; sheet < sheetCount; sheet++) {
+        throwIfAborted(options.signal);
+        const offset = Math.round(sheet * scenes.length / sheetCount);
+        const sheetScenes = scenes.slice(offset, Math.round((sheet + 1) * scenes.length / sheetCount));
+
+        // Create a single comprehensive prompt for all scenes on this sheet
+        const allSceneDescriptions = sheetScenes.map((scene, index) => {
+          const cameraAngle = scene.camera || 'Medium shot';
+          const sceneDescription = scene.storyboardPrompt || scene.description || scene.text || scene.content;
+          // Only the cast members present in this scene are described
+          const characterPrompt = buildPanelCharacterPrompt(scene, characterDNA, options.cast);
+          return `Panel ${offset + index + 1}: ${cameraAngle} - ${characterPrompt}${sceneDescription}`;
+        }).join(', ');
+
+        const compositePrompt = `${sheetScenes.length} panel storyboard layout, ${allSceneDescriptions}`;
+        const sheetId = sheetCount === 1 ? 'storyboard_composite' : `storyboard_composite_${sheet + 1}`;
+
+        const result = await this.generateStoryboardImage(
+          compositePrompt,
+          style,
+          sheetId,
+          options
+        );
+
+        if (result.success) {
+          console.log(`✅ Python SD composite storyboard ${sheet + 1}/${sheetCount} generated successfully`);
+          imageUrls.push(result.imageUrl);
+        } else {
+          console.warn(`⚠️ Failed to generate Python SD composite storyboard ${sheet + 1}/${sheetCount}:`, result.error);
         }
       }
 
-      // Create a single comprehensive prompt for all scenes
-      const allSceneDescriptions = scenes.map((scene, index) => {
-        const cameraAngle = scene.camera || 'Medium shot';
-        const sceneDescription = scene.storyboardPrompt || scene.description || scene.text || scene.content;
-        return `Panel ${index + 1}: ${cameraAngle} - ${characterPrompt}${sceneDescription}`;
-      }).join(', ');
-
-      const compositePrompt = `4 panel storyboard layout, ${allSceneDescriptions}`;
-
-      const result = await this.generateStoryboardImage(
-        compositePrompt,
-        style,
-        'storyboard_composite'
-      );
-
-      if (result.success) {
-        console.log(`✅ Python SD composite storyboard generated successfully`);
-        return [result.imageUrl];
-      } else {
-        console.warn(`⚠️ Failed to generate Python SD composite storyboard:`, result.error);
-        return [];
-      }
+      return imageUrls;
 
     } catch (error) {
+      if (isAbortError(error, options.signal)) throw error;
       console.error('Error in Python SD generateMultipleStoryboards:', error);
       return [];
     }
@@ -0,0 +1,209 @@
+// Audience presets and a local readability analyzer (Flesch-Kincaid, Coleman-Liau, ARI)
+
+// Target US grade range for each audience, plus the guidance the prompt builders use
+const AUDIENCES = {
+  toddler: {
+    label: 'toddlers (ages 2-4)',
+    grade: { target: 0.5, min: 0, max: 1.5 },
+    content_rating: 'G',
+    vocabulary: 'Only simple, everyday words a toddler hears at home; repeat key words',
+    sentences: 'Very short sentences of 3-7 words, one idea each',
+    content: 'Gentle and reassuring; no peril, villains or scary moments'
+  },
+  early_reader: {
+    label: 'early readers (ages 5-7)',
+    grade: { target: 2, min: 1, max: 3 },
+    content_rating: 'G',
+    vocabulary: 'Common one- and two-syllable words; introduce at most a few new words, explained by context',
+    sentences: 'Short sentences of 5-10 words',
+    content: 'Mild, quickly resolved problems; nothing frightening'
+  },
+  middle_grade: {
+    label: 'middle grade readers (ages 8-12)',
+    grade: { target: 5, min: 4, max: 6.5 },
+    content_rating: 'PG',
+    vocabulary: 'Varied, vivid vocabulary with the occasional challenging word',
+    sentences: 'Mostly 8-15 words, mixing short and longer sentences',
+    content: 'Real stakes and mild peril are fine; no graphic violence'
+  },
+  young_adult: {
+    label: 'young adult readers (ages 13-17)',
+    grade: { target: 8, min: 7, max: 10 },
+    content_rating: 'PG-13',
+    vocabulary: 'Rich vocabulary and natural, expressive dialogue',
+    sentences: 'Varied sentence length, up to about 20 words',
+    content: 'Serious themes and tension are fine; keep violence non-graphic and no sexual content'
+  },
+  adult: {
+    label: 'adult readers',
+    grade: { target: 10, min: 8, max: 12.5 },
+    content_rating: 'PG-13',
+    vocabulary: 'Full adult vocabulary, precise and evocative',
+    sentences: 'Any sentence length that suits the scene',
+    content: 'Mature themes are fine; keep violence non-graphic and no explicit content'
+  }
+};
+
+const AUDIENCE_IDS = Object.keys(AUDIENCES);
+const READING_LEVEL_TOLERANCE = 1.5; // grades either side of an explicit readingLevel
+
+// Audience and target grade for a generation request, or null when neither was given
+function resolveReadingTarget(options = {}) {
+  const audienceId = AUDIENCES[options.audience] ? options.audience : null;
+  const readingLevel = Number.isFinite(options.readingLevel) ? options.readingLevel : null;
+  if (!audienceId && readingLevel === null) return null;
+
+  const audience = AUDIENCES[audienceId];
+  const grade = readingLevel !== null
+    ? { target: readingLevel, min: Math.max(0, readingLevel - READING_LEVEL_TOLERANCE), max: readingLevel + READING_LEVEL_TOLERANCE }
+    : audience.grade;
+
+  return {
+    audience: audienceId,
+    label: audience?.label || `readers at grade ${readingLevel}`,
+    content_rating: audience?.content_rating || null,
+    target_grade: grade.target,
+    min_grade: grade.min,
+    max_grade: grade.max
+  };
+}
+
+// AUDIENCE block for the story prompts; empty when the request has no reading target
+function buildReadingLevelPromptSection(options = {}) {
+  const target = resolveReadingTarget(options);
+  if (!target) return '';
+
+  const audience = AUDIENCES[target.audience];
+  const lines = [
+    `AUDIENCE: ${target.label}${target.content_rating ? ` - content rating ${target.content_rating}` : ''}`,
+    `READING LEVEL: US grade ${formatGrade(target.target_grade)} (anywhere from grade ${formatGrade(target.min_grade)} to ${formatGrade(target.max_grade)} is fine)`,
+    `VOCABULARY: ${audience?.vocabulary || describeVocabulary(target.target_grade)}`,
+    `SENTENCES: ${audience?.sentences || describeSentences(target.target_grade)}`,
+    ...(audience ? [`CONTENT: ${audience.content}`] : [])
+  ];
+
+  return `${lines.join('\n')}\n`;
+}
+
+function describeVocabulary(grade) {
+  if (grade < 2) return 'Only simple, everyday words';
+  if (grade < 5) return 'Common words with the occasional new one explained by context';
+  if (grade < 9) return 'Varied vocabulary with some challenging words';
+  return 'Rich, precise vocabulary';
+}
+
+function describeSentences(grade) {
+  if (grade < 2) return 'Very short sentences of under 8 words';
+  if (grade < 5) return 'Short sentences of 5-12 words';
+  if (grade < 9) return 'Mostly 8-18 words, mixing short and longer sentences';
+  return 'Any sentence length that suits the scene';
+}
+
+function formatGrade(grade) {
+  return Number.isInteger(grade) ? String(grade) : grade.toFixed(1);
+}
+
+// Vowel-group estimate, close enough for readability formulas
+function countSyllables(word) {
+  const cleaned = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!cleaned) return 0;
+  if (cleaned.length <= 3) return 1;
+
+  const trimmed = cleaned
+    .replace(/(?:[^laeiouycgsxz]es|[^laeiouydt]ed|[^laeiouy]e)$/, (ending) => ending[0])
+    .replace(/^y/, '');
+  const groups = trimmed.match(/[aeiouy]+/g);
+  return Math.max(1, groups ? groups.length : 1);
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Readability statistics for a piece of English text
+function analyzeReadability(text = '') {
+  const words = text.match(/[A-Za-z0-9]+(?:['’-][A-Za-z0-9]+)*/g) || [];
+  if (words.length === 0) return null;
+
+  const sentences = Math.max(1, text.split(/[.!?]+(?:["'”’)\]]*)(?:\s|$)/).filter(part => /[A-Za-z0-9]/.test(part)).length);
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+  const letters = words.reduce((sum, word) => sum + word.replace(/[^A-Za-z0-9]/g, '').length, 0);
+
+  const wordsPerSentence = words.length / sentences;
+  const syllablesPerWord = syllables / words.length;
+  const lettersPerWord = letters / words.length;
+
+  const fleschKincaidGrade = 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59;
+  const fleschReadingEase = 206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord;
+  const colemanLiauIndex = 0.0588 * (lettersPerWord * 100) - 0.296 * (100 / wordsPerSentence) - 15.8;
+  const automatedReadabilityIndex = 4.71 * lettersPerWord + 0.5 * wordsPerSentence - 21.43;
+
+  return {
+    grade_level: round(Math.max(0, (fleschKincaidGrade + colemanLiauIndex + automatedReadabilityIndex) / 3)),
+    flesch_kincaid_grade: round(fleschKincaidGrade),
+    flesch_reading_ease: round(fleschReadingEase),
+    coleman_liau_index: round(colemanLiauIndex),
+    automated_readability_index: round(automatedReadabilityIndex),
+    words: words.length,
+    sentences,
+    avg_sentence_length: round(wordsPerSentence),
+    avg_syllables_per_word: Math.round(syllablesPerWord * 100) / 100
+  };
+}
+
+// The text readers actually see: every scene's narration and dialogue
+function getStoryText(story) {
+  return (story.scenes || []).map(scene => scene.content || scene.description || '').join('\n\n');
+}
+
+// Compare a story's reading level with the target; direction says which way a rewrite should go
+function checkReadingLevel(story, target) {
+  const analysis = analyzeReadability(getStoryText(story));
+  if (!analysis || !target) {
+    return { analysis, on_target: true, direction: null };
+  }
+
+  const direction = analysis.grade_level > target.max_grade
+    ? 'simpler'
+    : analysis.grade_level < target.min_grade ? 'richer' : null;
+
+  return { analysis, on_target: direction === null, direction };
+}
+
+// Distance from the target range, used to keep the better of two drafts
+function distanceFromTarget(analysis, target) {
+  if (!analysis || !target) return 0;
+  if (analysis.grade_level > target.max_grade) return analysis.grade_level - target.max_grade;
+  if (analysis.grade_level < target.min_grade) return target.min_grade - analysis.grade_level;
+  return 0;
+}
+
+// Reading level stored in result metadata
+function describeReadingLevel(check, target, rewrites = 0) {
+  if (!check.analysis) return null;
+
+  return {
+    ...check.analysis,
+    audience: target?.audience || null,
+    content_rating: target?.content_rating || null,
+    ...(target && {
+      target_grade: target.target_grade,
+      min_grade: target.min_grade,
+      max_grade: target.max_grade,
+      on_target: check.on_target,
+      rewrites
+    })
+  };
+}
+
+module.exports = {
+  AUDIENCES,
+  AUDIENCE_IDS,
+  resolveReadingTarget,
+  buildReadingLevelPromptSection,
+  analyzeReadability,
+  countSyllables,
+  checkReadingLevel,
+  distanceFromTarget,
+  describeReadingLevel
+};
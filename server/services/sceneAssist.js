@@ -0,0 +1,137 @@
+const { assistScene } = require('./storyEngine');
+const { loadStoryCast } = require('./storyPipeline');
+const { findSceneIndex } = require('./sceneRegeneration');
+
+// Co-writing assist: targeted rewrites of a scene or a passage in it. Nothing is saved here;
+// the proposal carries a story edit (PATCH /api/stories/:id body) to send if the user accepts.
+
+const ASSIST_LABELS = {
+  expand: 'expand',
+  shorten: 'shorten',
+  add_dialogue: 'add dialogue',
+  change_tone: 'change tone',
+  funnier: 'make it funnier',
+  simplify: 'simplify vocabulary',
+  continue: 'continue from here'
+};
+
+function invalidAssist(message) {
+  const error = new Error(message);
+  error.invalidAssist = true;
+  return error;
+}
+
+// Scenes written as narration + dialogue are revised through their narration, older ones through their text
+function getSceneTextField(scene) {
+  return scene.narration !== undefined ? 'narration' : 'content';
+}
+
+// Word-level diff as runs of { type: 'equal' | 'insert' | 'delete', text }
+function diffWords(before, after) {
+  const a = before.split(/(\s+)/).filter(Boolean);
+  const b = after.split(/(\s+)/).filter(Boolean);
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const runs = [];
+  const push = (type, text) => {
+    const last = runs[runs.length - 1];
+    if (last?.type === type) {
+      last.text += text;
+    } else {
+      runs.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('delete', a[i++]);
+    } else {
+      push('insert', b[j++]);
+    }
+  }
+  while (i < a.length) push('delete', a[i++]);
+  while (j < b.length) push('insert', b[j++]);
+
+  return runs;
+}
+
+// Put the assist's text in place of the passage, or after it when continuing
+function applyAssistText(original, start, end, text, action) {
+  if (action !== 'continue') {
+    return `${original.slice(0, start)}${text}${original.slice(end)}`;
+  }
+
+  const before = original.slice(0, end);
+  const after = original.slice(end);
+  const lead = before && !/\s$/.test(before) ? ' ' : '';
+  const trail = after && !/^\s/.test(after) ? ' ' : '';
+  return `${before}${lead}${text}${trail}${after}`;
+}
+
+// Ask for an assist on a scene of a finished story and return it as a proposed change
+async function proposeSceneAssist(result, sceneId, { action, passage, tone }, { job = null } = {}) {
+  const sceneIndex = findSceneIndex(result, sceneId);
+  const scene = result.story.scenes[sceneIndex];
+  const field = getSceneTextField(scene);
+  const original = scene[field] || '';
+
+  // Without a selection the whole scene text is the passage
+  const target = passage ?? original;
+  const start = original.indexOf(target);
+  if (!target.trim() || start === -1) {
+    throw invalidAssist(`The passage was not found in the ${field} of scene ${scene.id}; it may have been edited since`);
+  }
+  const end = start + target.length;
+
+  const { characterDNA, cast } = await loadStoryCast(result, job);
+  const { text, metadata } = await assistScene(result.story, sceneIndex, {
+    action,
+    passage: target,
+    sceneText: original,
+    tone
+  }, {
+    characterDNA,
+    cast,
+    genre: result.metadata?.genre || job?.genre,
+    tone: job?.options?.tone,
+    audience: job?.options?.audience,
+    readingLevel: job?.options?.readingLevel,
+    language: result.metadata?.language
+  });
+
+  const proposed = applyAssistText(original, start, end, text.trim(), action);
+  const label = ASSIST_LABELS[action] + (action === 'change_tone' ? ` (${tone})` : '');
+  console.log(`🪄 Proposed ${label} for scene ${scene.id} (${original.length} → ${proposed.length} characters)`);
+
+  return {
+    scene_id: scene.id,
+    action,
+    field,
+    passage: { start, end, text: target },
+    original,
+    proposed,
+    diff: diffWords(original, proposed),
+    edit: {
+      scenes: [{ id: scene.id, [field]: proposed }],
+      summary: `Writing assist: ${label} in scene ${sceneIndex + 1}`
+    },
+    metadata
+  };
+}
+
+module.exports = {
+  proposeSceneAssist
+};
@@ -0,0 +1,369 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const { GeminiStoryGenerator } = require('./geminiAI');
+const { PythonStableDiffusionService } = require('./pythonStableDiffusion');
+const { generateSingleSceneImage, STYLE_PRESETS } = require('./imageGeneration');
+const { generateVoiceNarration, detectSceneEmotion } = require('./voiceService');
+const { getSceneCast } = require('./storyCast');
+const { scoreSceneCast, summarizeConsistency } = require('./consistencyScoring');
+const { withFileLock, writeFileAtomic } = require('./fileLock');
+const { assertStoryAllowed, resolveStoryModeration } = require('./moderation');
+
+const geminiGenerator = new GeminiStoryGenerator();
+const pythonSD = new PythonStableDiffusionService();
+
+const RESULTS_DIR = path.join(__dirname, '../storage/results');
+const MAX_SCENE_VERSIONS = 10; // Previous versions kept per scene and target
+const DEFAULT_VOICE_ID = '9BWtsMINqrJLrRacOk9x'; // Aria voice
+
+function resultPath(jobId) {
+  return path.join(RESULTS_DIR, `${jobId}.json`);
+}
+
+async function loadResult(jobId) {
+  try {
+    const resultData = await fs.readFile(resultPath(jobId), 'utf8');
+    return JSON.parse(resultData);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function writeResult(jobId, result) {
+  await fs.mkdir(RESULTS_DIR, { recursive: true });
+  await writeFileAtomic(resultPath(jobId), JSON.stringify(result, null, 2));
+}
+
+// Results are written by the API process (edits, regeneration) and by workers (finalization),
+// so every write holds the result's file lock
+async function saveResult(jobId, result) {
+  return withFileLock(resultPath(jobId), () => writeResult(jobId, result));
+}
+
+// Serialize read-modify-write cycles on a result file across processes
+async function updateResult(jobId, mutator) {
+  return withFileLock(resultPath(jobId), async () => {
+    const result = await loadResult(jobId);
+    if (!result) {
+      throw new Error(`Result for job ${jobId} not found`);
+    }
+
+    const returnValue = await mutator(result);
+    await writeResult(jobId, result);
+    return returnValue;
+  });
+}
+
+// Only the user who generated a story may change it. Stories generated while signed out have
+// no owner, so nobody may
+function isStoryOwner(result, job, userId) {
+  const ownerId = result.metadata?.user_id || job?.user_id;
+  return Boolean(ownerId && userId && ownerId === userId);
+}
+
+function findSceneIndex(result, sceneId) {
+  const scenes = result.story?.scenes || [];
+  return scenes.findIndex(scene => scene.id === sceneId || String(scene.number) === String(sceneId));
+}
+
+// Read the current value of a scene asset from the result
+function getSceneAsset(result, scene, target) {
+  switch (target) {
+    case 'text':
+      return scene;
+    case 'image':
+      return (result.storyboard_urls || []).find(item => typeof item === 'object' && item.sceneId === scene.id) || null;
+    case 'narration':
+      return (result.audio_narration?.scenes || []).find(item => item.scene_id === scene.id) || null;
+    default:
+      throw new Error(`Unknown regeneration target: ${target}`);
+  }
+}
+
+// Assets made from each scene field: narration reads the title and text, the storyboard only the text
+const STALE_ASSETS_BY_FIELD = {
+  title: ['narration'],
+  content: ['image', 'narration'],
+  narration: ['image', 'narration'],
+  dialogue: ['image', 'narration']
+};
+
+// Fields of a scene's text that differ between two versions of it
+function changedSceneFields(previous, scene) {
+  return Object.keys(STALE_ASSETS_BY_FIELD)
+    .filter(field => JSON.stringify(previous?.[field] ?? null) !== JSON.stringify(scene?.[field] ?? null));
+}
+
+// Flag the storyboard and narration that no longer match the changed fields of a scene
+function markStaleAssets(result, sceneId, fields) {
+  const assets = fields.flatMap(field => STALE_ASSETS_BY_FIELD[field] || []);
+  if (assets.length === 0) return;
+
+  const stale = { ...(result.stale_assets || {}) };
+  stale[sceneId] = [...new Set([...(stale[sceneId] || []), ...assets])].sort();
+  result.stale_assets = stale;
+}
+
+// A fresh storyboard or narration matches the scene's edited text again
+function clearStaleAsset(result, sceneId, target) {
+  const stale = result.stale_assets?.[sceneId];
+  if (!stale) return;
+
+  const remaining = stale.filter(asset => asset !== target);
+  if (remaining.length > 0) {
+    result.stale_assets[sceneId] = remaining;
+  } else {
+    delete result.stale_assets[sceneId];
+  }
+}
+
+// Replace (or add) a scene asset in the result, keeping derived totals in sync
+function setSceneAsset(result, sceneIndex, target, value) {
+  const scene = result.story.scenes[sceneIndex];
+
+  if (target === 'text') {
+    result.story.scenes[sceneIndex] = value;
+    return;
+  }
+
+  if (target === 'image') {
+    const storyboards = result.storyboard_urls || [];
+    const index = storyboards.findIndex(item => typeof item === 'object' && item.sceneId === scene.id);
+    if (!value) {
+      if (index !== -1) storyboards.splice(index, 1);
+    } else if (index !== -1) {
+      storyboards[index] = value;
+    } else {
+      storyboards.push(value);
+    }
+    result.storyboard_urls = storyboards;
+    result.metadata = { ...result.metadata, storyboards_count: storyboards.length, consistency: summarizeConsistency(storyboards) };
+    return;
+  }
+
+  if (target === 'narration') {
+    const narration = result.audio_narration || {
+      story_title: result.story.title,
+      voice_id: value?.voice_id || DEFAULT_VOICE_ID,
+      scenes: []
+    };
+    const index = narration.scenes.findIndex(item => item.scene_id === scene.id);
+    if (!value) {
+      if (index !== -1) narration.scenes.splice(index, 1);
+    } else if (index !== -1) {
+      narration.scenes[index] = value;
+    } else {
+      narration.scenes.push(value);
+      narration.scenes.sort((a, b) => a.scene_number - b.scene_number);
+    }
+
+    narration.total_duration = narration.scenes.reduce((sum, item) => sum + (item.duration || 0), 0);
+    narration.generated_at = new Date().toISOString();
+    result.audio_narration = narration;
+    result.audio_duration = narration.total_duration;
+    result.metadata = {
+      ...result.metadata,
+      voice_enabled: true,
+      audio_scenes_count: narration.scenes.length
+    };
+  }
+}
+
+// Push the value being replaced onto the scene's version history
+function recordVersion(result, sceneId, target, value, reason) {
+  result.scene_versions = result.scene_versions || {};
+  result.scene_versions[sceneId] = result.scene_versions[sceneId] || {};
+
+  const history = result.scene_versions[sceneId][target] || [];
+  const version = {
+    version_id: uuidv4(),
+    replaced_at: new Date().toISOString(),
+    reason,
+    value
+  };
+
+  history.unshift(version);
+  result.scene_versions[sceneId][target] = history.slice(0, MAX_SCENE_VERSIONS);
+  return version;
+}
+
+function listSceneVersions(result, sceneId) {
+  return result.scene_versions?.[sceneId] || {};
+}
+
+async function regenerateSceneImage(scene, sceneIndex, characterDNA, cast, overrides) {
+  const style = overrides.style;
+  const prompt = overrides.prompt || scene.description;
+  const sceneCast = cast.length > 1 ? getSceneCast(scene, cast) : [characterDNA];
+
+  // Random seed so the new panel differs from the deterministic per-scene one
+  const sceneResult = await pythonSD.generateSceneWithCharacter(
+    prompt,
+    sceneCast[0],
+    style,
+    scene.id,
+    overrides.strength ?? 0.7,
+    { seed: Math.floor(Math.random() * 2147483647), cast: sceneCast, signal: overrides.signal }
+  );
+
+  if (sceneResult.success) {
+    // Scored but not retried: the user asked for these exact settings
+    const consistency = await scoreSceneCast(sceneResult.imageBuffer, sceneCast, { referenceId: sceneResult.metadata?.reference_id });
+    return {
+      sceneId: scene.id,
+      imageUrl: sceneResult.imageUrl,
+      prompt: sceneResult.prompt,
+      style,
+      characterBased: true,
+      metadata: sceneResult.metadata,
+      consistency,
+      regeneratedAt: new Date().toISOString()
+    };
+  }
+
+  console.warn(`⚠️ Character-consistent regeneration failed for ${scene.id}, using standard generation:`, sceneResult.error);
+  const fallbackResult = await generateSingleSceneImage(
+    { ...scene, description: prompt },
+    characterDNA,
+    STYLE_PRESETS[style] || STYLE_PRESETS.cartoon,
+    sceneIndex,
+    cast
+  );
+
+  return {
+    sceneId: scene.id,
+    imageUrl: fallbackResult.url,
+    prompt: fallbackResult.prompt,
+    style,
+    characterBased: false,
+    fallback: true,
+    regeneratedAt: new Date().toISOString()
+  };
+}
+
+async function regenerateSceneNarration(scene, sceneIndex, overrides) {
+  const sceneText = overrides.prompt || `${scene.title}. ${scene.description}`;
+  const emotion = overrides.emotion || detectSceneEmotion(scene);
+
+  const narration = await generateVoiceNarration(sceneText, overrides.voice_id, emotion, {
+    model_id: overrides.voice_model,
+    signal: overrides.signal
+  });
+
+  return {
+    scene_id: scene.id,
+    scene_number: sceneIndex + 1,
+    audio_url: narration.audioUrl,
+    duration: narration.duration,
+    emotion,
+    text: sceneText,
+    voice_id: overrides.voice_id
+  };
+}
+
+// Regenerate one asset of one scene and store it, keeping the previous version
+async function regenerateScene(jobId, sceneId, target, { characterDNA, cast = [characterDNA], job = null, overrides = {}, signal }) {
+  const result = await loadResult(jobId);
+  if (!result) {
+    throw new Error(`Result for job ${jobId} not found`);
+  }
+  const sceneIndex = findSceneIndex(result, sceneId);
+  if (sceneIndex === -1) {
+    throw new Error(`Scene ${sceneId} not found`);
+  }
+  const scene = result.story.scenes[sceneIndex];
+
+  console.log(`🔁 Regenerating ${target} for scene ${scene.id} of story ${jobId}`);
+
+  const settings = {
+    ...overrides,
+    style: overrides.style || result.metadata?.style || job?.style || 'cartoon',
+    tone: overrides.tone || job?.options?.tone,
+    genre: result.metadata?.genre || job?.genre,
+    voice_id: overrides.voice_id || result.audio_narration?.voice_id || job?.options?.voiceId || DEFAULT_VOICE_ID,
+    voice_model: job?.options?.voiceModel,
+    cast,
+    signal
+  };
+
+  let value;
+  if (target === 'text') {
+    value = await geminiGenerator.regenerateScene(result.story, sceneIndex, characterDNA, settings);
+    value.regeneratedAt = new Date().toISOString();
+    await assertStoryAllowed({ scenes: [value] }, {
+      ...resolveStoryModeration(result, job),
+      kind: 'scene_regeneration',
+      subjectId: `${jobId}:${scene.id}`,
+      label: `The regenerated text of scene ${scene.id}`
+    });
+  } else if (target === 'image') {
+    value = await regenerateSceneImage(scene, sceneIndex, characterDNA, cast, settings);
+  } else {
+    value = await regenerateSceneNarration(scene, sceneIndex, settings);
+  }
+
+  // Apply against a fresh copy in case another regeneration finished meanwhile
+  return updateResult(jobId, (latest) => {
+    const latestIndex = findSceneIndex(latest, scene.id);
+    if (latestIndex === -1) {
+      throw new Error(`Scene ${scene.id} no longer exists`);
+    }
+
+    const previous = getSceneAsset(latest, latest.story.scenes[latestIndex], target);
+    const version = previous ? recordVersion(latest, scene.id, target, previous, 'regenerate') : null;
+    setSceneAsset(latest, latestIndex, target, value);
+    if (target === 'text') {
+      markStaleAssets(latest, scene.id, changedSceneFields(previous, value));
+    } else {
+      clearStaleAsset(latest, scene.id, target);
+    }
+
+    console.log(`✅ Regenerated ${target} for scene ${scene.id}${version ? ` (previous saved as ${version.version_id})` : ''}`);
+    return { result: latest, value, previous_version: version };
+  });
+}
+
+// Restore a previous version; the value it replaces becomes a version itself
+async function rollbackScene(jobId, sceneId, target, versionId = null) {
+  return updateResult(jobId, (result) => {
+    const sceneIndex = findSceneIndex(result, sceneId);
+    if (sceneIndex === -1) {
+      throw new Error(`Scene ${sceneId} not found`);
+    }
+
+    const scene = result.story.scenes[sceneIndex];
+    const history = result.scene_versions?.[scene.id]?.[target] || [];
+    const versionIndex = versionId ? history.findIndex(version => version.version_id === versionId) : 0;
+    const version = history[versionIndex];
+
+    if (!version) {
+      throw new Error(versionId ? `Version ${versionId} not found` : `No previous ${target} version for scene ${scene.id}`);
+    }
+
+    history.splice(versionIndex, 1);
+    const current = getSceneAsset(result, scene, target);
+    const replaced = current ? recordVersion(result, scene.id, target, current, 'rollback') : null;
+    setSceneAsset(result, sceneIndex, target, version.value);
+    if (target === 'text') {
+      markStaleAssets(result, scene.id, changedSceneFields(current, version.value));
+    }
+
+    console.log(`↩️ Rolled back ${target} for scene ${scene.id} to version ${version.version_id}`);
+    return { result, value: version.value, previous_version: replaced };
+  });
+}
+
+module.exports = {
+  markStaleAssets,
+  isStoryOwner,
+  loadResult,
+  saveResult,
+  updateResult,
+  findSceneIndex,
+  listSceneVersions,
+  regenerateScene,
+  rollbackScene,
+  MAX_SCENE_VERSIONS
+};
@@ -0,0 +1,185 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const { GeminiStoryGenerator } = require('./geminiAI');
+const supabaseService = require('./supabase');
+const {
+  emptyContinuity,
+  mergeContinuity,
+  buildFallbackContinuity,
+  buildContinuityUpdatePrompt
+} = require('./continuity');
+const { withFileLock, writeFileAtomic } = require('./fileLock');
+
+const SERIES_DIR = path.join(__dirname, '../storage/series');
+
+const MAX_UPDATE_ATTEMPTS = 5; // Compare-and-swap retries of a Supabase series update
+
+const geminiGenerator = new GeminiStoryGenerator();
+
+// Series live in Supabase when it is configured, otherwise as local JSON files.
+// Loaded records carry `storage` so updates go back to the same place.
+function seriesPath(seriesId) {
+  return path.join(SERIES_DIR, `${seriesId}.json`);
+}
+
+async function loadLocalSeries(seriesId) {
+  try {
+    const data = await fs.readFile(seriesPath(seriesId), 'utf8');
+    return { ...JSON.parse(data), storage: 'local' };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function saveLocalSeries(series) {
+  const { storage, ...record } = series;
+  await fs.mkdir(SERIES_DIR, { recursive: true });
+  await writeFileAtomic(seriesPath(series.id), JSON.stringify(record, null, 2));
+}
+
+async function createSeries({ title, description = '', settings = {} }, userId = null) {
+  const now = new Date().toISOString();
+  const series = {
+    id: uuidv4(),
+    user_id: userId,
+    title,
+    description,
+    settings,
+    episodes: [],
+    continuity: emptyContinuity(),
+    created_at: now,
+    updated_at: now
+  };
+
+  const saved = userId ? await supabaseService.createSeries(userId, series) : null;
+  if (saved) {
+    console.log(`📚 Series ${series.id} created in Supabase`);
+    return { ...saved, storage: 'supabase' };
+  }
+
+  await saveLocalSeries(series);
+  console.log(`📚 Series ${series.id} created locally`);
+  return { ...series, storage: 'local' };
+}
+
+async function getSeries(seriesId) {
+  const remote = await supabaseService.getSeriesById(seriesId);
+  if (remote) return { ...remote, storage: 'supabase' };
+  return loadLocalSeries(seriesId);
+}
+
+// Episodes are added by the API process and completed by workers, so read-modify-write
+// cycles are serialized across processes: local series hold a file lock, Supabase series
+// are written only if nobody updated them since they were read (and re-applied otherwise)
+async function updateSeries(seriesId, mutator) {
+  const remote = await supabaseService.getSeriesById(seriesId);
+  if (remote) {
+    return updateRemoteSeries(seriesId, mutator);
+  }
+
+  return withFileLock(seriesPath(seriesId), async () => {
+    const series = await loadLocalSeries(seriesId);
+    if (!series) {
+      throw new Error(`Series ${seriesId} not found`);
+    }
+
+    const returnValue = await mutator(series);
+    series.updated_at = new Date().toISOString();
+    await saveLocalSeries(series);
+    return returnValue;
+  });
+}
+
+async function updateRemoteSeries(seriesId, mutator) {
+  for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+    const series = await getSeries(seriesId);
+    if (!series) {
+      throw new Error(`Series ${seriesId} not found`);
+    }
+
+    const readAt = series.updated_at;
+    const returnValue = await mutator(series);
+    const { storage, id, created_at, updated_at, ...updates } = series;
+    const saved = await supabaseService.updateSeries(seriesId, updates, { expectedUpdatedAt: readAt });
+    if (saved) return returnValue;
+
+    const latest = await getSeries(seriesId);
+    if (!latest || latest.updated_at === readAt) {
+      throw new Error(`Failed to update series ${seriesId}`);
+    }
+    console.log(`🔁 Series ${seriesId} changed while it was being updated, retrying (${attempt}/${MAX_UPDATE_ATTEMPTS})`);
+  }
+
+  throw new Error(`Series ${seriesId} kept changing, giving up the update`);
+}
+
+// Reserve the next episode number for a generation job. Episodes that never
+// completed (failed or cancelled) are dropped so their number is reused.
+async function addEpisode(seriesId, { jobId, prompt }) {
+  return updateSeries(seriesId, (series) => {
+    series.episodes = series.episodes.filter(entry => entry.status === 'completed');
+
+    const episode = {
+      episode_number: series.episodes.length + 1,
+      job_id: jobId,
+      prompt,
+      status: 'generating',
+      title: null,
+      created_at: new Date().toISOString(),
+      completed_at: null
+    };
+    series.episodes.push(episode);
+    return episode;
+  });
+}
+
+// Ask Gemini to fold the episode into the continuity notes; scene titles and settings otherwise
+async function summarizeEpisode(previous, story, episodeNumber) {
+  if (!process.env.GEMINI_API_KEY || process.env.DEMO_MODE === 'true') {
+    return buildFallbackContinuity(previous, story, episodeNumber);
+  }
+
+  try {
+    const { text } = await geminiGenerator.generateText(buildContinuityUpdatePrompt(previous, story, episodeNumber), {
+      maxRetries: 2,
+      generationConfig: { responseMimeType: 'application/json' }
+    });
+    const jsonText = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    return JSON.parse(jsonText);
+  } catch (error) {
+    console.warn(`⚠️ Continuity summary failed for episode ${episodeNumber}, using scene outline:`, error.message);
+    return buildFallbackContinuity(previous, story, episodeNumber);
+  }
+}
+
+// Called once an episode's story is final: mark it complete and roll the continuity forward
+async function completeEpisode(seriesId, jobId, story) {
+  return updateSeries(seriesId, async (series) => {
+    const episode = series.episodes.find(entry => entry.job_id === jobId);
+    if (!episode) {
+      throw new Error(`Job ${jobId} is not an episode of series ${seriesId}`);
+    }
+
+    // A re-run finalization must not fold the same episode in twice
+    if (episode.status !== 'completed') {
+      const update = await summarizeEpisode(series.continuity, story, episode.episode_number);
+      series.continuity = mergeContinuity(series.continuity, update, episode.episode_number);
+    }
+
+    episode.status = 'completed';
+    episode.title = story.title || null;
+    episode.completed_at = new Date().toISOString();
+
+    console.log(`🧵 Continuity for series ${seriesId} updated through episode ${episode.episode_number}`);
+    return series.continuity;
+  });
+}
+
+module.exports = {
+  createSeries,
+  getSeries,
+  addEpisode,
+  completeEpisode
+};
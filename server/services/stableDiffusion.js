@@ -1,6 +1,7 @@
 const { InferenceClient } = require('@huggingface/inference');
 const fs = require('fs').promises;
 const path = require('path');
+const { buildPanelCharacterPrompt } = require('./storyCast');
 
 class StableDiffusionService {
   constructor() {
@@ -106,23 +107,14 @@ class StableDiffusionService {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  async generateMultipleStoryboards(scenes, style = 'cartoon', characterDNA = null) {
+  async generateMultipleStoryboards(scenes, style = 'cartoon', characterDNA = null, options = {}) {
     try {
       console.log(`Creating composite storyboard for ${scenes.length} scenes...`);
       
-      // Create character description for consistency
-      let characterPrompt = '';
       if (characterDNA) {
-        characterPrompt = `Main character: ${characterDNA.name}, ${characterDNA.description || characterDNA.personality || 'friendly character'}. `;
-        if (characterDNA.traits && characterDNA.traits.length > 0) {
-          characterPrompt += `Character traits: ${characterDNA.traits.slice(0, 3).join(', ')}. `;
-        }
-        if (characterDNA.appearance) {
-          characterPrompt += `Appearance: ${characterDNA.appearance}. `;
-        }
-        console.log(`🎭 Using character consistency prompt: ${characterPrompt}`);
+        console.log(`🎭 Using character consistency prompt for ${options.cast?.length || 1} character(s)`);
       }
-      
+
       // Create a single comprehensive prompt for all scenes with camera angles
       const allSceneDescriptions = scenes.map((scene, index) => {
         const cameraAngle = scene.camera || 'Medium shot';
@@ -133,6 +125,7 @@ class StableDiffusionService {
                                 scene.text || 
                                 scene.content;
         
+        const characterPrompt = buildPanelCharacterPrompt(scene, characterDNA, options.cast);
         return `Panel ${index + 1}: ${cameraAngle} - ${characterPrompt}${sceneDescription}`;
       }).join('\n');
       
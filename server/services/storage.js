@@ -151,6 +151,18 @@ async function getSignedDownloadUrl(key, expiresIn = 3600) {
   }
 }
 
+// Delete a previously uploaded file given the URL returned by uploadToStorage
+async function deleteFromStorageByUrl(url) {
+  if (!url || typeof url !== 'string') return;
+
+  if (url.startsWith('/uploads/')) {
+    // Generated images are always written locally, even in S3 mode
+    await deleteFromLocal(extractKeyFromUrl(url));
+  } else if (storageMode === 'S3' && url.includes(`${bucketName}.s3.`)) {
+    await deleteFromS3(extractKeyFromUrl(url));
+  }
+}
+
 // Helper function to extract key from URL
 function extractKeyFromUrl(url) {
   try {
@@ -172,6 +184,7 @@ function extractKeyFromUrl(url) {
 module.exports = {
   uploadToStorage,
   deleteFromStorage,
+  deleteFromStorageByUrl,
   uploadToS3,
   deleteFromS3,
   getSignedDownloadUrl,
@@ -0,0 +1,125 @@
+// Multi-character casts: which characters a story uses and which of them appear in each scene
+const CAST_ROLES = ['protagonist', 'sidekick', 'antagonist'];
+
+// A request may send a single dna_id, a characters list, or both. The result
+// has no duplicate DNA ids and always has the protagonist first.
+function normalizeCastRequest(dnaId, characters = []) {
+  const cast = [];
+  const seen = new Set();
+
+  const add = (member) => {
+    if (!member?.dna_id || seen.has(member.dna_id)) return;
+    seen.add(member.dna_id);
+    cast.push({ dna_id: member.dna_id, role: member.role || 'sidekick' });
+  };
+
+  if (dnaId) add({ dna_id: dnaId, role: 'protagonist' });
+  characters.forEach(add);
+
+  if (cast.length > 0 && !cast.some(member => member.role === 'protagonist')) {
+    cast[0].role = 'protagonist';
+  }
+
+  return [
+    ...cast.filter(member => member.role === 'protagonist'),
+    ...cast.filter(member => member.role !== 'protagonist')
+  ];
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Full name or first name as a whole word, e.g. "Luna" for "Luna Starfield"
+function mentionsCharacter(text, name = '') {
+  const firstName = name.split(/\s+/)[0];
+  const names = [name, firstName.length >= 3 ? firstName : null].filter(Boolean);
+  return names.some(candidate => new RegExp(`\\b${escapeRegExp(candidate)}\\b`, 'i').test(text));
+}
+
+// Cast members present in a scene, from the scene's character list (structured
+// stories) or else its text. Falls back to the protagonist so every panel has someone.
+function getSceneCast(scene, cast = []) {
+  if (cast.length <= 1) return cast;
+
+  const listed = scene.characters?.length ? scene.characters.join(' | ') : null;
+  const text = listed || [scene.title, scene.content || scene.description].filter(Boolean).join(' ');
+  const present = cast.filter(member => mentionsCharacter(text, member.name));
+
+  return present.length > 0 ? present : cast.slice(0, 1);
+}
+
+// CAST section for story prompts; empty for single-character stories
+function buildCastPromptSection(cast = []) {
+  if (cast.length <= 1) return '';
+
+  const lines = cast.map(member => {
+    const traits = member.traits?.slice(0, 4).join(', ') || 'no listed traits';
+    return `- ${member.name} (${member.role}): ${member.description || 'no description'}. Traits: ${traits}`;
+  });
+
+  return `CAST (use these names exactly, every character must appear at least once):
+${lines.join('\n')}`;
+}
+
+// "curly red" -> "curly red hair", leaving "orange fur" as it is
+function withNoun(value, noun, pattern) {
+  if (!value) return null;
+  return pattern.test(value) ? value : `${value} ${noun}`;
+}
+
+// Short visual description for image prompts, most identifying attributes first.
+// `appearance` is the structured DNA field from captioning; older records may hold plain text.
+function describeAppearance(appearance) {
+  if (!appearance) return '';
+  if (typeof appearance === 'string') return appearance;
+
+  return [
+    appearance.species,
+    withNoun(appearance.hair, 'hair', /\b(hair|fur|bald|mane|feathers)\b/i),
+    withNoun(appearance.eyes, 'eyes', /\beyes?\b/i),
+    appearance.skin,
+    ...(appearance.clothing || []).slice(0, 2),
+    ...(appearance.accessories || []).slice(0, 1),
+    ...(appearance.distinctive_features || []).slice(0, 2)
+  ].filter(Boolean).join(', ');
+}
+
+const ROLE_LABELS = { protagonist: 'Main character', sidekick: 'Sidekick', antagonist: 'Antagonist' };
+
+// Storyboard panel description of the characters present in a scene
+function buildPanelCharacterPrompt(scene, characterDNA, cast = []) {
+  const members = cast.length > 1 ? getSceneCast(scene, cast) : [characterDNA].filter(Boolean);
+
+  return members.map(member => {
+    let prompt = `${ROLE_LABELS[member.role] || ROLE_LABELS.protagonist}: ${member.name}, ${member.description || member.personality || 'friendly character'}. `;
+    if (member.traits && member.traits.length > 0) {
+      prompt += `Character traits: ${member.traits.slice(0, 3).join(', ')}. `;
+    }
+    if (member.appearance) {
+      prompt += `Appearance: ${describeAppearance(member.appearance)}. `;
+    }
+    return prompt;
+  }).join('');
+}
+
+// Compact cast record stored in result metadata
+function summarizeCast(cast = []) {
+  return cast.map(member => ({
+    id: member.id,
+    name: member.name,
+    role: member.role,
+    is_demo: member.is_demo || false
+  }));
+}
+
+module.exports = {
+  CAST_ROLES,
+  normalizeCastRequest,
+  mentionsCharacter,
+  getSceneCast,
+  buildCastPromptSection,
+  buildPanelCharacterPrompt,
+  describeAppearance,
+  summarizeCast
+};
@@ -0,0 +1,326 @@
+const { v4: uuidv4 } = require('uuid');
+const { updateResult, markStaleAssets } = require('./sceneRegeneration');
+
+// Hand edits to finished stories. Every edit is stored as a revision in the result's
+// `revisions` (newest first): who made it, when, what changed and a snapshot of the
+// story afterwards, so any revision can be restored. Scenes whose text changed list the
+// assets that no longer match it in `stale_assets` until they are regenerated.
+
+const MAX_REVISIONS = 50;
+const SCENE_FIELDS = ['title', 'content', 'narration', 'dialogue'];
+
+function invalidEdit(message) {
+  const error = new Error(message);
+  error.invalidEdit = true;
+  return error;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Same layout as generated scenes: the narration, then the spoken lines
+function composeSceneContent(narration = '', dialogue = []) {
+  const dialogueText = dialogue.map(entry => `${entry.speaker}: "${entry.line}"`).join('\n');
+  return dialogueText ? `${narration}\n\n${dialogueText}` : narration;
+}
+
+function applySceneFields(scene, fields) {
+  const updated = { ...scene };
+  if (fields.title !== undefined) updated.title = fields.title;
+  if (fields.narration !== undefined) updated.narration = fields.narration;
+  if (fields.dialogue !== undefined) updated.dialogue = fields.dialogue;
+
+  if (fields.content !== undefined) {
+    updated.content = fields.content;
+  } else if (fields.narration !== undefined || fields.dialogue !== undefined) {
+    updated.content = composeSceneContent(updated.narration ?? scene.content ?? '', updated.dialogue || []);
+  }
+  updated.description = updated.content;
+  return updated;
+}
+
+// The next free scene_<n> id, so inserted scenes never reuse a deleted scene's id (and its assets)
+function nextSceneId(scenes, usedIds) {
+  const numbers = [...usedIds, ...scenes.map(scene => scene.id)]
+    .map(id => parseInt(String(id).replace(/^scene_/, ''), 10))
+    .filter(Number.isFinite);
+  return `scene_${Math.max(0, ...numbers) + 1}`;
+}
+
+function resolveSceneId(scenes, ref) {
+  const scene = scenes.find(entry => entry.id === ref || String(entry.number) === String(ref));
+  if (!scene) throw invalidEdit(`Scene ${ref} not found`);
+  return scene.id;
+}
+
+// Ids of scenes the story had at any revision or that have stored versions
+function usedSceneIds(result) {
+  const ids = new Set(Object.keys(result.scene_versions || {}));
+  for (const revision of result.revisions || []) {
+    (revision.snapshot?.story?.scenes || []).forEach(scene => ids.add(scene.id));
+  }
+  return [...ids];
+}
+
+// Apply an edit request to a copy of the story; `retiredIds` are never given to inserted scenes
+function applyEdit(story, edit, retiredIds = []) {
+  const edited = clone(story);
+  let scenes = edited.scenes || [];
+  const usedIds = [...retiredIds, ...scenes.map(scene => scene.id)];
+
+  if (edit.title !== undefined) edited.title = edit.title;
+
+  for (const update of edit.scenes || []) {
+    const id = resolveSceneId(scenes, update.id);
+    scenes = scenes.map(scene => (scene.id === id ? applySceneFields(scene, update) : scene));
+  }
+
+  if (edit.delete_scenes?.length) {
+    const deleted = new Set(edit.delete_scenes.map(ref => resolveSceneId(scenes, ref)));
+    scenes = scenes.filter(scene => !deleted.has(scene.id));
+  }
+
+  if (edit.scene_order) {
+    const order = edit.scene_order.map(ref => resolveSceneId(scenes, ref));
+    if (new Set(order).size !== scenes.length || order.length !== scenes.length) {
+      throw invalidEdit('scene_order must list every remaining scene exactly once');
+    }
+    scenes = order.map(id => scenes.find(scene => scene.id === id));
+  }
+
+  for (const insert of edit.insert_scenes || []) {
+    const { after_scene_id: after, ...fields } = insert;
+    const position = after === undefined ? scenes.length : after === null ? 0 : scenes.findIndex(scene => scene.id === resolveSceneId(scenes, after)) + 1;
+    const scene = applySceneFields({
+      id: nextSceneId(scenes, usedIds),
+      characters: [],
+      characterName: story.scenes?.[0]?.characterName,
+      inserted: true
+    }, fields);
+    scenes.splice(position, 0, scene);
+  }
+
+  if (scenes.length === 0) {
+    throw invalidEdit('A story needs at least one scene');
+  }
+
+  edited.scenes = scenes.map((scene, index) => ({ ...scene, number: index + 1 }));
+  edited.totalScenes = edited.scenes.length;
+  return edited;
+}
+
+// What changed between two versions of a story
+function diffStories(before, after) {
+  const changes = [];
+  const beforeScenes = before.scenes || [];
+  const afterScenes = after.scenes || [];
+  const beforeIds = beforeScenes.map(scene => scene.id);
+  const afterIds = afterScenes.map(scene => scene.id);
+
+  if (before.title !== after.title) {
+    changes.push({ type: 'title', from: before.title, to: after.title });
+  }
+
+  for (const scene of beforeScenes) {
+    if (!afterIds.includes(scene.id)) {
+      changes.push({ type: 'scene_deleted', scene_id: scene.id, title: scene.title });
+    }
+  }
+
+  afterScenes.forEach((scene, index) => {
+    const previous = beforeScenes.find(entry => entry.id === scene.id);
+    if (!previous) {
+      changes.push({ type: 'scene_inserted', scene_id: scene.id, position: index + 1, title: scene.title });
+      return;
+    }
+
+    const fields = {};
+    for (const field of SCENE_FIELDS) {
+      if (!isEqual(previous[field], scene[field])) {
+        fields[field] = { from: previous[field] ?? null, to: scene[field] ?? null };
+      }
+    }
+    if (Object.keys(fields).length > 0) {
+      changes.push({ type: 'scene_updated', scene_id: scene.id, fields });
+    }
+  });
+
+  const keptBefore = beforeIds.filter(id => afterIds.includes(id));
+  const keptAfter = afterIds.filter(id => beforeIds.includes(id));
+  if (!isEqual(keptBefore, keptAfter)) {
+    changes.push({ type: 'scene_order', from: keptBefore, to: keptAfter });
+  }
+
+  return changes;
+}
+
+// Flag the narration and storyboards that no longer match the edited text
+function markEditedAssetsStale(result, changes) {
+  for (const change of changes) {
+    if (change.type === 'scene_deleted') {
+      if (result.stale_assets) delete result.stale_assets[change.scene_id];
+    } else if (change.type === 'scene_inserted') {
+      result.stale_assets = { ...(result.stale_assets || {}), [change.scene_id]: ['image', 'narration'] };
+    } else if (change.type === 'scene_updated') {
+      markStaleAssets(result, change.scene_id, Object.keys(change.fields));
+    }
+  }
+
+  result.stale_assets = result.stale_assets || {};
+}
+
+// Keep storyboards and narration clips in scene order, dropping those of deleted scenes
+function syncSceneAssets(result) {
+  const scenes = result.story.scenes;
+  const position = id => scenes.findIndex(scene => scene.id === id);
+
+  if (Array.isArray(result.storyboard_urls)) {
+    // Plain URL storyboards from older results carry no scene id and stay as they are
+    const byScene = result.storyboard_urls.filter(item => typeof item === 'object' && item?.sceneId);
+    if (byScene.length === result.storyboard_urls.length) {
+      result.storyboard_urls = byScene
+        .filter(item => position(item.sceneId) !== -1)
+        .sort((a, b) => position(a.sceneId) - position(b.sceneId));
+    }
+  }
+
+  if (result.audio_narration?.scenes) {
+    const narration = result.audio_narration;
+    narration.scenes = narration.scenes
+      .filter(item => position(item.scene_id) !== -1)
+      .sort((a, b) => position(a.scene_id) - position(b.scene_id))
+      .map(item => ({ ...item, scene_number: position(item.scene_id) + 1 }));
+    narration.story_title = result.story.title;
+    narration.total_duration = narration.scenes.reduce((sum, item) => sum + (item.duration || 0), 0);
+    result.audio_duration = narration.total_duration;
+  }
+
+  result.metadata = {
+    ...result.metadata,
+    storyboards_count: (result.storyboard_urls || []).length,
+    audio_scenes_count: result.audio_narration?.scenes?.length || 0
+  };
+}
+
+// The parts of a result a revision restores
+function takeSnapshot(result) {
+  return clone({
+    story: result.story,
+    storyboard_urls: result.storyboard_urls || [],
+    audio_narration: result.audio_narration || null,
+    stale_assets: result.stale_assets || {}
+  });
+}
+
+// `previous` is the snapshot from before the change, kept as revision 0 on the first edit
+function recordRevision(result, previous, { action, editor, summary, changes, restoredFrom = null }) {
+  const revisions = result.revisions || [];
+
+  // The story as generated becomes revision 0, so the first edit can be undone too
+  if (revisions.length === 0) {
+    revisions.push({
+      revision_id: uuidv4(),
+      number: 0,
+      action: 'generated',
+      created_at: result.metadata?.generated_at || null,
+      editor: null,
+      summary: 'Generated story',
+      changes: [],
+      snapshot: previous
+    });
+  }
+
+  const revision = {
+    revision_id: uuidv4(),
+    number: revisions[0].number + 1,
+    action,
+    created_at: new Date().toISOString(),
+    editor,
+    summary: summary || null,
+    ...(restoredFrom !== null && { restored_from: restoredFrom }),
+    changes,
+    snapshot: takeSnapshot(result)
+  };
+
+  revisions.unshift(revision);
+  result.revisions = revisions.slice(0, MAX_REVISIONS);
+  return revision;
+}
+
+function describeRevision({ snapshot, ...revision }) {
+  return revision;
+}
+
+// Apply an edit to a finished story and record it as a revision
+async function editStory(storyId, edit, { editor = null } = {}) {
+  return updateResult(storyId, (result) => {
+    const story = applyEdit(result.story, edit, usedSceneIds(result));
+    const changes = diffStories(result.story, story);
+    if (changes.length === 0) {
+      throw invalidEdit('The edit does not change the story');
+    }
+
+    const previous = takeSnapshot(result);
+    result.story = story;
+    markEditedAssetsStale(result, changes);
+    syncSceneAssets(result);
+
+    const revision = recordRevision(result, previous, {
+      action: 'edit',
+      editor,
+      summary: edit.summary,
+      changes
+    });
+
+    console.log(`✏️ Story ${storyId} edited (revision ${revision.number}, ${changes.length} change${changes.length === 1 ? '' : 's'})`);
+    return { result, revision: describeRevision(revision) };
+  });
+}
+
+function listRevisions(result) {
+  return (result.revisions || []).map(describeRevision);
+}
+
+// Bring the story back to a revision; the restore is a revision of its own
+async function restoreRevision(storyId, revisionId, { editor = null } = {}) {
+  return updateResult(storyId, (result) => {
+    const target = (result.revisions || []).find(revision => revision.revision_id === revisionId);
+    if (!target) {
+      const error = new Error(`Revision ${revisionId} not found`);
+      error.revisionNotFound = true;
+      throw error;
+    }
+
+    const snapshot = clone(target.snapshot);
+    const changes = diffStories(result.story, snapshot.story);
+    if (changes.length === 0) {
+      throw invalidEdit(`The story already matches revision ${target.number}`);
+    }
+
+    const previous = takeSnapshot(result);
+    Object.assign(result, snapshot);
+    syncSceneAssets(result);
+
+    const revision = recordRevision(result, previous, {
+      action: 'restore',
+      editor,
+      summary: `Restored revision ${target.number}`,
+      changes,
+      restoredFrom: target.number
+    });
+
+    console.log(`↩️ Story ${storyId} restored to revision ${target.number} (revision ${revision.number})`);
+    return { result, revision: describeRevision(revision) };
+  });
+}
+
+module.exports = {
+  editStory,
+  listRevisions,
+  restoreRevision
+};
@@ -1,7 +1,24 @@
 const { InferenceClient } = require('@huggingface/inference');
+const { DEFAULT_SCENE_COUNT, resolveSceneCount, getCameraAngle } = require('./storyStructure');
+const { buildCastPromptSection } = require('./storyCast');
+const { buildContinuityPromptSection } = require('./continuity');
+const {
+  resolveReadingTarget,
+  buildReadingLevelPromptSection,
+  checkReadingLevel,
+  distanceFromTarget,
+  describeReadingLevel
+} = require('./readability');
+const { DEFAULT_LANGUAGE, LANGUAGES, buildLanguagePromptSection, getStoryLanguage } = require('./languages');
+const { GeminiStoryGenerator } = require('./geminiAI');
+const { JobCancelledError } = require('./cancellation');
 
 // Initialize Hugging Face client
 const hf = new InferenceClient(process.env.HUGGING_FACE_TOKEN);
+const HF_STORY_MODEL = process.env.HF_STORY_MODEL || 'mistralai/Mistral-7B-Instruct-v0.1';
+const geminiGenerator = new GeminiStoryGenerator();
+const MAX_READING_LEVEL_REWRITES = parseInt(process.env.MAX_READING_LEVEL_REWRITES || '1', 10);
+const TRANSLATION_UNAVAILABLE_MESSAGE = 'Story translation needs Gemini: set GEMINI_API_KEY and turn off DEMO_MODE';
 
 const GENRE_TEMPLATES = {
   fantasy: {
@@ -26,85 +43,83 @@ const GENRE_TEMPLATES = {
   }
 };
 
-async function generateStory(prompt, genre = 'adventure', characterDNA) {
+async function generateStory(prompt, genre = 'adventure', characterDNA, options = {}) {
+  const sceneCount = resolveSceneCount(options);
+
   try {
     console.log(`Generating story for genre: ${genre}`);
     console.log(`Character: ${characterDNA.name}`);
     console.log(`Prompt: ${prompt}`);
 
     if (process.env.DEMO_MODE === 'true') {
-      return generateDemoStory(prompt, genre, characterDNA);
+      return generateDemoStory(prompt, genre, characterDNA, sceneCount);
     }
 
-    // Use Mistral 7B for story generation
-    const storyPrompt = buildStoryPrompt(prompt, genre, characterDNA);
-    
-    const response = await hf.textGeneration({
-      model: 'mistralai/Mistral-7B-Instruct-v0.1',
-      inputs: storyPrompt,
-      parameters: {
-        max_new_tokens: 800,
-        temperature: 0.7,
-        top_p: 0.9,
-        repetition_penalty: 1.1,
-        return_full_text: false
-      }
-    });
-
-    const generatedText = response.generated_text || '';
-    return parseGeneratedStory(generatedText, characterDNA);
+    return await generateHuggingFaceStory(prompt, genre, characterDNA, options);
 
   } catch (error) {
     console.warn('Story generation failed, using demo story:', error.message);
-    return generateDemoStory(prompt, genre, characterDNA);
+    return generateDemoStory(prompt, genre, characterDNA, sceneCount);
   }
 }
 
-function buildStoryPrompt(prompt, genre, characterDNA) {
+// Use Mistral 7B for story generation; throws so callers can pick their own fallback
+async function generateHuggingFaceStory(prompt, genre, characterDNA, options = {}) {
+  const sceneCount = resolveSceneCount(options);
+  const storyPrompt = buildStoryPrompt(prompt, genre, characterDNA, sceneCount, options);
+
+  const response = await hf.textGeneration({
+    model: HF_STORY_MODEL,
+    inputs: storyPrompt,
+    parameters: {
+      max_new_tokens: Math.max(800, sceneCount * 200),
+      temperature: 0.7,
+      top_p: 0.9,
+      repetition_penalty: 1.1,
+      return_full_text: false
+    }
+  }, { signal: options.signal });
+
+  const generatedText = response.generated_text || '';
+  return parseGeneratedStory(generatedText, characterDNA, sceneCount);
+}
+
+// options.cast and options.continuity add the CAST and series continuity sections,
+// options.audience / options.readingLevel the AUDIENCE section and options.language the LANGUAGE section
+function buildStoryPrompt(prompt, genre, characterDNA, sceneCount = DEFAULT_SCENE_COUNT, options = {}) {
   const template = GENRE_TEMPLATES[genre] || GENRE_TEMPLATES.adventure;
   const characterName = characterDNA.name || 'the protagonist';
-  
-  const cameraAngles = [
-    "Wide shot", "Medium shot", "Close-up", "Extreme close-up",
-    "Over-the-shoulder shot", "High angle", "Low angle", "Bird's-eye view"
-  ];
+  const castSection = options.cast?.length > 1 ? `${buildCastPromptSection(options.cast)}\n` : '';
+  const continuitySection = buildContinuityPromptSection(options.continuity, options.episodeNumber);
+  const readingSection = buildReadingLevelPromptSection(options);
+  const languageSection = buildLanguagePromptSection(options);
+
+  const sceneFormat = Array.from({ length: sceneCount }, (_, index) => `Scene ${index + 1}: [Brief title]
+Camera: ${getCameraAngle(index)}
+[One simple sentence describing the visual action]`).join('\n\n');
   
   return `You are a professional story creator. Follow this format EXACTLY or the system will fail.
 
 Story prompt: ${prompt}
 Character: ${characterName} in ${genre} genre
-
-CRITICAL REQUIREMENT: Create EXACTLY 4 scenes - NO MORE, NO LESS
+${castSection}${continuitySection}${readingSection}${languageSection}
+CRITICAL REQUIREMENT: Create EXACTLY ${sceneCount} scenes - NO MORE, NO LESS
 
 MANDATORY FORMAT - DO NOT DEVIATE:
 
-Scene 1: [Brief title]
-Camera: Wide shot
-[One simple sentence describing the visual action]
-
-Scene 2: [Brief title]
-Camera: Medium shot
-[One simple sentence describing the visual action]
-
-Scene 3: [Brief title]
-Camera: Close-up
-[One simple sentence describing the visual action]
-
-Scene 4: [Brief title]
-Camera: Low angle
-[One simple sentence describing the visual action]
+${sceneFormat}
 
 FULL STORY:
 [Complete detailed narrative with dialogue, character development, and rich descriptions]
 
 IMPORTANT REMINDERS:
-- EXACTLY 4 scenes only
+- EXACTLY ${sceneCount} scenes only
 - Each scene must have "Scene X:", "Camera:", and description
 - Use different camera angles as specified above
 - Keep scene descriptions simple and visual
 - Full story should be detailed and complete
 
-EXAMPLE FORMAT:
+EXAMPLE FORMAT${sceneCount !== DEFAULT_SCENE_COUNT ? ` (format only - your story needs ${sceneCount} scenes)` : ''}:
 Scene 1: The Discovery
 Camera: Wide shot
 ${characterName} explores a mysterious space station floating in the void.
@@ -124,10 +139,10 @@ ${characterName} races through corridors as alarms blare around them.
 FULL STORY:
 [Complete story would go here...]
 
-NOW CREATE YOUR STORY WITH EXACTLY 4 SCENES FOLLOWING THIS EXACT FORMAT:`;
+NOW CREATE YOUR STORY WITH EXACTLY ${sceneCount} SCENES FOLLOWING THIS EXACT FORMAT:`;
 }
 
-function parseGeneratedStory(generatedText, characterDNA) {
+function parseGeneratedStory(generatedText, characterDNA, sceneCount = DEFAULT_SCENE_COUNT) {
   try {
     const scenes = [];
     let fullStory = '';
@@ -163,12 +178,11 @@ function parseGeneratedStory(generatedText, characterDNA) {
     // Enhanced fallback parsing with predefined camera angles
     if (scenes.length === 0) {
       console.log('Using enhanced fallback parsing for scenes');
-      const cameraAngles = ["Wide shot", "Medium shot", "Close-up", "Low angle"];
       
       // Try to find scene patterns and extract content
       const sceneMatches = generatedText.match(/Scene \d+:[^\n]*\n[^S]*/g);
       if (sceneMatches) {
-        for (let i = 0; i < Math.min(4, sceneMatches.length); i++) {
+        for (let i = 0; i < Math.min(sceneCount, sceneMatches.length); i++) {
           const sceneText = sceneMatches[i];
           const titleMatch = sceneText.match(/Scene \d+:\s*([^\n]+)/);
           const title = titleMatch ? titleMatch[1].trim() : `Scene ${i + 1}`;
@@ -181,22 +195,21 @@ function parseGeneratedStory(generatedText, characterDNA) {
             id: `scene_${i + 1}`,
             number: i + 1,
             title: title,
-            camera: cameraAngles[i],
+            camera: getCameraAngle(i),
             description: description,
             character: characterDNA.name
           });
-          console.log(`Fallback scene ${i + 1} with camera: ${cameraAngles[i]}`);
+          console.log(`Fallback scene ${i + 1} with camera: ${getCameraAngle(i)}`);
         }
       } else {
-        // Ultimate fallback - create exactly 4 default scenes
-        console.log('Creating exactly 4 default demo scenes with camera angles');
-        const cameraAngles = ["Wide shot", "Medium shot", "Close-up", "Low angle"];
-        for (let i = 0; i < 4; i++) {
+        // Ultimate fallback - create the requested number of default scenes
+        console.log(`Creating exactly ${sceneCount} default demo scenes with camera angles`);
+        for (let i = 0; i < sceneCount; i++) {
           scenes.push({
             id: `scene_${i + 1}`,
             number: i + 1,
             title: `Scene ${i + 1}`,
-            camera: cameraAngles[i],
+            camera: getCameraAngle(i),
             description: `${characterDNA.name} in an adventure scene.`,
             character: characterDNA.name
           });
@@ -204,20 +217,19 @@ function parseGeneratedStory(generatedText, characterDNA) {
       }
     }
 
-    // CRITICAL: Ensure exactly 4 scenes - trim if more, pad if fewer
-    if (scenes.length > 4) {
-      console.log(`Found ${scenes.length} scenes, trimming to exactly 4 scenes`);
-      scenes.splice(4); // Remove scenes beyond the 4th
-    } else if (scenes.length < 4) {
-      console.log(`Found ${scenes.length} scenes, padding to exactly 4 scenes`);
-      const cameraAngles = ["Wide shot", "Medium shot", "Close-up", "Low angle"];
-      while (scenes.length < 4) {
+    // CRITICAL: Ensure exactly sceneCount scenes - trim if more, pad if fewer
+    if (scenes.length > sceneCount) {
+      console.log(`Found ${scenes.length} scenes, trimming to exactly ${sceneCount} scenes`);
+      scenes.splice(sceneCount); // Remove scenes beyond the last requested one
+    } else if (scenes.length < sceneCount) {
+      console.log(`Found ${scenes.length} scenes, padding to exactly ${sceneCount} scenes`);
+      while (scenes.length < sceneCount) {
         const sceneNum = scenes.length + 1;
         scenes.push({
           id: `scene_${sceneNum}`,
           number: sceneNum,
           title: `Scene ${sceneNum}`,
-          camera: cameraAngles[sceneNum - 1],
+          camera: getCameraAngle(sceneNum - 1),
           description: `${characterDNA.name} continues the adventure.`,
           character: characterDNA.name
         });
@@ -240,7 +252,7 @@ function parseGeneratedStory(generatedText, characterDNA) {
       genre: 'adventure',
       character: characterDNA.name,
       fullStory: fullStory,
-      scenes: scenes, // Always exactly 4 scenes now
+      scenes: scenes, // Always exactly sceneCount scenes now
       metadata: {
         generated_at: new Date().toISOString(),
         word_count: generatedText.split(' ').length,
@@ -254,47 +266,47 @@ function parseGeneratedStory(generatedText, characterDNA) {
   }
 }
 
-function generateDemoStory(prompt, genre, characterDNA) {
-  const template = GENRE_TEMPLATES[genre] || GENRE_TEMPLATES.adventure;
+function generateDemoStory(prompt, genre, characterDNA, sceneCount = DEFAULT_SCENE_COUNT, template = GENRE_TEMPLATES[genre] || GENRE_TEMPLATES.adventure) {
   const characterName = characterDNA.name;
 
-  const cameraAngles = ["Wide shot", "Medium shot", "Close-up", "Low angle"];
+  const openingScene = {
+    title: 'The Discovery',
+    description: `${characterName} finds a glowing artifact in ${template.settings[0]}.`
+  };
+  const middleScenes = [
+    { title: 'The Challenge', description: `${characterName} battles ${template.conflicts[0]} using the artifact's power.` },
+    { title: 'The Journey', description: `${characterName} travels deeper into ${template.settings[1]}, guided by ${template.elements[0]}.` },
+    { title: 'The Setback', description: `${characterName} is cornered by ${template.conflicts[1]} and must find another way.` },
+    { title: 'The Ally', description: `${characterName} earns an unlikely friend who knows the secrets of ${template.elements[2]}.` },
+    { title: 'The Trial', description: `${characterName} faces ${template.conflicts[2]} and holds firm.` },
+    { title: 'The Clue', description: `${characterName} uncovers ${template.elements[3]} that points the way forward.` }
+  ];
+  const climaxScene = {
+    title: 'The Revelation',
+    description: `${characterName} discovers the truth about ${template.elements[1]} hidden within ${template.settings[2]}.`
+  };
+  const finalScene = {
+    title: 'The Triumph',
+    description: `${characterName} emerges victorious and transformed in ${template.settings[3]}.`
+  };
 
-  const demoScenes = [
-    {
-      id: 'scene_1',
-      number: 1,
-      title: 'The Discovery',
-      camera: cameraAngles[0],
-      description: `${characterName} finds a glowing artifact in ${template.settings[0]}.`,
-      character: characterName
-    },
-    {
-      id: 'scene_2',
-      number: 2,
-      title: 'The Challenge',
-      camera: cameraAngles[1],
-      description: `${characterName} battles ${template.conflicts[0]} using the artifact's power.`,
-      character: characterName
-    },
-    {
-      id: 'scene_3',
-      number: 3,
-      title: 'The Revelation',
-      camera: cameraAngles[2],
-      description: `${characterName} discovers the truth about ${template.elements[1]} hidden within ${template.settings[2]}.`,
-      character: characterName
-    },
-    {
-      id: 'scene_4',
-      number: 4,
-      title: 'The Triumph',
-      camera: cameraAngles[3],
-      description: `${characterName} emerges victorious and transformed in ${template.settings[3]}.`,
-      character: characterName
-    }
+  // Opening, middle scenes cycled as needed, then the revelation and the ending
+  const outline = [
+    openingScene,
+    ...Array.from({ length: sceneCount - 3 }, (_, index) => middleScenes[index % middleScenes.length]),
+    climaxScene,
+    finalScene
   ];
 
+  const demoScenes = outline.map((scene, index) => ({
+    id: `scene_${index + 1}`,
+    number: index + 1,
+    title: scene.title,
+    camera: getCameraAngle(index),
+    description: scene.description,
+    character: characterName
+  }));
+
   const demoFullStory = `In this ${genre} tale, ${characterName} embarks on an incredible journey. The adventure begins when ${characterName} finds a glowing artifact in ${template.settings[0]}, setting off a chain of events that will test their courage and determination.
 
 As the story unfolds, ${characterName} must battle ${template.conflicts[0]} using the artifact's mysterious power. Through trials and challenges, they discover the truth about ${template.elements[1]} hidden within ${template.settings[2]}.
@@ -318,75 +330,245 @@ This generated demo story showcases the ${genre} genre with its characteristic e
   };
 }
 
-// Generate "What if?" variations
-async function generateVariation(originalStory, whatIfPrompt) {
-  try {
-    console.log(`Generating variation: ${whatIfPrompt}`);
-    
-    const variationPrompt = `Take this story and modify it based on: "${whatIfPrompt}"
+// Deterministic offline story: the prompt decides which genre elements appear where
+function generateTemplateStory(prompt, genre, characterDNA, options = {}) {
+  const baseTemplate = GENRE_TEMPLATES[genre] || GENRE_TEMPLATES.adventure;
+  const seed = [...prompt].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7);
 
-Original story:
-${originalStory.scenes.map((scene, i) => `Scene ${i + 1}: ${scene.title}\n${scene.description}`).join('\n\n')}
-
-Create a variation with the same 4-scene structure but incorporating the "what if" scenario.
+  const template = Object.fromEntries(Object.entries(baseTemplate).map(([key, values], index) => {
+    const offset = (seed + index) % values.length;
+    return [key, [...values.slice(offset), ...values.slice(0, offset)]];
+  }));
 
-Variation:`;
+  const story = generateDemoStory(prompt, genre, characterDNA, resolveSceneCount(options), template);
+  story.metadata = { ...story.metadata, is_demo: false, is_template: true, template_seed: seed };
+  return story;
+}
 
-    if (process.env.DEMO_MODE === 'true') {
-      return generateDemoVariation(originalStory, whatIfPrompt);
-    }
+// Check a generated story against its audience's reading level and ask Gemini to rewrite it
+// when it misses. Keeps whichever draft lands closest; offline the first draft is kept as is.
+async function matchReadingLevel(story, characterDNA, options = {}) {
+  // The readability formulas only hold for English; other languages rely on the prompt's AUDIENCE section
+  if (getStoryLanguage(story, options) !== DEFAULT_LANGUAGE) {
+    return { story, readingLevel: null };
+  }
 
-    const response = await hf.textGeneration({
-      model: 'mistralai/Mistral-7B-Instruct-v0.1',
-      inputs: variationPrompt,
-      parameters: {
-        max_new_tokens: 600,
-        temperature: 0.8,
-        top_p: 0.9,
-        return_full_text: false
-      }
-    });
+  const target = resolveReadingTarget(options);
+  let best = { story, check: checkReadingLevel(story, target) };
+  let rewrites = 0;
 
-    const generatedText = response.generated_text || '';
-    return parseGeneratedStory(generatedText, { name: originalStory.character, id: 'variation' });
+  const canRewrite = target && process.env.DEMO_MODE !== 'true' && process.env.GEMINI_API_KEY;
+  while (canRewrite && !best.check.on_target && rewrites < MAX_READING_LEVEL_REWRITES) {
+    rewrites++;
+    console.log(`📚 Story reads at grade ${best.check.analysis.grade_level}, target is ${target.min_grade}-${target.max_grade} - rewriting (${rewrites}/${MAX_READING_LEVEL_REWRITES})`);
+    if (options.onRewrite) await options.onRewrite(target, best.check.analysis);
 
-  } catch (error) {
-    console.warn('Variation generation failed, using demo:', error.message);
-    return generateDemoVariation(originalStory, whatIfPrompt);
+    try {
+      const rewritten = await geminiGenerator.rewriteForReadingLevel(best.story, target, best.check.analysis, characterDNA, {
+        ...options,
+        onTextDelta: null // the rewrite must not replace the streamed draft
+      });
+      const scenes = best.story.scenes.map((scene, index) => ({ ...scene, ...rewritten.scenes[index] }));
+      const candidate = {
+        ...best.story,
+        logline: rewritten.logline || best.story.logline,
+        scenes,
+        ...(best.story.fullStory && { fullStory: scenes.map(scene => scene.content).join('\n\n') })
+      };
+      const check = checkReadingLevel(candidate, target);
+
+      if (distanceFromTarget(check.analysis, target) < distanceFromTarget(best.check.analysis, target)) {
+        best = { story: candidate, check };
+      }
+    } catch (error) {
+      if (error instanceof JobCancelledError) throw error;
+      console.warn('Reading level rewrite failed, keeping the current draft:', error.message);
+      break;
+    }
   }
+
+  return { story: best.story, readingLevel: describeReadingLevel(best.check, target, rewrites) };
 }
 
-function generateDemoVariation(originalStory, whatIfPrompt) {
-  const cameraAngles = ["High angle", "Extreme close-up", "Bird's-eye view", "Over-the-shoulder shot"];
-  
-  const scenes = originalStory.scenes.map((scene, index) => ({
-    ...scene,
-    camera: cameraAngles[index] || scene.camera,
-    description: `${scene.description} What if ${whatIfPrompt}? This changes everything.`
-  }));
+// "What if?" variation: keep the story up to the fork scene and write a new path from
+// there with Gemini. Falls back to a template continuation offline or on failure.
+async function generateVariation(originalStory, whatIfPrompt, options = {}) {
+  const forkIndex = options.forkSceneIndex ?? 0;
+  const characterDNA = options.characterDNA || { name: originalStory.character?.name || originalStory.character || 'the hero' };
+  const premise = normalizeWhatIf(whatIfPrompt);
 
-  const variationFullStory = `${originalStory.fullStory || originalStory.title}
+  if (forkIndex < 0 || forkIndex >= originalStory.scenes.length - 1) {
+    throw new Error(`Cannot fork at scene ${forkIndex + 1}, it must be followed by at least one scene`);
+  }
 
-VARIATION: What if ${whatIfPrompt}?
+  console.log(`Generating variation from scene ${forkIndex + 1}: what if ${premise}?`);
+
+  let branch;
+  if (process.env.DEMO_MODE === 'true' || !process.env.GEMINI_API_KEY) {
+    branch = generateDemoVariation(originalStory, premise, forkIndex, characterDNA, options);
+  } else {
+    try {
+      branch = await geminiGenerator.generateVariation(originalStory, forkIndex, premise, characterDNA, options);
+    } catch (error) {
+      if (error instanceof JobCancelledError) throw error;
+      console.warn('Variation generation failed, using template continuation:', error.message);
+      branch = generateDemoVariation(originalStory, premise, forkIndex, characterDNA, options);
+    }
+  }
 
-This variation explores an alternative path where ${whatIfPrompt}, fundamentally changing the narrative trajectory. The core story elements remain, but the circumstances and outcomes shift dramatically, creating new possibilities and unexpected developments that challenge both the character and the audience's expectations.`;
+  const scenes = [...originalStory.scenes.slice(0, forkIndex + 1), ...branch.scenes];
 
   return {
     ...originalStory,
-    title: `${originalStory.title} - What If Variation`,
-    fullStory: variationFullStory,
-    scenes: scenes,
+    title: branch.title,
+    logline: branch.logline,
+    fullStory: scenes.map(scene => scene.content || scene.description).join('\n\n'),
+    scenes,
+    totalScenes: scenes.length,
     metadata: {
       ...originalStory.metadata,
-      variation_prompt: whatIfPrompt,
+      ...branch.metadata,
+      variation_prompt: premise,
+      fork_scene_number: forkIndex + 1,
       is_variation: true,
       generated_at: new Date().toISOString()
     }
   };
 }
 
+// "What if the dragon was friendly?" -> "the dragon was friendly"
+function normalizeWhatIf(whatIfPrompt) {
+  return whatIfPrompt.trim().replace(/^what\s+if\s+/i, '').replace(/[?.!\s]+$/, '');
+}
+
+// Offline continuation: the premise takes effect in the first new scene and
+// shapes every scene after it, using the genre's settings and conflicts
+function generateDemoVariation(originalStory, premise, forkIndex, characterDNA, options = {}) {
+  const characterName = characterDNA.name;
+  const genre = options.genre || originalStory.genre || 'adventure';
+  const template = GENRE_TEMPLATES[genre] || GENRE_TEMPLATES.adventure;
+  const sceneCount = originalStory.scenes.length - forkIndex - 1;
+  // Branches of branches keep the original title rather than stacking suffixes
+  const baseTitle = (originalStory.title || `${characterName}'s Story`).replace(/ \(What if .*\?\)$/, '');
+
+  const turningPoint = {
+    title: 'A Different Turn',
+    description: `Everything changes: ${premise}. ${characterName} has to rethink the plan and heads for ${template.settings[1]} instead.`
+  };
+  const middleScenes = [
+    { title: 'New Ground', description: `Because ${premise}, ${characterName} ventures into ${template.settings[2]} in search of ${template.elements[0]}.` },
+    { title: 'Unexpected Trouble', description: `The new path brings ${template.conflicts[1]}, and ${characterName} must adapt quickly.` },
+    { title: 'A New Meaning', description: `${characterName} sees ${template.elements[3]} in a new light now that ${premise}.` }
+  ];
+  const newEnding = {
+    title: 'A New Ending',
+    description: `${characterName} finds a different kind of victory in ${template.settings[3]}, all because ${premise}.`
+  };
+
+  const outline = sceneCount === 1
+    ? [{ title: 'A Different Ending', description: `Everything changes: ${premise}. ${characterName} faces the consequences head-on and finds a new ending in ${template.settings[3]}.` }]
+    : [
+      turningPoint,
+      ...Array.from({ length: sceneCount - 2 }, (_, index) => middleScenes[index % middleScenes.length]),
+      newEnding
+    ];
+
+  const scenes = outline.map((scene, offset) => {
+    const index = forkIndex + 1 + offset;
+    return {
+      id: `scene_${index + 1}`,
+      number: index + 1,
+      title: scene.title,
+      camera: getCameraAngle(index),
+      content: scene.description,
+      description: scene.description,
+      character: characterName
+    };
+  });
+
+  return {
+    title: `${baseTitle} (What if ${premise}?)`,
+    logline: `What if ${premise}? ${characterName}'s story takes a different turn after scene ${forkIndex + 1}.`,
+    scenes,
+    metadata: { is_demo: true }
+  };
+}
+
+// Translation and writing assist rewrite the user's own words, which no offline stand-in can do,
+// so both need Gemini and are unavailable in demo mode
+function isGeminiWritingAvailable() {
+  return process.env.DEMO_MODE !== 'true' && Boolean(process.env.GEMINI_API_KEY);
+}
+
+function isTranslationAvailable() {
+  return isGeminiWritingAvailable();
+}
+
+// Translate a story into options.language with Gemini. Only the words change: scene ids,
+// cameras and storyboard prompts are the original's, so its pictures still fit.
+async function translateStory(story, options = {}) {
+  if (!isTranslationAvailable()) {
+    const error = new Error(TRANSLATION_UNAVAILABLE_MESSAGE);
+    error.translationUnavailable = true;
+    throw error;
+  }
+
+  const characterDNA = options.characterDNA || { name: story.character?.name || story.character || 'the hero' };
+  console.log(`Translating story "${story.title}" into ${LANGUAGES[options.language].name}`);
+  const translation = await geminiGenerator.translateStory(story, characterDNA, options);
+
+  const scenes = story.scenes.map((scene, index) => {
+    const { title, content, description, narration, dialogue } = translation.scenes[index];
+    return {
+      ...scene,
+      title,
+      content,
+      description,
+      ...(narration !== undefined && { narration }),
+      ...(dialogue !== undefined && { dialogue })
+    };
+  });
+
+  return {
+    ...story,
+    title: translation.title,
+    logline: translation.logline,
+    fullStory: scenes.map(scene => scene.content || scene.description).join('\n\n'),
+    scenes,
+    metadata: {
+      ...story.metadata,
+      ...translation.metadata,
+      language: options.language,
+      generated_at: new Date().toISOString()
+    }
+  };
+}
+
+// Co-writing assist on one scene: the new text for request.passage (see GeminiStoryGenerator.assistScene)
+async function assistScene(story, sceneIndex, request, options = {}) {
+  if (!isGeminiWritingAvailable()) {
+    const error = new Error('Writing assist needs Gemini: set GEMINI_API_KEY and turn off DEMO_MODE');
+    error.assistUnavailable = true;
+    throw error;
+  }
+
+  const characterDNA = options.characterDNA || { name: story.character?.name || story.character || 'the hero' };
+
+  return geminiGenerator.assistScene(story, sceneIndex, request, characterDNA, options);
+}
+
 module.exports = {
   generateStory,
+  generateHuggingFaceStory,
+  generateTemplateStory,
   generateVariation,
-  GENRE_TEMPLATES
+  translateStory,
+  isTranslationAvailable,
+  TRANSLATION_UNAVAILABLE_MESSAGE,
+  assistScene,
+  buildStoryPrompt,
+  matchReadingLevel,
+  parseGeneratedStory,
+  GENRE_TEMPLATES,
+  HF_STORY_MODEL
 };
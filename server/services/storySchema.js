@@ -0,0 +1,230 @@
+const Joi = require('joi');
+const { SchemaType } = require('@google/generative-ai');
+
+// Shape of the JSON story Gemini is asked to return in structured output mode
+const dialogueLineSchema = Joi.object({
+  speaker: Joi.string().trim().min(1).max(100).required(),
+  line: Joi.string().trim().min(1).max(500).required()
+});
+
+const structuredSceneSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(200).required(),
+  narration: Joi.string().trim().min(20).max(2000).required(),
+  dialogue: Joi.array().items(dialogueLineSchema).max(10).default([]),
+  setting: Joi.string().trim().min(1).max(300).required(),
+  characters: Joi.array().items(Joi.string().trim().min(1).max(100)).min(1).max(10).required(),
+  camera: Joi.string().trim().min(1).max(100).required(),
+  mood: Joi.string().trim().min(1).max(100).required(),
+  storyboardPrompt: Joi.string().trim().min(10).max(1000).required()
+});
+
+function buildStoryResponseSchema(sceneCount) {
+  return Joi.object({
+    title: Joi.string().trim().min(1).max(200).required(),
+    logline: Joi.string().trim().min(1).max(500).required(),
+    scenes: Joi.array().items(structuredSceneSchema).length(sceneCount).required()
+  });
+}
+
+// Interactive stories: one scene (node) at a time, ending in the reader's choices.
+// The opening node also carries the story title and logline; endings have no choices.
+function buildNodeResponseSchema({ opening = false, ending = false } = {}) {
+  const choices = ending
+    ? Joi.array().length(0).default([])
+    : Joi.array().items(Joi.string().trim().min(2).max(150)).min(2).max(3).required();
+
+  return Joi.object({
+    ...(opening && {
+      title: Joi.string().trim().min(1).max(200).required(),
+      logline: Joi.string().trim().min(1).max(500).required()
+    }),
+    scene: structuredSceneSchema.keys({ choices }).required()
+  });
+}
+
+// Co-writing assist: the rewritten passage (or, when continuing, only the new text)
+const assistResponseSchema = Joi.object({
+  text: Joi.string().trim().min(1).max(5000).required()
+});
+
+// What a captioner reads off a character's reference images. `appearance` is also the shape
+// users edit before saving, and what image prompts describe the character with.
+const attributeList = (max) => Joi.array().items(Joi.string().trim().min(1).max(100)).max(max).default([]);
+
+const characterAppearanceSchema = Joi.object({
+  species: Joi.string().trim().max(100).allow('').default(''),
+  hair: Joi.string().trim().max(200).allow('').default(''),
+  eyes: Joi.string().trim().max(200).allow('').default(''),
+  skin: Joi.string().trim().max(200).allow('').default(''),
+  clothing: attributeList(10),
+  accessories: attributeList(10),
+  colors: attributeList(8),
+  distinctive_features: attributeList(10)
+});
+
+const characterCaptionSchema = Joi.object({
+  description: Joi.string().trim().min(1).max(1000).required(),
+  appearance: characterAppearanceSchema.required(),
+  personality: attributeList(8)
+});
+
+const string = (description) => ({ type: SchemaType.STRING, description });
+
+const geminiSceneProperties = {
+  title: string('Engaging scene title'),
+  narration: string('2-3 sentences of narrative story content'),
+  dialogue: {
+    type: SchemaType.ARRAY,
+    items: {
+      type: SchemaType.OBJECT,
+      properties: {
+        speaker: string('Name of the character speaking'),
+        line: string('What the character says')
+      },
+      required: ['speaker', 'line']
+    }
+  },
+  setting: string('Where the scene takes place'),
+  characters: { type: SchemaType.ARRAY, items: string('Character name') },
+  camera: string('Camera angle, e.g. Wide shot, Close-up'),
+  mood: string('Emotional mood of the scene'),
+  storyboardPrompt: string('Visual description of the scene for an illustrator')
+};
+const geminiSceneRequired = ['title', 'narration', 'setting', 'characters', 'camera', 'mood', 'storyboardPrompt'];
+
+// Same shape expressed as a Gemini responseSchema so the model is constrained up front
+function buildGeminiResponseSchema(sceneCount) {
+  return {
+    type: SchemaType.OBJECT,
+    properties: {
+      title: string('Story title'),
+      logline: string('One-sentence summary of the story'),
+      scenes: {
+        type: SchemaType.ARRAY,
+        description: `Exactly ${sceneCount} scenes in story order`,
+        minItems: sceneCount,
+        maxItems: sceneCount,
+        items: {
+          type: SchemaType.OBJECT,
+          properties: geminiSceneProperties,
+          required: geminiSceneRequired
+        }
+      }
+    },
+    required: ['title', 'logline', 'scenes']
+  };
+}
+
+function buildGeminiNodeSchema({ opening = false, ending = false } = {}) {
+  const choices = {
+    type: SchemaType.ARRAY,
+    description: ending ? 'Empty - this scene ends the story' : '2 or 3 short actions the reader can choose between',
+    items: string('What the reader can choose to do next'),
+    ...(!ending && { minItems: 2, maxItems: 3 })
+  };
+
+  return {
+    type: SchemaType.OBJECT,
+    properties: {
+      ...(opening && {
+        title: string('Story title'),
+        logline: string('One-sentence summary of the story premise')
+      }),
+      scene: {
+        type: SchemaType.OBJECT,
+        properties: { ...geminiSceneProperties, choices },
+        required: [...geminiSceneRequired, 'choices']
+      }
+    },
+    required: [...(opening ? ['title', 'logline'] : []), 'scene']
+  };
+}
+
+function buildGeminiAssistSchema() {
+  return {
+    type: SchemaType.OBJECT,
+    properties: {
+      text: string('The revised passage, or the new text that continues it')
+    },
+    required: ['text']
+  };
+}
+
+function buildGeminiCaptionSchema() {
+  const list = (description) => ({ type: SchemaType.ARRAY, items: string(description) });
+  return {
+    type: SchemaType.OBJECT,
+    properties: {
+      description: string('Two or three sentences describing how the character looks and seems, for a storyteller'),
+      appearance: {
+        type: SchemaType.OBJECT,
+        properties: {
+          species: string('What the character is, e.g. "young girl", "orange tabby cat", "robot"'),
+          hair: string('Hair or fur: colour, length and style; empty if none'),
+          eyes: string('Eye colour and shape; empty if not visible'),
+          skin: string('Skin, fur or surface colour and texture'),
+          clothing: list('One garment with its colour, e.g. "yellow raincoat"'),
+          accessories: list('One accessory or carried item, e.g. "round glasses"'),
+          colors: list('A dominant colour of the character'),
+          distinctive_features: list('A feature that makes the character recognisable, e.g. "freckles", "missing front tooth"')
+        },
+        required: ['species', 'hair', 'eyes', 'skin', 'clothing', 'accessories', 'colors', 'distinctive_features']
+      },
+      personality: list('A personality hint suggested by pose and expression, e.g. "curious"')
+    },
+    required: ['description', 'appearance', 'personality']
+  };
+}
+
+// Parse a raw model response and validate it against a Joi schema; returns { value } or { error }
+function validateJsonResponse(rawText, schema) {
+  let parsed;
+  try {
+    // Tolerate markdown fences around the JSON
+    const jsonText = rawText.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    parsed = JSON.parse(jsonText);
+  } catch (error) {
+    return { error: `Response is not valid JSON: ${error.message}` };
+  }
+
+  const { error, value } = schema.validate(parsed, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return { error: error.details.map(detail => detail.message).join('; ') };
+  }
+
+  return { value };
+}
+
+function validateStoryResponse(rawText, sceneCount) {
+  return validateJsonResponse(rawText, buildStoryResponseSchema(sceneCount));
+}
+
+function validateNodeResponse(rawText, options = {}) {
+  return validateJsonResponse(rawText, buildNodeResponseSchema(options));
+}
+
+function validateAssistResponse(rawText) {
+  return validateJsonResponse(rawText, assistResponseSchema);
+}
+
+function validateCaptionResponse(rawText) {
+  return validateJsonResponse(rawText, characterCaptionSchema);
+}
+
+module.exports = {
+  characterAppearanceSchema,
+  buildStoryResponseSchema,
+  buildGeminiResponseSchema,
+  buildNodeResponseSchema,
+  buildGeminiNodeSchema,
+  buildGeminiAssistSchema,
+  buildGeminiCaptionSchema,
+  validateStoryResponse,
+  validateNodeResponse,
+  validateAssistResponse,
+  validateCaptionResponse
+};
@@ -0,0 +1,76 @@
+// Scene count limits shared by the prompt builders, parsers and exporters
+const DEFAULT_SCENE_COUNT = 4;
+const MIN_SCENE_COUNT = 3;
+const MAX_SCENE_COUNT = 24;
+
+// Camera angles cycled across scenes when the model doesn't provide one
+const CAMERA_ANGLES = ['Wide shot', 'Medium shot', 'Close-up', 'Low angle', 'Over-the-shoulder', 'High angle'];
+
+function resolveSceneCount(options = {}) {
+  const requested = parseInt(options.sceneCount, 10);
+  if (Number.isNaN(requested)) return DEFAULT_SCENE_COUNT;
+  return Math.min(MAX_SCENE_COUNT, Math.max(MIN_SCENE_COUNT, requested));
+}
+
+function getCameraAngle(index) {
+  return CAMERA_ANGLES[index % CAMERA_ANGLES.length];
+}
+
+// Narrative role of a scene within an N-scene arc (opening, middle, climax, ending)
+function getSceneBeat(index, sceneCount) {
+  if (index === 0) return 'opening';
+  if (index === sceneCount - 1) return 'resolution';
+  if (index === sceneCount - 2) return 'climax';
+  return 'development';
+}
+
+// Best-effort scene list from a story that is still streaming in, either as
+// structured JSON or as "SCENE n:" free text. The last scene may be incomplete.
+function extractPartialScenes(text = '') {
+  const decode = (value) => {
+    try {
+      return JSON.parse(`"${value}"`);
+    } catch (error) {
+      return value.replace(/\\(.)/g, '$1'); // cut mid escape sequence
+    }
+  };
+
+  if (text.trimStart().startsWith('{') || text.trimStart().startsWith('```')) {
+    const scenesStart = text.search(/"scenes"\s*:\s*\[/);
+    if (scenesStart === -1) return [];
+
+    // Only scene objects carry a "title" - read title and narration, finished or not
+    return text.slice(scenesStart).split(/"title"\s*:/).slice(1).map((chunk, index) => {
+      const title = chunk.match(/^\s*"((?:[^"\\]|\\.)*)/);
+      const narration = chunk.match(/"narration"\s*:\s*"((?:[^"\\]|\\.)*)("?)/);
+      return {
+        number: index + 1,
+        title: title ? decode(title[1]) : '',
+        content: narration ? decode(narration[1]) : '',
+        partial: !narration || !narration[2]
+      };
+    }).filter(scene => scene.title || scene.content);
+  }
+
+  const parts = text.split(/SCENE\s+\d+:/i).slice(1);
+  return parts.map((part, index) => {
+    const lines = part.trim().split('\n');
+    return {
+      number: index + 1,
+      title: lines[0].replace(/[\[\]*#]/g, '').trim(),
+      content: lines.slice(1).join('\n').trim(),
+      partial: index === parts.length - 1
+    };
+  });
+}
+
+module.exports = {
+  DEFAULT_SCENE_COUNT,
+  MIN_SCENE_COUNT,
+  MAX_SCENE_COUNT,
+  CAMERA_ANGLES,
+  resolveSceneCount,
+  getCameraAngle,
+  getSceneBeat,
+  extractPartialScenes
+};
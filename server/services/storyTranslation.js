@@ -0,0 +1,162 @@
+const { v4: uuidv4 } = require('uuid');
+const { translateStory: translateStoryText, isTranslationAvailable, TRANSLATION_UNAVAILABLE_MESSAGE } = require('./storyEngine');
+const { loadStoryCast } = require('./storyPipeline');
+const { loadResult, saveResult, updateResult } = require('./sceneRegeneration');
+const { generateStoryNarration, resolveNarrationVoice } = require('./voiceService');
+const { DEFAULT_LANGUAGE, getLanguageName } = require('./languages');
+const { assertStoryAllowed, resolveStoryModeration } = require('./moderation');
+const { isAbortError, throwIfAborted } = require('./cancellation');
+
+// Translations are sibling results (storage/results/<id>.json) of the story they were
+// translated from. metadata.translation points at that original story, which lists every
+// translation in `translations`, so any story in the family can find the others.
+
+function getResultLanguage(result) {
+  return result.metadata?.language || DEFAULT_LANGUAGE;
+}
+
+// The untranslated story a result belongs to (the result itself for originals)
+async function loadOriginal(storyId, result) {
+  const originalId = result.metadata?.translation?.original_id || storyId;
+  const original = originalId === storyId ? result : await loadResult(originalId);
+  return original ? { originalId, original } : { originalId: storyId, original: result };
+}
+
+// Every version of a story, the original first
+async function getTranslations(storyId) {
+  const result = await loadResult(storyId);
+  if (!result) return null;
+
+  const { originalId, original } = await loadOriginal(storyId, result);
+  const versions = [
+    {
+      id: originalId,
+      language: getResultLanguage(original),
+      title: original.story?.title || 'Untitled Story',
+      is_original: true,
+      created_at: original.metadata?.generated_at || null
+    },
+    ...(original.translations || []).map(entry => ({ ...entry, is_original: false }))
+  ];
+
+  return { original_id: originalId, language: getResultLanguage(result), translations: versions };
+}
+
+// The story's version in a language, or null when it has not been translated into it
+async function findTranslation(storyId, language) {
+  const family = await getTranslations(storyId);
+  const entry = family?.translations.find(version => version.language === language && version.id !== storyId);
+  if (!entry) return null;
+
+  const result = await loadResult(entry.id);
+  return result ? { id: entry.id, result } : null;
+}
+
+// Narrate the translation in its own language, when the original story was narrated
+async function narrateTranslation(story, language, original, voiceId, signal) {
+  if (!original.audio_narration?.scenes?.length) return null;
+
+  try {
+    const voice = await resolveNarrationVoice(language, {
+      voiceId,
+      fallbackVoiceId: original.audio_narration.voice_id
+    });
+    return await generateStoryNarration(story, voice.voiceId, {
+      language: voice.language,
+      model_id: voice.modelId,
+      signal
+    });
+  } catch (error) {
+    if (isAbortError(error, signal)) throw error;
+    console.warn('⚠️ Narration of the translation failed:', error.message);
+    return null;
+  }
+}
+
+// Translate a finished story into another language. Storyboards are shared with the
+// original; the narration is recorded again in the new language. Runs as a queued job
+// (see taskJobs.js); `onProgress(progress, message)` reports how far it got.
+async function translateStory(storyId, language, { job = null, voiceId, signal, onProgress = async () => {} } = {}) {
+  const source = await loadResult(storyId);
+  const { originalId, original } = await loadOriginal(storyId, source);
+  const { characterDNA, cast } = await loadStoryCast(original, job);
+
+  console.log(`🌐 Translating story ${originalId} into ${getLanguageName(language)}`);
+
+  const story = await translateStoryText(original.story, {
+    language,
+    characterDNA,
+    cast,
+    genre: original.metadata?.genre || job?.genre,
+    tone: job?.options?.tone,
+    audience: job?.options?.audience,
+    readingLevel: job?.options?.readingLevel,
+    signal
+  });
+  throwIfAborted(signal);
+
+  // Checked before any narration is paid for
+  await assertStoryAllowed(story, {
+    ...resolveStoryModeration(original, job),
+    kind: 'translation',
+    subjectId: originalId,
+    label: 'The translation'
+  });
+
+  if (original.audio_narration?.scenes?.length) {
+    await onProgress(60, `Narrating the ${getLanguageName(language)} story...`);
+  }
+  const audioNarration = await narrateTranslation(story, language, original, voiceId, signal);
+  throwIfAborted(signal);
+
+  const id = uuidv4();
+  const createdAt = new Date().toISOString();
+  const translation = {
+    original_id: originalId,
+    source_language: getResultLanguage(original),
+    language,
+    created_at: createdAt
+  };
+
+  // A translation is not an episode of the original's series, and English readability scores do not carry over
+  const { series_id, episode_number, reading_level, ...originalMetadata } = original.metadata || {};
+
+  const result = {
+    story,
+    video_url: null, // the original's video has the original narration
+    audio_narration: audioNarration,
+    storyboard_urls: original.storyboard_urls || [],
+    duration: 0,
+    audio_duration: audioNarration?.total_duration || 0,
+    metadata: {
+      ...originalMetadata,
+      language,
+      storyboards_count: (original.storyboard_urls || []).length,
+      audio_scenes_count: audioNarration?.scenes?.length || 0,
+      generation_method: 'translation',
+      is_translation: true,
+      translation,
+      generated_at: createdAt
+    }
+  };
+
+  await saveResult(id, result);
+  await updateResult(originalId, (latest) => {
+    latest.translations = [
+      ...(latest.translations || []),
+      { id, language, title: story.title, created_at: createdAt }
+    ];
+  });
+
+  console.log(`✅ Translation ${id} of story ${originalId} saved: "${story.title}"`);
+  return { id, result };
+}
+
+module.exports = {
+  translateStory,
+  isTranslationAvailable,
+  TRANSLATION_UNAVAILABLE_MESSAGE,
+  getTranslations,
+  findTranslation,
+  getResultLanguage
+};
@@ -0,0 +1,138 @@
+const { v4: uuidv4 } = require('uuid');
+const { generateVariation } = require('./storyEngine');
+const { loadStoryCast } = require('./storyPipeline');
+const { loadResult, saveResult, updateResult } = require('./sceneRegeneration');
+const { assertStoryAllowed, resolveStoryModeration } = require('./moderation');
+
+// "What if?" branches. A variation is a result of its own (storage/results/<id>.json)
+// whose metadata.variation points at its parent; parents list their children in `variations`.
+
+// Fork a finished story after one of its scenes and write the rest of it anew
+async function createVariation(parentId, sceneIndex, whatIf, { job = null } = {}) {
+  const parent = await loadResult(parentId);
+  const forkScene = parent.story.scenes[sceneIndex];
+  const { characterDNA, cast } = await loadStoryCast(parent, job);
+
+  console.log(`🌿 Forking story ${parentId} after scene ${forkScene.id}`);
+
+  const story = await generateVariation(parent.story, whatIf, {
+    forkSceneIndex: sceneIndex,
+    characterDNA,
+    cast,
+    genre: parent.metadata?.genre || job?.genre,
+    tone: job?.options?.tone,
+    audience: job?.options?.audience,
+    readingLevel: job?.options?.readingLevel,
+    // Branches of a translation are written in its language
+    language: parent.metadata?.language || job?.options?.language
+  });
+
+  // Scenes up to the fork were checked with the parent; the rewritten ones are new text
+  await assertStoryAllowed({ title: story.title, scenes: story.scenes.slice(sceneIndex + 1) }, {
+    ...resolveStoryModeration(parent, job),
+    kind: 'variation',
+    subjectId: parentId,
+    label: 'The story variation'
+  });
+
+  // Scenes up to the fork keep their storyboards and narration; the new ones start without
+  const keptIds = new Set(story.scenes.slice(0, sceneIndex + 1).map(scene => scene.id));
+  const storyboards = (parent.storyboard_urls || []).filter(item => typeof item === 'object' && keptIds.has(item.sceneId));
+  const narrationScenes = (parent.audio_narration?.scenes || []).filter(item => keptIds.has(item.scene_id));
+  const audioNarration = narrationScenes.length > 0
+    ? {
+      ...parent.audio_narration,
+      scenes: narrationScenes,
+      total_duration: narrationScenes.reduce((sum, item) => sum + (item.duration || 0), 0)
+    }
+    : null;
+
+  const id = uuidv4();
+  const createdAt = new Date().toISOString();
+  const variation = {
+    parent_id: parentId,
+    root_id: parent.metadata?.variation?.root_id || parentId,
+    fork_scene_id: forkScene.id,
+    fork_scene_number: sceneIndex + 1,
+    what_if: story.metadata.variation_prompt,
+    created_at: createdAt
+  };
+
+  // A branch is not an episode of the parent's series
+  const { series_id, episode_number, ...parentMetadata } = parent.metadata || {};
+
+  const result = {
+    story,
+    video_url: null, // the parent's video shows the original ending
+    audio_narration: audioNarration,
+    storyboard_urls: storyboards,
+    duration: 0,
+    audio_duration: audioNarration?.total_duration || 0,
+    variations: [],
+    metadata: {
+      ...parentMetadata,
+      scenes_count: story.scenes.length,
+      storyboards_count: storyboards.length,
+      audio_scenes_count: narrationScenes.length,
+      generation_method: 'variation',
+      is_variation: true,
+      variation,
+      generated_at: createdAt
+    }
+  };
+
+  await saveResult(id, result);
+  await updateResult(parentId, (latest) => {
+    latest.variations = [
+      ...(latest.variations || []),
+      {
+        id,
+        title: story.title,
+        what_if: variation.what_if,
+        fork_scene_id: variation.fork_scene_id,
+        fork_scene_number: variation.fork_scene_number,
+        created_at: createdAt
+      }
+    ];
+  });
+
+  console.log(`✅ Variation ${id} of story ${parentId} saved: "${story.title}"`);
+  return { id, result };
+}
+
+async function buildVariationNode(id, result, link = null) {
+  const variations = [];
+  for (const entry of result.variations || []) {
+    const child = await loadResult(entry.id);
+    if (!child) continue;
+    variations.push(await buildVariationNode(entry.id, child, entry));
+  }
+
+  return {
+    id,
+    title: result.story?.title || 'Untitled Story',
+    what_if: link?.what_if || null,
+    fork_scene_number: link?.fork_scene_number || null,
+    created_at: link?.created_at || result.metadata?.generated_at || null,
+    variations
+  };
+}
+
+// The whole branch tree a story belongs to, starting from the original story
+async function getVariationTree(storyId) {
+  const result = await loadResult(storyId);
+  if (!result) return null;
+
+  const rootId = result.metadata?.variation?.root_id || storyId;
+  const root = rootId === storyId ? result : await loadResult(rootId);
+  if (!root) {
+    return { root_id: storyId, tree: await buildVariationNode(storyId, result) };
+  }
+
+  return { root_id: rootId, tree: await buildVariationNode(rootId, root) };
+}
+
+module.exports = {
+  createVariation,
+  getVariationTree
+};
@@ -0,0 +1,208 @@
+const fs = require('fs').promises;
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { getLanguageName } = require('./languages');
+
+// Storybook PDFs for the export routes. Given a translation the scenes are set as parallel
+// text: the story in the left column, the translation in the right, paragraph by paragraph.
+
+const PAGE_SIZE = [595, 842]; // A4
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE_SIZE[0] - MARGIN * 2;
+const COLUMN_GAP = 20;
+const COLUMN_WIDTH = (CONTENT_WIDTH - COLUMN_GAP) / 2;
+const BOTTOM = 100; // Body text stops here; the footer sits below
+const SCENE_BREAK = 150; // Scenes start on a fresh page rather than orphaning the title at the bottom
+
+const TEXT_COLOR = rgb(0, 0, 0);
+const HEADING_COLOR = rgb(0.2, 0.2, 0.2);
+const MUTED_COLOR = rgb(0.3, 0.3, 0.3);
+const FOOTER_COLOR = rgb(0.5, 0.5, 0.5);
+
+// Helvetica only covers Western European scripts. PDF_FONT_PATH can point at a Unicode
+// TTF/OTF (e.g. Noto Sans) for other languages; it needs the optional @pdf-lib/fontkit package.
+async function embedStoryFont(pdfDoc) {
+  if (process.env.PDF_FONT_PATH) {
+    try {
+      pdfDoc.registerFontkit(require('@pdf-lib/fontkit'));
+      return await pdfDoc.embedFont(await fs.readFile(process.env.PDF_FONT_PATH), { subset: true });
+    } catch (error) {
+      const reason = error.code === 'MODULE_NOT_FOUND' ? 'install the @pdf-lib/fontkit package to use it' : error.message;
+      console.warn(`⚠️ Could not embed PDF_FONT_PATH, using Helvetica: ${reason}`);
+    }
+  }
+
+  return pdfDoc.embedFont(StandardFonts.Helvetica);
+}
+
+class StorybookWriter {
+  constructor(pdfDoc, font) {
+    this.pdfDoc = pdfDoc;
+    this.font = font;
+    this.charset = new Set(font.getCharacterSet());
+    this.addPage();
+  }
+
+  addPage() {
+    this.page = this.pdfDoc.addPage(PAGE_SIZE);
+    this.page.setFont(this.font);
+    this.y = PAGE_SIZE[1] - MARGIN;
+  }
+
+  // Characters the font cannot draw become "?" instead of failing the export
+  clean(text = '') {
+    return [...String(text).replace(/\s/g, ' ')]
+      .map(char => (this.charset.has(char.codePointAt(0)) ? char : '?'))
+      .join('');
+  }
+
+  // Wrap a paragraph to a column width; words longer than a line (or unspaced scripts) are split
+  wrap(text, size, width) {
+    const lines = [];
+    let line = '';
+
+    for (const word of this.clean(text).split(/ +/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (this.font.widthOfTextAtSize(candidate, size) <= width) {
+        line = candidate;
+        continue;
+      }
+
+      if (line) lines.push(line);
+      line = '';
+      for (const char of word) {
+        if (line && this.font.widthOfTextAtSize(line + char, size) > width) {
+          lines.push(line);
+          line = '';
+        }
+        line += char;
+      }
+    }
+
+    if (line) lines.push(line);
+    return lines;
+  }
+
+  draw(text, x, { size, color }) {
+    this.page.drawText(text, { x, y: this.y, size, color });
+  }
+
+  // One paragraph across the full width; spacing is the gap left after it
+  paragraph(text, { size = 11, color = TEXT_COLOR, lineHeight = 18, spacing = 12 } = {}) {
+    for (const line of this.wrap(text, size, CONTENT_WIDTH)) {
+      if (this.y < BOTTOM) this.addPage();
+      this.draw(line, MARGIN, { size, color });
+      this.y -= lineHeight;
+    }
+    this.y -= spacing;
+  }
+
+  // Two paragraphs side by side, line for line
+  columns(left, right, { size = 11, color = TEXT_COLOR, lineHeight = 18, spacing = 12 } = {}) {
+    const leftLines = this.wrap(left, size, COLUMN_WIDTH);
+    const rightLines = this.wrap(right, size, COLUMN_WIDTH);
+
+    for (let index = 0; index < Math.max(leftLines.length, rightLines.length); index++) {
+      if (this.y < BOTTOM) this.addPage();
+      if (leftLines[index]) this.draw(leftLines[index], MARGIN, { size, color });
+      if (rightLines[index]) this.draw(rightLines[index], MARGIN + COLUMN_WIDTH + COLUMN_GAP, { size, color });
+      this.y -= lineHeight;
+    }
+    this.y -= spacing;
+  }
+
+  startScene() {
+    if (this.y < SCENE_BREAK) this.addPage();
+  }
+
+  footer() {
+    const page = this.pdfDoc.getPages()[this.pdfDoc.getPageCount() - 1];
+    page.drawText('Generated by TaleCraft AI', { x: MARGIN, y: 30, size: 10, color: FOOTER_COLOR });
+    page.drawText(new Date().toLocaleDateString(), { x: PAGE_SIZE[0] - 100, y: 30, size: 10, color: FOOTER_COLOR });
+  }
+}
+
+function getSceneText(scene) {
+  return scene.content || scene.description || scene.text || 'No content available';
+}
+
+function splitParagraphs(text) {
+  return text.split(/\n+/).map(part => part.trim()).filter(Boolean);
+}
+
+// Pair each scene with its translation by id, falling back to position
+function pairScenes(scenes, translatedScenes) {
+  return scenes.map((scene, index) => [
+    scene,
+    translatedScenes.find(entry => entry.id && entry.id === scene.id) || translatedScenes[index] || null
+  ]);
+}
+
+function writeDetails(writer, result) {
+  const { metadata = {} } = result;
+
+  if (metadata.character_name) {
+    writer.paragraph(`Character: ${metadata.character_name}`, { size: 12, color: MUTED_COLOR, lineHeight: 20, spacing: 0 });
+  }
+  if (metadata.style || metadata.genre) {
+    writer.paragraph(`Style: ${metadata.style || 'Unknown'} | Genre: ${metadata.genre || 'Unknown'}`, { size: 12, color: MUTED_COLOR, lineHeight: 20, spacing: 0 });
+  }
+  writer.y -= 20;
+}
+
+function writeScenes(writer, scenes) {
+  scenes.forEach((scene, index) => {
+    writer.startScene();
+    writer.paragraph(`Scene ${index + 1}: ${scene.title || `Scene ${index + 1}`}`, { size: 16, color: HEADING_COLOR, lineHeight: 22, spacing: 8 });
+    splitParagraphs(getSceneText(scene)).forEach(text => writer.paragraph(text));
+    writer.y -= 12;
+  });
+}
+
+function writeParallelScenes(writer, scenes, translation) {
+  pairScenes(scenes, translation.story?.scenes || []).forEach(([scene, translated], index) => {
+    writer.startScene();
+    writer.columns(
+      `Scene ${index + 1}: ${scene.title || `Scene ${index + 1}`}`,
+      translated ? `${index + 1}. ${translated.title || ''}` : '',
+      { size: 14, color: HEADING_COLOR, lineHeight: 20, spacing: 8 }
+    );
+
+    const paragraphs = splitParagraphs(getSceneText(scene));
+    const translatedParagraphs = translated ? splitParagraphs(getSceneText(translated)) : [];
+    for (let i = 0; i < Math.max(paragraphs.length, translatedParagraphs.length); i++) {
+      writer.columns(paragraphs[i] || '', translatedParagraphs[i] || '');
+    }
+    writer.y -= 12;
+  });
+}
+
+// Build the storybook; pass a translation result for parallel text
+async function buildStorybookPdf(result, { title, translation = null } = {}) {
+  const pdfDoc = await PDFDocument.create();
+  const writer = new StorybookWriter(pdfDoc, await embedStoryFont(pdfDoc));
+  const story = result.story || {};
+
+  writer.paragraph(title || story.title || 'TaleCraft AI Story', { size: 24, color: rgb(0.1, 0.1, 0.1), lineHeight: 30, spacing: translation ? 0 : 30 });
+  if (translation) {
+    writer.paragraph(translation.story?.title || '', { size: 16, color: MUTED_COLOR, lineHeight: 22, spacing: 4 });
+    writer.paragraph(`${getLanguageName(result.metadata?.language)} | ${getLanguageName(translation.metadata?.language)}`, { size: 12, color: MUTED_COLOR, lineHeight: 20, spacing: 20 });
+  }
+  writeDetails(writer, result);
+
+  if (story.scenes?.length > 0) {
+    if (translation) {
+      writeParallelScenes(writer, story.scenes, translation);
+    } else {
+      writeScenes(writer, story.scenes);
+    }
+  } else if (story.content) {
+    splitParagraphs(story.content).forEach(text => writer.paragraph(text));
+  }
+
+  writer.footer();
+  return pdfDoc;
+}
+
+module.exports = {
+  buildStorybookPdf
+};
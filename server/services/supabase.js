@@ -18,7 +18,8 @@ const TABLES = {
   USERS: 'users',
   CHARACTERS: 'characters',
   STORIES: 'stories',
-  GENERATIONS: 'generations'
+  GENERATIONS: 'generations',
+  SERIES: 'series'
 };
 
 // User management functions
@@ -74,23 +75,6 @@ async function signOutUser() {
   }
 }
 
-async function verifyUser(authHeader) {
-  if (!supabase) return null;
-  
-  try {
-    // Extract token from Authorization header
-    const token = authHeader.replace('Bearer ', '');
-    
-    const { data: { user }, error } = await supabase.auth.getUser(token);
-    
-    if (error) throw error;
-    return user;
-  } catch (error) {
-    console.error('Error verifying user:', error);
-    return null;
-  }
-}
-
 async function createUserProfile(userId, email, metadata = {}) {
   if (!supabase) return null;
   
@@ -290,20 +274,25 @@ async function getCharacterById(characterId, userId = null, bypassRLS = false) {
   }
 }
 
-async function updateCharacter(characterId, userId, updates) {
+// With `expectedUpdatedAt` the update only applies if nobody changed the row since it was read,
+// and resolves to null otherwise
+async function updateCharacter(characterId, userId, updates, { expectedUpdatedAt = null } = {}) {
   if (!supabase) return null;
   
   try {
-    const { data, error } = await supabase
+    let query = supabase
       .from(TABLES.CHARACTERS)
       .update({
         ...updates,
         updated_at: new Date().toISOString()
       })
       .eq('id', characterId)
-      .eq('user_id', userId)
-      .select()
-      .single();
+      .eq('user_id', userId);
+    if (expectedUpdatedAt) {
+      query = query.eq('updated_at', expectedUpdatedAt);
+    }
+
+    const { data, error } = await query.select().maybeSingle();
 
     if (error) throw error;
     return data;
@@ -313,6 +302,28 @@ async function updateCharacter(characterId, userId, updates) {
   }
 }
 
+// Nearest characters to an embedding through the match_characters function (pgvector index).
+// Resolves to null when the function is unavailable, so callers can rank in process instead
+async function matchCharacters(queryEmbedding, userId, { backend, limit = 5, excludeId = null } = {}) {
+  if (!supabase) return null;
+
+  try {
+    const { data, error } = await supabase.rpc('match_characters', {
+      query_embedding: queryEmbedding,
+      match_backend: backend,
+      match_user_id: userId,
+      match_count: limit,
+      exclude_id: excludeId
+    });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error matching characters:', error.message);
+    return null;
+  }
+}
+
 async function deleteCharacter(characterId, userId) {
   if (!supabase) return false;
   
@@ -409,6 +420,82 @@ async function getUserGenerations(userId, limit = 20, offset = 0) {
   }
 }
 
+// Series management functions
+async function createSeries(userId, seriesData) {
+  if (!supabase) return null;
+
+  try {
+    const { data, error } = await supabase
+      .from(TABLES.SERIES)
+      .insert([
+        {
+          id: seriesData.id,
+          user_id: userId,
+          title: seriesData.title,
+          description: seriesData.description || '',
+          settings: seriesData.settings || {},
+          episodes: seriesData.episodes || [],
+          continuity: seriesData.continuity || {},
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        }
+      ])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error creating series:', error);
+    return null;
+  }
+}
+
+async function getSeriesById(seriesId) {
+  if (!supabase) return null;
+
+  try {
+    const { data, error } = await supabase
+      .from(TABLES.SERIES)
+      .select('*')
+      .eq('id', seriesId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error fetching series:', error);
+    return null;
+  }
+}
+
+// With `expectedUpdatedAt` the row is only written if it wasn't updated since it was read;
+// null then means somebody else got there first
+async function updateSeries(seriesId, updates, { expectedUpdatedAt = null } = {}) {
+  if (!supabase) return null;
+
+  try {
+    let query = supabase
+      .from(TABLES.SERIES)
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', seriesId);
+    if (expectedUpdatedAt) {
+      query = query.eq('updated_at', expectedUpdatedAt);
+    }
+
+    const { data, error } = await query.select().maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error updating series:', error);
+    return null;
+  }
+}
+
 // Authentication helper functions
 async function verifyUser(authHeader) {
   if (!supabase || !authHeader) return null;
@@ -562,11 +649,17 @@ module.exports = {
   getCharacterById,
   updateCharacter,
   deleteCharacter,
+  matchCharacters,
   
   // Generation functions
   saveGeneration,
   updateGeneration,
   getUserGenerations,
+
+  // Series functions
+  createSeries,
+  getSeriesById,
+  updateSeries,
   
   // Utils
   initializeDatabase,
@@ -0,0 +1,244 @@
+const { v4: uuidv4 } = require('uuid');
+const { saveJobUnlessCancelled, loadStoryCast, loadCharacterDNA } = require('./storyPipeline');
+const { loadResult, regenerateScene } = require('./sceneRegeneration');
+const { translateStory, findTranslation } = require('./storyTranslation');
+const { getLanguageName } = require('./languages');
+const { ModerationError } = require('./moderation');
+const {
+  SHEET_PANELS,
+  generateCharacterSheet,
+  loadSheetCharacter,
+  saveCharacterSheet,
+  deleteCharacterSheet,
+  describeSheet
+} = require('./characterSheet');
+const { PythonStableDiffusionService } = require('./pythonStableDiffusion');
+const { isAbortError } = require('./cancellation');
+
+const pythonSD = new PythonStableDiffusionService();
+
+// Single-step background jobs that share the queue and workers of story generation. Their
+// records carry a `type` and the `params` of the request; `result` holds what the handler
+// returned. Clients poll GET /api/generate/:id/status (or listen on the WebSocket) as for stories.
+
+// Each handler gets the job's params and { job, queue, signal, report(progress, message) }
+const TASK_HANDLERS = {
+  translation: {
+    timeout: 10 * 60 * 1000,
+    async run({ story_id, language, voice_id }, { queue, signal, report }) {
+      // A re-run after a crash finds the translation the first run already saved
+      const existing = await findTranslation(story_id, language);
+      if (existing) {
+        return describeTranslation(existing.id, existing.result);
+      }
+
+      await report(10, `Translating into ${getLanguageName(language)}...`);
+      const storyJob = await queue.getJob(story_id);
+      const { id, result } = await translateStory(story_id, language, {
+        job: storyJob?.status === 'completed' ? storyJob : null,
+        voiceId: voice_id,
+        signal,
+        onProgress: report
+      });
+      return describeTranslation(id, result);
+    }
+  },
+
+  scene_regeneration: {
+    timeout: 5 * 60 * 1000,
+    async run({ story_id, scene_id, target, prompt, options = {} }, { queue, signal, report }) {
+      const result = await loadResult(story_id);
+      if (!result) {
+        throw new Error(`Result for job ${story_id} not found`);
+      }
+      const storyJob = await queue.getJob(story_id);
+      const { characterDNA, cast } = await loadStoryCast(result, storyJob);
+
+      await report(10, `Regenerating the ${target} of ${scene_id}...`);
+      const { result: updated, value, previous_version } = await regenerateScene(story_id, scene_id, target, {
+        characterDNA,
+        cast,
+        job: storyJob,
+        overrides: { ...options, prompt },
+        signal
+      });
+
+      // Keep the story job's copy of the result in sync with the edited file
+      if (storyJob) {
+        storyJob.result = updated;
+        await queue.saveJob(storyJob);
+      }
+
+      return {
+        story_id,
+        scene_id,
+        target,
+        data: value,
+        previous_version_id: previous_version?.version_id || null,
+        message: `Scene ${target} regenerated successfully`
+      };
+    }
+  },
+
+  character_sheet: {
+    timeout: SHEET_PANELS.length * 90 * 1000,
+    async run({ character_id, style, source, user_id }, { signal, report }) {
+      const owner = { source, userId: user_id };
+      const character = await loadSheetCharacter(character_id, owner);
+      if (!character) {
+        throw new Error(`Character ${character_id} no longer exists`);
+      }
+
+      await report(10, `Drawing the ${style} character sheet...`);
+      const sheet = await generateCharacterSheet(character, style, {
+        signal,
+        onPanel: (done, total) => report(10 + Math.round(done / total * 80), `Drew ${done} of ${total} panels...`)
+      });
+
+      let previous;
+      try {
+        previous = await saveCharacterSheet(character_id, owner, sheet);
+      } catch (error) {
+        await deleteCharacterSheet(sheet);
+        throw error;
+      }
+      await deleteCharacterSheet(previous);
+
+      return {
+        character_id,
+        sheet: describeSheet(sheet),
+        message: sheet.missing.length
+          ? `Character sheet created without ${sheet.missing.join(', ')}`
+          : 'Character sheet created'
+      };
+    }
+  },
+
+  character_portrait: {
+    timeout: 5 * 60 * 1000,
+    async run({ character_id, style }, { signal, report }) {
+      // loadCharacterDNA falls back to a demo character for unknown ids
+      const characterDNA = await loadCharacterDNA(character_id);
+      if (characterDNA.id !== character_id) {
+        throw new Error(`Character ${character_id} no longer exists`);
+      }
+
+      await report(10, `Drawing the ${style} portrait...`);
+      const result = await pythonSD.getCharacterPortrait(characterDNA, style, { regenerate: true, signal });
+      if (!result.success) {
+        throw new Error(`Portrait generation failed: ${result.error}`);
+      }
+      if (!result.portrait) {
+        throw new Error('The portrait was generated but could not be stored');
+      }
+
+      return {
+        character_id,
+        style,
+        portrait: result.portrait,
+        message: `New ${style} portrait created`
+      };
+    }
+  }
+};
+
+function describeTranslation(id, result) {
+  return {
+    story_id: id,
+    original_id: result.metadata.translation.original_id,
+    language: result.metadata.language,
+    title: result.story.title,
+    narrated: !!result.audio_narration
+  };
+}
+
+function isTaskJob(job) {
+  return Boolean(job.type && TASK_HANDLERS[job.type]);
+}
+
+// New record of a background job; the caller persists and enqueues it with jobQueue.createJob
+function createTaskRecord(type, params, { message, estimatedDuration, tenantId = 'default' } = {}) {
+  const now = new Date();
+  return {
+    id: uuidv4(),
+    type,
+    status: 'initializing',
+    tenant_id: tenantId,
+    params,
+    message,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    startTime: now.getTime(),
+    progress: 0,
+    estimatedDuration,
+    steps: []
+  };
+}
+
+// Run a background job to completion, recording its result or error on the job
+async function runTaskJob(job, queue, options = {}) {
+  const handler = TASK_HANDLERS[job.type];
+  console.log(`🚀 Starting ${job.type} job: ${job.id}`);
+
+  // Aborted on cancellation or timeout so providers stop spending quota
+  const controller = new AbortController();
+  const onExternalAbort = () => controller.abort();
+  options.signal?.addEventListener('abort', onExternalAbort, { once: true });
+
+  let timedOut = false;
+  const timeout = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, handler.timeout);
+
+  const report = async (progress, message) => {
+    job.progress = progress;
+    job.message = message;
+    await saveJobUnlessCancelled(job, queue);
+  };
+
+  job.status = 'processing';
+  job.error = null;
+  job.startedAt = job.startedAt || new Date().toISOString();
+  job.attempts = (job.attempts || 0) + 1;
+
+  try {
+    await report(5, job.message || 'Starting...');
+    job.result = await handler.run(job.params, { job, queue, signal: controller.signal, report });
+    job.status = 'completed';
+    job.progress = 100;
+    job.message = 'Completed successfully';
+    await saveJobUnlessCancelled(job, queue);
+    console.log(`🎉 ${job.type} job completed: ${job.id}`);
+  } catch (error) {
+    if (!timedOut && isAbortError(error, controller.signal)) {
+      console.log(`🛑 ${job.type} job cancelled: ${job.id}`);
+      job.status = 'cancelled';
+      job.message = 'Cancelled by user';
+    } else {
+      console.error(`💥 ${job.type} job ${job.id} failed:`, error);
+      job.status = 'failed';
+      job.error = timedOut ? 'Timed out' : error.message;
+      job.message = timedOut ? 'Timed out' : 'Failed';
+      if (error instanceof ModerationError) {
+        job.error_categories = error.decision.blocked_categories;
+      }
+    }
+
+    await queue.saveJob(job).catch(saveError => {
+      console.error(`❌ Failed to save the final state of job ${job.id}:`, saveError);
+    });
+  } finally {
+    clearTimeout(timeout);
+    options.signal?.removeEventListener('abort', onExternalAbort);
+  }
+
+  return job;
+}
+
+module.exports = {
+  TASK_HANDLERS,
+  isTaskJob,
+  createTaskRecord,
+  runTaskJob
+};
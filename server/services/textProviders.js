@@ -0,0 +1,361 @@
+const axios = require('axios');
+const { InferenceClient } = require('@huggingface/inference');
+const { GeminiStoryGenerator } = require('./geminiAI');
+const {
+  generateHuggingFaceStory,
+  generateTemplateStory,
+  buildStoryPrompt,
+  parseGeneratedStory,
+  HF_STORY_MODEL
+} = require('./storyEngine');
+const { resolveSceneCount } = require('./storyStructure');
+const { JobCancelledError, isAbortError, throwIfAborted } = require('./cancellation');
+
+const DEFAULT_PROVIDER_ORDER = ['gemini', 'huggingface', 'template'];
+const TOKENS_PER_SCENE = 180; // Rough output size of one generated scene
+
+// Drain a provider stream, reporting each chunk along with the text so far
+async function collectStream(stream, onTextDelta) {
+  let text = '';
+  for await (const delta of stream) {
+    text += delta;
+    if (onTextDelta) await onTextDelta(delta, text);
+  }
+  return text;
+}
+
+// Rough token count - good enough for cost estimates
+function estimateTokens(text = '') {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Text providers share one interface:
+ *   generate(prompt, genre, characterDNA, options) -> story object with scenes
+ *                                                    (streams through options.onTextDelta when given)
+ *   stream(promptText, options)                   -> async iterator of text chunks (model-backed providers only)
+ *   health()                                      -> { available, ... }
+ *   estimateCost(options)                         -> { input_tokens, output_tokens, usd }
+ */
+class TextProvider {
+  constructor(name, generationMethod, pricing = { input: 0, output: 0 }) {
+    this.name = name;
+    this.generationMethod = generationMethod;
+    this.pricing = pricing; // USD per 1M tokens
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async health() {
+    return { available: this.isConfigured(), provider: this.name };
+  }
+
+  estimateCost(options = {}) {
+    const inputTokens = estimateTokens(options.promptText || '') + 600; // prompt template overhead
+    const outputTokens = resolveSceneCount(options) * TOKENS_PER_SCENE;
+    const usd = (inputTokens * this.pricing.input + outputTokens * this.pricing.output) / 1e6;
+
+    return {
+      provider: this.name,
+      input_tokens: inputTokens,
+      output_tokens: outputTokens,
+      usd: Math.round(usd * 1e6) / 1e6
+    };
+  }
+}
+
+class GeminiTextProvider extends TextProvider {
+  constructor() {
+    super('gemini', 'gemini-ai', { input: 0.1, output: 0.4 });
+    this.generator = new GeminiStoryGenerator();
+  }
+
+  isConfigured() {
+    return !!process.env.GEMINI_API_KEY;
+  }
+
+  async generate(prompt, genre, characterDNA, options = {}) {
+    const result = await this.generator.generateStory(prompt, genre, characterDNA, options);
+    return result.story;
+  }
+
+  async *stream(promptText, options = {}) {
+    const result = await this.generator.model.generateContentStream(promptText, { signal: options.signal });
+    for await (const chunk of result.stream) {
+      yield chunk.text();
+    }
+  }
+
+  async health() {
+    const status = await this.generator.checkAvailability();
+    return { ...status, provider: this.name };
+  }
+}
+
+class HuggingFaceTextProvider extends TextProvider {
+  constructor() {
+    super('huggingface', 'huggingface', { input: 0, output: 0 });
+    this.client = new InferenceClient(process.env.HUGGING_FACE_TOKEN);
+  }
+
+  isConfigured() {
+    return !!process.env.HUGGING_FACE_TOKEN && process.env.DEMO_MODE !== 'true';
+  }
+
+  async generate(prompt, genre, characterDNA, options = {}) {
+    if (!options.onTextDelta) {
+      return generateHuggingFaceStory(prompt, genre, characterDNA, options);
+    }
+
+    const sceneCount = resolveSceneCount(options);
+    const storyPrompt = buildStoryPrompt(prompt, genre, characterDNA, sceneCount, options);
+    const generatedText = await collectStream(
+      this.stream(storyPrompt, { signal: options.signal, maxTokens: Math.max(800, sceneCount * 200) }),
+      options.onTextDelta
+    );
+    return parseGeneratedStory(generatedText, characterDNA, sceneCount);
+  }
+
+  async *stream(promptText, options = {}) {
+    const stream = this.client.textGenerationStream({
+      model: HF_STORY_MODEL,
+      inputs: promptText,
+      parameters: { max_new_tokens: options.maxTokens || 800, temperature: 0.7, return_full_text: false }
+    }, { signal: options.signal });
+
+    for await (const output of stream) {
+      if (output.token?.text && !output.token.special) yield output.token.text;
+    }
+  }
+}
+
+// Any server speaking the OpenAI chat completions API (llama.cpp, Ollama, vLLM, OpenAI itself)
+class OpenAICompatibleTextProvider extends TextProvider {
+  constructor() {
+    super('openai', 'openai-compatible', {
+      input: parseFloat(process.env.OPENAI_COMPAT_INPUT_COST || '0'),
+      output: parseFloat(process.env.OPENAI_COMPAT_OUTPUT_COST || '0')
+    });
+    this.baseUrl = (process.env.OPENAI_COMPAT_BASE_URL || 'http://127.0.0.1:11434/v1').replace(/\/$/, '');
+    this.apiKey = process.env.OPENAI_COMPAT_API_KEY;
+    this.model = process.env.OPENAI_COMPAT_MODEL || 'llama3.1';
+    this.timeout = parseInt(process.env.OPENAI_COMPAT_TIMEOUT_MS || '120000', 10);
+  }
+
+  isConfigured() {
+    return !!process.env.OPENAI_COMPAT_BASE_URL;
+  }
+
+  get headers() {
+    return {
+      'Content-Type': 'application/json',
+      ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+    };
+  }
+
+  async generate(prompt, genre, characterDNA, options = {}) {
+    const sceneCount = resolveSceneCount(options);
+    const storyPrompt = buildStoryPrompt(prompt, genre, characterDNA, sceneCount, options);
+
+    if (options.onTextDelta) {
+      const generatedText = await collectStream(
+        this.stream(storyPrompt, { signal: options.signal, maxTokens: Math.max(800, sceneCount * 200) }),
+        options.onTextDelta
+      );
+      return parseGeneratedStory(generatedText, characterDNA, sceneCount);
+    }
+
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+      model: this.model,
+      messages: [{ role: 'user', content: storyPrompt }],
+      max_tokens: Math.max(800, sceneCount * 200),
+      temperature: 0.7
+    }, {
+      headers: this.headers,
+      timeout: this.timeout,
+      signal: options.signal
+    });
+
+    const generatedText = response.data?.choices?.[0]?.message?.content || '';
+    if (!generatedText) {
+      throw new Error('OpenAI-compatible server returned an empty completion');
+    }
+
+    return parseGeneratedStory(generatedText, characterDNA, sceneCount);
+  }
+
+  async *stream(promptText, options = {}) {
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+      model: this.model,
+      messages: [{ role: 'user', content: promptText }],
+      max_tokens: options.maxTokens || 800,
+      temperature: 0.7,
+      stream: true
+    }, {
+      headers: this.headers,
+      timeout: this.timeout,
+      responseType: 'stream',
+      signal: options.signal
+    });
+
+    // Server-sent events: "data: {json}" lines terminated by "data: [DONE]"
+    let buffer = '';
+    for await (const chunk of response.data) {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const data = line.replace(/^data:\s*/, '').trim();
+        if (!data || data === '[DONE]' || !line.startsWith('data:')) continue;
+
+        // Skip keep-alives and anything else that isn't a JSON chunk
+        let parsed;
+        try {
+          parsed = JSON.parse(data);
+        } catch (error) {
+          continue;
+        }
+
+        const delta = parsed.choices?.[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    }
+  }
+
+  async health() {
+    try {
+      await axios.get(`${this.baseUrl}/models`, { headers: this.headers, timeout: 3000 });
+      return { available: true, provider: this.name, model: this.model, url: this.baseUrl };
+    } catch (error) {
+      return { available: false, provider: this.name, model: this.model, url: this.baseUrl, error: error.message };
+    }
+  }
+}
+
+// Offline provider built from GENRE_TEMPLATES - always available, same prompt gives the same story
+class TemplateTextProvider extends TextProvider {
+  constructor() {
+    super('template', 'template');
+  }
+
+  async generate(prompt, genre, characterDNA, options = {}) {
+    throwIfAborted(options.signal);
+    return generateTemplateStory(prompt, genre, characterDNA, options);
+  }
+
+  // No stream(): the story is built at once, there is no model output to relay
+}
+
+const PROVIDER_FACTORIES = {
+  gemini: () => new GeminiTextProvider(),
+  huggingface: () => new HuggingFaceTextProvider(),
+  openai: () => new OpenAICompatibleTextProvider(),
+  template: () => new TemplateTextProvider()
+};
+
+// TEXT_PROVIDER_ORDER=openai,template tries a local server first, then the offline templates
+function getProviderOrder() {
+  const configured = (process.env.TEXT_PROVIDER_ORDER || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = configured.filter(name => !PROVIDER_FACTORIES[name]);
+  if (unknown.length > 0) {
+    console.warn(`⚠️ Ignoring unknown text providers in TEXT_PROVIDER_ORDER: ${unknown.join(', ')}`);
+  }
+
+  const order = configured.filter(name => PROVIDER_FACTORIES[name]);
+  return order.length > 0 ? [...new Set(order)] : DEFAULT_PROVIDER_ORDER;
+}
+
+class TextProviderRegistry {
+  constructor(order = getProviderOrder()) {
+    this.order = order;
+    this.providers = new Map(order.map(name => [name, PROVIDER_FACTORIES[name]()]));
+  }
+
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  list() {
+    return this.order.map(name => this.providers.get(name));
+  }
+
+  // Providers that can be tried right now, in configured order
+  available() {
+    return this.list().filter(provider => provider.isConfigured());
+  }
+
+  // Try each provider in order until one produces a story
+  async generateStory(prompt, genre, characterDNA, options = {}, { onFallback } = {}) {
+    const { signal } = options;
+    const failures = [];
+
+    for (const provider of this.available()) {
+      throwIfAborted(signal);
+
+      try {
+        console.log(`📝 Generating story text with provider: ${provider.name}`);
+        const story = await provider.generate(prompt, genre, characterDNA, options);
+        console.log(`✅ Story text generated by provider: ${provider.name}`);
+
+        return {
+          story,
+          provider: provider.name,
+          generationMethod: provider.generationMethod,
+          failures
+        };
+      } catch (error) {
+        if (isAbortError(error, signal)) throw new JobCancelledError();
+
+        console.warn(`❌ Text provider ${provider.name} failed: ${error.message}`);
+        failures.push({ provider: provider.name, error: error.message });
+        if (onFallback) await onFallback(provider, error);
+      }
+    }
+
+    const summary = failures.map(failure => `${failure.provider}: ${failure.error}`).join('; ');
+    throw new Error(`All text providers failed${summary ? ` (${summary})` : ' (none configured)'}`);
+  }
+
+  async health() {
+    const results = await Promise.all(this.list().map(async (provider) => {
+      if (!provider.isConfigured()) {
+        return { provider: provider.name, available: false, configured: false };
+      }
+      return { configured: true, ...(await provider.health()) };
+    }));
+
+    return { order: this.order, providers: results };
+  }
+
+  estimateCost(options = {}) {
+    return this.available().map(provider => provider.estimateCost(options));
+  }
+}
+
+let registry = null;
+
+function getTextProviderRegistry() {
+  if (!registry) {
+    registry = new TextProviderRegistry();
+  }
+  return registry;
+}
+
+module.exports = {
+  TextProvider,
+  GeminiTextProvider,
+  HuggingFaceTextProvider,
+  OpenAICompatibleTextProvider,
+  TemplateTextProvider,
+  TextProviderRegistry,
+  getTextProviderRegistry,
+  getProviderOrder,
+  DEFAULT_PROVIDER_ORDER
+};
@@ -1,9 +1,14 @@
 const { uploadToStorage } = require('./storage');
 const path = require('path');
 const fs = require('fs').promises;
+const { JobCancelledError, isAbortError, throwIfAborted, abortable } = require('./cancellation');
 
 async function generateVideo(sceneImages, story, options = {}) {
+  const { signal } = options;
+  let client;
+
   try {
+    throwIfAborted(signal);
     console.log('Starting video generation with VEO3-Free...');
     
     const {
@@ -27,9 +32,10 @@ async function generateVideo(sceneImages, story, options = {}) {
 
     // Connect to VEO3-Free API using dynamic import
     const { Client } = await import('@gradio/client');
-    const client = await Client.connect("ginigen/VEO3-Free");
+    client = await abortable(Client.connect("ginigen/VEO3-Free"), signal);
     
-    const result = await client.predict("/generate_video_with_audio", {
+    // The gradio client has no abort support, so race the prediction against the signal
+    const result = await abortable(client.predict("/generate_video_with_audio", {
       prompt: videoPrompt,
       nag_negative_prompt: negativePrompt,
       nag_scale: 11,
@@ -43,7 +49,7 @@ async function generateVideo(sceneImages, story, options = {}) {
       audio_negative_prompt: "music",
       audio_steps: 25,
       audio_cfg_strength: 4.5,
-    });
+    }), signal);
 
     console.log('✅ VEO3-Free API response received');
     
@@ -60,6 +66,7 @@ async function generateVideo(sceneImages, story, options = {}) {
       videoUrl = videoData;
     } else {
       // If it's a file path, we need to read and upload it
+      throwIfAborted(signal);
       const videoBuffer = await fs.readFile(videoData);
       const videoKey = `videos/veo3_${Date.now()}_story.mp4`;
       videoUrl = await uploadToStorage(videoBuffer, videoKey, 'video/mp4');
@@ -77,6 +84,12 @@ async function generateVideo(sceneImages, story, options = {}) {
     };
 
   } catch (error) {
+    if (isAbortError(error, signal)) {
+      console.log('🛑 Video generation cancelled');
+      client?.close?.();
+      throw new JobCancelledError();
+    }
+
     console.error('VEO3-Free video generation failed:', error.message);
     console.warn('Falling back to demo video...');
     return generateDemoVideo(sceneImages, story, options);
@@ -1,6 +1,12 @@
 const axios = require('axios');
 const { uploadToStorage } = require('./storage');
 const { v4: uuidv4 } = require('uuid');
+const { JobCancelledError, isAbortError, throwIfAborted } = require('./cancellation');
+const { DEFAULT_LANGUAGE, resolveLanguage } = require('./languages');
+
+const DEFAULT_VOICE_ID = '9BWtsMINqrJLrRacOk9x'; // Aria
+const MONOLINGUAL_MODEL = 'eleven_monolingual_v1';
+const MULTILINGUAL_MODEL = process.env.ELEVENLABS_MULTILINGUAL_MODEL || 'eleven_multilingual_v2';
 
 const VOICE_EMOTIONS = {
   neutral: { stability: 0.5, similarity_boost: 0.5 },
@@ -17,6 +23,7 @@ const DEMO_VOICES = [
     name: 'Emma',
     description: 'Warm and friendly female voice',
     language: 'en',
+    languages: ['en'],
     gender: 'female',
     age: 'young_adult',
     emotion_range: ['happy', 'excited', 'neutral']
@@ -26,6 +33,7 @@ const DEMO_VOICES = [
     name: 'James',
     description: 'Clear and confident male voice',
     language: 'en',
+    languages: ['en'],
     gender: 'male',
     age: 'adult',
     emotion_range: ['neutral', 'dramatic', 'calm']
@@ -35,6 +43,7 @@ const DEMO_VOICES = [
     name: 'Sophie',
     description: 'Gentle storytelling voice',
     language: 'en',
+    languages: ['en'],
     gender: 'female',
     age: 'middle_aged',
     emotion_range: ['calm', 'neutral', 'sad']
@@ -68,15 +77,19 @@ async function getAvailableVoices() {
       throw new Error('Invalid response format from ElevenLabs API');
     }
 
-    const mappedVoices = response.data.voices.map(voice => ({
-      voice_id: voice.voice_id,
-      name: voice.name,
-      description: voice.description || '',
-      language: detectLanguage(voice.name),
+    const mappedVoices = response.data.voices.map(voice => {
+      const languages = detectVoiceLanguages(voice);
+      return {
+        voice_id: voice.voice_id,
+        name: voice.name,
+        description: voice.description || '',
+        language: languages[0],
+        languages,
       gender: voice.labels?.gender || 'unknown',
       age: voice.labels?.age || 'unknown',
-      emotion_range: ['neutral', 'happy', 'sad'] // Default range
-    }));
+        emotion_range: ['neutral', 'happy', 'sad'] // Default range
+      };
+    });
 
     console.log('Successfully mapped ElevenLabs voices:', mappedVoices.map(v => v.name));
     return mappedVoices;
@@ -127,13 +140,14 @@ async function generateVoiceNarration(text, voiceId, emotion = 'neutral', option
       requestUrl,
       {
         text: text,
-        model_id: options.model_id || 'eleven_monolingual_v1',
+        model_id: options.model_id || getNarrationModel(options.language),
         voice_settings: voiceSettings
       },
       {
         headers: requestHeaders,
         responseType: 'arraybuffer',
-        timeout: 30000
+        timeout: 30000,
+        signal: options.signal
       }
     );
 
@@ -158,6 +172,9 @@ async function generateVoiceNarration(text, voiceId, emotion = 'neutral', option
     };
 
   } catch (error) {
+    // Never fall back to demo audio for a cancelled job
+    if (isAbortError(error, options.signal)) throw new JobCancelledError();
+
     console.warn('Voice generation failed:', {
       message: error.message,
       status: error.response?.status,
@@ -175,6 +192,9 @@ async function generateVoiceNarration(text, voiceId, emotion = 'neutral', option
 }
 
 async function generateStoryNarration(story, voiceId, options = {}) {
+  const { existingScenes = [], onSceneComplete, ...voiceOptions } = options;
+  const { signal } = voiceOptions;
+
   try {
     console.log(`Generating full story narration for: ${story.title}`);
     
@@ -184,26 +204,38 @@ async function generateStoryNarration(story, voiceId, options = {}) {
     // Generate narration for each scene
     for (let i = 0; i < story.scenes.length; i++) {
       const scene = story.scenes[i];
+      throwIfAborted(signal);
       const sceneEmotion = detectSceneEmotion(scene);
+      const sceneText = `${scene.title}. ${scene.description}`;
+
+      // Reuse a clip that was already narrated for this exact text
+      const existing = existingScenes.find(item => item.scene_id === scene.id && item.text === sceneText && item.audio_url);
+      if (existing) {
+        console.log(`♻️ Reusing narration for scene ${i + 1}: ${scene.title}`);
+        sceneNarrations.push(existing);
+        continue;
+      }
       
       console.log(`Narrating scene ${i + 1}: ${scene.title} (${sceneEmotion})`);
       
-      const sceneText = `${scene.title}. ${scene.description}`;
       const narration = await generateVoiceNarration(
         sceneText, 
         voiceId, 
         sceneEmotion, 
-        options
+        voiceOptions
       );
       
-      sceneNarrations.push({
+      const sceneNarration = {
         scene_id: scene.id,
         scene_number: i + 1,
         audio_url: narration.audioUrl,
         duration: narration.duration,
         emotion: sceneEmotion,
         text: sceneText
-      });
+      };
+
+      sceneNarrations.push(sceneNarration);
+      if (onSceneComplete) await onSceneComplete(sceneNarration);
     }
 
     return {
@@ -215,6 +247,7 @@ async function generateStoryNarration(story, voiceId, options = {}) {
     };
 
   } catch (error) {
+    if (isAbortError(error, signal)) throw error;
     console.error('Story narration error:', error);
     throw new Error(`Failed to generate story narration: ${error.message}`);
   }
@@ -265,25 +298,46 @@ function estimateAudioDuration(text) {
   return Math.max(1, Math.round(durationMinutes * 60)); // Duration in seconds
 }
 
-function detectLanguage(voiceName) {
-  // Simple heuristic based on voice name
-  const languageHints = {
-    'en': ['alice', 'bob', 'charlie', 'diana', 'edward', 'fiona'],
-    'es': ['carlos', 'maria', 'jose', 'ana', 'luis', 'carmen'],
-    'fr': ['pierre', 'marie', 'jean', 'claire', 'antoine', 'sophie'],
-    'de': ['hans', 'greta', 'wolfgang', 'ingrid', 'klaus', 'heidi'],
-    'jp': ['akira', 'yuki', 'hiroshi', 'sakura', 'takeshi', 'miku']
-  };
+// Languages a voice was made or verified for, from the ElevenLabs voice metadata
+function detectVoiceLanguages(voice) {
+  const languages = [
+    ...(voice.verified_languages || []).map(entry => entry.language),
+    voice.labels?.language,
+    voice.fine_tuning?.language
+  ]
+    .filter(Boolean)
+    .map(code => code.toLowerCase().split(/[-_]/)[0]);
+
+  return languages.length > 0 ? [...new Set(languages)] : [DEFAULT_LANGUAGE];
+}
 
-  const lowerName = voiceName.toLowerCase();
-  
-  for (const [lang, names] of Object.entries(languageHints)) {
-    if (names.some(name => lowerName.includes(name))) {
-      return lang;
-    }
+// The English-only model sounds best in English; everything else needs the multilingual one
+function getNarrationModel(language) {
+  return resolveLanguage(language) === DEFAULT_LANGUAGE ? MONOLINGUAL_MODEL : MULTILINGUAL_MODEL;
+}
+
+// Voice and model for narrating in a language. An explicitly chosen voice is kept;
+// otherwise the first voice made for the language, then the fallback voice, which
+// the multilingual model can still make speak it.
+async function resolveNarrationVoice(language, { voiceId, modelId, fallbackVoiceId = DEFAULT_VOICE_ID } = {}) {
+  const code = resolveLanguage(language);
+  const model = modelId && (code === DEFAULT_LANGUAGE || modelId !== MONOLINGUAL_MODEL)
+    ? modelId
+    : getNarrationModel(code);
+
+  if (voiceId || code === DEFAULT_LANGUAGE) {
+    return { voiceId: voiceId || fallbackVoiceId, modelId: model, language: code };
   }
-  
-  return 'en'; // Default to English
+
+  const voices = await getAvailableVoices();
+  const match = voices.find(voice => (voice.languages || [voice.language]).includes(code));
+  if (match) {
+    console.log(`🗣️ Narrating in ${code} with ${match.name}`);
+  } else {
+    console.log(`🗣️ No ${code} voice available, narrating with the ${model} model instead`);
+  }
+
+  return { voiceId: match?.voice_id || fallbackVoiceId, modelId: model, language: code };
 }
 
 async function generateDemoVoice(text, voiceId, emotion) {
@@ -314,6 +368,7 @@ module.exports = {
   getAvailableVoices,
   generateVoiceNarration,
   generateStoryNarration,
+  resolveNarrationVoice,
   detectSceneEmotion,
   optimizeTextForSpeech,
   VOICE_EMOTIONS
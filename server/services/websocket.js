@@ -91,13 +91,14 @@ function unsubscribeFromJob(clientId, jobId) {
   console.log(`Client ${clientId} unsubscribed from job ${jobId}`);
 }
 
-function broadcastProgress(jobId, progressData) {
+// type is 'progress' for job snapshots or 'story_delta' for streamed story text
+function broadcastProgress(jobId, progressData, type = 'progress') {
   if (!jobSubscriptions.has(jobId)) {
     return;
   }
 
   const message = {
-    type: 'progress',
+    type,
     job_id: jobId,
     data: progressData,
     timestamp: new Date().toISOString()
@@ -112,7 +113,7 @@ function broadcastProgress(jobId, progressData) {
     }
   }
 
-  console.log(`Broadcasted progress for job ${jobId} to ${activeSubscribers} clients`);
+  console.log(`Broadcasted ${type} for job ${jobId} to ${activeSubscribers} clients`);
 }
 
 function sendToClient(clientId, message) {
@@ -0,0 +1,78 @@
+require('dotenv').config();
+
+const { getJobQueue } = require('./services/jobQueue');
+const { runStoryPipeline } = require('./services/storyPipeline');
+const { isTaskJob, runTaskJob } = require('./services/taskJobs');
+
+// Start a generation worker that pulls jobs off the shared queue
+function startGenerationWorker(options = {}) {
+  const jobQueue = getJobQueue();
+  const controllers = new Map(); // job_id -> AbortController for jobs running here
+
+  const worker = jobQueue.startWorker(async (job) => {
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+
+    try {
+      // Translations and other background tasks share the queue with story generation
+      const run = isTaskJob(job) ? runTaskJob : runStoryPipeline;
+      return await run(job, jobQueue, { signal: controller.signal });
+    } finally {
+      controllers.delete(job.id);
+    }
+  }, options);
+
+  // Abort in-flight provider calls as soon as a running job is cancelled
+  jobQueue.onUpdate(job => {
+    const controller = controllers.get(job.id);
+    if (controller && job.status === 'cancelled' && !controller.signal.aborted) {
+      console.log(`🛑 Cancelling in-flight work for job ${job.id}`);
+      controller.abort();
+    }
+  });
+
+  // Job health monitoring
+  const healthCheck = setInterval(() => {
+    const activeJobs = worker.activeJobs();
+
+    if (activeJobs.length > 0) {
+      console.log(`🔍 Worker Health Check: ${activeJobs.length}/${jobQueue.concurrency} slots busy`);
+      activeJobs.forEach(jobId => console.log(`  - Job ${jobId}`));
+    }
+  }, 30000); // Check every 30 seconds
+
+  return {
+    ...worker,
+    stop: async () => {
+      clearInterval(healthCheck);
+      await worker.stop();
+    }
+  };
+}
+
+if (require.main === module) {
+  console.log('👷 Starting TaleCraft AI generation worker...');
+  const worker = startGenerationWorker();
+
+  // Keep the worker alive - a failed job is marked failed by the pipeline
+  process.on('uncaughtException', (error) => {
+    console.error('❌ Uncaught Exception in worker:', error);
+  });
+
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('❌ Unhandled Rejection in worker at:', promise, 'reason:', reason);
+  });
+
+  // Graceful shutdown - unfinished jobs are re-queued once their heartbeat goes stale
+  const shutdown = async (signal) => {
+    console.log(`${signal} received, stopping worker ${worker.workerId}...`);
+    await worker.stop();
+    await getJobQueue().close();
+    process.exit(0);
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+module.exports = { startGenerationWorker };